@@ -3,6 +3,8 @@ import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { AuthProvider, useAuth } from './src/contexts/AuthContext';
 import { ThemeProvider } from './src/contexts/ThemeContext';
+import { OfflineQueueProvider } from './src/contexts/OfflineQueueContext';
+import { QueryCacheProvider } from './src/contexts/QueryCacheContext';
 import { ActivityIndicator, View } from 'react-native';
 import { ErrorBoundary } from './src/components';
 
@@ -10,6 +12,7 @@ import { ErrorBoundary } from './src/components';
 import LoginScreen from './src/screens/LoginScreen';
 import SignupScreen from './src/screens/SignupScreen';
 import MainTabs from './src/navigation/MainTabs';
+import { linking } from './src/navigation/linking';
 import AddBenchScreen from './src/screens/AddBenchScreen';
 import BenchDetailScreen from './src/screens/BenchDetailScreen';
 import EditBenchScreen from './src/screens/EditBenchScreen';
@@ -17,6 +20,13 @@ import SearchScreen from './src/screens/SearchScreen';
 import UserProfileScreen from './src/screens/UserProfileScreen';
 import FollowListScreen from './src/screens/FollowListScreen';
 import NotificationsScreen from './src/screens/NotificationsScreen';
+import BenchHistoryScreen from './src/screens/BenchHistoryScreen';
+import ModerationScreen from './src/screens/ModerationScreen';
+import BlockedUsersScreen from './src/screens/BlockedUsersScreen';
+import TagScreen from './src/screens/TagScreen';
+import CollectionScreen from './src/screens/CollectionScreen';
+import WalkScreen from './src/screens/WalkScreen';
+import WalkEditScreen from './src/screens/WalkEditScreen';
 
 const Stack = createNativeStackNavigator();
 
@@ -32,7 +42,7 @@ function AppNavigator() {
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer linking={linking}>
       <Stack.Navigator screenOptions={{ headerShown: false }}>
         {user ? (
           // Authenticated stack
@@ -53,6 +63,10 @@ function AppNavigator() {
               name="EditBench" 
               component={EditBenchScreen}
             />
+            <Stack.Screen 
+              name="BenchHistory" 
+              component={BenchHistoryScreen}
+            />
             <Stack.Screen 
               name="Search" 
               component={SearchScreen}
@@ -69,6 +83,30 @@ function AppNavigator() {
               name="Notifications" 
               component={NotificationsScreen}
             />
+            <Stack.Screen 
+              name="Moderation" 
+              component={ModerationScreen}
+            />
+            <Stack.Screen 
+              name="BlockedUsers" 
+              component={BlockedUsersScreen}
+            />
+            <Stack.Screen 
+              name="Tag" 
+              component={TagScreen}
+            />
+            <Stack.Screen 
+              name="Collection" 
+              component={CollectionScreen}
+            />
+            <Stack.Screen 
+              name="Walk" 
+              component={WalkScreen}
+            />
+            <Stack.Screen 
+              name="WalkEdit" 
+              component={WalkEditScreen}
+            />
           </>
         ) : (
           // Auth stack
@@ -86,9 +124,13 @@ export default function App() {
   return (
     <ThemeProvider>
       <AuthProvider>
-        <ErrorBoundary>
-          <AppNavigator />
-        </ErrorBoundary>
+        <OfflineQueueProvider>
+          <QueryCacheProvider>
+            <ErrorBoundary>
+              <AppNavigator />
+            </ErrorBoundary>
+          </QueryCacheProvider>
+        </OfflineQueueProvider>
       </AuthProvider>
     </ThemeProvider>
   );
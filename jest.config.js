@@ -3,7 +3,8 @@
  *
  * Note: Due to Expo SDK 54's new ESM runtime, component testing
  * with React Native requires additional setup. This config is
- * optimized for unit testing pure JavaScript logic (validation, utils).
+ * optimized for unit testing JavaScript logic (validation, utils, and the
+ * services against the in-memory backend).
  *
  * For full component testing, see:
  * https://docs.expo.dev/develop/unit-testing/
@@ -18,8 +19,18 @@ module.exports = {
   // Only run tests in __tests__ directories
   testMatch: ['**/__tests__/**/*.test.js'],
 
-  // Don't transform node_modules
-  transformIgnorePatterns: ['node_modules/(?!(zod)/)'],
+  // Compile app code with Expo's Babel preset (as jest-expo does) so tests
+  // can import the modules under test
+  transform: {
+    '\\.[jt]sx?$': ['babel-jest', {
+      configFile: require.resolve('expo/internal/babel-preset'),
+      caller: { name: 'metro', bundler: 'metro', platform: 'ios' },
+    }],
+  },
+
+  // Don't transform node_modules (expo/virtual/env is ESM, imported by the
+  // preset in place of process.env.EXPO_PUBLIC_*)
+  transformIgnorePatterns: ['node_modules/(?!(zod|expo)/)'],
 
   // Module file extensions
   moduleFileExtensions: ['js', 'jsx', 'ts', 'tsx', 'json'],
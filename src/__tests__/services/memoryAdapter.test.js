@@ -0,0 +1,439 @@
+/**
+ * Tests for the in-memory backend adapter
+ *
+ * The services rely on it behaving like Supabase: PostgREST filters, embeds
+ * and error codes, plus the few row-level security checks and triggers it
+ * mirrors.
+ */
+
+import { createMemoryAdapter } from '../../services/adapters/memoryAdapter';
+
+const USERS = { ana: 'user-ana', ben: 'user-ben', cleo: 'user-cleo' };
+
+const seed = () => ({
+  users: [
+    { id: USERS.ana, email: 'ana@example.com', password: 'secret' },
+  ],
+  tables: {
+    profiles: [
+      { id: USERS.ana, username: 'ana', avatar_url: null },
+      { id: USERS.ben, username: 'ben', avatar_url: 'ben.jpg' },
+      { id: USERS.cleo, username: 'cleo', avatar_url: null },
+    ],
+    benches: [
+      { id: 'bench-1', user_id: USERS.ana, title: 'Harbour view', view_type: 'ocean', rating: 4.5, tags: ['sunset', 'quiet'], deleted_at: null, created_at: '2025-01-01T10:00:00Z' },
+      { id: 'bench-2', user_id: USERS.ben, title: 'Park corner', view_type: 'urban', rating: 3, tags: ['shade'], deleted_at: null, created_at: '2025-01-02T10:00:00Z' },
+      { id: 'bench-3', user_id: USERS.ben, title: 'Old harbour wall', view_type: 'ocean', rating: null, tags: [], deleted_at: '2025-01-05T10:00:00Z', created_at: '2025-01-03T10:00:00Z' },
+    ],
+    bench_photos: [
+      { id: 'photo-1', bench_id: 'bench-1', photo_url: 'one.jpg', is_primary: true },
+      { id: 'photo-2', bench_id: 'bench-1', photo_url: 'two.jpg', is_primary: false },
+    ],
+    comments: [
+      { id: 'comment-1', bench_id: 'bench-1', user_id: USERS.ben, text: 'lovely', parent_id: null, thread_id: 'comment-1', like_count: 0 },
+    ],
+    favorites: [
+      { user_id: USERS.ana, bench_id: 'bench-2' },
+    ],
+    user_blocks: [
+      { blocker_id: USERS.cleo, blocked_id: USERS.ana, kind: 'block' },
+    ],
+  },
+});
+
+describe('createMemoryAdapter', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMemoryAdapter({ seed: seed() });
+  });
+
+  const ids = ({ data }) => data.map(row => row.id);
+
+  describe('filters', () => {
+    it('should filter with comparison operators', async () => {
+      expect(ids(await backend.from('benches').select('id').eq('view_type', 'ocean'))).toEqual(['bench-1', 'bench-3']);
+      expect(ids(await backend.from('benches').select('id').neq('view_type', 'ocean'))).toEqual(['bench-2']);
+      expect(ids(await backend.from('benches').select('id').gt('rating', 3))).toEqual(['bench-1']);
+      expect(ids(await backend.from('benches').select('id').gte('rating', 3))).toEqual(['bench-1', 'bench-2']);
+      expect(ids(await backend.from('benches').select('id').lt('created_at', '2025-01-02T10:00:00Z'))).toEqual(['bench-1']);
+    });
+
+    it('should not match null values with range operators', async () => {
+      expect(ids(await backend.from('benches').select('id').lte('rating', 5))).toEqual(['bench-1', 'bench-2']);
+    });
+
+    it('should match like and ilike patterns', async () => {
+      expect(ids(await backend.from('benches').select('id').like('title', '%harbour%'))).toEqual(['bench-3']);
+      expect(ids(await backend.from('benches').select('id').ilike('title', '%harbour%'))).toEqual(['bench-1', 'bench-3']);
+    });
+
+    it('should filter with is, in, contains and overlaps', async () => {
+      expect(ids(await backend.from('benches').select('id').is('deleted_at', null))).toEqual(['bench-1', 'bench-2']);
+      expect(ids(await backend.from('benches').select('id').in('id', ['bench-2', 'bench-3']))).toEqual(['bench-2', 'bench-3']);
+      expect(ids(await backend.from('benches').select('id').contains('tags', ['sunset', 'quiet']))).toEqual(['bench-1']);
+      expect(ids(await backend.from('benches').select('id').overlaps('tags', ['shade', 'sunset']))).toEqual(['bench-1', 'bench-2']);
+    });
+
+    it('should negate a filter with not', async () => {
+      const result = await backend.from('benches').select('id').not('user_id', 'in', `(${USERS.ben})`);
+
+      expect(ids(result)).toEqual(['bench-1']);
+    });
+
+    it('should parse string filters and match objects', async () => {
+      expect(ids(await backend.from('benches').select('id').filter('id', 'in', '(bench-1,bench-2)'))).toEqual(['bench-1', 'bench-2']);
+      expect(ids(await backend.from('benches').select('id').match({ view_type: 'ocean', user_id: USERS.ben }))).toEqual(['bench-3']);
+    });
+
+    it('should report unsupported operators', async () => {
+      const { data, error } = await backend.from('benches').select('id').filter('id', 'regex', 'x');
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('PGRST100');
+    });
+  });
+
+  describe('or()', () => {
+    it('should match any of the conditions', async () => {
+      const result = await backend.from('benches').select('id').or('title.ilike.%corner%,view_type.eq.ocean');
+
+      expect(ids(result)).toEqual(['bench-1', 'bench-2', 'bench-3']);
+    });
+
+    it('should support nested and() groups and quoted values', async () => {
+      const result = await backend
+        .from('benches')
+        .select('id')
+        .or('created_at.gt."2025-01-02T10:00:00Z",and(created_at.eq."2025-01-02T10:00:00Z",id.gt."bench-1")');
+
+      expect(ids(result)).toEqual(['bench-2', 'bench-3']);
+    });
+
+    it('should support negated conditions', async () => {
+      const result = await backend.from('benches').select('id').or('view_type.not.eq.ocean,rating.gt.4');
+
+      expect(ids(result)).toEqual(['bench-1', 'bench-2']);
+    });
+
+    it('should compare number columns as numbers', async () => {
+      const result = await backend.from('benches').select('id').or('rating.lt."10"');
+
+      expect(ids(result)).toEqual(['bench-1', 'bench-2']);
+    });
+
+    it('should combine with the other filters', async () => {
+      const result = await backend.from('benches').select('id').is('deleted_at', null).or('view_type.eq.ocean,rating.lt.2');
+
+      expect(ids(result)).toEqual(['bench-1']);
+    });
+  });
+
+  describe('ordering and paging', () => {
+    it('should order by several columns, nulls last when ascending', async () => {
+      const result = await backend.from('benches').select('id').order('view_type').order('rating', { ascending: true });
+
+      expect(ids(result)).toEqual(['bench-1', 'bench-3', 'bench-2']);
+    });
+
+    it('should put nulls first when descending', async () => {
+      const result = await backend.from('benches').select('id').order('rating', { ascending: false });
+
+      expect(ids(result)).toEqual(['bench-3', 'bench-1', 'bench-2']);
+    });
+
+    it('should apply limit and range', async () => {
+      expect(ids(await backend.from('benches').select('id').order('created_at').limit(2))).toEqual(['bench-1', 'bench-2']);
+      expect(ids(await backend.from('benches').select('id').order('created_at').range(1, 2))).toEqual(['bench-2', 'bench-3']);
+    });
+
+    it('should count matches without returning rows for head requests', async () => {
+      const result = await backend.from('benches').select('*', { count: 'exact', head: true }).eq('view_type', 'ocean');
+
+      expect(result.data).toBeNull();
+      expect(result.count).toBe(2);
+    });
+  });
+
+  describe('embeds', () => {
+    it('should embed a row through a foreign key column', async () => {
+      const { data } = await backend.from('comments').select('id, profiles:user_id (username)').single();
+
+      expect(data).toEqual({ id: 'comment-1', profiles: { username: 'ben' } });
+    });
+
+    it('should embed a row by table name', async () => {
+      const { data } = await backend.from('bench_photos').select('id, benches (title)').eq('id', 'photo-1').single();
+
+      expect(data.benches).toEqual({ title: 'Harbour view' });
+    });
+
+    it('should embed the rows referencing a row', async () => {
+      const { data } = await backend.from('benches').select('id, bench_photos (photo_url)').eq('id', 'bench-1').single();
+
+      expect(data.bench_photos).toEqual([{ photo_url: 'one.jpg' }, { photo_url: 'two.jpg' }]);
+    });
+
+    it('should nest embeds and rename columns', async () => {
+      const { data } = await backend
+        .from('comments')
+        .select('id, body:text, benches (title, owner:user_id (username))')
+        .single();
+
+      expect(data).toEqual({ id: 'comment-1', body: 'lovely', benches: { title: 'Harbour view', owner: { username: 'ana' } } });
+    });
+
+    it('should embed null when the referenced row is gone', async () => {
+      await backend.from('profiles').delete().eq('id', USERS.ben);
+      const { data } = await backend.from('comments').select('profiles:user_id (username)').single();
+
+      expect(data.profiles).toBeNull();
+    });
+
+    it('should filter embedded rows on their columns', async () => {
+      const { data } = await backend
+        .from('benches')
+        .select('id, bench_photos (photo_url)')
+        .eq('id', 'bench-1')
+        .eq('bench_photos.is_primary', true)
+        .single();
+
+      expect(data.bench_photos).toEqual([{ photo_url: 'one.jpg' }]);
+    });
+
+    it('should leave out rows without an !inner embed before the limit', async () => {
+      await backend.from('favorites').insert({ user_id: USERS.ana, bench_id: 'bench-3' });
+      await backend.from('favorites').insert({ user_id: USERS.ana, bench_id: 'bench-gone' });
+
+      const { data } = await backend
+        .from('favorites')
+        .select('bench_id, benches:bench_id!inner (title)')
+        .eq('user_id', USERS.ana)
+        .is('benches.deleted_at', null)
+        .order('bench_id', { ascending: false })
+        .limit(1);
+
+      expect(data).toEqual([{ bench_id: 'bench-2', benches: { title: 'Park corner' } }]);
+    });
+
+    it('should report an unknown relationship', async () => {
+      const { error } = await backend.from('favorites').select('*, walks (title)');
+
+      expect(error.code).toBe('PGRST200');
+    });
+  });
+
+  describe('single and maybeSingle', () => {
+    it('should return the one matching row', async () => {
+      const { data, error } = await backend.from('benches').select('title').eq('id', 'bench-2').single();
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ title: 'Park corner' });
+    });
+
+    it('should fail single() without a row', async () => {
+      const { data, error } = await backend.from('benches').select('*').eq('id', 'missing').single();
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('PGRST116');
+    });
+
+    it('should fail single() with several rows', async () => {
+      const { error } = await backend.from('benches').select('*').eq('view_type', 'ocean').single();
+
+      expect(error.code).toBe('PGRST116');
+      expect(error.details).toBe('The result contains 2 rows');
+    });
+
+    it('should return null from maybeSingle() without a row', async () => {
+      const { data, error } = await backend.from('benches').select('*').eq('id', 'missing').maybeSingle();
+
+      expect(data).toBeNull();
+      expect(error).toBeNull();
+    });
+
+    it('should fail maybeSingle() with several rows', async () => {
+      const { error } = await backend.from('benches').select('*').eq('view_type', 'ocean').maybeSingle();
+
+      expect(error.code).toBe('PGRST116');
+    });
+  });
+
+  describe('writes', () => {
+    it('should fill in ids, timestamps and column defaults on insert', async () => {
+      const { data } = await backend
+        .from('benches')
+        .insert({ user_id: USERS.ana, title: 'New bench' })
+        .select()
+        .single();
+
+      expect(data.id).toEqual(expect.any(String));
+      expect(data.created_at).toEqual(expect.any(String));
+      expect(data.open_issue_count).toBe(0);
+
+      const { data: photo } = await backend.from('bench_photos').insert({ bench_id: data.id, photo_url: 'x.jpg' }).select().single();
+      expect(photo.uploaded_at).toEqual(expect.any(String));
+      expect(photo.is_primary).toBe(false);
+    });
+
+    it('should return no rows from a write without select()', async () => {
+      const result = await backend.from('favorites').insert({ user_id: USERS.ben, bench_id: 'bench-1' });
+
+      expect(result).toEqual(expect.objectContaining({ data: null, error: null }));
+    });
+
+    it('should refuse duplicate primary and unique keys', async () => {
+      const favorite = await backend.from('favorites').insert({ user_id: USERS.ana, bench_id: 'bench-2' });
+      const username = await backend.from('profiles').insert({ id: 'user-new', username: 'ana' });
+
+      expect(favorite.error.code).toBe('23505');
+      expect(username.error.code).toBe('23505');
+      expect((await backend.from('profiles').select('*', { count: 'exact', head: true })).count).toBe(3);
+    });
+
+    it('should insert nothing when one row of a batch conflicts', async () => {
+      const { error } = await backend.from('favorites').insert([
+        { user_id: USERS.ben, bench_id: 'bench-1' },
+        { user_id: USERS.ana, bench_id: 'bench-2' },
+      ]);
+
+      expect(error.code).toBe('23505');
+      expect((await backend.from('favorites').select('*')).data).toHaveLength(1);
+    });
+
+    it('should apply the insert policies', async () => {
+      const blocked = await backend.from('follows').insert({ follower_id: USERS.ana, following_id: USERS.cleo });
+      const allowed = await backend.from('follows').insert({ follower_id: USERS.ana, following_id: USERS.ben });
+
+      expect(blocked.error.code).toBe('42501');
+      expect(allowed.error).toBeNull();
+    });
+
+    it('should update the conflicting row on upsert', async () => {
+      await backend.from('profiles').upsert({ id: USERS.ben, username: 'benny' });
+
+      const { data } = await backend.from('profiles').select('username, avatar_url').eq('id', USERS.ben).single();
+      expect(data).toEqual({ username: 'benny', avatar_url: 'ben.jpg' });
+    });
+
+    it('should insert on upsert without a conflict', async () => {
+      const { data } = await backend.from('favorites').upsert({ user_id: USERS.ben, bench_id: 'bench-1' }).select();
+
+      expect(data).toEqual([expect.objectContaining({ user_id: USERS.ben, bench_id: 'bench-1' })]);
+      expect((await backend.from('favorites').select('*')).data).toHaveLength(2);
+    });
+
+    it('should upsert on the given conflict columns', async () => {
+      await backend.from('bench_ratings').insert({ bench_id: 'bench-1', user_id: USERS.ben, view_rating: 2 });
+      await backend.from('bench_ratings').upsert(
+        { bench_id: 'bench-1', user_id: USERS.ben, view_rating: 5 },
+        { onConflict: 'bench_id,user_id' }
+      );
+
+      const { data } = await backend.from('bench_ratings').select('view_rating');
+      expect(data).toEqual([{ view_rating: 5 }]);
+    });
+
+    it('should leave the existing row alone when ignoring duplicates', async () => {
+      await backend.from('profiles').upsert({ id: USERS.ben, username: 'benny' }, { ignoreDuplicates: true });
+
+      const { data } = await backend.from('profiles').select('username').eq('id', USERS.ben).single();
+      expect(data.username).toBe('ben');
+    });
+
+    it('should update and delete the matching rows only', async () => {
+      await backend.from('benches').update({ view_type: 'river' }).eq('user_id', USERS.ben).is('deleted_at', null);
+      await backend.from('benches').delete().not('deleted_at', 'is', null);
+
+      const { data } = await backend.from('benches').select('id, view_type').order('id');
+      expect(data).toEqual([{ id: 'bench-1', view_type: 'ocean' }, { id: 'bench-2', view_type: 'river' }]);
+    });
+  });
+
+  describe('triggers', () => {
+    it('should keep comment like counts', async () => {
+      await backend.from('comment_likes').insert([
+        { comment_id: 'comment-1', user_id: USERS.ana },
+        { comment_id: 'comment-1', user_id: USERS.cleo },
+      ]);
+      await backend.from('comment_likes').delete().eq('user_id', USERS.ana);
+
+      const { data } = await backend.from('comments').select('like_count').single();
+      expect(data.like_count).toBe(1);
+    });
+
+    it('should put replies in their parent\'s thread', async () => {
+      const { data: reply } = await backend.from('comments')
+        .insert({ bench_id: 'bench-1', user_id: USERS.ana, text: 'agreed', parent_id: 'comment-1' })
+        .select()
+        .single();
+      const { data: deeper } = await backend.from('comments')
+        .insert({ bench_id: 'bench-1', user_id: USERS.ben, text: 'same', parent_id: reply.id })
+        .select()
+        .single();
+      const { data: root } = await backend.from('comments')
+        .insert({ bench_id: 'bench-1', user_id: USERS.ben, text: 'new thread' })
+        .select()
+        .single();
+
+      expect(reply.thread_id).toBe('comment-1');
+      expect(deeper.thread_id).toBe('comment-1');
+      expect(root.thread_id).toBe(root.id);
+      expect(root.like_count).toBe(0);
+    });
+  });
+
+  describe('rpc', () => {
+    it('should report an unknown function', async () => {
+      const { data, error } = await backend.rpc('no_such_function');
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('PGRST202');
+    });
+
+    it('should turn a failing function into a P0001 error', async () => {
+      const { error } = await backend.rpc('edit_comment', { target_comment_id: 'missing', new_text: 'x' });
+
+      expect(error.code).toBe('P0001');
+      expect(error.message).toBe('Comment not found');
+    });
+  });
+
+  describe('realtime', () => {
+    it('should tell subscribers about writes to their table', async () => {
+      const events = [];
+      backend
+        .channel('favorites')
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'favorites' }, payload => events.push(payload))
+        .subscribe();
+
+      await backend.from('favorites').insert({ user_id: USERS.ben, bench_id: 'bench-1' });
+      await backend.from('favorites').delete().eq('user_id', USERS.ben);
+
+      expect(events).toHaveLength(1);
+      expect(events[0].new).toEqual(expect.objectContaining({ user_id: USERS.ben, bench_id: 'bench-1' }));
+    });
+  });
+
+  describe('auth', () => {
+    it('should sign in with the right password only', async () => {
+      const wrong = await backend.auth.signInWithPassword({ email: 'ana@example.com', password: 'nope' });
+      const right = await backend.auth.signInWithPassword({ email: 'ANA@example.com ', password: 'secret' });
+
+      expect(wrong.error.message).toBe('Invalid login credentials');
+      expect(right.data.user.id).toBe(USERS.ana);
+      expect((await backend.auth.getUser()).data.user.id).toBe(USERS.ana);
+    });
+
+    it('should create the profile of a new user', async () => {
+      const { data } = await backend.auth.signUp({
+        email: 'dora@example.com',
+        password: 'secret',
+        options: { data: { username: 'dora' } },
+      });
+
+      const { data: profile } = await backend.from('profiles').select('username').eq('id', data.user.id).single();
+      expect(profile.username).toBe('dora');
+    });
+  });
+});
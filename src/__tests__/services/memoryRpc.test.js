@@ -0,0 +1,299 @@
+/**
+ * Tests for the in-memory database functions
+ *
+ * Each handler stands in for a function in the Supabase database, so these
+ * check the same rules: who may call it, what it writes and what it returns.
+ */
+
+import { createMemoryAdapter } from '../../services/adapters/memoryAdapter';
+
+const USERS = { ana: 'user-ana', ben: 'user-ben', cleo: 'user-cleo' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seed = () => ({
+  users: Object.entries(USERS).map(([name, id]) => ({ id, email: `${name}@example.com`, password: 'secret' })),
+  tables: {
+    profiles: Object.entries(USERS).map(([name, id]) => ({ id, username: name })),
+    benches: [
+      { id: 'bench-1', user_id: USERS.ana, title: 'Harbour view', latitude: 38.7, longitude: -9.1, deleted_at: null },
+      { id: 'bench-2', user_id: USERS.ben, title: 'Park corner', latitude: 38.8, longitude: -9.2, deleted_at: null },
+    ],
+    bench_photos: [
+      { id: 'photo-1', bench_id: 'bench-1', photo_url: 'memory://test/storage/v1/object/public/bench-photos/ana/bench-1/1.jpg' },
+    ],
+    comments: [
+      { id: 'comment-1', bench_id: 'bench-1', user_id: USERS.ben, text: 'lovely', parent_id: null, thread_id: 'comment-1', like_count: 0 },
+    ],
+  },
+});
+
+describe('memory database functions', () => {
+  let backend;
+
+  beforeEach(async () => {
+    backend = createMemoryAdapter({ seed: seed(), baseUrl: 'memory://test' });
+    await signInAs('ana');
+  });
+
+  const signInAs = (name) => backend.auth.signInWithPassword({ email: `${name}@example.com`, password: 'secret' });
+
+  const rows = async (table, column, value) => (await backend.from(table).select('*').eq(column, value)).data;
+
+  const rpc = async (fn, params) => {
+    const { data, error } = await backend.rpc(fn, params);
+    if (error) throw new Error(error.message);
+    return data;
+  };
+
+  describe('nearby benches', () => {
+    it('should return the benches within the radius, closest first', async () => {
+      const benches = await rpc('get_nearby_benches', { user_lat: 38.79, user_lng: -9.19, radius_meters: 20000 });
+
+      expect(benches.map(bench => bench.id)).toEqual(['bench-2', 'bench-1']);
+      expect(benches[0].distance_meters).toBeLessThan(benches[1].distance_meters);
+    });
+
+    it('should leave out benches past the radius', async () => {
+      const benches = await rpc('get_nearby_benches', { user_lat: 38.7, user_lng: -9.1, radius_meters: 1000 });
+
+      expect(benches.map(bench => bench.id)).toEqual(['bench-1']);
+      expect(benches[0].distance_meters).toBe(0);
+    });
+
+    it('should leave out trashed benches', async () => {
+      await rpc('soft_delete_bench', { target_bench_id: 'bench-1' });
+      const benches = await rpc('get_nearby_benches', { user_lat: 38.7, user_lng: -9.1, radius_meters: 20000 });
+
+      expect(benches.map(bench => bench.id)).toEqual(['bench-2']);
+    });
+
+    it('should leave out benches hidden by a moderator', async () => {
+      await backend.from('benches').update({ hidden_at: new Date().toISOString() }).eq('id', 'bench-2');
+      const benches = await rpc('get_nearby_benches', { user_lat: 38.7, user_lng: -9.1, radius_meters: 20000 });
+
+      expect(benches.map(bench => bench.id)).toEqual(['bench-1']);
+    });
+  });
+
+  describe('comments', () => {
+    it('should create a comment with its mentions', async () => {
+      const comment = await rpc('create_comment', {
+        target_bench_id: 'bench-1',
+        comment_text: 'hi @ben',
+        new_mentions: [{ user_id: USERS.ben, start_index: 3, end_index: 7 }],
+      });
+
+      expect(comment).toEqual(expect.objectContaining({ user_id: USERS.ana, text: 'hi @ben', like_count: 0, thread_id: comment.id }));
+      expect(await rows('comment_mentions', 'comment_id', comment.id)).toEqual([
+        expect.objectContaining({ user_id: USERS.ben, start_index: 3, end_index: 7 }),
+      ]);
+    });
+
+    it('should skip mentions past the end of the text', async () => {
+      const comment = await rpc('create_comment', {
+        target_bench_id: 'bench-1',
+        comment_text: 'hi',
+        new_mentions: [{ user_id: USERS.ben, start_index: 3, end_index: 7 }],
+      });
+
+      expect(await rows('comment_mentions', 'comment_id', comment.id)).toEqual([]);
+    });
+
+    it('should refuse an empty comment', async () => {
+      await expect(rpc('create_comment', { target_bench_id: 'bench-1', comment_text: '  ' })).rejects.toThrow('Comment cannot be empty');
+      expect(await rows('comments', 'user_id', USERS.ana)).toEqual([]);
+    });
+
+    it('should keep the old text of an edited comment', async () => {
+      await signInAs('ben');
+      const edited = await rpc('edit_comment', { target_comment_id: 'comment-1', new_text: 'lovely spot' });
+
+      expect(edited.text).toBe('lovely spot');
+      expect(edited.edited_at).toEqual(expect.any(String));
+      expect((await rows('comment_revisions', 'comment_id', 'comment-1')).map(revision => revision.text)).toEqual(['lovely']);
+    });
+
+    it('should replace the mentions without a revision when only they change', async () => {
+      await signInAs('ben');
+      await rpc('edit_comment', {
+        target_comment_id: 'comment-1',
+        new_text: 'lovely',
+        new_mentions: [{ user_id: USERS.ana, start_index: 0, end_index: 6 }],
+      });
+
+      expect(await rows('comment_revisions', 'comment_id', 'comment-1')).toEqual([]);
+      expect((await rows('comment_mentions', 'comment_id', 'comment-1')).map(mention => mention.user_id)).toEqual([USERS.ana]);
+    });
+
+    it('should not keep a revision when the text is unchanged', async () => {
+      await signInAs('ben');
+      const edited = await rpc('edit_comment', { target_comment_id: 'comment-1', new_text: 'lovely' });
+
+      expect(edited.edited_at).toBeUndefined();
+      expect(await rows('comment_revisions', 'comment_id', 'comment-1')).toEqual([]);
+    });
+
+    it('should refuse an empty edit', async () => {
+      await signInAs('ben');
+      await expect(rpc('edit_comment', { target_comment_id: 'comment-1', new_text: ' ' })).rejects.toThrow('Comment cannot be empty');
+    });
+
+    it('should only let the author edit or delete a comment', async () => {
+      await expect(rpc('edit_comment', { target_comment_id: 'comment-1', new_text: 'mine now' })).rejects.toThrow('Comment not found');
+      await expect(rpc('delete_comment', { target_comment_id: 'comment-1' })).rejects.toThrow('Comment not found');
+    });
+
+    it('should keep a placeholder for a deleted comment with replies', async () => {
+      const reply = await rpc('create_comment', { target_bench_id: 'bench-1', comment_text: 'agreed', target_parent_id: 'comment-1' });
+      await signInAs('ben');
+
+      expect(await rpc('delete_comment', { target_comment_id: 'comment-1' })).toBe(true);
+      const [placeholder] = await rows('comments', 'id', 'comment-1');
+      expect(placeholder).toEqual(expect.objectContaining({ text: '', deleted_at: expect.any(String) }));
+
+      // The placeholder goes with its last reply
+      await signInAs('ana');
+      expect(await rpc('delete_comment', { target_comment_id: reply.id })).toBe(false);
+      expect(await rows('comments', 'bench_id', 'bench-1')).toEqual([]);
+    });
+
+    it('should remove the likes of a deleted comment', async () => {
+      await backend.from('comment_likes').insert({ comment_id: 'comment-1', user_id: USERS.ana });
+      await signInAs('ben');
+      await rpc('delete_comment', { target_comment_id: 'comment-1' });
+
+      expect(await rows('comment_likes', 'comment_id', 'comment-1')).toEqual([]);
+    });
+  });
+
+  describe('blocks and notifications', () => {
+    const notificationsOf = async (userId) => (await rows('notifications', 'user_id', userId)).length;
+
+    it('should notify everyone but the caller', async () => {
+      await backend.from('comment_likes').insert({ comment_id: 'comment-1', user_id: USERS.ana });
+      await rpc('notify_users', { recipient_ids: [USERS.ana, USERS.ben, USERS.ben], notification_type: 'comment_like', target_bench_id: 'bench-1', target_comment_id: 'comment-1' });
+
+      expect(await notificationsOf(USERS.ana)).toBe(0);
+      expect(await notificationsOf(USERS.ben)).toBe(1);
+    });
+
+    it('should only notify users the caller\'s action concerns', async () => {
+      // ana never liked comment-1 nor commented on bench-2
+      await rpc('notify_users', { recipient_ids: [USERS.ben], notification_type: 'comment_like', target_bench_id: 'bench-1', target_comment_id: 'comment-1' });
+      await rpc('notify_users', { recipient_ids: [USERS.ben, USERS.cleo], notification_type: 'comment', target_bench_id: 'bench-2' });
+      // Only moderators tell authors about their content
+      await rpc('notify_users', { recipient_ids: [USERS.ben], notification_type: 'content_removed', target_bench_id: 'bench-2' });
+
+      expect(await notificationsOf(USERS.ben)).toBe(0);
+      expect(await notificationsOf(USERS.cleo)).toBe(0);
+    });
+
+    it('should refuse notification types the app does not send', async () => {
+      await expect(rpc('notify_users', { recipient_ids: [USERS.ben], notification_type: 'follow' })).rejects.toThrow('Unknown notification type');
+    });
+
+    it('should skip users who blocked or muted the caller', async () => {
+      const comment = await rpc('create_comment', {
+        target_bench_id: 'bench-1',
+        comment_text: 'hi @ben @cleo',
+        new_mentions: [
+          { user_id: USERS.ben, start_index: 3, end_index: 7 },
+          { user_id: USERS.cleo, start_index: 8, end_index: 13 },
+        ],
+      });
+      await signInAs('ben');
+      await rpc('block_user', { target_user_id: USERS.ana, block_kind: 'mute' });
+      await signInAs('cleo');
+      await rpc('block_user', { target_user_id: USERS.ana, block_kind: 'block' });
+
+      await signInAs('ana');
+      await rpc('notify_users', { recipient_ids: [USERS.ben, USERS.cleo], notification_type: 'mention', target_comment_id: comment.id });
+
+      expect(await notificationsOf(USERS.ben)).toBe(0);
+      expect(await notificationsOf(USERS.cleo)).toBe(0);
+    });
+
+    it('should end follows both ways when blocking, not when muting', async () => {
+      await backend.from('follows').insert([
+        { follower_id: USERS.ana, following_id: USERS.ben },
+        { follower_id: USERS.ben, following_id: USERS.ana },
+        { follower_id: USERS.ana, following_id: USERS.cleo },
+      ]);
+
+      await rpc('block_user', { target_user_id: USERS.cleo, block_kind: 'mute' });
+      await rpc('block_user', { target_user_id: USERS.ben, block_kind: 'block' });
+
+      const { data } = await backend.from('follows').select('following_id');
+      expect(data).toEqual([{ following_id: USERS.cleo }]);
+    });
+
+    it('should switch between muting and blocking in one row', async () => {
+      await rpc('block_user', { target_user_id: USERS.ben, block_kind: 'mute' });
+      const block = await rpc('block_user', { target_user_id: USERS.ben, block_kind: 'block' });
+
+      expect(block.kind).toBe('block');
+      expect(await rows('user_blocks', 'blocker_id', USERS.ana)).toHaveLength(1);
+    });
+
+    it('should refuse blocking yourself or someone unknown', async () => {
+      await expect(rpc('block_user', { target_user_id: USERS.ana, block_kind: 'block' })).rejects.toThrow('Cannot block yourself');
+      await expect(rpc('block_user', { target_user_id: 'nobody', block_kind: 'block' })).rejects.toThrow('User not found');
+      await expect(rpc('block_user', { target_user_id: USERS.ben, block_kind: 'ignore' })).rejects.toThrow('Unknown block kind');
+    });
+  });
+
+  describe('trash', () => {
+    it('should move a bench to the trash and back', async () => {
+      const deletedAt = await rpc('soft_delete_bench', { target_bench_id: 'bench-1' });
+      expect((await rows('benches', 'id', 'bench-1'))[0].deleted_at).toBe(deletedAt);
+
+      await expect(rpc('soft_delete_bench', { target_bench_id: 'bench-1' })).rejects.toThrow('Bench is already in the trash');
+      await rpc('restore_bench', { target_bench_id: 'bench-1' });
+      expect((await rows('benches', 'id', 'bench-1'))[0].deleted_at).toBeNull();
+    });
+
+    it('should only let the owner trash a bench', async () => {
+      await expect(rpc('soft_delete_bench', { target_bench_id: 'bench-2' })).rejects.toThrow();
+      expect((await rows('benches', 'id', 'bench-2'))[0].deleted_at).toBeNull();
+    });
+
+    it('should delete a trashed bench with its rows', async () => {
+      await expect(rpc('delete_bench_permanently', { target_bench_id: 'bench-1' }))
+        .rejects.toThrow('Only benches in the trash can be deleted permanently');
+
+      await rpc('soft_delete_bench', { target_bench_id: 'bench-1' });
+      const removed = await rpc('delete_bench_permanently', { target_bench_id: 'bench-1' });
+
+      expect(removed).toEqual([{ photo_url: expect.stringContaining('ana/bench-1/1.jpg') }]);
+      expect(await rows('benches', 'id', 'bench-1')).toEqual([]);
+      expect(await rows('bench_photos', 'bench_id', 'bench-1')).toEqual([]);
+      expect(await rows('comments', 'bench_id', 'bench-1')).toEqual([]);
+    });
+
+    it('should purge only benches trashed longer than the retention', async () => {
+      await rpc('soft_delete_bench', { target_bench_id: 'bench-1' });
+      await rpc('purge_deleted_benches', { retention_days: 30 });
+      expect(await rows('benches', 'id', 'bench-1')).toHaveLength(1);
+
+      const longAgo = new Date(Date.now() - 31 * DAY_MS).toISOString();
+      await backend.from('benches').update({ deleted_at: longAgo }).eq('id', 'bench-1');
+      await rpc('purge_deleted_benches', { retention_days: 30 });
+      expect(await rows('benches', 'id', 'bench-1')).toEqual([]);
+    });
+  });
+
+  describe('check-ins', () => {
+    it('should check in at the bench once an hour', async () => {
+      const visit = await rpc('check_in_bench', { target_bench_id: 'bench-2', user_lat: 38.8, user_lng: -9.2 });
+
+      expect(visit).toEqual(expect.objectContaining({ user_id: USERS.ana, bench_id: 'bench-2' }));
+      await expect(rpc('check_in_bench', { target_bench_id: 'bench-2', user_lat: 38.8, user_lng: -9.2 }))
+        .rejects.toThrow('You already checked in here');
+    });
+
+    it('should refuse a check-in away from the bench', async () => {
+      await expect(rpc('check_in_bench', { target_bench_id: 'bench-2', user_lat: 38.7, user_lng: -9.1 }))
+        .rejects.toThrow('You need to be at the bench to check in');
+    });
+  });
+});
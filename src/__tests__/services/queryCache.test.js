@@ -0,0 +1,68 @@
+/**
+ * Tests for the query cache
+ *
+ * Covers the request sharing that invalidate() must not let stale data
+ * through.
+ */
+
+import { queryCache } from '../../services/queryCache';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// A fetcher that resolves when the test says so
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { fetcher: jest.fn(() => promise), resolve };
+};
+
+describe('queryCache', () => {
+  const key = ['bench', 'bench-1'];
+
+  beforeEach(async () => {
+    await queryCache.clear();
+  });
+
+  it('should share a request already in flight', async () => {
+    const { fetcher, resolve } = deferred();
+
+    const first = queryCache.fetch(key, fetcher);
+    const second = queryCache.fetch(key, fetcher, { force: true });
+    resolve('data');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['data', 'data']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('should start over after an invalidate instead of joining the stale request', async () => {
+    const stale = deferred();
+    const staleRequest = queryCache.fetch(key, stale.fetcher);
+
+    queryCache.invalidate(['bench']);
+    const fresh = deferred();
+    const freshRequest = queryCache.fetch(key, fresh.fetcher);
+
+    fresh.resolve('fresh');
+    await freshRequest;
+    stale.resolve('stale');
+    await staleRequest;
+
+    expect(fresh.fetcher).toHaveBeenCalledTimes(1);
+    expect(queryCache.getData(key)).toBe('fresh');
+  });
+
+  it('should leave requests for other keys in flight', async () => {
+    const { fetcher, resolve } = deferred();
+    const request = queryCache.fetch(key, fetcher);
+
+    queryCache.invalidate(['feed']);
+    const joined = queryCache.fetch(key, jest.fn());
+    resolve('data');
+
+    await expect(joined).resolves.toBe('data');
+    await request;
+    expect(queryCache.getData(key)).toBe('data');
+  });
+});
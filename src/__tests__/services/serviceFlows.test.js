@@ -0,0 +1,287 @@
+/**
+ * Service flows against the in-memory backend
+ *
+ * Runs the services in api.js the way the screens use them, on a fresh
+ * in-memory adapter seeded with the demo data.
+ */
+
+import api from '../../services/api';
+import { setBackendAdapter } from '../../services/backend';
+import { offlineQueue } from '../../services/offlineQueue';
+import { createMemoryAdapter } from '../../services/adapters/memoryAdapter';
+import { demoSeed } from '../../services/adapters/demoSeed';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('react-native', () => ({ Platform: { OS: 'ios' } }));
+jest.mock('expo-file-system/legacy', () => ({ documentDirectory: 'file:///documents/' }));
+
+const [demo, marta, joao] = demoSeed.users;
+
+// Far from the seeded benches, so new benches are not flagged as duplicates
+const SPOT = { latitude: 41.15, longitude: -8.61 };
+
+const texts = page => page.items.map(comment => comment.text);
+
+describe('service flows', () => {
+  let backend;
+
+  beforeEach(async () => {
+    // Fake clock so rows created one after another get distinct timestamps
+    jest.useFakeTimers({ now: new Date('2026-05-01T12:00:00Z') });
+    backend = createMemoryAdapter({ seed: demoSeed });
+    setBackendAdapter(backend);
+    await signInAs(demo);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const signInAs = (user) => backend.auth.signInWithPassword({ email: user.email, password: user.password });
+
+  const later = () => jest.setSystemTime(Date.now() + 1000);
+
+  const createBench = (fields = {}, options) => api.benches.create({
+    userId: demo.id,
+    title: 'Bench by the river',
+    description: 'Quiet spot',
+    viewType: 'urban',
+    ...SPOT,
+    ...fields,
+  }, options);
+
+  describe('benches', () => {
+    it('should create a bench and read it back', async () => {
+      const bench = await createBench();
+
+      expect(await api.benches.getById(bench.id)).toEqual(expect.objectContaining({
+        title: 'Bench by the river',
+        user_id: demo.id,
+      }));
+      expect((await api.benches.getByUserId(demo.id)).items.map(item => item.id)).toContain(bench.id);
+    });
+
+    it('should flag a bench already on the map', async () => {
+      const bench = await createBench();
+
+      const error = await createBench().catch(caught => caught);
+
+      expect(error.isDuplicate).toBe(true);
+      expect(error.duplicates.map(duplicate => duplicate.bench.id)).toEqual([bench.id]);
+      await expect(createBench({}, { allowDuplicates: true })).resolves.toBeDefined();
+    });
+
+    it('should hide a bench in the trash until it is restored', async () => {
+      const bench = await createBench();
+      const listed = async () => (await api.benches.getAll({ limit: 100 })).items.some(item => item.id === bench.id);
+
+      await api.benches.delete(bench.id, demo.id);
+      expect(await listed()).toBe(false);
+      expect((await api.benches.getTrash(demo.id)).map(item => item.id)).toEqual([bench.id]);
+
+      await api.benches.restore(bench.id, demo.id);
+      expect(await listed()).toBe(true);
+      expect(await api.benches.getTrash(demo.id)).toEqual([]);
+    });
+
+    it('should remove the photo files of a bench deleted for good', async () => {
+      const bench = await createBench();
+      const photos = backend.storage.from('bench-photos');
+      const path = `${demo.id}/${bench.id}/1.jpg`;
+      await photos.upload(path, 'data');
+      await photos.upload(`${demo.id}/other.jpg`, 'data');
+      await backend.from('bench_photos').insert({ bench_id: bench.id, photo_url: photos.getPublicUrl(path).data.publicUrl });
+
+      await api.benches.delete(bench.id, demo.id);
+      await api.benches.deletePermanently(bench.id, demo.id);
+
+      expect((await photos.list(demo.id)).data).toEqual([{ name: `${demo.id}/other.jpg` }]);
+    });
+  });
+
+  describe('comments', () => {
+    let bench;
+    let comments;
+
+    // Three top-level comments, the last two liked by two and one users
+    beforeEach(async () => {
+      bench = await createBench();
+      comments = [];
+      for (const text of ['first', 'second', 'third']) {
+        later();
+        comments.push(await api.comments.create({ benchId: bench.id, userId: demo.id, text }));
+      }
+
+      for (const [user, liked] of [[marta, [1, 2]], [joao, [1]]]) {
+        await signInAs(user);
+        for (const index of liked) {
+          await api.commentLikes.toggle(comments[index].id, user.id);
+        }
+      }
+    });
+
+    it('should page the comments of a bench oldest first', async () => {
+      const firstPage = await api.comments.getByBenchId(bench.id, { sort: 'oldest', limit: 2 });
+      expect(texts(firstPage)).toEqual(['first', 'second']);
+      expect(firstPage.items[0].profiles).toEqual(expect.objectContaining({ username: 'demo' }));
+
+      const secondPage = await api.comments.getByBenchId(bench.id, { sort: 'oldest', limit: 2, cursor: firstPage.nextCursor });
+      expect(texts(secondPage)).toEqual(['third']);
+      expect(secondPage.nextCursor).toBeNull();
+    });
+
+    it('should page top-level comments in the chosen sort', async () => {
+      const top = await api.comments.getByBenchId(bench.id, { sort: 'top', limit: 2 });
+      expect(texts(top)).toEqual(['second', 'third']);
+      expect(texts(await api.comments.getByBenchId(bench.id, { sort: 'top', limit: 2, cursor: top.nextCursor })))
+        .toEqual(['first']);
+
+      const newest = await api.comments.getByBenchId(bench.id, { sort: 'newest', limit: 2 });
+      expect(texts(newest)).toEqual(['third', 'second']);
+      expect((await api.comments.getByBenchId(bench.id, { sort: 'newest', limit: 2, cursor: newest.nextCursor })).nextCursor)
+        .toBeNull();
+    });
+
+    it('should return the replies with the page of their thread', async () => {
+      later();
+      const reply = await api.comments.create({ benchId: bench.id, userId: joao.id, text: 'a reply', parentId: comments[0].id });
+
+      const firstPage = await api.comments.getByBenchId(bench.id, { sort: 'oldest', limit: 1 });
+      expect(firstPage.items.map(comment => comment.id)).toEqual([comments[0].id, reply.id]);
+
+      const secondPage = await api.comments.getByBenchId(bench.id, { sort: 'oldest', limit: 1, cursor: firstPage.nextCursor });
+      expect(texts(secondPage)).toEqual(['second']);
+    });
+
+    it('should keep like counts in step with likes', async () => {
+      await api.commentLikes.toggle(comments[1].id, joao.id);
+
+      const { items } = await api.comments.getByBenchId(bench.id, { sort: 'oldest' });
+      expect(items.map(comment => comment.like_count)).toEqual([0, 1, 1]);
+      expect(await api.commentLikes.getLikedIds(marta.id, comments.map(comment => comment.id)))
+        .toEqual([comments[1].id, comments[2].id]);
+    });
+
+    it('should count likes and take them back', async () => {
+      expect(await api.commentLikes.getCount(comments[1].id)).toBe(2);
+
+      expect(await api.commentLikes.toggle(comments[1].id, joao.id)).toBe(false);
+      expect(await api.commentLikes.getCount(comments[1].id)).toBe(1);
+      expect(await api.commentLikes.isLiked(comments[1].id, marta.id)).toBe(true);
+    });
+
+    it('should leave out comments of users the viewer muted', async () => {
+      await signInAs(marta);
+      later();
+      await api.comments.create({ benchId: bench.id, userId: marta.id, text: 'from marta' });
+
+      await signInAs(demo);
+      await api.blocks.set(demo.id, marta.id, 'mute');
+
+      expect(texts(await api.comments.getByBenchId(bench.id, { sort: 'oldest', viewerId: demo.id }))).toEqual(['first', 'second', 'third']);
+      expect(texts(await api.comments.getByBenchId(bench.id))).toContain('from marta');
+    });
+
+    it('should notify the bench owner of a comment', async () => {
+      const { data } = await backend.from('notifications').select('type').eq('actor_id', demo.id);
+
+      // Commenting on your own bench notifies nobody
+      expect(data).toEqual([]);
+
+      await signInAs(marta);
+      await api.comments.create({ benchId: bench.id, userId: marta.id, text: 'nice' });
+
+      const { data: notifications } = await backend.from('notifications').select('type').eq('user_id', demo.id).eq('actor_id', marta.id);
+      expect(notifications.map(notification => notification.type)).toContain('comment');
+    });
+
+    it('should notify mentioned users', async () => {
+      await signInAs(demo);
+      const text = 'ask @marta';
+      await api.comments.create({
+        benchId: bench.id,
+        userId: demo.id,
+        text,
+        mentions: [{ userId: marta.id, start: 4, end: text.length }],
+      });
+
+      const { data } = await backend.from('notifications').select('type').eq('user_id', marta.id).eq('actor_id', demo.id);
+      expect(data).toEqual([{ type: 'mention' }]);
+    });
+  });
+
+  describe('favorites', () => {
+    it('should toggle a favorite on and off', async () => {
+      const bench = await createBench();
+
+      expect(await api.favorites.toggle(bench.id, demo.id, false)).toBe(true);
+      expect(await api.favorites.isFavorite(bench.id, demo.id)).toBe(true);
+      expect((await api.favorites.getByUserId(demo.id)).items.map(item => item.bench_id)).toContain(bench.id);
+
+      expect(await api.favorites.toggle(bench.id, demo.id, true)).toBe(false);
+      expect(await api.favorites.isFavorite(bench.id, demo.id)).toBe(false);
+    });
+
+    it('should fill a page with the favorites left after a bench went to the trash', async () => {
+      const benches = [];
+      for (const title of ['first', 'second', 'third']) {
+        later();
+        benches.push(await createBench({ title }, { allowDuplicates: true }));
+      }
+      await signInAs(joao);
+      for (const bench of benches) {
+        later();
+        await api.favorites.toggle(bench.id, joao.id, false);
+      }
+      await signInAs(demo);
+      await api.benches.delete(benches[2].id, demo.id);
+
+      const page = await api.favorites.getByUserId(joao.id, { limit: 2 });
+
+      expect(page.items.map(item => item.benches.title)).toEqual(['second', 'first']);
+    });
+  });
+
+  describe('offline', () => {
+    afterEach(() => offlineQueue.setUser(null));
+
+    it('should queue a comment made offline and send it later', async () => {
+      const bench = await createBench();
+      await offlineQueue.setUser(demo.id);
+
+      // Database functions fail the way fetch does without a connection
+      const onlineRpc = backend.rpc;
+      backend.rpc = async () => ({ data: null, error: { message: 'TypeError: Network request failed' } });
+
+      const placeholder = await api.comments.create({ benchId: bench.id, userId: demo.id, text: 'sent later' });
+      expect(placeholder).toEqual(expect.objectContaining({ text: 'sent later', pending: true }));
+      expect(offlineQueue.getStatus().pendingCount).toBe(1);
+
+      backend.rpc = onlineRpc;
+      await offlineQueue.flush();
+
+      expect(offlineQueue.getStatus().pendingCount).toBe(0);
+      expect(texts(await api.comments.getByBenchId(bench.id))).toEqual(['sent later']);
+    });
+
+    it('should drop a queued comment on a bench moved to the trash meanwhile', async () => {
+      const bench = await createBench();
+      await offlineQueue.setUser(demo.id);
+
+      const onlineRpc = backend.rpc;
+      backend.rpc = async () => ({ data: null, error: { message: 'TypeError: Network request failed' } });
+      await api.comments.create({ benchId: bench.id, userId: demo.id, text: 'too late' });
+
+      backend.rpc = onlineRpc;
+      await api.benches.delete(bench.id, demo.id);
+      await offlineQueue.flush();
+
+      expect(offlineQueue.getStatus().pendingCount).toBe(0);
+      expect(offlineQueue.getStatus().conflicts).toHaveLength(1);
+      const { data } = await backend.from('comments').select('id').eq('bench_id', bench.id);
+      expect(data).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for the bench attribute helpers
+ *
+ * Amenities and the accessibility profile are null when unknown, so only
+ * what someone said about a bench is stored or shown.
+ */
+
+import {
+  ATTRIBUTE_COLUMNS,
+  toAttributeFields,
+  toAttributeColumns,
+  benchAmenityKeys,
+  isAccessibleBench,
+  accessibilityDetails,
+} from '../../utils/amenities';
+
+describe('toAttributeColumns', () => {
+  it('should map the fields given to columns', () => {
+    expect(toAttributeColumns({ hasBackrest: true, material: 'wood', seatCount: 3, title: 'Not an attribute' })).toEqual({
+      has_backrest: true,
+      material: 'wood',
+      seat_count: 3,
+    });
+  });
+
+  it('should leave out fields not given but keep cleared ones', () => {
+    expect(toAttributeColumns({ hasShade: undefined, surfaceType: null })).toEqual({ surface_type: null });
+  });
+});
+
+describe('toAttributeFields', () => {
+  it('should give every field, null when unknown', () => {
+    const fields = toAttributeFields({ has_shade: false, seat_height_cm: 45 });
+
+    expect(Object.keys(fields)).toHaveLength(ATTRIBUTE_COLUMNS.length);
+    expect(fields).toEqual(expect.objectContaining({ hasShade: false, seatHeightCm: 45, hasBackrest: null, material: null }));
+  });
+
+  it('should handle a missing bench', () => {
+    expect(Object.values(toAttributeFields(null)).every(value => value === null)).toBe(true);
+  });
+});
+
+describe('benchAmenityKeys', () => {
+  it('should list only the amenities a bench has', () => {
+    expect(benchAmenityKeys({ has_backrest: true, has_shade: false, has_table: null, water_nearby: true })).toEqual(['backrest', 'water']);
+  });
+});
+
+describe('isAccessibleBench', () => {
+  it('should need a step-free path and wheelchair space', () => {
+    expect(isAccessibleBench({ step_free_access: true, wheelchair_space: true })).toBe(true);
+    expect(isAccessibleBench({ step_free_access: true, wheelchair_space: null })).toBe(false);
+    expect(isAccessibleBench(null)).toBe(false);
+  });
+});
+
+describe('accessibilityDetails', () => {
+  it('should describe what is known', () => {
+    const details = accessibilityDetails({
+      step_free_access: false,
+      wheelchair_space: true,
+      surface_type: 'gravel',
+      seat_height_cm: 45,
+      access_distance_meters: 120,
+    });
+
+    expect(details.map(detail => detail.label)).toEqual([
+      'steps on the way',
+      'wheelchair space beside it',
+      'gravel path',
+      'seat 45 cm high',
+      '120 m from parking or transit',
+    ]);
+  });
+
+  it('should leave out unknown fields', () => {
+    expect(accessibilityDetails({ step_free_access: null, surface_type: undefined })).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the bayesianRating utility function
+ *
+ * The confidence-weighted score the "highest rated" search sort uses:
+ * every bench starts out with RATING_PRIOR_WEIGHT ratings of
+ * RATING_PRIOR_MEAN, so a handful of ratings cannot outrank many.
+ */
+
+// Define the functions locally to avoid import issues with Jest/Expo
+const RATING_PRIOR_MEAN = 3;
+const RATING_PRIOR_WEIGHT = 5;
+
+function bayesianRating(average, count) {
+  const n = average === null || average === undefined ? 0 : count || 0;
+  return (RATING_PRIOR_WEIGHT * RATING_PRIOR_MEAN + (n > 0 ? average * n : 0)) / (RATING_PRIOR_WEIGHT + n);
+}
+
+describe('bayesianRating', () => {
+  describe('unrated benches', () => {
+    it('should return the prior mean with no ratings', () => {
+      expect(bayesianRating(0, 0)).toBe(RATING_PRIOR_MEAN);
+    });
+
+    it('should return the prior mean for an unknown average', () => {
+      expect(bayesianRating(null, 0)).toBe(RATING_PRIOR_MEAN);
+      expect(bayesianRating(undefined, undefined)).toBe(RATING_PRIOR_MEAN);
+    });
+
+    it('should ignore a count without an average', () => {
+      expect(bayesianRating(null, 12)).toBe(RATING_PRIOR_MEAN);
+    });
+  });
+
+  describe('basic functionality', () => {
+    it('should weigh ratings against the prior', () => {
+      // (5 * 3 + 5 * 5) / (5 + 5)
+      expect(bayesianRating(5, 5)).toBe(4);
+    });
+
+    it('should pull a single rating towards the prior', () => {
+      expect(bayesianRating(5, 1)).toBeCloseTo(3.333, 3);
+      expect(bayesianRating(1, 1)).toBeCloseTo(2.667, 3);
+    });
+
+    it('should not move an average equal to the prior', () => {
+      expect(bayesianRating(3, 40)).toBe(3);
+    });
+
+    it('should stay within the rating scale', () => {
+      [[1, 1], [1, 1000], [5, 1], [5, 1000], [2.5, 7]].forEach(([average, count]) => {
+        const score = bayesianRating(average, count);
+        expect(score).toBeGreaterThanOrEqual(1);
+        expect(score).toBeLessThanOrEqual(5);
+      });
+    });
+  });
+
+  describe('confidence', () => {
+    it('should rank many good ratings above one perfect rating', () => {
+      expect(bayesianRating(4.8, 200)).toBeGreaterThan(bayesianRating(5, 1));
+    });
+
+    it('should converge on the real average as ratings grow', () => {
+      expect(bayesianRating(4.8, 10000)).toBeCloseTo(4.8, 2);
+    });
+
+    it('should increase with more ratings of the same above-prior average', () => {
+      const few = bayesianRating(4.5, 3);
+      const some = bayesianRating(4.5, 30);
+      const many = bayesianRating(4.5, 300);
+
+      expect(some).toBeGreaterThan(few);
+      expect(many).toBeGreaterThan(some);
+    });
+
+    it('should decrease with more ratings of the same below-prior average', () => {
+      expect(bayesianRating(2, 50)).toBeLessThan(bayesianRating(2, 5));
+    });
+
+    it('should still prefer the better bench at equal counts', () => {
+      expect(bayesianRating(4.2, 20)).toBeGreaterThan(bayesianRating(4.1, 20));
+    });
+  });
+});
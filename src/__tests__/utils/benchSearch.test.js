@@ -0,0 +1,154 @@
+/**
+ * Tests for the searchBenchRows utility function
+ *
+ * Filters, ranks and pages bench rows the way the search_benches database
+ * function does.
+ */
+
+import { searchBenchRows } from '../../utils/benchSearch';
+
+const bench = (id, fields = {}) => ({
+  id,
+  title: `Bench ${id}`,
+  description: null,
+  view_type: 'urban',
+  latitude: 38.7,
+  longitude: -9.1,
+  avg_rating: null,
+  ratings_count: 0,
+  rating_averages: {},
+  tags: [],
+  created_at: '2026-01-01T00:00:00Z',
+  ...fields,
+});
+
+const ROWS = [
+  bench('harbour', {
+    title: 'Harbour view',
+    description: 'Watch the boats at #sunset',
+    view_type: 'ocean',
+    latitude: 38.70,
+    avg_rating: 4.5,
+    ratings_count: 20,
+    rating_averages: { shade: 2 },
+    tags: ['sunset'],
+    has_backrest: true,
+    created_at: '2026-01-03T00:00:00Z',
+  }),
+  bench('garden', {
+    title: 'Garden pond',
+    description: 'Quiet and shady',
+    view_type: 'park',
+    latitude: 38.71,
+    avg_rating: 5,
+    ratings_count: 1,
+    rating_averages: { shade: 5 },
+    has_backrest: true,
+    has_shade: true,
+    step_free_access: true,
+    wheelchair_space: true,
+    created_at: '2026-01-02T00:00:00Z',
+  }),
+  bench('hill', {
+    title: 'Hilltop',
+    description: 'Steep climb, great panorama at sunset',
+    view_type: 'mountain',
+    latitude: 38.80,
+    step_free_access: true,
+    wheelchair_space: false,
+    created_at: '2026-01-01T00:00:00Z',
+  }),
+];
+
+const ids = rows => rows.map(row => row.id);
+
+describe('searchBenchRows', () => {
+  it('should list every bench newest first by default', () => {
+    expect(ids(searchBenchRows(ROWS))).toEqual(['harbour', 'garden', 'hill']);
+  });
+
+  describe('text search', () => {
+    it('should only return matching benches', () => {
+      expect(ids(searchBenchRows(ROWS, { search_query: 'lake' }))).toEqual(['garden']);
+    });
+
+    it('should rank title matches above description matches', () => {
+      const rows = [
+        bench('description', { description: 'A lovely sunset', created_at: '2026-01-02T00:00:00Z' }),
+        bench('title', { title: 'Sunset corner' }),
+      ];
+
+      expect(ids(searchBenchRows(rows, { search_query: 'sunset', sort_by: 'relevance' }))).toEqual(['title', 'description']);
+    });
+
+    it('should highlight the matches', () => {
+      const [result] = searchBenchRows(ROWS, { search_query: 'pond' });
+
+      expect(result.title_highlight).toBe('Garden [[pond]]');
+      expect(result.description_snippet).toBe('Quiet and shady');
+    });
+
+    it('should leave out highlights without a query', () => {
+      const [result] = searchBenchRows(ROWS);
+
+      expect(result.title_highlight).toBeNull();
+      expect(result.rank).toBe(0);
+    });
+  });
+
+  describe('filters', () => {
+    it('should filter by view type and tag', () => {
+      expect(ids(searchBenchRows(ROWS, { view_type_filter: 'mountain' }))).toEqual(['hill']);
+      expect(ids(searchBenchRows(ROWS, { tag_filter: 'sunset' }))).toEqual(['harbour']);
+    });
+
+    it('should require every amenity picked', () => {
+      expect(ids(searchBenchRows(ROWS, { amenity_filter: ['backrest'] }))).toEqual(['harbour', 'garden']);
+      expect(ids(searchBenchRows(ROWS, { amenity_filter: ['backrest', 'shade'] }))).toEqual(['garden']);
+    });
+
+    it('should keep only accessible benches', () => {
+      expect(ids(searchBenchRows(ROWS, { accessible_only: true }))).toEqual(['garden']);
+    });
+
+    it('should filter by minimum rating, overall or on one dimension', () => {
+      expect(ids(searchBenchRows(ROWS, { min_rating: 4.5 }))).toEqual(['harbour', 'garden']);
+      expect(ids(searchBenchRows(ROWS, { min_rating: 4, rating_dimension: 'shade' }))).toEqual(['garden']);
+    });
+
+    it('should filter by distance from the user', () => {
+      const nearby = searchBenchRows(ROWS, { user_lat: 38.7, user_lng: -9.1, max_distance_meters: 2000 });
+
+      expect(ids(nearby)).toEqual(['harbour', 'garden']);
+      expect(nearby[0].distance_meters).toBe(0);
+    });
+
+    it('should ignore the distance limit without a location', () => {
+      expect(searchBenchRows(ROWS, { max_distance_meters: 2000 })).toHaveLength(3);
+    });
+  });
+
+  describe('sorting', () => {
+    it('should sort by distance', () => {
+      const rows = searchBenchRows(ROWS, { user_lat: 38.8, user_lng: -9.1, sort_by: 'distance' });
+
+      expect(ids(rows)).toEqual(['hill', 'garden', 'harbour']);
+    });
+
+    it('should sort by confidence-weighted rating', () => {
+      // One 5/5 rating does not outrank twenty 4.5s
+      expect(ids(searchBenchRows(ROWS, { sort_by: 'rating' }))).toEqual(['harbour', 'garden', 'hill']);
+    });
+
+    it('should sort by one rating dimension, unrated benches last', () => {
+      expect(ids(searchBenchRows(ROWS, { sort_by: 'rating', rating_dimension: 'shade' }))).toEqual(['garden', 'harbour', 'hill']);
+    });
+  });
+
+  it('should page the results with the total count', () => {
+    const page = searchBenchRows(ROWS, { page_limit: 2, page_offset: 1 });
+
+    expect(ids(page)).toEqual(['garden', 'hill']);
+    expect(page.map(row => row.total_count)).toEqual([3, 3]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the buildCommentTree utility function
+ *
+ * Nests the flat comments list by parent_id and sorts every level of the
+ * tree by the chosen comment sort.
+ */
+
+// Define the functions locally to avoid import issues with Jest/Expo
+const DEFAULT_COMMENT_SORT = 'top';
+
+const timeOf = (comment) => new Date(comment.created_at).getTime();
+
+const COMPARATORS = {
+  top: (a, b) => (b.like_count || 0) - (a.like_count || 0) || timeOf(a) - timeOf(b),
+  newest: (a, b) => timeOf(b) - timeOf(a),
+  oldest: (a, b) => timeOf(a) - timeOf(b),
+};
+
+function buildCommentTree(comments, sort = DEFAULT_COMMENT_SORT) {
+  const compare = COMPARATORS[sort] || COMPARATORS[DEFAULT_COMMENT_SORT];
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [], replyCount: 0 }]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    if (!node.parent_id) {
+      roots.push(node);
+    } else {
+      nodes.get(node.parent_id)?.replies.push(node);
+    }
+  });
+
+  const finish = (node) => {
+    node.replies.sort(compare);
+    node.replyCount = node.replies.reduce((sum, reply) => sum + 1 + finish(reply), 0);
+    return node.replyCount;
+  };
+  roots.forEach(finish);
+
+  return roots.sort(compare);
+}
+
+const comment = (id, parentId, minute, likes = 0) => ({
+  id,
+  parent_id: parentId,
+  created_at: `2025-06-01T10:${String(minute).padStart(2, '0')}:00Z`,
+  like_count: likes,
+});
+
+describe('buildCommentTree', () => {
+  describe('nesting', () => {
+    it('should return an empty list without comments', () => {
+      expect(buildCommentTree([])).toEqual([]);
+    });
+
+    it('should nest replies to any depth', () => {
+      const tree = buildCommentTree([
+        comment('a', null, 0),
+        comment('b', 'a', 1),
+        comment('c', 'b', 2),
+        comment('d', 'c', 3),
+        comment('e', 'd', 4),
+        comment('f', 'e', 5),
+      ]);
+
+      let node = tree[0];
+      ['b', 'c', 'd', 'e', 'f'].forEach((id) => {
+        expect(node.replies).toHaveLength(1);
+        node = node.replies[0];
+        expect(node.id).toBe(id);
+      });
+      expect(node.replies).toEqual([]);
+    });
+
+    it('should count every reply below a comment', () => {
+      const [root] = buildCommentTree([
+        comment('a', null, 0),
+        comment('b', 'a', 1),
+        comment('c', 'b', 2),
+        comment('d', 'b', 3),
+        comment('e', 'a', 4),
+      ]);
+
+      expect(root.replyCount).toBe(4);
+      expect(root.replies.find(reply => reply.id === 'b').replyCount).toBe(2);
+    });
+
+    it('should leave out replies whose parent is missing', () => {
+      const tree = buildCommentTree([
+        comment('a', null, 0),
+        comment('orphan', 'hidden', 1),
+        comment('below-orphan', 'orphan', 2),
+      ]);
+
+      expect(tree.map(node => node.id)).toEqual(['a']);
+      expect(tree[0].replyCount).toBe(0);
+    });
+
+    it('should not modify the comments passed in', () => {
+      const comments = [comment('a', null, 0), comment('b', 'a', 1)];
+      buildCommentTree(comments);
+
+      expect(comments[0].replies).toBeUndefined();
+    });
+  });
+
+  describe('sorting', () => {
+    const comments = [
+      comment('old', null, 0, 1),
+      comment('liked', null, 1, 5),
+      comment('new', null, 2, 1),
+      comment('reply-old', 'old', 3, 0),
+      comment('reply-liked', 'old', 4, 3),
+    ];
+
+    it('should put the most liked first for top', () => {
+      const tree = buildCommentTree(comments, 'top');
+
+      expect(tree.map(node => node.id)).toEqual(['liked', 'old', 'new']);
+      expect(tree[1].replies.map(node => node.id)).toEqual(['reply-liked', 'reply-old']);
+    });
+
+    it('should break top ties oldest first', () => {
+      const tree = buildCommentTree([comment('b', null, 5, 2), comment('a', null, 1, 2)], 'top');
+
+      expect(tree.map(node => node.id)).toEqual(['a', 'b']);
+    });
+
+    it('should sort every level newest first for newest', () => {
+      const tree = buildCommentTree(comments, 'newest');
+
+      expect(tree.map(node => node.id)).toEqual(['new', 'liked', 'old']);
+      expect(tree[2].replies.map(node => node.id)).toEqual(['reply-liked', 'reply-old']);
+    });
+
+    it('should sort every level oldest first for oldest', () => {
+      const tree = buildCommentTree(comments, 'oldest');
+
+      expect(tree.map(node => node.id)).toEqual(['old', 'liked', 'new']);
+      expect(tree[0].replies.map(node => node.id)).toEqual(['reply-old', 'reply-liked']);
+    });
+
+    it('should fall back to top for an unknown sort', () => {
+      expect(buildCommentTree(comments, 'random').map(node => node.id)).toEqual(['liked', 'old', 'new']);
+    });
+
+    it('should treat a missing like count as no likes', () => {
+      const tree = buildCommentTree([{ id: 'a', parent_id: null, created_at: '2025-06-01T10:00:00Z' }, comment('b', null, 1, 1)]);
+
+      expect(tree.map(node => node.id)).toEqual(['b', 'a']);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the hashtag helpers
+ *
+ * Tags are 2-30 letters, digits or underscores, compared lowercase, like the
+ * extract_hashtags database function.
+ */
+
+import { normalizeTag, extractHashtags, splitHashtags } from '../../utils/hashtags';
+
+describe('extractHashtags', () => {
+  it('should return distinct lowercase tags in order', () => {
+    expect(extractHashtags('#Sunset over the bay, best at #sunset with a #picnic_spot')).toEqual(['sunset', 'picnic_spot']);
+  });
+
+  it('should skip tags that are too short or too long', () => {
+    expect(extractHashtags(`#a #ok #${'x'.repeat(31)}`)).toEqual(['ok']);
+  });
+
+  it('should skip # inside words', () => {
+    expect(extractHashtags('issue#12 and C# and ##double')).toEqual([]);
+  });
+
+  it('should stop a tag at punctuation', () => {
+    expect(extractHashtags('(#views), #shade!')).toEqual(['views', 'shade']);
+  });
+
+  it('should handle missing text', () => {
+    expect(extractHashtags(null)).toEqual([]);
+  });
+});
+
+describe('normalizeTag', () => {
+  it('should lowercase and drop the #', () => {
+    expect(normalizeTag(' #Sunset ')).toBe('sunset');
+  });
+
+  it('should reject invalid tags', () => {
+    expect(normalizeTag('a')).toBeNull();
+    expect(normalizeTag('sea-view')).toBeNull();
+    expect(normalizeTag('')).toBeNull();
+    expect(normalizeTag(undefined)).toBeNull();
+  });
+});
+
+describe('splitHashtags', () => {
+  it('should split text around the tags', () => {
+    expect(splitHashtags('Go at #Sunset, bring #snacks')).toEqual([
+      { text: 'Go at ' },
+      { text: '#Sunset', tag: 'sunset' },
+      { text: ', bring ' },
+      { text: '#snacks', tag: 'snacks' },
+    ]);
+  });
+
+  it('should keep text without tags whole', () => {
+    expect(splitHashtags('No tags here')).toEqual([{ text: 'No tags here' }]);
+    expect(splitHashtags('')).toEqual([]);
+  });
+});
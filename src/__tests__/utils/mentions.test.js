@@ -0,0 +1,84 @@
+/**
+ * Tests for the comment mention helpers
+ *
+ * Mentions are ranges of @handles in the comment text (end exclusive),
+ * shown with the mentioned user's current username.
+ */
+
+import { findMentionRanges, alignMentions, splitMentions, resolveMentionText } from '../../utils/mentions';
+
+const ana = { id: 'user-ana', username: 'ana' };
+const anabela = { id: 'user-anabela', username: 'anabela' };
+
+describe('findMentionRanges', () => {
+  it('should find every @handle of the picked users in text order', () => {
+    expect(findMentionRanges('@anabela meet @ana, @ana', [ana, anabela])).toEqual([
+      { userId: anabela.id, start: 0, end: 8 },
+      { userId: ana.id, start: 14, end: 18 },
+      { userId: ana.id, start: 20, end: 24 },
+    ]);
+  });
+
+  it('should skip handles inside longer words', () => {
+    expect(findMentionRanges('mail x@ana or @anabela', [ana])).toEqual([]);
+  });
+
+  it('should return nothing without picked users', () => {
+    expect(findMentionRanges('hi @ana')).toEqual([]);
+  });
+});
+
+describe('alignMentions', () => {
+  it('should shift mentions past trimmed leading spaces', () => {
+    expect(alignMentions('  hi @ana ', [{ userId: ana.id, start: 5, end: 9 }])).toEqual([
+      { userId: ana.id, start: 3, end: 7 },
+    ]);
+  });
+
+  it('should drop mentions that no longer point at an @handle', () => {
+    const text = 'hi @ana';
+
+    expect(alignMentions(text, [
+      { userId: ana.id, start: 0, end: 2 },
+      { userId: ana.id, start: 3, end: 4 },
+      { userId: ana.id, start: 3, end: 12 },
+    ])).toEqual([]);
+  });
+
+  it('should drop overlapping mentions', () => {
+    expect(alignMentions('@ana', [
+      { userId: ana.id, start: 0, end: 4 },
+      { userId: anabela.id, start: 0, end: 3 },
+    ])).toHaveLength(1);
+  });
+});
+
+describe('splitMentions', () => {
+  const mention = (fields) => ({ user_id: ana.id, start_index: 3, end_index: 7, ...fields });
+
+  it('should show the current username', () => {
+    expect(splitMentions('hi @ana!', [mention({ profiles: { username: 'ana_s' } })])).toEqual([
+      { text: 'hi ' },
+      { text: '@ana_s', userId: ana.id },
+      { text: '!' },
+    ]);
+  });
+
+  it('should keep the text as written when the profile is gone', () => {
+    expect(splitMentions('hi @ana', [mention({ profiles: null })])).toEqual([
+      { text: 'hi ' },
+      { text: '@ana', userId: ana.id },
+    ]);
+  });
+
+  it('should skip mentions past the end of the text', () => {
+    expect(splitMentions('hi', [mention()])).toEqual([{ text: 'hi' }]);
+  });
+
+  it('should resolve the text with current usernames', () => {
+    expect(resolveMentionText('hi @ana and @ben', [
+      mention({ profiles: { username: 'ana_s' } }),
+      { user_id: 'user-ben', start_index: 12, end_index: 16, profiles: { username: 'benny' } },
+    ])).toBe('hi @ana_s and @benny');
+  });
+});
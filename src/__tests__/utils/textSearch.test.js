@@ -0,0 +1,152 @@
+/**
+ * Tests for the text search helpers
+ *
+ * The tsquery sent to Postgres, and the JS matching used by the in-memory
+ * backend and offline search.
+ */
+
+import {
+  buildTsQuery,
+  parseQuery,
+  matchDocument,
+  titleSimilarity,
+  suggestCorrection,
+  highlight,
+  splitHighlights,
+  FIELD_WEIGHTS,
+} from '../../utils/textSearch';
+
+describe('buildTsQuery', () => {
+  it('should expand a term with its synonyms', () => {
+    expect(buildTsQuery('sea')).toBe('(sea:* | ocean | coast | beach | bay | shore | seaside | harbor | harbour | water)');
+  });
+
+  it('should require every term', () => {
+    expect(buildTsQuery('quiet shade')).toBe(
+      '(quiet:* | calm | peaceful | tranquil | secluded | hidden) & (shade:* | shady | shaded)'
+    );
+  });
+
+  it('should drop stop words and filler words', () => {
+    expect(buildTsQuery('the sunrise bench')).toBe('(sunrise:* | dawn)');
+  });
+
+  it('should keep filler words when nothing else is left', () => {
+    expect(buildTsQuery('the bench')).toBe('(bench:*)');
+  });
+
+  it('should strip accents and case', () => {
+    expect(buildTsQuery('Graça')).toBe('(graca:*)');
+  });
+
+  it('should only emit safe lexemes', () => {
+    expect(buildTsQuery("it's a 'view' & !(drop) | table:*")).toMatch(/^[a-z0-9:*|&() ]+$/);
+  });
+
+  it('should return null when nothing is searchable', () => {
+    expect(buildTsQuery('')).toBeNull();
+    expect(buildTsQuery('the of !!')).toBeNull();
+  });
+});
+
+describe('matchDocument', () => {
+  const match = (query, document) => matchDocument(parseQuery(query), document);
+
+  it('should match synonyms at full weight', () => {
+    const result = match('ocean', { title: 'Sea bench' });
+
+    expect(result.score).toBe(FIELD_WEIGHTS.title);
+    expect([...result.matches]).toEqual(['sea']);
+  });
+
+  it('should match stems', () => {
+    expect(match('trees', { title: 'Under the tree' })).not.toBeNull();
+  });
+
+  it('should match word prefixes below exact matches', () => {
+    const prefix = match('sun', { title: 'Sunset bench' });
+    const exact = match('sunset', { title: 'Sunset bench' });
+
+    expect(prefix.score).toBeGreaterThan(0);
+    expect(prefix.score).toBeLessThan(exact.score);
+  });
+
+  it('should match typos below prefixes', () => {
+    const typo = match('sunste', { title: 'Sunset bench' });
+
+    expect([...typo.matches]).toEqual(['sunset']);
+    expect(typo.score).toBeLessThan(match('suns', { title: 'Sunset bench' }).score);
+  });
+
+  it('should weight the fields', () => {
+    expect(match('quiet', { title: 'Bench', description: 'Quiet corner' }).score).toBe(FIELD_WEIGHTS.description);
+    expect(match('quiet', { title: 'Bench', accessibility_notes: 'quiet path' }).score).toBe(FIELD_WEIGHTS.accessibility_notes);
+  });
+
+  it('should not match when a term is missing', () => {
+    expect(match('sea forest', { title: 'Sea bench' })).toBeNull();
+  });
+
+  it('should not match an empty query', () => {
+    expect(matchDocument([], { title: 'Sea bench' })).toBeNull();
+  });
+});
+
+describe('titleSimilarity', () => {
+  it('should be 1 for the same title', () => {
+    expect(titleSimilarity('Miradouro da Graça', 'miradouro da graca')).toBe(1);
+  });
+
+  it('should treat synonyms as the same word', () => {
+    expect(titleSimilarity('Pond bench', 'Jardim da Estrela lake')).toBe(1);
+  });
+
+  it('should ignore stop and filler words', () => {
+    expect(titleSimilarity('The bench by the harbour', 'Harbour')).toBe(1);
+  });
+
+  it('should be low for unrelated titles', () => {
+    expect(titleSimilarity('Harbour view', 'Mountain top')).toBeLessThan(0.3);
+  });
+
+  it('should be 0 without a title', () => {
+    expect(titleSimilarity('', 'Harbour')).toBe(0);
+    expect(titleSimilarity(null, 'Harbour')).toBe(0);
+  });
+});
+
+describe('suggestCorrection', () => {
+  const texts = ['Quiet spot at sunset', 'Benches by the river'];
+
+  it('should correct a misspelled term', () => {
+    expect(suggestCorrection('sunste', texts)).toBe('sunset');
+  });
+
+  it('should keep the terms found as typed', () => {
+    expect(suggestCorrection('quiet sunste', texts)).toBe('quiet sunset');
+  });
+
+  it('should return null when every term was found', () => {
+    expect(suggestCorrection('quiet sunset', texts)).toBeNull();
+    expect(suggestCorrection('sun', texts)).toBeNull();
+    expect(suggestCorrection('stream', texts)).toBeNull();
+  });
+
+  it('should return null when nothing is close', () => {
+    expect(suggestCorrection('xylophone', texts)).toBeNull();
+  });
+});
+
+describe('highlighting', () => {
+  it('should mark matched words, whatever their accents', () => {
+    expect(highlight('Bench at Graça', new Set(['graca']))).toBe('Bench at [[Graça]]');
+  });
+
+  it('should split highlighted text into segments', () => {
+    expect(splitHighlights('Bench at [[Graça]]!')).toEqual([
+      { text: 'Bench at ', highlighted: false },
+      { text: 'Graça', highlighted: true },
+      { text: '!', highlighted: false },
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the bench walk helpers
+ *
+ * Walk distance is measured in straight lines stop to stop, and the time
+ * estimated at WALKING_SPEED_KMH.
+ */
+
+import { walkLegs, summarizeWalk, formatDuration, WALKING_SPEED_KMH } from '../../utils/walks';
+import { calculateDistance } from '../../utils/geo';
+
+const STOPS = [
+  { latitude: 38.7139, longitude: -9.1394 },
+  { latitude: '38.7169', longitude: '-9.1399' },
+  { latitude: 38.7223, longitude: -9.1393 },
+];
+
+describe('walkLegs', () => {
+  it('should measure each leg in meters', () => {
+    const legs = walkLegs(STOPS);
+
+    expect(legs).toHaveLength(2);
+    expect(legs[0]).toBeCloseTo(calculateDistance(38.7139, -9.1394, 38.7169, -9.1399) * 1000, 6);
+    expect(legs[1]).toBeCloseTo(calculateDistance(38.7169, -9.1399, 38.7223, -9.1393) * 1000, 6);
+  });
+
+  it('should have no legs for fewer than two stops', () => {
+    expect(walkLegs([STOPS[0]])).toEqual([]);
+    expect(walkLegs([])).toEqual([]);
+  });
+});
+
+describe('summarizeWalk', () => {
+  it('should add up the legs', () => {
+    const summary = summarizeWalk(STOPS);
+
+    expect(summary.distanceMeters).toBeCloseTo(summary.legs[0] + summary.legs[1], 6);
+  });
+
+  it('should estimate the time at walking speed', () => {
+    // One degree of latitude is about 111 km
+    const stops = [{ latitude: 0, longitude: 0 }, { latitude: WALKING_SPEED_KMH / 111.195, longitude: 0 }];
+
+    expect(summarizeWalk(stops).durationMinutes).toBe(60);
+  });
+
+  it('should be zero for a single stop', () => {
+    expect(summarizeWalk([STOPS[0]])).toEqual({ legs: [], distanceMeters: 0, durationMinutes: 0 });
+  });
+});
+
+describe('formatDuration', () => {
+  it('should show minutes under an hour, at least one', () => {
+    expect(formatDuration(0)).toBe('1 min');
+    expect(formatDuration(45)).toBe('45 min');
+  });
+
+  it('should show hours and minutes', () => {
+    expect(formatDuration(60)).toBe('1 h');
+    expect(formatDuration(70)).toBe('1 h 10 min');
+  });
+});
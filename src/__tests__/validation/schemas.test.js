@@ -22,6 +22,52 @@ const viewTypes = [
 
 const viewTypeSchema = z.enum(viewTypes);
 
+const amenityKeys = ['backrest', 'armrests', 'table', 'shade', 'toilet', 'water'];
+
+const amenitySchema = z.enum(amenityKeys);
+
+const benchMaterialSchema = z.enum(['wood', 'metal', 'stone', 'concrete', 'plastic', 'other']);
+
+const seatCountSchema = z
+  .number()
+  .int('Number of seats must be a whole number')
+  .min(1, 'A bench has at least 1 seat')
+  .max(20, 'Number of seats must be 20 or less');
+
+const surfaceTypes = ['paved', 'boardwalk', 'cobbles', 'gravel', 'grass', 'dirt', 'sand'];
+
+const surfaceTypeSchema = z.enum(surfaceTypes);
+
+const seatHeightSchema = z
+  .number()
+  .int('Seat height must be a whole number of centimetres')
+  .min(20, 'Seat height must be between 20 and 100 cm')
+  .max(100, 'Seat height must be between 20 and 100 cm');
+
+const accessDistanceSchema = z
+  .number()
+  .int('Distance must be a whole number of metres')
+  .min(0, 'Distance cannot be negative')
+  .max(5000, 'Distance must be 5000 m or less');
+
+const benchAttributeFields = {
+  hasBackrest: z.boolean().optional().nullable(),
+  hasArmrests: z.boolean().optional().nullable(),
+  hasTable: z.boolean().optional().nullable(),
+  hasShade: z.boolean().optional().nullable(),
+  toiletNearby: z.boolean().optional().nullable(),
+  waterNearby: z.boolean().optional().nullable(),
+  material: benchMaterialSchema.optional().nullable(),
+  seatCount: seatCountSchema.optional().nullable(),
+  // Accessibility profile
+  stepFreeAccess: z.boolean().optional().nullable(),
+  wheelchairSpace: z.boolean().optional().nullable(),
+  surfaceType: surfaceTypeSchema.optional().nullable(),
+  seatHeightCm: seatHeightSchema.optional().nullable(),
+  // From the nearest parking or transit stop
+  accessDistanceMeters: accessDistanceSchema.optional().nullable(),
+};
+
 const latitudeSchema = z
   .number()
   .min(-90, 'Latitude must be between -90 and 90')
@@ -58,6 +104,7 @@ const benchCreateSchema = z.object({
     .optional()
     .nullable()
     .transform((val) => val?.trim() || null),
+  ...benchAttributeFields,
 });
 
 const ratingValueSchema = z
@@ -66,11 +113,28 @@ const ratingValueSchema = z
   .min(1, 'Rating must be at least 1')
   .max(5, 'Rating must be at most 5');
 
+const ratingDimensionSchema = z.enum(['view', 'comfort', 'shade', 'quietness', 'cleanliness', 'accessibility']);
+
 const ratingSchema = z.object({
   viewRating: ratingValueSchema,
   comfortRating: ratingValueSchema,
+  shadeRating: ratingValueSchema.optional().nullable(),
+  quietnessRating: ratingValueSchema.optional().nullable(),
+  cleanlinessRating: ratingValueSchema.optional().nullable(),
+  accessibilityRating: ratingValueSchema.optional().nullable(),
 });
 
+const mentionSchema = z
+  .object({
+    userId: z.string().uuid('Invalid mentioned user ID'),
+    start: z.number().int().min(0),
+    end: z.number().int().positive(),
+  })
+  .refine((mention) => mention.end > mention.start, {
+    message: 'Mention must not be empty',
+    path: ['end'],
+  });
+
 const commentCreateSchema = z.object({
   text: z
     .string()
@@ -78,6 +142,63 @@ const commentCreateSchema = z.object({
     .max(1000, 'Comment must be 1000 characters or less')
     .transform((val) => val.trim()),
   parentId: z.string().uuid('Invalid parent comment ID').optional().nullable(),
+  mentions: z.array(mentionSchema).max(20, 'Maximum 20 mentions per comment').optional().default([]),
+});
+
+const reportCreateSchema = z.object({
+  targetType: z.enum(['bench', 'photo', 'comment']),
+  targetId: z.string().uuid('Invalid report target'),
+  reason: z.enum(['fake', 'wrong_info', 'duplicate', 'inappropriate', 'spam', 'harassment', 'other']),
+  details: z
+    .string()
+    .max(500, 'Details must be 500 characters or less')
+    .optional()
+    .nullable()
+    .transform((val) => val?.trim() || null),
+});
+
+const issueCreateSchema = z.object({
+  benchId: z.string().uuid('Invalid bench'),
+  category: z.enum(['broken', 'vandalised', 'removed', 'unsafe', 'other']),
+  description: z
+    .string()
+    .trim()
+    .min(1, 'Please describe the problem')
+    .max(500, 'Description must be 500 characters or less'),
+});
+
+const collectionSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .min(1, 'Give the collection a name')
+    .max(80, 'Name must be 80 characters or less'),
+  description: z
+    .string()
+    .max(500, 'Description must be 500 characters or less')
+    .optional()
+    .nullable()
+    .transform((val) => val?.trim() || null),
+  visibility: z.enum(['public', 'followers', 'private']),
+});
+
+const walkSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .min(1, 'Give the walk a name')
+    .max(80, 'Name must be 80 characters or less'),
+  description: z
+    .string()
+    .max(1000, 'Description must be 1000 characters or less')
+    .optional()
+    .nullable()
+    .transform((val) => val?.trim() || null),
+  benchIds: z
+    .array(z.string().uuid('Invalid bench'))
+    .min(2, 'A walk needs at least two benches')
+    .max(20, 'A walk can have at most 20 benches')
+    .refine((ids) => new Set(ids).size === ids.length, 'Each bench can only be on a walk once'),
 });
 
 const usernameSchema = z
@@ -91,6 +212,25 @@ const usernameSchema = z
 
 const emailSchema = z.string().email('Invalid email address');
 
+const SEARCH_PAGE_SIZE = 20;
+
+const searchParamsSchema = z.object({
+  query: z.string().max(100, 'Search query too long').optional(),
+  // Benches tagged #tag (lowercase, without the #)
+  tag: z.string().regex(/^[a-z0-9_]{2,30}$/, 'Invalid tag').optional().nullable(),
+  viewType: viewTypeSchema.optional().nullable(),
+  amenities: z.array(amenitySchema).max(amenityKeys.length).optional().nullable(),
+  material: benchMaterialSchema.optional().nullable(),
+  accessibleOnly: z.boolean().optional(),
+  ratingFilter: z.number().min(0).max(5).optional().nullable(),
+  ratingDimension: ratingDimensionSchema.optional().nullable(),
+  sortBy: z.enum(['relevance', 'distance', 'rating', 'recent']).optional(),
+  maxDistance: z.number().positive().optional().nullable(),
+  userLocation: coordinatesSchema.optional().nullable(),
+  limit: z.number().int().min(1).max(50).default(SEARCH_PAGE_SIZE),
+  offset: z.number().int().min(0).default(0),
+});
+
 // Helper functions (compatible with Zod v4)
 function validate(schema, data) {
   const result = schema.safeParse(data);
@@ -155,6 +295,35 @@ describe('benchCreateSchema', () => {
       expect(result.success).toBe(true);
       expect(result.data.title).toBe('Trimmed Title');
     });
+
+    it('should accept amenities, material and seat count', () => {
+      const result = validate(benchCreateSchema, {
+        ...validBench,
+        hasBackrest: true,
+        hasTable: false,
+        waterNearby: null,
+        material: 'wood',
+        seatCount: 3,
+      });
+      expect(result.success).toBe(true);
+      expect(result.data.hasBackrest).toBe(true);
+      expect(result.data.hasTable).toBe(false);
+      expect(result.data.seatCount).toBe(3);
+    });
+
+    it('should accept an accessibility profile', () => {
+      const result = validate(benchCreateSchema, {
+        ...validBench,
+        stepFreeAccess: true,
+        wheelchairSpace: false,
+        surfaceType: 'boardwalk',
+        seatHeightCm: 45,
+        accessDistanceMeters: 0,
+      });
+      expect(result.success).toBe(true);
+      expect(result.data.stepFreeAccess).toBe(true);
+      expect(result.data.accessDistanceMeters).toBe(0);
+    });
   });
 
   describe('invalid inputs', () => {
@@ -201,6 +370,30 @@ describe('benchCreateSchema', () => {
       });
       expect(result.success).toBe(false);
     });
+
+    it('should reject an unknown material', () => {
+      const result = validate(benchCreateSchema, {
+        ...validBench,
+        material: 'gold',
+      });
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject a seat count outside 1-20', () => {
+      expect(getValidationError(benchCreateSchema, { ...validBench, seatCount: 0 })).toBe('A bench has at least 1 seat');
+      expect(getValidationError(benchCreateSchema, { ...validBench, seatCount: 21 })).toBe('Number of seats must be 20 or less');
+      expect(getValidationError(benchCreateSchema, { ...validBench, seatCount: 2.5 })).toBe('Number of seats must be a whole number');
+    });
+
+    it('should reject an unknown surface type', () => {
+      expect(isValid(benchCreateSchema, { ...validBench, surfaceType: 'lava' })).toBe(false);
+    });
+
+    it('should reject a seat height or access distance out of range', () => {
+      expect(getValidationError(benchCreateSchema, { ...validBench, seatHeightCm: 10 })).toBe('Seat height must be between 20 and 100 cm');
+      expect(getValidationError(benchCreateSchema, { ...validBench, accessDistanceMeters: -5 })).toBe('Distance cannot be negative');
+      expect(getValidationError(benchCreateSchema, { ...validBench, accessDistanceMeters: 5001 })).toBe('Distance must be 5000 m or less');
+    });
   });
 });
 
@@ -220,6 +413,17 @@ describe('ratingSchema', () => {
       const result = validate(ratingSchema, { viewRating: 3, comfortRating: 4 });
       expect(result.success).toBe(true);
     });
+
+    it('should accept optional dimensions', () => {
+      const result = validate(ratingSchema, {
+        viewRating: 3,
+        comfortRating: 4,
+        shadeRating: 5,
+        quietnessRating: null,
+        cleanlinessRating: 2,
+      });
+      expect(result.success).toBe(true);
+    });
   });
 
   describe('invalid ratings', () => {
@@ -245,6 +449,17 @@ describe('ratingSchema', () => {
       const result = validate(ratingSchema, { viewRating: -1, comfortRating: 3 });
       expect(result.success).toBe(false);
     });
+
+    it('should require view and comfort', () => {
+      const result = validate(ratingSchema, { viewRating: 4, shadeRating: 5 });
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject out of range optional dimensions', () => {
+      const result = validate(ratingSchema, { viewRating: 4, comfortRating: 4, accessibilityRating: 6 });
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('at most 5');
+    });
   });
 });
 
@@ -303,6 +518,57 @@ describe('commentCreateSchema', () => {
       expect(result.errors[0]).toContain('Invalid parent comment ID');
     });
   });
+
+  describe('mentions', () => {
+    const mention = { userId: '123e4567-e89b-12d3-a456-426614174000', start: 0, end: 5 };
+
+    it('should default to no mentions', () => {
+      const result = validate(commentCreateSchema, { text: 'No one here' });
+      expect(result.success).toBe(true);
+      expect(result.data.mentions).toEqual([]);
+    });
+
+    it('should accept mentions with a user ID and range', () => {
+      const result = validate(commentCreateSchema, { text: '@ana hi', mentions: [mention] });
+      expect(result.success).toBe(true);
+      expect(result.data.mentions).toEqual([mention]);
+    });
+
+    it('should reject an invalid mentioned user ID', () => {
+      const result = validate(commentCreateSchema, {
+        text: '@ana hi',
+        mentions: [{ ...mention, userId: 'ana' }],
+      });
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('Invalid mentioned user ID');
+    });
+
+    it('should reject an empty range', () => {
+      const result = validate(commentCreateSchema, {
+        text: '@ana hi',
+        mentions: [{ ...mention, end: 0 }],
+      });
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject a range ending before it starts', () => {
+      const result = validate(commentCreateSchema, {
+        text: '@ana hi',
+        mentions: [{ ...mention, start: 4, end: 2 }],
+      });
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('Mention must not be empty');
+    });
+
+    it('should reject more than 20 mentions', () => {
+      const result = validate(commentCreateSchema, {
+        text: '@ana hi',
+        mentions: Array(21).fill(mention),
+      });
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('Maximum 20 mentions');
+    });
+  });
 });
 
 describe('coordinatesSchema', () => {
@@ -380,3 +646,196 @@ describe('viewTypeSchema', () => {
     expect(isValid(viewTypeSchema, '')).toBe(false);
   });
 });
+
+describe('searchParamsSchema', () => {
+  it('should default to the first page', () => {
+    const result = validate(searchParamsSchema, {});
+    expect(result.success).toBe(true);
+    expect(result.data.limit).toBe(20);
+    expect(result.data.offset).toBe(0);
+  });
+
+  it('should accept a full set of filters', () => {
+    expect(isValid(searchParamsSchema, {
+      query: 'sunset',
+      viewType: 'ocean',
+      ratingFilter: 4,
+      sortBy: 'distance',
+      maxDistance: 5,
+      userLocation: { latitude: 38.7223, longitude: -9.1393 },
+      limit: 10,
+      offset: 30,
+    })).toBe(true);
+  });
+
+  it('should accept null filters', () => {
+    expect(isValid(searchParamsSchema, {
+      viewType: null,
+      ratingFilter: null,
+      maxDistance: null,
+      userLocation: null,
+    })).toBe(true);
+  });
+
+  it('should accept a tag', () => {
+    expect(isValid(searchParamsSchema, { tag: 'sunset_2024' })).toBe(true);
+  });
+
+  it('should reject a tag with a # or uppercase letters', () => {
+    expect(isValid(searchParamsSchema, { tag: '#sunset' })).toBe(false);
+    expect(isValid(searchParamsSchema, { tag: 'Sunset' })).toBe(false);
+  });
+
+  it('should accept amenities and a material', () => {
+    expect(isValid(searchParamsSchema, { amenities: ['backrest', 'table'], material: 'stone' })).toBe(true);
+  });
+
+  it('should accept the accessible benches only filter', () => {
+    expect(isValid(searchParamsSchema, { accessibleOnly: true })).toBe(true);
+  });
+
+  it('should reject an unknown amenity', () => {
+    expect(isValid(searchParamsSchema, { amenities: ['wifi'] })).toBe(false);
+  });
+
+  it('should accept a rating dimension', () => {
+    expect(isValid(searchParamsSchema, { ratingDimension: 'shade', ratingFilter: 4, sortBy: 'rating' })).toBe(true);
+  });
+
+  it('should accept relevance sorting', () => {
+    expect(isValid(searchParamsSchema, { query: 'sea view', sortBy: 'relevance' })).toBe(true);
+  });
+
+  it('should reject invalid pagination', () => {
+    expect(isValid(searchParamsSchema, { limit: 0 })).toBe(false);
+    expect(isValid(searchParamsSchema, { limit: 51 })).toBe(false);
+    expect(isValid(searchParamsSchema, { limit: 2.5 })).toBe(false);
+    expect(isValid(searchParamsSchema, { offset: -1 })).toBe(false);
+  });
+
+  it('should reject invalid filters', () => {
+    expect(isValid(searchParamsSchema, { sortBy: 'popular' })).toBe(false);
+    expect(isValid(searchParamsSchema, { maxDistance: 0 })).toBe(false);
+    expect(isValid(searchParamsSchema, { ratingFilter: 6 })).toBe(false);
+    expect(isValid(searchParamsSchema, { ratingDimension: 'noise' })).toBe(false);
+    expect(isValid(searchParamsSchema, { userLocation: { latitude: 91, longitude: 0 } })).toBe(false);
+    expect(getValidationError(searchParamsSchema, { query: 'a'.repeat(101) })).toBe('Search query too long');
+  });
+});
+
+describe('reportCreateSchema', () => {
+  const validReport = {
+    targetType: 'comment',
+    targetId: '123e4567-e89b-12d3-a456-426614174000',
+    reason: 'spam',
+  };
+
+  it('should accept a report without details', () => {
+    const result = validate(reportCreateSchema, validReport);
+    expect(result.success).toBe(true);
+    expect(result.data.details).toBe(null);
+  });
+
+  it('should trim details', () => {
+    const result = validate(reportCreateSchema, { ...validReport, details: '  posted on every bench  ' });
+    expect(result.data.details).toBe('posted on every bench');
+  });
+
+  it('should reject unknown targets and reasons', () => {
+    expect(isValid(reportCreateSchema, { ...validReport, targetType: 'profile' })).toBe(false);
+    expect(isValid(reportCreateSchema, { ...validReport, reason: 'boring' })).toBe(false);
+    expect(getValidationError(reportCreateSchema, { ...validReport, targetId: 'abc' })).toBe('Invalid report target');
+  });
+
+  it('should reject details that are too long', () => {
+    expect(getValidationError(reportCreateSchema, { ...validReport, details: 'a'.repeat(501) }))
+      .toBe('Details must be 500 characters or less');
+  });
+});
+
+describe('issueCreateSchema', () => {
+  const validIssue = {
+    benchId: '123e4567-e89b-12d3-a456-426614174000',
+    category: 'removed',
+    description: '  only the concrete footings are left  ',
+  };
+
+  it('should accept an issue and trim its description', () => {
+    const result = validate(issueCreateSchema, validIssue);
+    expect(result.success).toBe(true);
+    expect(result.data.description).toBe('only the concrete footings are left');
+  });
+
+  it('should require a description', () => {
+    expect(getValidationError(issueCreateSchema, { ...validIssue, description: '   ' }))
+      .toBe('Please describe the problem');
+    expect(getValidationError(issueCreateSchema, { ...validIssue, description: 'a'.repeat(501) }))
+      .toBe('Description must be 500 characters or less');
+  });
+
+  it('should reject unknown categories and benches', () => {
+    expect(isValid(issueCreateSchema, { ...validIssue, category: 'wobbly' })).toBe(false);
+    expect(getValidationError(issueCreateSchema, { ...validIssue, benchId: 'abc' })).toBe('Invalid bench');
+  });
+});
+
+describe('collectionSchema', () => {
+  const validCollection = {
+    title: '  Best sunset benches in Lisbon ',
+    description: '   ',
+    visibility: 'followers',
+  };
+
+  it('should accept a collection, trimming the name and dropping an empty description', () => {
+    const result = validate(collectionSchema, validCollection);
+    expect(result.success).toBe(true);
+    expect(result.data.title).toBe('Best sunset benches in Lisbon');
+    expect(result.data.description).toBeNull();
+  });
+
+  it('should require a name of at most 80 characters', () => {
+    expect(getValidationError(collectionSchema, { ...validCollection, title: '  ' }))
+      .toBe('Give the collection a name');
+    expect(getValidationError(collectionSchema, { ...validCollection, title: 'a'.repeat(81) }))
+      .toBe('Name must be 80 characters or less');
+  });
+
+  it('should reject unknown visibilities', () => {
+    expect(isValid(collectionSchema, { ...validCollection, visibility: 'friends' })).toBe(false);
+    expect(isValid(collectionSchema, { ...validCollection, visibility: undefined })).toBe(false);
+  });
+});
+
+describe('walkSchema', () => {
+  const benchIds = [
+    '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e01',
+    '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e02',
+    '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e03',
+  ];
+  const validWalk = {
+    title: ' Alfama viewpoints ',
+    description: '',
+    benchIds,
+  };
+
+  it('should accept a walk, keeping the bench order', () => {
+    const result = validate(walkSchema, validWalk);
+    expect(result.success).toBe(true);
+    expect(result.data.title).toBe('Alfama viewpoints');
+    expect(result.data.description).toBeNull();
+    expect(result.data.benchIds).toEqual(benchIds);
+  });
+
+  it('should require between 2 and 20 benches', () => {
+    expect(getValidationError(walkSchema, { ...validWalk, benchIds: benchIds.slice(0, 1) }))
+      .toBe('A walk needs at least two benches');
+    const tooMany = Array.from({ length: 21 }, (_, i) => `5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e${String(i).padStart(2, '0')}`);
+    expect(getValidationError(walkSchema, { ...validWalk, benchIds: tooMany }))
+      .toBe('A walk can have at most 20 benches');
+  });
+
+  it('should reject a bench that appears twice', () => {
+    expect(getValidationError(walkSchema, { ...validWalk, benchIds: [...benchIds, benchIds[0]] }))
+      .toBe('Each bench can only be on a walk once');
+  });
+});
@@ -0,0 +1,107 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView } from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { SURFACE_TYPES } from '../utils/amenities';
+
+const YES_NO = [
+  { label: 'yes', value: true },
+  { label: 'no', value: false },
+];
+
+const YES_NO_QUESTIONS = [
+  { field: 'stepFreeAccess', label: 'step-free path' },
+  { field: 'wheelchairSpace', label: 'room for a wheelchair beside it' },
+];
+
+/**
+ * AccessibilitySelector edits a bench's accessibility profile. Every answer
+ * can be left out (null) when the person adding the bench is not sure;
+ * tapping a picked option again clears it.
+ *
+ * @param {Object} props
+ * @param {Object} props.values - Attribute fields, see utils/amenities toAttributeFields
+ * @param {Function} props.onValuesChange - Called with the updated fields
+ */
+export default function AccessibilitySelector({ values, onValuesChange }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  const setValue = (field, value) => onValuesChange({ ...values, [field]: value });
+
+  const setNumber = (field, text) => {
+    const number = parseInt(text.replace(/[^0-9]/g, ''), 10);
+    setValue(field, Number.isNaN(number) ? null : number);
+  };
+
+  const renderOption = (field, option) => {
+    const isSelected = values[field] === option.value;
+
+    return (
+      <TouchableOpacity
+        key={option.label}
+        style={[
+          styles.viewTypeButton,
+          isSelected && styles.viewTypeButtonActive,
+        ]}
+        onPress={() => setValue(field, isSelected ? null : option.value)}
+      >
+        <Text
+          style={[
+            styles.viewTypeText,
+            isSelected && styles.viewTypeTextActive,
+          ]}
+        >
+          {option.label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.inputWrapper}>
+      {YES_NO_QUESTIONS.map(question => (
+        <View key={question.field}>
+          <Text style={styles.label}>{question.label}</Text>
+          <View style={[styles.viewTypesContainer, localStyles.options]}>
+            {YES_NO.map(option => renderOption(question.field, option))}
+          </View>
+        </View>
+      ))}
+
+      <Text style={styles.label}>path surface</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.viewTypesContainer}
+      >
+        {SURFACE_TYPES.map(surface => renderOption('surfaceType', surface))}
+      </ScrollView>
+
+      <TextInput
+        style={[styles.input, localStyles.numberInput]}
+        placeholder="seat height in cm (optional)"
+        placeholderTextColor={colors.input.placeholder}
+        value={values.seatHeightCm === null ? '' : String(values.seatHeightCm)}
+        onChangeText={(text) => setNumber('seatHeightCm', text)}
+        keyboardType="number-pad"
+        maxLength={3}
+      />
+
+      <TextInput
+        style={[styles.input, localStyles.numberInput]}
+        placeholder="metres from parking or a transit stop (optional)"
+        placeholderTextColor={colors.input.placeholder}
+        value={values.accessDistanceMeters === null ? '' : String(values.accessDistanceMeters)}
+        onChangeText={(text) => setNumber('accessDistanceMeters', text)}
+        keyboardType="number-pad"
+        maxLength={4}
+      />
+    </View>
+  );
+}
+
+const localStyles = {
+  options: { flexDirection: 'row' },
+  numberInput: { marginTop: 16 },
+};
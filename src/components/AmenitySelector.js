@@ -0,0 +1,130 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { BENCH_AMENITIES, BENCH_MATERIALS, MAX_SEATS } from '../utils/amenities';
+
+/**
+ * AmenitySelector edits a bench's structured attributes.
+ *
+ * Tapping an amenity marks it as there, tapping it again as not there; ones
+ * never tapped stay unknown (null).
+ *
+ * @param {Object} props
+ * @param {Object} props.values - Attribute fields, see utils/amenities toAttributeFields
+ * @param {Function} props.onValuesChange - Called with the updated fields
+ */
+export default function AmenitySelector({ values, onValuesChange }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  const setValue = (field, value) => onValuesChange({ ...values, [field]: value });
+
+  const changeSeats = (delta) => {
+    const seats = (values.seatCount ?? 0) + delta;
+    setValue('seatCount', seats < 1 ? null : Math.min(seats, MAX_SEATS));
+  };
+
+  return (
+    <View style={styles.inputWrapper}>
+      <Text style={styles.label}>amenities</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.viewTypesContainer}
+      >
+        {BENCH_AMENITIES.map((amenity) => {
+          const isSelected = values[amenity.field] === true;
+
+          return (
+            <TouchableOpacity
+              key={amenity.key}
+              style={[
+                styles.viewTypeButton,
+                isSelected && styles.viewTypeButtonActive,
+              ]}
+              onPress={() => setValue(amenity.field, !isSelected)}
+            >
+              <Ionicons
+                name={amenity.icon}
+                size={16}
+                color={isSelected ? colors.button.primaryText : colors.icon.secondary}
+              />
+              <Text
+                style={[
+                  styles.viewTypeText,
+                  isSelected && styles.viewTypeTextActive,
+                ]}
+              >
+                {amenity.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <Text style={styles.label}>material</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.viewTypesContainer}
+      >
+        {BENCH_MATERIALS.map((material) => {
+          const isSelected = values.material === material.value;
+
+          return (
+            <TouchableOpacity
+              key={material.value}
+              style={[
+                styles.viewTypeButton,
+                isSelected && styles.viewTypeButtonActive,
+              ]}
+              onPress={() => setValue('material', isSelected ? null : material.value)}
+            >
+              <Ionicons
+                name={material.icon}
+                size={16}
+                color={isSelected ? colors.button.primaryText : colors.icon.secondary}
+              />
+              <Text
+                style={[
+                  styles.viewTypeText,
+                  isSelected && styles.viewTypeTextActive,
+                ]}
+              >
+                {material.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <Text style={styles.label}>seats</Text>
+      <View style={localStyles.seatStepper}>
+        <TouchableOpacity
+          style={styles.viewTypeButton}
+          onPress={() => changeSeats(-1)}
+          disabled={values.seatCount === null}
+        >
+          <Ionicons name="remove" size={16} color={colors.icon.secondary} />
+        </TouchableOpacity>
+        <Text style={[styles.viewTypeText, localStyles.seatCount]}>
+          {values.seatCount ?? 'not sure'}
+        </Text>
+        <TouchableOpacity
+          style={styles.viewTypeButton}
+          onPress={() => changeSeats(1)}
+          disabled={values.seatCount >= MAX_SEATS}
+        >
+          <Ionicons name="add" size={16} color={colors.icon.secondary} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const localStyles = {
+  seatStepper: { flexDirection: 'row', alignItems: 'center', gap: 16 },
+  seatCount: { minWidth: 64, textAlign: 'center' },
+};
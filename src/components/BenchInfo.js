@@ -4,6 +4,8 @@ import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { getStyles } from '../styles';
+import HashtagText from './HashtagText';
+import { BENCH_AMENITIES, BENCH_MATERIALS, accessibilityDetails, isAccessibleBench } from '../utils/amenities';
 
 function BenchInfo({ 
   bench, 
@@ -18,6 +20,12 @@ function BenchInfo({
   const styles = getStyles(colors);
   const navigation = useNavigation();
 
+  // Only what the bench is known to have
+  const amenities = BENCH_AMENITIES.filter(amenity => bench[amenity.column] === true);
+  const material = BENCH_MATERIALS.find(option => option.value === bench.material);
+  const hasAttributes = amenities.length > 0 || !!material || !!bench.seat_count;
+  const accessibility = accessibilityDetails(bench);
+
   const handleCreatorPress = () => {
     if (creator?.id) {
       navigation.navigate('UserProfile', { userId: creator.id });
@@ -85,11 +93,61 @@ function BenchInfo({
       )}
 
       {bench.description && (
-        <Text style={styles.description}>{bench.description}</Text>
+        <HashtagText
+          text={bench.description}
+          style={styles.description}
+          tagStyle={{ color: colors.button.primary }}
+          onTagPress={(tag) => navigation.push('Tag', { tag })}
+        />
+      )}
+
+      {accessibility.length > 0 && (
+        <View style={localStyles.attributes}>
+          {isAccessibleBench(bench) && (
+            <View style={localStyles.attribute}>
+              <Ionicons name="accessibility" size={14} color={colors.button.primary} />
+              <Text style={[localStyles.attributeText, localStyles.accessibleText, { color: colors.button.primary }]}>
+                accessible
+              </Text>
+            </View>
+          )}
+          {accessibility.map(detail => (
+            <View key={detail.key} style={localStyles.attribute}>
+              <Ionicons name={detail.icon} size={14} color={colors.icon.secondary} />
+              <Text style={[localStyles.attributeText, { color: colors.text.secondary }]}>{detail.label}</Text>
+            </View>
+          ))}
+        </View>
       )}
 
+      {/* Free-text notes add detail to the accessibility profile */}
       {bench.accessibility_notes && (
-        <Text style={styles.accessibility}>{bench.accessibility_notes}</Text>
+        <Text style={[styles.accessibility, localStyles.accessibilityNotes]}>{bench.accessibility_notes}</Text>
+      )}
+
+      {hasAttributes && (
+        <View style={localStyles.attributes}>
+          {!!bench.seat_count && (
+            <View style={localStyles.attribute}>
+              <Ionicons name="people-outline" size={14} color={colors.icon.secondary} />
+              <Text style={[localStyles.attributeText, { color: colors.text.secondary }]}>
+                {bench.seat_count} {bench.seat_count === 1 ? 'seat' : 'seats'}
+              </Text>
+            </View>
+          )}
+          {material && (
+            <View style={localStyles.attribute}>
+              <Ionicons name={material.icon} size={14} color={colors.icon.secondary} />
+              <Text style={[localStyles.attributeText, { color: colors.text.secondary }]}>{material.label}</Text>
+            </View>
+          )}
+          {amenities.map(amenity => (
+            <View key={amenity.key} style={localStyles.attribute}>
+              <Ionicons name={amenity.icon} size={14} color={colors.icon.secondary} />
+              <Text style={[localStyles.attributeText, { color: colors.text.secondary }]}>{amenity.label}</Text>
+            </View>
+          ))}
+        </View>
       )}
     </View>
   );
@@ -151,6 +209,26 @@ creatorContainer: {
     includeFontPadding: false, // Prevents extra space on Android
     textAlignVertical: 'center',
   },
+  attributes: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 12,
+  },
+  attribute: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  attributeText: {
+    fontSize: 12,
+  },
+  accessibleText: {
+    fontWeight: '600',
+  },
+  accessibilityNotes: {
+    marginTop: 8,
+  },
 };
 
 // Memoize to prevent unnecessary re-renders
@@ -159,6 +237,7 @@ export default React.memo(BenchInfo, (prevProps, nextProps) => {
     prevProps.bench?.id === nextProps.bench?.id &&
     prevProps.bench?.title === nextProps.bench?.title &&
     prevProps.bench?.description === nextProps.bench?.description &&
+    prevProps.bench?.updated_at === nextProps.bench?.updated_at &&
     prevProps.creator?.id === nextProps.creator?.id &&
     prevProps.isOwner === nextProps.isOwner &&
     prevProps.user?.id === nextProps.user?.id &&
@@ -0,0 +1,173 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, Image, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { ISSUE_CONFIRMATIONS_NEEDED } from '../services/api';
+import { ISSUE_CATEGORIES } from './IssueModal';
+
+/**
+ * Unresolved issues filed against a bench, with confirming for other users
+ * and resolving for the bench owner and the reporter
+ */
+export default function BenchIssues({
+  issues,
+  user,
+  isOwner,
+  busyId,
+  onReport,
+  onConfirm,
+  onResolve,
+}) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  const unresolved = issues.filter(issue => issue.status !== 'resolved');
+
+  if (unresolved.length === 0 && !user) return null;
+
+  const renderActions = (issue) => {
+    if (busyId === issue.id) {
+      return <ActivityIndicator size="small" color={colors.icon.primary} />;
+    }
+    if (!user) return null;
+
+    const isReporter = issue.user_id === user.id;
+
+    return (
+      <>
+        {issue.status === 'open' && !isReporter && (
+          <TouchableOpacity
+            onPress={() => onConfirm(issue)}
+            disabled={issue.confirmedByMe}
+            style={localStyles.action}
+          >
+            <Ionicons
+              name={issue.confirmedByMe ? 'checkmark-circle' : 'checkmark-circle-outline'}
+              size={16}
+              color={colors.button.primary}
+            />
+            <Text style={[localStyles.actionText, { color: colors.button.primary }]}>
+              {issue.confirmedByMe ? 'you confirmed this' : 'i see it too'}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {(isOwner || isReporter) && (
+          <TouchableOpacity onPress={() => onResolve(issue)} style={localStyles.action}>
+            <Ionicons name="checkmark-done-outline" size={16} color={colors.text.secondary} />
+            <Text style={[localStyles.actionText, { color: colors.text.secondary }]}>resolved</Text>
+          </TouchableOpacity>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>problems</Text>
+
+      {unresolved.length === 0 && (
+        <Text style={[localStyles.meta, { color: colors.text.tertiary }]}>
+          nothing reported
+        </Text>
+      )}
+
+      {unresolved.map((issue) => {
+        const category = ISSUE_CATEGORIES[issue.category];
+
+        return (
+          <View key={issue.id} style={[localStyles.item, { borderColor: colors.warning }]}>
+            <View style={localStyles.title}>
+              <Ionicons name={category?.icon || 'warning-outline'} size={16} color={colors.warning} />
+              <Text style={[localStyles.category, { color: colors.text.primary }]}>
+                {category?.label || issue.category}
+              </Text>
+            </View>
+            <Text style={[localStyles.description, { color: colors.text.primary }]}>
+              {issue.description}
+            </Text>
+            {issue.photo_url && (
+              <Image source={{ uri: issue.photo_url }} style={localStyles.photo} />
+            )}
+            <Text style={[localStyles.meta, { color: colors.text.tertiary }]}>
+              @{issue.profiles?.username || 'unknown'} · {new Date(issue.created_at).toLocaleDateString()} ·{' '}
+              {issue.status === 'confirmed'
+                ? 'confirmed'
+                : `${issue.confirmations}/${ISSUE_CONFIRMATIONS_NEEDED} confirmations`}
+            </Text>
+            <View style={localStyles.actions}>
+              {renderActions(issue)}
+            </View>
+          </View>
+        );
+      })}
+
+      {user && (
+        <TouchableOpacity style={localStyles.report} onPress={onReport}>
+          <Ionicons name="warning-outline" size={14} color={colors.text.secondary} />
+          <Text style={[localStyles.reportText, { color: colors.text.secondary }]}>
+            broken, vandalised or gone? report a problem
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  item: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  title: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  category: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  description: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 6,
+  },
+  photo: {
+    width: '100%',
+    height: 160,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  meta: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    marginTop: 10,
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  report: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 4,
+  },
+  reportText: {
+    fontSize: 12,
+    fontWeight: '400',
+  },
+};
@@ -0,0 +1,65 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, Image } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { COLLECTION_VISIBILITIES } from './CollectionModal';
+
+/**
+ * A user's collections as cards with their cover, name, bench count and who
+ * can see them
+ * @param {Array} collections - From api.collections.getByUserId
+ * @param {Function} onPress - Called with the collection tapped
+ */
+export default function CollectionList({ collections, onPress }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  return (
+    <View style={styles.benchesList}>
+      {collections.map((collection) => {
+        const visibility = COLLECTION_VISIBILITIES[collection.visibility];
+
+        return (
+          <TouchableOpacity
+            key={collection.id}
+            style={styles.benchCard}
+            onPress={() => onPress(collection)}
+          >
+            {collection.cover_photo_url ? (
+              <Image source={{ uri: collection.cover_photo_url }} style={styles.benchImage} />
+            ) : (
+              <View style={styles.benchImagePlaceholder}>
+                <Ionicons name="albums-outline" size={24} color={colors.icon.muted} />
+              </View>
+            )}
+            <View style={styles.benchInfo}>
+              <Text style={styles.benchTitle}>{collection.title}</Text>
+              {collection.description && (
+                <Text style={styles.benchDescription} numberOfLines={2}>
+                  {collection.description}
+                </Text>
+              )}
+              <View style={localStyles.meta}>
+                <Ionicons name={visibility?.icon || 'globe-outline'} size={12} color={colors.text.tertiary} />
+                <Text style={styles.benchDate}>
+                  {collection.benchCount === 1 ? '1 bench' : `${collection.benchCount} benches`}
+                  {' · '}
+                  {visibility?.label || collection.visibility}
+                </Text>
+              </View>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const localStyles = {
+  meta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+};
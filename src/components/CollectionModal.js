@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  TouchableWithoutFeedback,
+  Keyboard,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import KeyboardAwareModal from './KeyboardAwareModal';
+
+// collectionVisibilities in validation/schemas
+const VISIBILITIES = [
+  { value: 'public', label: 'everyone', icon: 'globe-outline' },
+  { value: 'followers', label: 'my followers', icon: 'people-outline' },
+  { value: 'private', label: 'only me', icon: 'lock-closed-outline' },
+];
+
+export const COLLECTION_VISIBILITIES = Object.fromEntries(VISIBILITIES.map(visibility => [visibility.value, visibility]));
+
+/**
+ * Create or edit a collection: a name, a description, who can see it and
+ * optionally a cover photo. Mount it per collection so the form starts from
+ * the collection given (or empty).
+ * @param {Object} collection - The collection to edit, null to create one
+ * @param {Function} onSubmit - Called with { title, description, visibility, coverPhoto };
+ *   coverPhoto is a new { uri, base64, mimeType }, null when removed, undefined when unchanged
+ */
+export default function CollectionModal({ visible, collection = null, submitting, onClose, onSubmit }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+  const [title, setTitle] = useState(collection?.title || '');
+  const [description, setDescription] = useState(collection?.description || '');
+  const [visibility, setVisibility] = useState(collection?.visibility || 'public');
+  const [coverPhoto, setCoverPhoto] = useState(undefined);
+
+  const coverUri = coverPhoto === undefined ? collection?.cover_photo_url : coverPhoto?.uri;
+
+  const choosePhoto = async () => {
+    try {
+      const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission needed', 'Camera roll permission is required');
+        return;
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        allowsEditing: true,
+        aspect: [16, 9],
+        quality: 0.8,
+        base64: true,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        const asset = result.assets[0];
+        setCoverPhoto({
+          uri: asset.uri,
+          base64: asset.base64,
+          mimeType: asset.mimeType || 'image/jpeg',
+        });
+      }
+    } catch (error) {
+      console.error('Error choosing cover photo:', error);
+      Alert.alert('Error', 'Could not add the photo');
+    }
+  };
+
+  const canSubmit = title.trim() && !submitting;
+
+  return (
+    <KeyboardAwareModal visible={visible} onClose={onClose} scrollable={false}>
+      <View style={[styles.modalOverlay, localStyles.overlay]}>
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={localStyles.sheet}
+        >
+          <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+            <View style={styles.modalContent}>
+              <View style={styles.modalHeader}>
+                <Text style={styles.modalTitle}>{collection ? 'edit collection' : 'new collection'}</Text>
+                <TouchableOpacity onPress={onClose}>
+                  <Ionicons name="close" size={24} color={colors.icon.primary} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView
+                style={styles.modalBody}
+                showsVerticalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
+              >
+                <Text style={styles.inputLabel}>name</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="best sunset benches in lisbon"
+                  placeholderTextColor={colors.input.placeholder}
+                  value={title}
+                  onChangeText={setTitle}
+                  maxLength={80}
+                />
+
+                <Text style={[styles.inputLabel, localStyles.spacedLabel]}>description (optional)</Text>
+                <TextInput
+                  style={[styles.input, styles.textArea]}
+                  placeholder="what do these benches have in common?"
+                  placeholderTextColor={colors.input.placeholder}
+                  value={description}
+                  onChangeText={setDescription}
+                  maxLength={500}
+                  multiline
+                  numberOfLines={3}
+                />
+
+                <Text style={[styles.inputLabel, localStyles.spacedLabel]}>who can see it</Text>
+                <View style={styles.filterOptions}>
+                  {VISIBILITIES.map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.filterChip, visibility === option.value && styles.filterChipActive]}
+                      onPress={() => setVisibility(option.value)}
+                    >
+                      <Text style={[styles.filterChipText, visibility === option.value && styles.filterChipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <Text style={[styles.inputLabel, localStyles.spacedLabel]}>cover photo (optional)</Text>
+                {coverUri ? (
+                  <View style={styles.selectedPhotoContainer}>
+                    <Image source={{ uri: coverUri }} style={styles.selectedPhoto} />
+                    <TouchableOpacity style={styles.removePhotoButton} onPress={() => setCoverPhoto(null)}>
+                      <Ionicons name="close-circle" size={24} color="#fff" />
+                    </TouchableOpacity>
+                  </View>
+                ) : (
+                  <View style={styles.photoButtons}>
+                    <TouchableOpacity style={styles.photoButton} onPress={choosePhoto}>
+                      <Text style={styles.photoButtonText}>choose from gallery</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+                <Text style={styles.helperText}>
+                  people who follow the collection are notified when you add a bench to it.
+                </Text>
+
+                <View style={localStyles.bottomSpacer} />
+              </ScrollView>
+
+              <View style={styles.modalFooter}>
+                <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+                  <Text style={styles.cancelButtonText}>cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.saveButton, !canSubmit && styles.saveButtonDisabled]}
+                  onPress={() => onSubmit({ title, description, visibility, coverPhoto })}
+                  disabled={!canSubmit}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color={colors.button.primaryText} size="small" />
+                  ) : (
+                    <Text style={styles.saveButtonText}>{collection ? 'save' : 'create'}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </KeyboardAvoidingView>
+      </View>
+    </KeyboardAwareModal>
+  );
+}
+
+const localStyles = {
+  overlay: {
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '90%',
+  },
+  bottomSpacer: {
+    height: 20,
+  },
+  spacedLabel: {
+    marginTop: 24,
+  },
+};
@@ -0,0 +1,119 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import KeyboardAwareModal from './KeyboardAwareModal';
+import { COLLECTION_VISIBILITIES } from './CollectionModal';
+
+/**
+ * Add a bench to (or take it out of) the user's collections, or start a new
+ * collection with it
+ * @param {Array} collections - From api.collections.getForBench, null while loading
+ * @param {Function} onToggle - Called with the collection tapped
+ * @param {Function} onCreate - Called to start a new collection
+ */
+export default function CollectionPicker({ visible, collections, busyId, onToggle, onCreate, onClose }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  return (
+    <KeyboardAwareModal visible={visible} onClose={onClose} scrollable={false}>
+      <View style={[styles.modalOverlay, localStyles.overlay]}>
+        <View style={[styles.modalContent, localStyles.sheet]}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>save to collection</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.icon.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalBody} showsVerticalScrollIndicator={false}>
+            {!collections ? (
+              <ActivityIndicator size="small" color={colors.icon.primary} />
+            ) : collections.map((collection) => (
+              <TouchableOpacity
+                key={collection.id}
+                style={[localStyles.row, { borderBottomColor: colors.border }]}
+                onPress={() => onToggle(collection)}
+                disabled={!!busyId}
+              >
+                <View style={localStyles.rowInfo}>
+                  <Text style={[localStyles.title, { color: colors.text.primary }]} numberOfLines={1}>
+                    {collection.title}
+                  </Text>
+                  <View style={localStyles.visibility}>
+                    <Ionicons
+                      name={COLLECTION_VISIBILITIES[collection.visibility]?.icon || 'globe-outline'}
+                      size={12}
+                      color={colors.text.tertiary}
+                    />
+                    <Text style={[localStyles.visibilityText, { color: colors.text.tertiary }]}>
+                      {COLLECTION_VISIBILITIES[collection.visibility]?.label || collection.visibility}
+                    </Text>
+                  </View>
+                </View>
+                {busyId === collection.id ? (
+                  <ActivityIndicator size="small" color={colors.icon.primary} />
+                ) : (
+                  <Ionicons
+                    name={collection.containsBench ? 'checkbox' : 'square-outline'}
+                    size={22}
+                    color={collection.containsBench ? colors.button.primary : colors.icon.secondary}
+                  />
+                )}
+              </TouchableOpacity>
+            ))}
+
+            <TouchableOpacity style={localStyles.row} onPress={onCreate}>
+              <Ionicons name="add-circle-outline" size={20} color={colors.button.primary} />
+              <Text style={[localStyles.createText, { color: colors.button.primary }]}>new collection</Text>
+            </TouchableOpacity>
+
+            <View style={localStyles.bottomSpacer} />
+          </ScrollView>
+        </View>
+      </View>
+    </KeyboardAwareModal>
+  );
+}
+
+const localStyles = {
+  overlay: {
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '70%',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: 'transparent',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  visibility: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 2,
+  },
+  visibilityText: {
+    fontSize: 12,
+  },
+  createText: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  bottomSpacer: {
+    height: 20,
+  },
+};
@@ -0,0 +1,84 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+
+/**
+ * Earlier versions of an edited comment, newest first, below its current text
+ * @param {Object} comment - The comment as it is now
+ * @param {Array} revisions - comment_revisions rows (text before each edit)
+ */
+export default function CommentHistoryModal({ comment, revisions, loading, onClose }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  const versions = [
+    { id: 'current', text: comment.text, date: comment.edited_at, label: 'now' },
+    ...(revisions || []).map((revision, index, all) => ({
+      id: revision.id,
+      text: revision.text,
+      // A version lasted until the edit that replaced it, so label it by the one before
+      date: all[index + 1]?.created_at || comment.created_at,
+      label: index === all.length - 1 ? 'original' : 'edited',
+    })),
+  ];
+
+  return (
+    <View style={[styles.modalOverlay, localStyles.overlay]}>
+      <View style={[styles.modalContent, localStyles.sheet]}>
+        <View style={styles.modalHeader}>
+          <Text style={styles.modalTitle}>edit history</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.icon.primary} />
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <View style={localStyles.loading}>
+            <ActivityIndicator size="small" color={colors.icon.primary} />
+          </View>
+        ) : (
+          <ScrollView style={styles.modalBody} showsVerticalScrollIndicator={false}>
+            {versions.map(version => (
+              <View key={version.id} style={[localStyles.version, { borderBottomColor: colors.border }]}>
+                <Text style={[localStyles.versionLabel, { color: colors.text.tertiary }]}>
+                  {version.label} · {new Date(version.date).toLocaleString()}
+                </Text>
+                <Text style={[localStyles.versionText, { color: colors.text.primary }]}>{version.text}</Text>
+              </View>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const localStyles = {
+  overlay: {
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '80%',
+  },
+  loading: {
+    padding: 32,
+  },
+  version: {
+    paddingBottom: 12,
+    marginBottom: 12,
+    borderBottomWidth: 1,
+  },
+  versionLabel: {
+    fontSize: 11,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+    marginBottom: 4,
+  },
+  versionText: {
+    fontSize: 14,
+    fontWeight: '300',
+    lineHeight: 20,
+  },
+};
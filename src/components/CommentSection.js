@@ -1,9 +1,24 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, Image, FlatList, Modal } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useTheme } from '../contexts/ThemeContext';
+import {
+  COMMENT_SORTS,
+  DEFAULT_COMMENT_SORT,
+  MAX_THREAD_DEPTH,
+  buildCommentTree,
+  findInCommentTree,
+} from '../utils/commentThreads';
+import { findMentionRanges, resolveMentionText, splitMentions } from '../utils/mentions';
 import { getStyles } from '../styles';
+import HashtagText from './HashtagText';
+
+// { [benchId]: collapsed comment ids }, most recently changed bench last
+const COLLAPSED_THREADS_KEY = 'collapsedCommentThreads';
+const MAX_REMEMBERED_BENCHES = 50;
+const COMMENT_SORT_KEY = 'commentSortPreference';
 
 // User mention autocomplete component
 function MentionAutocomplete({ searchText, onSelectUser, colors }) {
@@ -74,10 +89,19 @@ const CommentItem = React.memo(function CommentItem({
   onReply,
   onLike,
   onUserPress,
+  onReport,
+  onEdit,
+  onDelete,
+  onShowHistory,
+  collapsedIds,
+  onToggleCollapse,
+  onContinueThread,
+  onTagPress,
   isReply = false,
   level = 0
 }) {
-  const [showReplies, setShowReplies] = useState(true);
+  const showReplies = !collapsedIds.has(comment.id);
+  const hasReplies = comment.replies && comment.replies.length > 0;
 
   const handleLike = () => {
     if (onLike) {
@@ -87,108 +111,126 @@ const CommentItem = React.memo(function CommentItem({
 
   const isLiked = comment.user_has_liked;
   const likeCount = comment.like_count || 0;
+  const isDeleted = !!comment.deleted_at;
+  const isOwn = user && comment.user_id === user.id && !comment.pending && !isDeleted;
 
-  // Parse text for mentions
+  // Mentions come stored with the comment, shown with the current username
   const renderTextWithMentions = (text) => {
     if (!text) return null;
 
-    const mentionRegex = /@(\w+)/g;
-    const parts = [];
-    let lastIndex = 0;
-    let match;
-
-    while ((match = mentionRegex.exec(text)) !== null) {
-      const username = match[1];
-      if (match.index > lastIndex) {
-        parts.push(
-          <Text key={`text-${lastIndex}`} style={styles.commentText}>
-            {text.substring(lastIndex, match.index)}
-          </Text>
-        );
-      }
-
-      parts.push(
+    const parts = splitMentions(text, comment.comment_mentions).map((segment, index) => (
+      segment.userId ? (
         <Text
-          key={`mention-${match.index}`}
+          key={`mention-${index}`}
           style={[styles.commentText, { color: colors.button.primary, fontWeight: '600' }]}
-          onPress={() => onUserPress({ username })} // <-- ADD THIS
+          onPress={() => onUserPress({ userId: segment.userId })}
         >
-          @{username}
-        </Text>
-      );
-
-      lastIndex = match.index + match[0].length;
-    }
-
-    if (lastIndex < text.length) {
-      parts.push(
-        <Text key={`text-${lastIndex}`} style={styles.commentText}>
-          {text.substring(lastIndex)}
+          {segment.text}
         </Text>
-      );
-    }
+      ) : (
+        <HashtagText
+          key={`text-${index}`}
+          text={segment.text}
+          style={styles.commentText}
+          tagStyle={{ color: colors.button.primary }}
+          onTagPress={onTagPress}
+        />
+      )
+    ));
 
     return parts.length > 0 ? <Text>{parts}</Text> : <Text style={styles.commentText}>{text}</Text>;
   };
 
   return (
-    <View style={[localStyles.commentWrapper, isReply && { marginLeft: 30 }]}>
+    <View
+      style={[
+        localStyles.commentWrapper,
+        isReply && localStyles.replyWrapper,
+        isReply && { borderLeftColor: colors.border },
+      ]}
+    >
       <View style={styles.comment}>
-        <TouchableOpacity
-          style={localStyles.commentHeader}
-          // Update the author click to pass an object
-          onPress={() => onUserPress({ userId: comment.profiles?.id })}
-          activeOpacity={0.7}
-        >
-          {comment.profiles?.avatar_url ? (
-            <Image
-              source={{ uri: comment.profiles.avatar_url }}
-              style={localStyles.commentAvatar}
-            />
-          ) : (
-            <View style={[localStyles.commentAvatarPlaceholder, { backgroundColor: colors.surface }]}>
-              <Ionicons name="person" size={10} color={colors.icon.secondary} />
-            </View>
-          )}
-          <Text style={styles.commentUser}>@{comment.profiles?.username}</Text>
-          {comment.parent_id && (
-            <Ionicons name="arrow-undo" size={10} color={colors.text.tertiary} style={{ marginLeft: 4 }} />
-          )}
-        </TouchableOpacity>
-
-        <View style={localStyles.commentTextRow}>
-          <View style={{ flex: 1 }}>
-            {renderTextWithMentions(comment.text)}
-          </View>
-
-          {/* Like button - positioned on the right of text */}
-          {user && (
+        {isDeleted ? (
+          <Text style={[styles.commentText, localStyles.deletedText, { color: colors.text.tertiary }]}>
+            [deleted]
+          </Text>
+        ) : (
+          <>
             <TouchableOpacity
-              style={localStyles.likeButton}
-              onPress={handleLike}
+              style={localStyles.commentHeader}
+              // Update the author click to pass an object
+              onPress={() => onUserPress({ userId: comment.profiles?.id })}
+              activeOpacity={0.7}
             >
-              <Ionicons
-                name={isLiked ? "heart" : "heart-outline"}
-                size={16}
-                color={isLiked ? colors.destructive : colors.text.tertiary}
-              />
-              {likeCount > 0 && (
-                <Text style={[localStyles.likeCountText, { color: colors.text.tertiary }]}>
-                  {likeCount}
-                </Text>
+              {comment.profiles?.avatar_url ? (
+                <Image
+                  source={{ uri: comment.profiles.avatar_url }}
+                  style={localStyles.commentAvatar}
+                />
+              ) : (
+                <View style={[localStyles.commentAvatarPlaceholder, { backgroundColor: colors.surface }]}>
+                  <Ionicons name="person" size={10} color={colors.icon.secondary} />
+                </View>
+              )}
+              <Text style={styles.commentUser}>@{comment.profiles?.username}</Text>
+              {comment.parent_id && (
+                <Ionicons name="arrow-undo" size={10} color={colors.text.tertiary} style={{ marginLeft: 4 }} />
               )}
             </TouchableOpacity>
-          )}
-        </View>
+
+            <View style={localStyles.commentTextRow}>
+              <View style={{ flex: 1 }}>
+                {renderTextWithMentions(comment.text)}
+              </View>
+
+              {/* Like button - positioned on the right of text */}
+              {user && !comment.pending && (
+                <TouchableOpacity
+                  style={localStyles.likeButton}
+                  onPress={handleLike}
+                >
+                  <Ionicons
+                    name={isLiked ? "heart" : "heart-outline"}
+                    size={16}
+                    color={isLiked ? colors.destructive : colors.text.tertiary}
+                  />
+                  {likeCount > 0 && (
+                    <Text style={[localStyles.likeCountText, { color: colors.text.tertiary }]}>
+                      {likeCount}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              )}
+            </View>
+          </>
+        )}
 
         <View style={localStyles.commentActions}>
           <View style={localStyles.commentActionsLeft}>
-            <Text style={styles.commentDate}>
-              {new Date(comment.created_at).toLocaleDateString()}
-            </Text>
+            {comment.pending ? (
+              <View style={localStyles.actionButton}>
+                <Ionicons name="time-outline" size={12} color={colors.text.tertiary} />
+                <Text style={[localStyles.actionText, { color: colors.text.tertiary }]}>
+                  waiting to send
+                </Text>
+              </View>
+            ) : !isDeleted && (
+              <Text style={styles.commentDate}>
+                {new Date(comment.created_at).toLocaleDateString()}
+              </Text>
+            )}
+
+            {/* Edited marker - opens the edit history */}
+            {comment.edited_at && !isDeleted && (
+              <TouchableOpacity onPress={() => onShowHistory?.(comment)}>
+                <Text style={[localStyles.actionText, { color: colors.text.tertiary }]}>
+                  edited
+                </Text>
+              </TouchableOpacity>
+            )}
 
             {/* Reply button */}
-            {user && !isReply && level < 2 && (
+            {user && !comment.pending && !isDeleted && (
               <TouchableOpacity
                 style={localStyles.actionButton}
                 onPress={() => onReply(comment)}
@@ -201,10 +243,10 @@ const CommentItem = React.memo(function CommentItem({
             )}
 
             {/* Show/hide replies button */}
-            {comment.replies && comment.replies.length > 0 && (
+            {hasReplies && level < MAX_THREAD_DEPTH && (
               <TouchableOpacity
                 style={localStyles.actionButton}
-                onPress={() => setShowReplies(!showReplies)}
+                onPress={() => onToggleCollapse(comment.id)}
               >
                 <Ionicons
                   name={showReplies ? "chevron-up" : "chevron-down"}
@@ -212,7 +254,42 @@ const CommentItem = React.memo(function CommentItem({
                   color={colors.text.tertiary}
                 />
                 <Text style={[localStyles.actionText, { color: colors.text.tertiary }]}>
-                  {comment.replies.length} {comment.replies.length === 1 ? 'reply' : 'replies'}
+                  {comment.replyCount} {comment.replyCount === 1 ? 'reply' : 'replies'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Edit and delete your own comments */}
+            {isOwn && onEdit && (
+              <TouchableOpacity
+                style={localStyles.actionButton}
+                onPress={() => onEdit(comment)}
+              >
+                <Text style={[localStyles.actionText, { color: colors.text.tertiary }]}>
+                  edit
+                </Text>
+              </TouchableOpacity>
+            )}
+            {isOwn && onDelete && (
+              <TouchableOpacity
+                style={localStyles.actionButton}
+                onPress={() => onDelete(comment)}
+              >
+                <Text style={[localStyles.actionText, { color: colors.text.tertiary }]}>
+                  delete
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Report button - not for your own comments */}
+            {user && onReport && comment.user_id !== user.id && !comment.pending && !isDeleted && (
+              <TouchableOpacity
+                style={localStyles.actionButton}
+                onPress={() => onReport(comment)}
+              >
+                <Ionicons name="flag-outline" size={12} color={colors.text.tertiary} />
+                <Text style={[localStyles.actionText, { color: colors.text.tertiary }]}>
+                  report
                 </Text>
               </TouchableOpacity>
             )}
@@ -220,8 +297,21 @@ const CommentItem = React.memo(function CommentItem({
         </View>
       </View>
 
+      {/* Too deep to indent further - open the rest on its own */}
+      {hasReplies && level >= MAX_THREAD_DEPTH && (
+        <TouchableOpacity
+          style={[localStyles.actionButton, localStyles.continueThread]}
+          onPress={() => onContinueThread(comment)}
+        >
+          <Text style={[localStyles.actionText, { color: colors.button.primary }]}>
+            continue thread ({comment.replyCount} {comment.replyCount === 1 ? 'reply' : 'replies'})
+          </Text>
+          <Ionicons name="arrow-forward" size={12} color={colors.button.primary} />
+        </TouchableOpacity>
+      )}
+
       {/* Render replies */}
-      {showReplies && comment.replies && comment.replies.length > 0 && (
+      {showReplies && hasReplies && level < MAX_THREAD_DEPTH && (
         <View>
           {comment.replies.map((reply) => (
             <CommentItem
@@ -233,6 +323,14 @@ const CommentItem = React.memo(function CommentItem({
               onReply={onReply}
               onLike={onLike}
               onUserPress={onUserPress}
+              onReport={onReport}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onShowHistory={onShowHistory}
+              collapsedIds={collapsedIds}
+              onToggleCollapse={onToggleCollapse}
+              onContinueThread={onContinueThread}
+              onTagPress={onTagPress}
               isReply={true}
               level={level + 1}
             />
@@ -246,16 +344,26 @@ const CommentItem = React.memo(function CommentItem({
   return (
     prevProps.comment.id === nextProps.comment.id &&
     prevProps.comment.text === nextProps.comment.text &&
+    prevProps.comment.comment_mentions === nextProps.comment.comment_mentions &&
+    prevProps.comment.edited_at === nextProps.comment.edited_at &&
+    prevProps.comment.deleted_at === nextProps.comment.deleted_at &&
     prevProps.comment.like_count === nextProps.comment.like_count &&
     prevProps.comment.user_has_liked === nextProps.comment.user_has_liked &&
-    prevProps.comment.replies?.length === nextProps.comment.replies?.length &&
+    prevProps.comment.pending === nextProps.comment.pending &&
+    prevProps.comment.replies === nextProps.comment.replies &&
+    prevProps.collapsedIds === nextProps.collapsedIds &&
     prevProps.user?.id === nextProps.user?.id &&
     prevProps.isReply === nextProps.isReply &&
     prevProps.level === nextProps.level
   );
 });
 
+/**
+ * Threaded comments of a bench, sortable, with collapsed threads
+ * remembered per bench
+ */
 export default function CommentSection({
+  benchId,
   comments,
   user,
   commentText,
@@ -263,14 +371,83 @@ export default function CommentSection({
   onAddComment,
   submittingComment,
   onLikeComment,
-  onReplyToComment
+  onReplyToComment,
+  onReportComment,
+  onEditComment,
+  onDeleteComment,
+  onShowCommentHistory,
+  onSortChange
 }) {
   const { colors } = useTheme();
   const styles = getStyles(colors);
   const navigation = useNavigation();
 
   const [replyingTo, setReplyingTo] = useState(null);
+  const [editingComment, setEditingComment] = useState(null);
   const [mentionSearch, setMentionSearch] = useState('');
+  // Users picked from the autocomplete, turned into mentions on submit
+  const [mentionedUsers, setMentionedUsers] = useState([]);
+  const [sort, setSort] = useState(DEFAULT_COMMENT_SORT);
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const [focusedThreadId, setFocusedThreadId] = useState(null);
+  const collapsedByBench = useRef({});
+
+  useEffect(() => {
+    const loadThreadPreferences = async () => {
+      try {
+        const [[, savedCollapsed], [, savedSort]] = await AsyncStorage.multiGet([
+          COLLAPSED_THREADS_KEY,
+          COMMENT_SORT_KEY,
+        ]);
+        collapsedByBench.current = savedCollapsed ? JSON.parse(savedCollapsed) : {};
+        setCollapsedIds(new Set(collapsedByBench.current[benchId] || []));
+        if (COMMENT_SORTS.some(option => option.key === savedSort)) {
+          setSort(savedSort);
+        }
+      } catch (error) {
+        console.error('Error loading comment thread preferences:', error);
+      }
+    };
+
+    loadThreadPreferences();
+  }, [benchId]);
+
+  const handleToggleCollapse = async (commentId) => {
+    const next = new Set(collapsedIds);
+    if (next.has(commentId)) {
+      next.delete(commentId);
+    } else {
+      next.add(commentId);
+    }
+    setCollapsedIds(next);
+
+    // Re-insert so this bench counts as the most recent, forget the oldest
+    const others = { ...collapsedByBench.current };
+    delete others[benchId];
+    const remembered = Object.entries(others).slice(-(MAX_REMEMBERED_BENCHES - 1));
+    collapsedByBench.current = Object.fromEntries(
+      next.size > 0 ? [...remembered, [benchId, [...next]]] : remembered
+    );
+    try {
+      await AsyncStorage.setItem(COLLAPSED_THREADS_KEY, JSON.stringify(collapsedByBench.current));
+    } catch (error) {
+      console.error('Error saving collapsed comment threads:', error);
+    }
+  };
+
+  // The screen pages comments in this order
+  useEffect(() => {
+    onSortChange?.(sort);
+  }, [sort, onSortChange]);
+
+  const handleSortChange = async (newSort) => {
+    setSort(newSort);
+    try {
+      await AsyncStorage.setItem(COMMENT_SORT_KEY, newSort);
+    } catch (error) {
+      console.error('Error saving comment sort:', error);
+    }
+  };
 
   const handleUserPress = (userParams) => {
 
@@ -303,52 +480,67 @@ export default function CommentSection({
     const newText = beforeMention + '@' + user.username + ' ';
     onCommentTextChange(newText);
     setMentionSearch('');
+    setMentionedUsers(previous => [
+      ...previous.filter(mentioned => mentioned.id !== user.id),
+      { id: user.id, username: user.username },
+    ]);
   };
 
   const handleReply = (comment) => {
+    setEditingComment(null);
     setReplyingTo(comment);
     // Pre-fill with mention
     onCommentTextChange(`@${comment.profiles?.username} `);
+    setMentionedUsers(comment.profiles ? [{ id: comment.profiles.id, username: comment.profiles.username }] : []);
+  };
+
+  const handleEdit = (comment) => {
+    setReplyingTo(null);
+    setEditingComment(comment);
+    onCommentTextChange(resolveMentionText(comment.text, comment.comment_mentions));
+    setMentionedUsers((comment.comment_mentions || [])
+      .filter(mention => mention.profiles)
+      .map(mention => ({ id: mention.user_id, username: mention.profiles.username })));
   };
 
   const handleSubmitComment = () => {
-    if (replyingTo) {
-      onReplyToComment(replyingTo.id, commentText);
+    const mentions = findMentionRanges(commentText, mentionedUsers);
+    setMentionedUsers([]);
+
+    if (editingComment) {
+      onEditComment(editingComment.id, commentText, mentions);
+      setEditingComment(null);
+    } else if (replyingTo) {
+      onReplyToComment(replyingTo.id, commentText, mentions);
       setReplyingTo(null);
     } else {
-      onAddComment();
+      onAddComment(mentions);
     }
   };
 
   const handleCancelReply = () => {
     setReplyingTo(null);
+    setEditingComment(null);
+    setMentionedUsers([]);
     onCommentTextChange('');
   };
 
   // Organize comments into threads
-  const threaded = comments.reduce((acc, comment) => {
-    if (!comment.parent_id) {
-      // Top-level comment
-      acc.push({
-        ...comment,
-        replies: comments.filter(c => c.parent_id === comment.id)
-      });
-    }
-    return acc;
-  }, []);
+  const threaded = useMemo(() => buildCommentTree(comments, sort), [comments, sort]);
+  const focusedThread = focusedThreadId ? findInCommentTree(threaded, focusedThreadId) : null;
 
   return (
     <View style={styles.section}>
       <Text style={styles.sectionLabel}>
-        comments ({comments.length})
+        comments ({comments.filter(comment => !comment.deleted_at).length})
       </Text>
 
       {user && (
         <View>
-          {replyingTo && (
+          {(replyingTo || editingComment) && (
             <View style={[localStyles.replyingToBar, { backgroundColor: colors.surface, borderColor: colors.border }]}>
               <Text style={[localStyles.replyingToText, { color: colors.text.secondary }]}>
-                replying to @{replyingTo.profiles?.username}
+                {editingComment ? 'editing your comment' : `replying to @${replyingTo.profiles?.username}`}
               </Text>
               <TouchableOpacity onPress={handleCancelReply}>
                 <Ionicons name="close" size={18} color={colors.text.secondary} />
@@ -380,7 +572,7 @@ export default function CommentSection({
                 <ActivityIndicator color={colors.button.primaryText} size="small" />
               ) : (
                 <Text style={styles.commentButtonText}>
-                  {replyingTo ? 'reply' : 'post'}
+                  {editingComment ? 'save' : replyingTo ? 'reply' : 'post'}
                 </Text>
               )}
             </TouchableOpacity>
@@ -388,7 +580,35 @@ export default function CommentSection({
         </View>
       )}
 
-      {threaded.map((comment) => (
+      {comments.length > 1 && (
+        <View style={[styles.filterOptions, localStyles.sortOptions]}>
+          {COMMENT_SORTS.map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.filterChip, sort === option.key && styles.filterChipActive]}
+              onPress={() => handleSortChange(option.key)}
+            >
+              <Text style={[styles.filterChipText, sort === option.key && styles.filterChipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {focusedThread && (
+        <TouchableOpacity
+          style={[localStyles.actionButton, localStyles.backToComments]}
+          onPress={() => setFocusedThreadId(null)}
+        >
+          <Ionicons name="arrow-back" size={14} color={colors.button.primary} />
+          <Text style={[localStyles.actionText, { color: colors.button.primary }]}>
+            back to all comments
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {(focusedThread ? [focusedThread] : threaded).map((comment) => (
         <CommentItem
           key={comment.id}
           comment={comment}
@@ -398,6 +618,14 @@ export default function CommentSection({
           onReply={handleReply}
           onLike={onLikeComment}
           onUserPress={handleUserPress}
+          onReport={onReportComment}
+          onEdit={onEditComment && handleEdit}
+          onDelete={onDeleteComment}
+          onShowHistory={onShowCommentHistory}
+          collapsedIds={collapsedIds}
+          onToggleCollapse={handleToggleCollapse}
+          onContinueThread={(comment) => setFocusedThreadId(comment.id)}
+          onTagPress={(tag) => navigation.push('Tag', { tag })}
         />
       ))}
 
@@ -412,6 +640,21 @@ const localStyles = {
   commentWrapper: {
     marginBottom: 4,
   },
+  replyWrapper: {
+    marginLeft: 12,
+    paddingLeft: 10,
+    borderLeftWidth: 1,
+  },
+  continueThread: {
+    marginLeft: 22,
+    marginBottom: 8,
+  },
+  sortOptions: {
+    marginBottom: 12,
+  },
+  backToComments: {
+    marginBottom: 12,
+  },
   commentHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -475,6 +718,10 @@ const localStyles = {
     borderWidth: 1,
     marginBottom: 8,
   },
+  deletedText: {
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
   replyingToText: {
     fontSize: 13,
     fontWeight: '500',
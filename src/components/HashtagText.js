@@ -0,0 +1,36 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { splitHashtags } from '../utils/hashtags';
+
+/**
+ * HashtagText renders #tags as links to their tag page.
+ *
+ * @param {Object} props
+ * @param {string} props.text - Plain text
+ * @param {Object} props.style - Style of the whole text
+ * @param {Object} props.tagStyle - Extra style for tags
+ * @param {Function} props.onTagPress - Called with the lowercase tag
+ */
+export default function HashtagText({ text, style, tagStyle, onTagPress, ...textProps }) {
+  return (
+    <Text style={style} {...textProps}>
+      {splitHashtags(text).map((segment, index) => (
+        segment.tag ? (
+          <Text
+            key={index}
+            style={[localStyles.tag, tagStyle]}
+            onPress={onTagPress ? () => onTagPress(segment.tag) : undefined}
+          >
+            {segment.text}
+          </Text>
+        ) : (
+          segment.text
+        )
+      ))}
+    </Text>
+  );
+}
+
+const localStyles = {
+  tag: { fontWeight: '600' },
+};
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { splitHighlights } from '../utils/textSearch';
+
+/**
+ * HighlightedText renders search highlights ([[match]]) in bold.
+ *
+ * @param {Object} props
+ * @param {string} props.text - Text with highlight markers
+ * @param {Object} props.style - Style of the whole text
+ * @param {Object} props.highlightStyle - Extra style for matched words
+ */
+export default function HighlightedText({ text, style, highlightStyle, ...textProps }) {
+  return (
+    <Text style={style} {...textProps}>
+      {splitHighlights(text).map((segment, index) => (
+        segment.highlighted ? (
+          <Text key={index} style={[localStyles.highlight, highlightStyle]}>{segment.text}</Text>
+        ) : (
+          segment.text
+        )
+      ))}
+    </Text>
+  );
+}
+
+const localStyles = {
+  highlight: { fontWeight: '600' },
+};
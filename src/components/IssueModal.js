@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  TouchableWithoutFeedback,
+  Keyboard,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import KeyboardAwareModal from './KeyboardAwareModal';
+
+// issueCategories in validation/schemas
+const CATEGORIES = [
+  { value: 'broken', label: 'broken', icon: 'construct-outline' },
+  { value: 'vandalised', label: 'vandalised', icon: 'brush-outline' },
+  { value: 'removed', label: 'gone', icon: 'trash-outline' },
+  { value: 'unsafe', label: 'unsafe', icon: 'warning-outline' },
+  { value: 'other', label: 'something else', icon: 'ellipsis-horizontal-outline' },
+];
+
+export const ISSUE_CATEGORIES = Object.fromEntries(CATEGORIES.map(category => [category.value, category]));
+
+const PICKER_OPTIONS = {
+  allowsEditing: true,
+  aspect: [4, 3],
+  quality: 0.8,
+  base64: true,
+};
+
+/**
+ * File an issue against a bench: a category, a description and optionally a
+ * photo. Mount it per issue so the form starts empty.
+ * @param {Function} onSubmit - Called with { category, description, photo }
+ */
+export default function IssueModal({ visible, submitting, onClose, onSubmit }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+  const [category, setCategory] = useState(null);
+  const [description, setDescription] = useState('');
+  const [photo, setPhoto] = useState(null);
+
+  const choosePhoto = async (fromCamera) => {
+    try {
+      const { status } = fromCamera
+        ? await ImagePicker.requestCameraPermissionsAsync()
+        : await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission needed', fromCamera ? 'Camera permission is required' : 'Camera roll permission is required');
+        return;
+      }
+
+      const result = fromCamera
+        ? await ImagePicker.launchCameraAsync(PICKER_OPTIONS)
+        : await ImagePicker.launchImageLibraryAsync({ ...PICKER_OPTIONS, mediaTypes: ImagePicker.MediaTypeOptions.Images });
+
+      if (!result.canceled && result.assets[0]) {
+        const asset = result.assets[0];
+        setPhoto({
+          uri: asset.uri,
+          base64: asset.base64,
+          mimeType: asset.mimeType || 'image/jpeg',
+        });
+      }
+    } catch (error) {
+      console.error('Error choosing issue photo:', error);
+      Alert.alert('Error', 'Could not add the photo');
+    }
+  };
+
+  const canSubmit = category && description.trim() && !submitting;
+
+  return (
+    <KeyboardAwareModal visible={visible} onClose={onClose} scrollable={false}>
+      <View style={[styles.modalOverlay, localStyles.overlay]}>
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={localStyles.sheet}
+        >
+          <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+            <View style={styles.modalContent}>
+              <View style={styles.modalHeader}>
+                <Text style={styles.modalTitle}>report a problem</Text>
+                <TouchableOpacity onPress={onClose}>
+                  <Ionicons name="close" size={24} color={colors.icon.primary} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView
+                style={styles.modalBody}
+                showsVerticalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
+              >
+                <Text style={styles.inputLabel}>what happened to the bench?</Text>
+                <View style={styles.filterOptions}>
+                  {CATEGORIES.map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.filterChip, category === option.value && styles.filterChipActive]}
+                      onPress={() => setCategory(option.value)}
+                    >
+                      <Text style={[styles.filterChipText, category === option.value && styles.filterChipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <Text style={[styles.inputLabel, localStyles.spacedLabel]}>description</Text>
+                <TextInput
+                  style={[styles.input, styles.textArea]}
+                  placeholder="what is wrong with it, and since when?"
+                  placeholderTextColor={colors.input.placeholder}
+                  value={description}
+                  onChangeText={setDescription}
+                  maxLength={500}
+                  multiline
+                  numberOfLines={3}
+                />
+
+                <Text style={[styles.inputLabel, localStyles.spacedLabel]}>photo (optional)</Text>
+                {photo ? (
+                  <View style={styles.selectedPhotoContainer}>
+                    <Image source={{ uri: photo.uri }} style={styles.selectedPhoto} />
+                    <TouchableOpacity style={styles.removePhotoButton} onPress={() => setPhoto(null)}>
+                      <Ionicons name="close-circle" size={24} color="#fff" />
+                    </TouchableOpacity>
+                  </View>
+                ) : (
+                  <View style={styles.photoButtons}>
+                    <TouchableOpacity style={styles.photoButton} onPress={() => choosePhoto(true)}>
+                      <Text style={styles.photoButtonText}>camera</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.photoDivider}>or</Text>
+                    <TouchableOpacity style={styles.photoButton} onPress={() => choosePhoto(false)}>
+                      <Text style={styles.photoButtonText}>gallery</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+                <Text style={styles.helperText}>
+                  others who see the same problem can confirm it. a bench reported gone is marked as gone once confirmed.
+                </Text>
+
+                <View style={localStyles.bottomSpacer} />
+              </ScrollView>
+
+              <View style={styles.modalFooter}>
+                <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+                  <Text style={styles.cancelButtonText}>cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.saveButton, !canSubmit && styles.saveButtonDisabled]}
+                  onPress={() => onSubmit({ category, description, photo })}
+                  disabled={!canSubmit}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color={colors.button.primaryText} size="small" />
+                  ) : (
+                    <Text style={styles.saveButtonText}>report</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </KeyboardAvoidingView>
+      </View>
+    </KeyboardAwareModal>
+  );
+}
+
+const localStyles = {
+  overlay: {
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '90%',
+  },
+  bottomSpacer: {
+    height: 20,
+  },
+  spacedLabel: {
+    marginTop: 24,
+  },
+};
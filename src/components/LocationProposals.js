@@ -0,0 +1,160 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { calculateDistance } from '../utils/geo';
+import { LOCATION_VOTES_NEEDED } from '../services/api';
+
+const formatMove = (fromLat, fromLng, toLat, toLng) => {
+  const meters = calculateDistance(fromLat, fromLng, toLat, toLng) * 1000;
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+/**
+ * Open location corrections for a bench (with voting, or approval for the
+ * owner) and the positions the pin had before earlier corrections
+ */
+export default function LocationProposals({
+  proposals,
+  bench,
+  user,
+  isOwner,
+  busyId,
+  onVote,
+  onResolve,
+  onShowOnMap,
+}) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  const open = proposals.filter(proposal => proposal.status === 'open');
+  const applied = proposals.filter(proposal => proposal.status === 'applied');
+
+  if (open.length === 0 && applied.length === 0) return null;
+
+  const renderActions = (proposal) => {
+    if (busyId === proposal.id) {
+      return <ActivityIndicator size="small" color={colors.icon.primary} />;
+    }
+
+    if (isOwner) {
+      return (
+        <>
+          <TouchableOpacity onPress={() => onResolve(proposal, true)}>
+            <Text style={[localStyles.action, { color: colors.button.primary }]}>approve</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => onResolve(proposal, false)}>
+            <Text style={[localStyles.action, { color: colors.destructive }]}>reject</Text>
+          </TouchableOpacity>
+        </>
+      );
+    }
+
+    if (!user || proposal.user_id === user.id) return null;
+
+    return (
+      <>
+        <TouchableOpacity onPress={() => onVote(proposal, true)} style={localStyles.vote}>
+          <Ionicons
+            name={proposal.myVote === true ? 'checkmark-circle' : 'checkmark-circle-outline'}
+            size={16}
+            color={colors.button.primary}
+          />
+          <Text style={[localStyles.action, { color: colors.button.primary }]}>looks right</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onVote(proposal, false)} style={localStyles.vote}>
+          <Ionicons
+            name={proposal.myVote === false ? 'close-circle' : 'close-circle-outline'}
+            size={16}
+            color={colors.text.secondary}
+          />
+          <Text style={[localStyles.action, { color: colors.text.secondary }]}>wrong</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.section}>
+      {open.length > 0 && (
+        <>
+          <Text style={styles.sectionLabel}>proposed corrections</Text>
+          {open.map(proposal => (
+            <View key={proposal.id} style={[localStyles.item, { borderColor: colors.border }]}>
+              <Text style={[localStyles.summary, { color: colors.text.primary }]}>
+                @{proposal.profiles?.username || 'unknown'} says the pin is{' '}
+                {formatMove(bench.latitude, bench.longitude, proposal.latitude, proposal.longitude)} off
+              </Text>
+              <Text style={[localStyles.meta, { color: colors.text.tertiary }]}>
+                {proposal.confirmations}/{LOCATION_VOTES_NEEDED} confirmations
+                {proposal.rejections > 0 ? ` · ${proposal.rejections} think it's wrong` : ''}
+              </Text>
+              <View style={localStyles.actions}>
+                <TouchableOpacity onPress={() => onShowOnMap(proposal)} style={localStyles.vote}>
+                  <Ionicons name="map-outline" size={16} color={colors.text.secondary} />
+                  <Text style={[localStyles.action, { color: colors.text.secondary }]}>show</Text>
+                </TouchableOpacity>
+                {renderActions(proposal)}
+              </View>
+            </View>
+          ))}
+        </>
+      )}
+
+      {applied.length > 0 && (
+        <>
+          <Text style={[styles.sectionLabel, open.length > 0 && localStyles.historyLabel]}>
+            previous positions
+          </Text>
+          {applied.map(proposal => (
+            <Text key={proposal.id} style={[localStyles.history, { color: colors.text.secondary }]}>
+              {proposal.previous_latitude.toFixed(4)}, {proposal.previous_longitude.toFixed(4)} · moved{' '}
+              {formatMove(proposal.previous_latitude, proposal.previous_longitude, proposal.latitude, proposal.longitude)}{' '}
+              on {new Date(proposal.resolved_at).toLocaleDateString()} (@{proposal.profiles?.username || 'unknown'})
+            </Text>
+          ))}
+        </>
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  item: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  summary: {
+    fontSize: 14,
+    fontWeight: '400',
+  },
+  meta: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    marginTop: 10,
+  },
+  vote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  action: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  historyLabel: {
+    marginTop: 16,
+  },
+  history: {
+    fontSize: 12,
+    lineHeight: 18,
+  },
+};
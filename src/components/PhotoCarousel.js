@@ -16,7 +16,10 @@ import { getStyles } from '../styles';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
-function PhotoCarousel({ photos }) {
+/**
+ * @param {Function} onReportPhoto - Optional, adds a report button to the full screen viewer
+ */
+function PhotoCarousel({ photos, onReportPhoto }) {
   const { colors } = useTheme();
   const styles = getStyles(colors);
   const scrollViewRef = useRef(null);
@@ -73,6 +76,13 @@ function PhotoCarousel({ photos }) {
     setModalVisible(false);
   }, []);
 
+  // Close the viewer first - the report form is a modal of its own
+  const handleReport = () => {
+    const photo = memoizedPhotos[modalIndex];
+    setModalVisible(false);
+    if (photo) onReportPhoto(photo);
+  };
+
   // Memoized photo renderer
   const renderPhoto = useCallback((photo, index, isModal = false) => (
     <TouchableOpacity
@@ -166,6 +176,18 @@ function PhotoCarousel({ photos }) {
                 {modalIndex + 1} / {memoizedPhotos.length}
               </Text>
             </View>
+            {onReportPhoto && (
+              <TouchableOpacity
+                onPress={handleReport}
+                style={styles.modalCloseButton}
+                accessible={true}
+                accessibilityLabel="Report photo"
+                accessibilityRole="button"
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              >
+                <Ionicons name="flag-outline" size={24} color="#fff" />
+              </TouchableOpacity>
+            )}
           </View>
 
           {/* Modal Photo Gallery */}
@@ -194,7 +216,8 @@ function PhotoCarousel({ photos }) {
 
 // Memoize to prevent re-renders when parent updates but photos haven't changed
 export default React.memo(PhotoCarousel, (prevProps, nextProps) => {
-  // Custom comparison - only re-render if photos array actually changed
+  // Custom comparison - only re-render if photos array (or the report handler) actually changed
+  if (prevProps.onReportPhoto !== nextProps.onReportPhoto) return false;
   if (prevProps.photos === nextProps.photos) return true;
   if (!prevProps.photos || !nextProps.photos) return false;
   if (prevProps.photos.length !== nextProps.photos.length) return false;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  RATING_DIMENSIONS,
+  RATING_TREND_DAYS,
+  ratingDistribution,
+  ratingTrend,
+} from '../utils/ratings';
+import { getStyles } from '../styles';
+
+// A recent average this far from the all-time one counts as a trend
+const TREND_THRESHOLD = 0.3;
+
+/**
+ * 1-5 histogram per rating dimension, the number of raters and the recent
+ * trend of the overall rating
+ * @param {Array} ratings - bench_ratings rows
+ */
+export default function RatingBreakdown({ ratings }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+  const [dimensionKey, setDimensionKey] = useState(RATING_DIMENSIONS[0].key);
+
+  // Optional dimensions nobody rated have nothing to break down
+  const dimensions = RATING_DIMENSIONS.filter(
+    dimension => dimension.required || ratings.some(rating => rating[dimension.column])
+  );
+  const dimension = dimensions.find(option => option.key === dimensionKey) || dimensions[0];
+  const counts = ratingDistribution(ratings, dimension.column);
+  const raters = counts.reduce((sum, count) => sum + count, 0);
+  const maxCount = Math.max(...counts, 1);
+
+  const trend = ratingTrend(ratings);
+  const change = trend.recent === null ? 0 : trend.recent - trend.allTime;
+  let trendIcon = 'remove-outline';
+  if (change >= TREND_THRESHOLD) trendIcon = 'trending-up-outline';
+  if (change <= -TREND_THRESHOLD) trendIcon = 'trending-down-outline';
+
+  return (
+    <View style={localStyles.container}>
+      <View style={styles.filterOptions}>
+        {dimensions.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.filterChip, option.key === dimension.key && styles.filterChipActive]}
+            onPress={() => setDimensionKey(option.key)}
+          >
+            <Text style={[styles.filterChipText, option.key === dimension.key && styles.filterChipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={localStyles.histogram}>
+        {[5, 4, 3, 2, 1].map(star => (
+          <View key={star} style={localStyles.histogramRow}>
+            <Text style={[localStyles.starLabel, { color: colors.text.secondary }]}>{star}</Text>
+            <Ionicons name="star" size={10} color={colors.icon.secondary} />
+            <View style={[localStyles.barTrack, { backgroundColor: colors.surface }]}>
+              <View
+                style={[
+                  localStyles.barFill,
+                  { backgroundColor: colors.icon.primary, width: `${(counts[star - 1] / maxCount) * 100}%` },
+                ]}
+              />
+            </View>
+            <Text style={[localStyles.countLabel, { color: colors.text.tertiary }]}>{counts[star - 1]}</Text>
+          </View>
+        ))}
+      </View>
+
+      <Text style={styles.helperText}>
+        {raters} {raters === 1 ? 'person' : 'people'} rated {dimension.title}
+      </Text>
+
+      <View style={[localStyles.trend, { borderTopColor: colors.border }]}>
+        <Ionicons name={trendIcon} size={18} color={colors.icon.primary} />
+        <Text style={[localStyles.trendText, { color: colors.text.secondary }]}>
+          {trend.recent === null
+            ? `no ratings in the last ${RATING_TREND_DAYS} days`
+            : `last ${RATING_TREND_DAYS} days ${trend.recent.toFixed(1)} (${trend.recentCount}) · all time ${trend.allTime.toFixed(1)}`}
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+const localStyles = {
+  container: {
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  histogram: {
+    marginTop: 16,
+    gap: 6,
+  },
+  histogramRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  starLabel: {
+    width: 12,
+    fontSize: 12,
+    fontWeight: '400',
+    textAlign: 'right',
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    marginHorizontal: 6,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: 8,
+    borderRadius: 4,
+  },
+  countLabel: {
+    width: 28,
+    fontSize: 12,
+    fontWeight: '300',
+  },
+  trend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+  },
+  trendText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '300',
+  },
+};
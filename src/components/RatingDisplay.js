@@ -1,52 +1,99 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { View, Text, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
+import { RATING_DIMENSIONS, averageRatingDimensions } from '../utils/ratings';
 import { getStyles } from '../styles';
+import RatingBreakdown from './RatingBreakdown';
 
+const REQUIRED_DIMENSIONS = RATING_DIMENSIONS.filter(dimension => dimension.required);
+const OPTIONAL_DIMENSIONS = RATING_DIMENSIONS.filter(dimension => !dimension.required);
+
+/**
+ * @param {Array} followedRaterIds - Raters the user follows, highlighted
+ */
 export default function RatingDisplay({
   ratings,
+  followedRaterIds = [],
   user,
   userRating,
   onRatePress
 }) {
   const { colors } = useTheme();
   const styles = getStyles(colors);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+
+  const averages = averageRatingDimensions(ratings);
+  const formatAverage = (key) => (averages[key] === null ? '—' : averages[key].toFixed(1));
 
-  const calculateAverageRatings = () => {
-    if (ratings.length === 0) return { view: 0, comfort: 0 };
-    const avgView = ratings.reduce((sum, r) => sum + r.view_rating, 0) / ratings.length;
-    const avgComfort = ratings.reduce((sum, r) => sum + r.comfort_rating, 0) / ratings.length;
-    return { view: avgView.toFixed(1), comfort: avgComfort.toFixed(1) };
-  };
+  // Optional dimensions only show up once someone has rated them
+  const ratedOptional = OPTIONAL_DIMENSIONS.filter(dimension => averages[dimension.key] !== null);
+  const userDimensions = userRating
+    ? RATING_DIMENSIONS.filter(dimension => userRating[dimension.column])
+    : [];
 
-  const averages = calculateAverageRatings();
+  const followedRaters = ratings
+    .filter(rating => followedRaterIds.includes(rating.user_id) && rating.profiles)
+    .map(rating => `@${rating.profiles.username}`);
+  let followedText = null;
+  if (followedRaters.length === 1) {
+    followedText = `${followedRaters[0]}, who you follow, rated this bench`;
+  } else if (followedRaters.length > 1) {
+    const others = followedRaters.length - 1;
+    followedText = `${followedRaters[0]} and ${others} other ${others === 1 ? 'person' : 'people'} you follow rated this bench`;
+  }
 
   return (
     <View style={styles.section}>
       <Text style={styles.sectionLabel}>ratings</Text>
 
       <View style={styles.ratingsRow}>
-        <View style={styles.ratingItem}>
-          <Text style={styles.ratingValue}>
-            {averages.view > 0 ? averages.view : '—'}
-          </Text>
-          <Text style={styles.ratingLabel}>view</Text>
-        </View>
-
-        <View style={styles.ratingDivider} />
+        {REQUIRED_DIMENSIONS.map((dimension, index) => (
+          <React.Fragment key={dimension.key}>
+            {index > 0 && <View style={styles.ratingDivider} />}
+            <View style={styles.ratingItem}>
+              <Text style={styles.ratingValue}>{formatAverage(dimension.key)}</Text>
+              <Text style={styles.ratingLabel}>{dimension.label}</Text>
+            </View>
+          </React.Fragment>
+        ))}
+      </View>
 
-        <View style={styles.ratingItem}>
-          <Text style={styles.ratingValue}>
-            {averages.comfort > 0 ? averages.comfort : '—'}
-          </Text>
-          <Text style={styles.ratingLabel}>comfort</Text>
+      {ratedOptional.length > 0 && (
+        <View style={localStyles.dimensionsRow}>
+          {ratedOptional.map(dimension => (
+            <View key={dimension.key} style={localStyles.dimensionItem}>
+              <Text style={[localStyles.dimensionValue, { color: colors.text.primary }]}>
+                {formatAverage(dimension.key)}
+              </Text>
+              <Text style={styles.ratingLabel}>{dimension.label}</Text>
+            </View>
+          ))}
         </View>
-      </View>
+      )}
 
       <Text style={styles.ratingCount}>
         {ratings.length} {ratings.length === 1 ? 'rating' : 'ratings'}
       </Text>
 
+      {followedText && (
+        <View style={localStyles.followed}>
+          <Ionicons name="people-outline" size={14} color={colors.text.secondary} />
+          <Text style={[localStyles.followedText, { color: colors.text.secondary }]}>{followedText}</Text>
+        </View>
+      )}
+
+      {ratings.length > 0 && (
+        <TouchableOpacity style={localStyles.breakdownToggle} onPress={() => setShowBreakdown(!showBreakdown)}>
+          <Text style={[localStyles.breakdownToggleText, { color: colors.button.primary }]}>
+            {showBreakdown ? 'hide breakdown' : 'show breakdown'}
+          </Text>
+          <Ionicons name={showBreakdown ? 'chevron-up' : 'chevron-down'} size={14} color={colors.button.primary} />
+        </TouchableOpacity>
+      )}
+
+      {showBreakdown && ratings.length > 0 && <RatingBreakdown ratings={ratings} />}
+
       {user && (
         <TouchableOpacity
           style={styles.actionButton}
@@ -60,9 +107,50 @@ export default function RatingDisplay({
 
       {userRating && (
         <Text style={styles.yourRating}>
-          your rating: view {userRating.view_rating} • comfort {userRating.comfort_rating}
+          your rating: {userDimensions.map(dimension => `${dimension.label} ${userRating[dimension.column]}`).join(' • ')}
+          {userRating.pending ? ' (waiting to sync)' : ''}
         </Text>
       )}
     </View>
   );
-}
\ No newline at end of file
+}
+
+const localStyles = {
+  dimensionsRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: 24,
+    marginBottom: 16,
+  },
+  dimensionItem: {
+    alignItems: 'center',
+  },
+  dimensionValue: {
+    fontSize: 20,
+    fontWeight: '300',
+    marginBottom: 2,
+  },
+  followed: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 12,
+  },
+  followedText: {
+    fontSize: 13,
+    fontWeight: '400',
+  },
+  breakdownToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 12,
+  },
+  breakdownToggleText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+};
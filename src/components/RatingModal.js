@@ -1,16 +1,21 @@
 import React from 'react';
-import { View, Text, TouchableOpacity } from 'react-native';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
+import { RATING_DIMENSIONS } from '../utils/ratings';
 import { getStyles } from '../styles';
 
+/**
+ * Star pickers for every rating dimension
+ * @param {Object} ratings - Dimension field (e.g. viewRating) -> 1-5, null when unset
+ * @param {Function} onRatingChange - Called with (field, value); optional
+ *   dimensions are cleared (null) by tapping their current star again
+ */
 export default function RatingModal({
   visible,
   onClose,
-  viewRating,
-  comfortRating,
-  onViewRatingChange,
-  onComfortRatingChange,
+  ratings,
+  onRatingChange,
   onSubmit
 }) {
   const { colors } = useTheme();
@@ -18,22 +23,28 @@ export default function RatingModal({
 
   if (!visible) return null;
 
-  const renderStars = (rating, onRatingChange) => (
-    <View style={styles.starRow}>
-      {[1, 2, 3, 4, 5].map((star) => (
-        <TouchableOpacity
-          key={star}
-          onPress={() => onRatingChange(star)}
-        >
-          <Ionicons
-            name={star <= rating ? "star" : "star-outline"}
-            size={40}
-            color={colors.icon.primary}
-          />
-        </TouchableOpacity>
-      ))}
-    </View>
-  );
+  const missingRequired = RATING_DIMENSIONS.some(dimension => dimension.required && !ratings[dimension.field]);
+
+  const renderStars = ({ field, required }) => {
+    const rating = ratings[field] || 0;
+
+    return (
+      <View style={styles.starRow}>
+        {[1, 2, 3, 4, 5].map((star) => (
+          <TouchableOpacity
+            key={star}
+            onPress={() => onRatingChange(field, !required && star === rating ? null : star)}
+          >
+            <Ionicons
+              name={star <= rating ? "star" : "star-outline"}
+              size={required ? 40 : 32}
+              color={colors.icon.primary}
+            />
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
 
   return (
     <View style={styles.modalOverlay}>
@@ -45,13 +56,27 @@ export default function RatingModal({
           </TouchableOpacity>
         </View>
 
-        <View style={styles.modalBody}>
-          <Text style={styles.inputLabel}>view quality</Text>
-          {renderStars(viewRating, onViewRatingChange)}
+        <ScrollView style={[styles.modalBody, localStyles.body]} showsVerticalScrollIndicator={false}>
+          {RATING_DIMENSIONS.filter(dimension => dimension.required).map((dimension, index) => (
+            <View key={dimension.key} style={index > 0 && localStyles.dimension}>
+              <Text style={styles.inputLabel}>{dimension.title}</Text>
+              {renderStars(dimension)}
+            </View>
+          ))}
 
-          <Text style={[styles.inputLabel, { marginTop: 32 }]}>comfort</Text>
-          {renderStars(comfortRating, onComfortRatingChange)}
-        </View>
+          <Text style={[styles.helperText, localStyles.optionalHint]}>
+            optional - tap a star again to clear it
+          </Text>
+
+          {RATING_DIMENSIONS.filter(dimension => !dimension.required).map(dimension => (
+            <View key={dimension.key} style={localStyles.dimension}>
+              <Text style={styles.inputLabel}>{dimension.title}</Text>
+              {renderStars(dimension)}
+            </View>
+          ))}
+
+          <View style={localStyles.bottomSpacer} />
+        </ScrollView>
 
         <View style={styles.modalFooter}>
           <TouchableOpacity
@@ -63,10 +88,10 @@ export default function RatingModal({
           <TouchableOpacity
             style={[
               styles.saveButton,
-              (viewRating === 0 || comfortRating === 0) && styles.saveButtonDisabled
+              missingRequired && styles.saveButtonDisabled
             ]}
             onPress={onSubmit}
-            disabled={viewRating === 0 || comfortRating === 0}
+            disabled={missingRequired}
           >
             <Text style={styles.saveButtonText}>submit</Text>
           </TouchableOpacity>
@@ -74,4 +99,19 @@ export default function RatingModal({
       </View>
     </View>
   );
-}
\ No newline at end of file
+}
+
+const localStyles = {
+  body: {
+    maxHeight: 520,
+  },
+  dimension: {
+    marginTop: 32,
+  },
+  optionalHint: {
+    marginTop: 32,
+  },
+  bottomSpacer: {
+    height: 32,
+  },
+};
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  TouchableWithoutFeedback,
+  Keyboard,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import KeyboardAwareModal from './KeyboardAwareModal';
+
+// reportReasons in validation/schemas, with the kinds of content each applies to
+const REASONS = [
+  { value: 'fake', label: "doesn't exist", targets: ['bench', 'photo'] },
+  { value: 'wrong_info', label: 'wrong information', targets: ['bench'] },
+  { value: 'duplicate', label: 'duplicate', targets: ['bench', 'photo'] },
+  { value: 'inappropriate', label: 'inappropriate', targets: ['bench', 'photo', 'comment'] },
+  { value: 'spam', label: 'spam', targets: ['bench', 'photo', 'comment'] },
+  { value: 'harassment', label: 'harassment', targets: ['photo', 'comment'] },
+  { value: 'other', label: 'something else', targets: ['bench', 'photo', 'comment'] },
+];
+
+export const REPORT_REASON_LABELS = Object.fromEntries(REASONS.map(reason => [reason.value, reason.label]));
+
+/**
+ * Pick a reason (and optionally explain) when reporting a bench, photo or comment.
+ * Mount it per report so the form starts empty.
+ * @param {string} targetType - 'bench', 'photo' or 'comment'
+ * @param {Function} onSubmit - Called with { reason, details }
+ */
+export default function ReportModal({ visible, targetType, submitting, onClose, onSubmit }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState('');
+
+  const reasons = REASONS.filter(option => option.targets.includes(targetType));
+
+  return (
+    <KeyboardAwareModal visible={visible} onClose={onClose} scrollable={false}>
+      <View style={[styles.modalOverlay, localStyles.overlay]}>
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={localStyles.sheet}
+        >
+          <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+            <View style={styles.modalContent}>
+              <View style={styles.modalHeader}>
+                <Text style={styles.modalTitle}>report {targetType}</Text>
+                <TouchableOpacity onPress={onClose}>
+                  <Ionicons name="close" size={24} color={colors.icon.primary} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView
+                style={styles.modalBody}
+                showsVerticalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
+              >
+                <Text style={styles.inputLabel}>what is wrong with it?</Text>
+                <View style={styles.filterOptions}>
+                  {reasons.map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.filterChip, reason === option.value && styles.filterChipActive]}
+                      onPress={() => setReason(option.value)}
+                    >
+                      <Text style={[styles.filterChipText, reason === option.value && styles.filterChipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <Text style={[styles.inputLabel, localStyles.detailsLabel]}>details (optional)</Text>
+                <TextInput
+                  style={[styles.input, styles.textArea]}
+                  placeholder="anything that helps a moderator..."
+                  placeholderTextColor={colors.input.placeholder}
+                  value={details}
+                  onChangeText={setDetails}
+                  maxLength={500}
+                  multiline
+                  numberOfLines={3}
+                />
+                <Text style={styles.helperText}>
+                  moderators review every report. the author is not told who reported it.
+                </Text>
+
+                <View style={localStyles.bottomSpacer} />
+              </ScrollView>
+
+              <View style={styles.modalFooter}>
+                <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+                  <Text style={styles.cancelButtonText}>cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.saveButton, (!reason || submitting) && styles.saveButtonDisabled]}
+                  onPress={() => onSubmit({ reason, details })}
+                  disabled={!reason || submitting}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color={colors.button.primaryText} size="small" />
+                  ) : (
+                    <Text style={styles.saveButtonText}>report</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </KeyboardAvoidingView>
+      </View>
+    </KeyboardAwareModal>
+  );
+}
+
+const localStyles = {
+  overlay: {
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '90%',
+  },
+  bottomSpacer: {
+    height: 20,
+  },
+  detailsLabel: {
+    marginTop: 24,
+  },
+};
@@ -1,6 +1,8 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
 import { useTheme } from '../contexts/ThemeContext';
+import { RATING_DIMENSIONS } from '../utils/ratings';
+import { BENCH_AMENITIES, BENCH_MATERIALS } from '../utils/amenities';
 import { getStyles } from '../styles';
 
 const VIEW_TYPES = [
@@ -16,6 +18,11 @@ const VIEW_TYPES = [
   { label: 'other', value: 'other' },
 ];
 
+const MATERIAL_OPTIONS = [
+  { label: 'any', value: null },
+  ...BENCH_MATERIALS.map(material => ({ label: material.label, value: material.value })),
+];
+
 const RATING_FILTERS = [
   { label: 'all ratings', value: null },
   { label: '4+ stars', value: 4 },
@@ -23,7 +30,14 @@ const RATING_FILTERS = [
   { label: '2+ stars', value: 2 },
 ];
 
+// The rating filter and 'highest rated' sort apply to the picked dimension
+const RATING_DIMENSION_OPTIONS = [
+  { label: 'overall', value: null },
+  ...RATING_DIMENSIONS.map(dimension => ({ label: dimension.title, value: dimension.key })),
+];
+
 const SORT_OPTIONS = [
+  { label: 'best match', value: 'relevance' },
   { label: 'nearest', value: 'distance' },
   { label: 'highest rated', value: 'rating' },
   { label: 'most recent', value: 'recent' },
@@ -40,19 +54,35 @@ const DISTANCE_OPTIONS = [
 
 export default function SearchFilters({
   viewType,
+  amenities,
+  material,
+  accessibleOnly,
   ratingFilter,
+  ratingDimension,
   distanceFilter,
   sortBy,
   onViewTypeChange,
+  onAmenitiesChange,
+  onMaterialChange,
+  onAccessibleOnlyChange,
   onRatingFilterChange,
+  onRatingDimensionChange,
   onDistanceFilterChange,
   onSortByChange,
   onClearFilters,
-  hasActiveFilters
+  hasActiveFilters,
+  hasQuery,
 }) {
   const { colors } = useTheme();
   const styles = getStyles(colors);
 
+  // Amenities add up: benches must have every one picked
+  const toggleAmenity = (key) => {
+    onAmenitiesChange(amenities.includes(key)
+      ? amenities.filter(amenity => amenity !== key)
+      : [...amenities, key]);
+  };
+
   return (
     <ScrollView style={styles.filtersPanel} showsVerticalScrollIndicator={false}>
       <View style={styles.filterSection}>
@@ -84,6 +114,86 @@ export default function SearchFilters({
         </ScrollView>
       </View>
 
+      <View style={styles.filterSection}>
+        <Text style={styles.filterLabel}>amenities</Text>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.filterOptions}
+        >
+          {BENCH_AMENITIES.map((amenity) => (
+            <TouchableOpacity
+              key={amenity.key}
+              style={[
+                styles.filterChip,
+                amenities.includes(amenity.key) && styles.filterChipActive,
+              ]}
+              onPress={() => toggleAmenity(amenity.key)}
+            >
+              <Text
+                style={[
+                  styles.filterChipText,
+                  amenities.includes(amenity.key) && styles.filterChipTextActive,
+                ]}
+              >
+                {amenity.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
+      <View style={styles.filterSection}>
+        <Text style={styles.filterLabel}>material</Text>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.filterOptions}
+        >
+          {MATERIAL_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.label}
+              style={[
+                styles.filterChip,
+                material === option.value && styles.filterChipActive,
+              ]}
+              onPress={() => onMaterialChange(option.value)}
+            >
+              <Text
+                style={[
+                  styles.filterChipText,
+                  material === option.value && styles.filterChipTextActive,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
+      <View style={styles.filterSection}>
+        <Text style={styles.filterLabel}>accessibility</Text>
+        <View style={styles.filterOptions}>
+          <TouchableOpacity
+            style={[
+              styles.filterChip,
+              accessibleOnly && styles.filterChipActive,
+            ]}
+            onPress={() => onAccessibleOnlyChange(!accessibleOnly)}
+          >
+            <Text
+              style={[
+                styles.filterChipText,
+                accessibleOnly && styles.filterChipTextActive,
+              ]}
+            >
+              accessible benches only
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
       <View style={styles.filterSection}>
         <Text style={styles.filterLabel}>rating</Text>
         <ScrollView
@@ -113,6 +223,35 @@ export default function SearchFilters({
         </ScrollView>
       </View>
 
+      <View style={styles.filterSection}>
+        <Text style={styles.filterLabel}>rating on</Text>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.filterOptions}
+        >
+          {RATING_DIMENSION_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.label}
+              style={[
+                styles.filterChip,
+                ratingDimension === option.value && styles.filterChipActive,
+              ]}
+              onPress={() => onRatingDimensionChange(option.value)}
+            >
+              <Text
+                style={[
+                  styles.filterChipText,
+                  ratingDimension === option.value && styles.filterChipTextActive,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
       <View style={styles.filterSection}>
         <Text style={styles.filterLabel}>max distance</Text>
         <ScrollView
@@ -145,7 +284,7 @@ export default function SearchFilters({
       <View style={styles.filterSection}>
         <Text style={styles.filterLabel}>sort by</Text>
         <View style={styles.filterOptions}>
-          {SORT_OPTIONS.map((option) => (
+          {SORT_OPTIONS.filter((option) => hasQuery || option.value !== 'relevance').map((option) => (
             <TouchableOpacity
               key={option.value}
               style={[
@@ -1,28 +1,57 @@
 import React from 'react';
-import { View, TextInput, TouchableOpacity } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { getStyles } from '../styles';
 
-export default function SearchInput({ value, onChangeText, onClear }) {
+/**
+ * @param {Object} props
+ * @param {string} props.suggestion - Optional "did you mean" query for typos
+ * @param {Function} props.onSuggestionPress - Called with the suggestion
+ */
+export default function SearchInput({
+  value,
+  onChangeText,
+  onClear,
+  placeholder = 'search benches...',
+  suggestion,
+  onSuggestionPress,
+}) {
   const { colors } = useTheme();
   const styles = getStyles(colors);
 
   return (
-    <View style={styles.searchBar}>
-      <Ionicons name="search-outline" size={18} color={colors.icon.secondary} />
-      <TextInput
-        style={styles.searchInput}
-        placeholder="search benches..."
-        placeholderTextColor={colors.input.placeholder}
-        value={value}
-        onChangeText={onChangeText}
-      />
-      {value.trim() && (
-        <TouchableOpacity onPress={onClear}>
-          <Ionicons name="close-circle" size={18} color={colors.icon.secondary} />
+    <View>
+      <View style={styles.searchBar}>
+        <Ionicons name="search-outline" size={18} color={colors.icon.secondary} />
+        <TextInput
+          style={styles.searchInput}
+          placeholder={placeholder}
+          placeholderTextColor={colors.input.placeholder}
+          value={value}
+          onChangeText={onChangeText}
+        />
+        {value.trim() && (
+          <TouchableOpacity onPress={onClear}>
+            <Ionicons name="close-circle" size={18} color={colors.icon.secondary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {suggestion && (
+        <TouchableOpacity style={localStyles.suggestion} onPress={() => onSuggestionPress?.(suggestion)}>
+          <Text style={[localStyles.suggestionText, { color: colors.text.secondary }]}>
+            did you mean{' '}
+            <Text style={[localStyles.suggestionQuery, { color: colors.button.primary }]}>{suggestion}</Text>?
+          </Text>
         </TouchableOpacity>
       )}
     </View>
   );
-}
\ No newline at end of file
+}
+
+const localStyles = {
+  suggestion: { paddingTop: 8 },
+  suggestionText: { fontSize: 13, fontWeight: '300' },
+  suggestionQuery: { fontWeight: '500' },
+};
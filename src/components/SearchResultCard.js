@@ -2,12 +2,23 @@ import React from 'react';
 import { View, Text, TouchableOpacity, Image } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
+import { RATING_DIMENSIONS } from '../utils/ratings';
 import { getStyles } from '../styles';
+import HighlightedText from './HighlightedText';
 
-function SearchResultCard({ bench, onPress }) {
+/**
+ * @param {string} ratingDimension - Dimension the search filters on; its
+ *   average is shown next to the overall rating
+ * @param {boolean} visited - The current user has checked in at this bench
+ */
+function SearchResultCard({ bench, ratingDimension, visited, onPress }) {
   const { colors } = useTheme();
   const styles = getStyles(colors);
 
+  const dimension = ratingDimension && bench.dimensionRating !== null
+    ? RATING_DIMENSIONS.find(option => option.key === ratingDimension)
+    : null;
+
   const primaryPhoto = bench.bench_photos?.find(p => p.is_primary);
 
   return (
@@ -28,20 +39,59 @@ function SearchResultCard({ bench, onPress }) {
 
       <View style={styles.benchInfo}>
         <Text style={styles.benchViewType}>{bench.view_type}</Text>
-        <Text style={styles.benchTitle}>{bench.title}</Text>
+        <HighlightedText
+          style={styles.benchTitle}
+          highlightStyle={{ color: colors.text.primary }}
+          text={bench.titleHighlight || bench.title}
+        />
 
         {bench.description && (
-          <Text style={styles.benchDescription} numberOfLines={2}>
-            {bench.description}
-          </Text>
+          <HighlightedText
+            style={styles.benchDescription}
+            highlightStyle={{ color: colors.text.primary }}
+            numberOfLines={2}
+            text={bench.descriptionSnippet || bench.description}
+          />
         )}
 
         <View style={styles.benchMeta}>
-          {bench.avgRating > 0 && (
+          {bench.ratingsCount > 0 && (
             <View style={styles.ratingBadge}>
               <Ionicons name="star" size={12} color={colors.icon.primary} />
               <Text style={styles.ratingText}>
-                {bench.avgRating.toFixed(1)}
+                {bench.ratingScore.toFixed(1)}
+              </Text>
+              <Text style={styles.distanceText}>
+                ({bench.ratingsCount})
+              </Text>
+            </View>
+          )}
+
+          {dimension && (
+            <View style={styles.ratingBadge}>
+              <Text style={styles.ratingText}>
+                {dimension.label} {bench.dimensionRating.toFixed(1)}
+              </Text>
+            </View>
+          )}
+
+          {visited && (
+            <View style={styles.ratingBadge}>
+              <Ionicons name="checkmark-circle" size={12} color={colors.success} />
+              <Text style={[styles.ratingText, { color: colors.success }]}>visited</Text>
+            </View>
+          )}
+
+          {bench.removed_at ? (
+            <View style={styles.ratingBadge}>
+              <Ionicons name="trash-outline" size={12} color={colors.warning} />
+              <Text style={[styles.ratingText, { color: colors.warning }]}>gone</Text>
+            </View>
+          ) : bench.open_issue_count > 0 && (
+            <View style={styles.ratingBadge}>
+              <Ionicons name="warning-outline" size={12} color={colors.warning} />
+              <Text style={[styles.ratingText, { color: colors.warning }]}>
+                {bench.open_issue_count === 1 ? '1 problem' : `${bench.open_issue_count} problems`}
               </Text>
             </View>
           )}
@@ -65,8 +115,16 @@ export default React.memo(SearchResultCard, (prevProps, nextProps) => {
   // Only re-render if bench data or handlers changed
   return (
     prevProps.bench.id === nextProps.bench.id &&
-    prevProps.bench.avgRating === nextProps.bench.avgRating &&
+    prevProps.bench.ratingScore === nextProps.bench.ratingScore &&
+    prevProps.bench.ratingsCount === nextProps.bench.ratingsCount &&
+    prevProps.bench.dimensionRating === nextProps.bench.dimensionRating &&
+    prevProps.bench.open_issue_count === nextProps.bench.open_issue_count &&
+    prevProps.bench.removed_at === nextProps.bench.removed_at &&
+    prevProps.ratingDimension === nextProps.ratingDimension &&
+    prevProps.visited === nextProps.visited &&
     prevProps.bench.distance === nextProps.bench.distance &&
+    prevProps.bench.titleHighlight === nextProps.bench.titleHighlight &&
+    prevProps.bench.descriptionSnippet === nextProps.bench.descriptionSnippet &&
     prevProps.onPress === nextProps.onPress
   );
 });
\ No newline at end of file
@@ -0,0 +1,116 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { useOfflineQueue } from '../contexts/OfflineQueueContext';
+import { MUTATION_TYPES } from '../services/offlineQueue';
+
+const ENTRY_LABELS = {
+  [MUTATION_TYPES.BENCH_CREATE]: 'new bench',
+  [MUTATION_TYPES.PHOTOS_UPLOAD]: 'photos',
+  [MUTATION_TYPES.RATING_UPSERT]: 'rating',
+  [MUTATION_TYPES.COMMENT_CREATE]: 'comment',
+  [MUTATION_TYPES.FAVORITE_SET]: 'favorite',
+};
+
+/**
+ * SyncStatusBanner shows changes waiting in the offline queue, failed
+ * replays (with retry/discard) and conflicts found while syncing.
+ *
+ * @param {Object} props
+ * @param {string} props.benchId - Optional, only show changes for this bench
+ */
+export default function SyncStatusBanner({ benchId }) {
+  const { colors } = useTheme();
+  const { entries, conflicts, isFlushing, flush, retry, discard, clearConflicts } = useOfflineQueue();
+
+  const belongsHere = (item) => !benchId || item.payload?.benchId === benchId;
+  const pending = (entries || []).filter(entry => entry.status === 'pending' && belongsHere(entry));
+  const failed = (entries || []).filter(entry => entry.status === 'failed' && belongsHere(entry));
+  const relevantConflicts = (conflicts || []).filter(belongsHere);
+
+  if (pending.length === 0 && failed.length === 0 && relevantConflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={[localStyles.container, { backgroundColor: colors.card.background, borderColor: colors.border }]}>
+      {pending.length > 0 && (
+        <View style={localStyles.row}>
+          {isFlushing ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} />
+          ) : (
+            <Ionicons name="cloud-offline-outline" size={16} color={colors.warning} />
+          )}
+          <Text style={[localStyles.text, { color: colors.text.primary }]}>
+            {isFlushing
+              ? 'syncing...'
+              : `${pending.length} ${pending.length === 1 ? 'change' : 'changes'} waiting for connection`}
+          </Text>
+          {!isFlushing && (
+            <TouchableOpacity onPress={flush} style={localStyles.action}>
+              <Text style={[localStyles.actionText, { color: colors.button.primary }]}>sync now</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {failed.map((entry) => (
+        <View key={entry.id} style={localStyles.row}>
+          <Ionicons name="alert-circle-outline" size={16} color={colors.destructive} />
+          <Text style={[localStyles.text, { color: colors.text.primary }]} numberOfLines={2}>
+            {ENTRY_LABELS[entry.type] || 'change'} could not be saved
+          </Text>
+          <TouchableOpacity onPress={() => retry(entry.id)} style={localStyles.action}>
+            <Text style={[localStyles.actionText, { color: colors.button.primary }]}>retry</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => discard(entry.id)} style={localStyles.action}>
+            <Text style={[localStyles.actionText, { color: colors.destructive }]}>discard</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {relevantConflicts.length > 0 && (
+        <View style={localStyles.row}>
+          <Ionicons name="information-circle-outline" size={16} color={colors.text.secondary} />
+          <Text style={[localStyles.text, { color: colors.text.secondary }]} numberOfLines={3}>
+            {relevantConflicts[relevantConflicts.length - 1].message}
+            {relevantConflicts.length > 1 ? ` (+${relevantConflicts.length - 1} more)` : ''}
+          </Text>
+          <TouchableOpacity onPress={clearConflicts} style={localStyles.action}>
+            <Text style={[localStyles.actionText, { color: colors.button.primary }]}>ok</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  container: {
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    gap: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  text: {
+    flex: 1,
+    fontSize: 13,
+  },
+  action: {
+    paddingHorizontal: 4,
+    paddingVertical: 2,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+};
@@ -0,0 +1,48 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { formatDistance } from '../utils/geo';
+import { formatDuration } from '../utils/walks';
+
+/**
+ * A user's bench walks as cards with their name, stops, distance and time
+ * @param {Array} walks - From api.walks.getByUserId
+ * @param {Function} onPress - Called with the walk tapped
+ */
+export default function WalkList({ walks, onPress }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  return (
+    <View style={styles.benchesList}>
+      {walks.map((walk) => (
+        <TouchableOpacity
+          key={walk.id}
+          style={styles.benchCard}
+          onPress={() => onPress(walk)}
+        >
+          <View style={styles.benchImagePlaceholder}>
+            <Ionicons name="walk-outline" size={24} color={colors.icon.muted} />
+          </View>
+          <View style={styles.benchInfo}>
+            <Text style={styles.benchTitle}>{walk.title}</Text>
+            {walk.description && (
+              <Text style={styles.benchDescription} numberOfLines={2}>
+                {walk.description}
+              </Text>
+            )}
+            <Text style={styles.benchDate}>
+              {walk.stopCount === 1 ? '1 bench' : `${walk.stopCount} benches`}
+              {' · '}
+              {formatDistance(walk.distanceMeters)}
+              {' · '}
+              {formatDuration(walk.durationMinutes)}
+            </Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
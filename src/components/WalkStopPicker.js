@@ -0,0 +1,99 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { formatDistance } from '../utils/geo';
+import KeyboardAwareModal from './KeyboardAwareModal';
+
+/**
+ * Pick the next bench of a walk from the benches around its last stop (or
+ * around the user when the walk is empty), closest first
+ * @param {Array} benches - From api.benches.getNearby, null while loading
+ * @param {string} origin - What the distances are measured from, for the subtitle
+ * @param {Function} onSelect - Called with the bench tapped
+ */
+export default function WalkStopPicker({ visible, benches, origin, onSelect, onClose }) {
+  const { colors } = useTheme();
+  const styles = getStyles(colors);
+
+  return (
+    <KeyboardAwareModal visible={visible} onClose={onClose} scrollable={false}>
+      <View style={[styles.modalOverlay, localStyles.overlay]}>
+        <View style={[styles.modalContent, localStyles.sheet]}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>add a bench</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.icon.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalBody} showsVerticalScrollIndicator={false}>
+            <Text style={styles.helperText}>nearest to {origin} first</Text>
+
+            {!benches ? (
+              <ActivityIndicator size="small" color={colors.icon.primary} />
+            ) : benches.length === 0 ? (
+              <Text style={[localStyles.empty, { color: colors.text.tertiary }]}>
+                no other benches within walking distance
+              </Text>
+            ) : benches.map((bench) => (
+              <TouchableOpacity
+                key={bench.id}
+                style={[localStyles.row, { borderBottomColor: colors.border }]}
+                onPress={() => onSelect(bench)}
+              >
+                <Ionicons name="location-outline" size={18} color={colors.icon.secondary} />
+                <View style={localStyles.rowInfo}>
+                  <Text style={[localStyles.title, { color: colors.text.primary }]} numberOfLines={1}>
+                    {bench.title}
+                  </Text>
+                  <Text style={[localStyles.meta, { color: colors.text.tertiary }]}>
+                    {bench.view_type} · {formatDistance(bench.distance_meters)}
+                  </Text>
+                </View>
+                <Ionicons name="add-circle-outline" size={22} color={colors.button.primary} />
+              </TouchableOpacity>
+            ))}
+
+            <View style={localStyles.bottomSpacer} />
+          </ScrollView>
+        </View>
+      </View>
+    </KeyboardAwareModal>
+  );
+}
+
+const localStyles = {
+  overlay: {
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '70%',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  meta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  empty: {
+    fontSize: 14,
+    paddingVertical: 14,
+  },
+  bottomSpacer: {
+    height: 20,
+  },
+};
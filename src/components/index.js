@@ -2,15 +2,31 @@
 export { default as PhotoCarousel } from './PhotoCarousel';
 export { default as BenchInfo } from './BenchInfo';
 export { default as RatingDisplay } from './RatingDisplay';
+export { default as RatingBreakdown } from './RatingBreakdown';
+export { default as LocationProposals } from './LocationProposals';
+export { default as BenchIssues } from './BenchIssues';
 export { default as CommentSection } from './CommentSection';
+export { default as CommentHistoryModal } from './CommentHistoryModal';
 export { default as RatingModal } from './RatingModal';
+export { default as ReportModal } from './ReportModal';
+export { default as IssueModal } from './IssueModal';
+export { default as CollectionModal } from './CollectionModal';
+export { default as CollectionPicker } from './CollectionPicker';
+export { default as CollectionList } from './CollectionList';
+export { default as WalkList } from './WalkList';
+export { default as WalkStopPicker } from './WalkStopPicker';
 export { default as SearchInput } from './SearchInput';
 export { default as SearchFilters } from './SearchFilters';
 export { default as SearchResultCard } from './SearchResultCard';
+export { default as HighlightedText } from './HighlightedText';
+export { default as HashtagText } from './HashtagText';
 export { default as FormInput } from './FormInput';
 export { default as ViewTypeSelector } from './ViewTypeSelector';
+export { default as AmenitySelector } from './AmenitySelector';
+export { default as AccessibilitySelector } from './AccessibilitySelector';
 export { default as PhotoPicker } from './PhotoPicker';
 export { default as LocationDisplay } from './LocationDisplay';
+export { default as SyncStatusBanner } from './SyncStatusBanner';
 
 // Error handling and state components
 export { default as ErrorBoundary } from './ErrorBoundary';
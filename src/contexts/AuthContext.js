@@ -1,5 +1,5 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import { supabase } from '../services/supabase';
+import { backend } from '../services/backend';
 
 const AuthContext = createContext({});
 
@@ -9,13 +9,13 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     // Check active sessions
-    supabase.auth.getSession().then(({ data: { session } }) => {
+    backend.auth.getSession().then(({ data: { session } }) => {
       setUser(session?.user ?? null);
       setLoading(false);
     });
 
     // Listen for auth changes
-    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
+    const { data: { subscription } } = backend.auth.onAuthStateChange((_event, session) => {
       setUser(session?.user ?? null);
     });
 
@@ -24,7 +24,7 @@ export const AuthProvider = ({ children }) => {
 
   const signUp = async (email, password, username) => {
     try {
-      const { data, error } = await supabase.auth.signUp({
+      const { data, error } = await backend.auth.signUp({
         email,
         password,
         options: {
@@ -43,7 +43,7 @@ export const AuthProvider = ({ children }) => {
 
   const signIn = async (email, password) => {
     try {
-      const { data, error } = await supabase.auth.signInWithPassword({
+      const { data, error } = await backend.auth.signInWithPassword({
         email,
         password,
       });
@@ -61,7 +61,7 @@ export const AuthProvider = ({ children }) => {
       setUser(null);
       
       // Then try to sign out from Supabase
-      const { error } = await supabase.auth.signOut();
+      const { error } = await backend.auth.signOut();
       
       // Ignore "Auth session missing" errors since we're already logged out
       if (error && error.message !== 'Auth session missing!') {
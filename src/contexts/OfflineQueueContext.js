@@ -0,0 +1,53 @@
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import { AppState } from 'react-native';
+import { offlineQueue } from '../services/offlineQueue';
+import { useAuth } from './AuthContext';
+
+const OfflineQueueContext = createContext({});
+
+export const OfflineQueueProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(offlineQueue.getStatus());
+  const appState = useRef(AppState.currentState);
+
+  useEffect(() => offlineQueue.subscribe(setStatus), []);
+
+  // Each user only sees and replays their own queued changes
+  useEffect(() => {
+    offlineQueue.setUser(user?.id ?? null);
+  }, [user?.id]);
+
+  // Replay queued changes on sign in and whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!user) return;
+
+    offlineQueue.flush();
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (appState.current.match(/inactive|background/) && nextState === 'active') {
+        offlineQueue.flush();
+      }
+      appState.current = nextState;
+    });
+
+    return () => subscription.remove();
+  }, [user]);
+
+  const value = {
+    ...status,
+    flush: () => offlineQueue.flush(),
+    retry: (entryId) => offlineQueue.retry(entryId),
+    discard: (entryId) => offlineQueue.discard(entryId),
+    clearConflicts: () => offlineQueue.clearConflicts(),
+  };
+
+  return <OfflineQueueContext.Provider value={value}>{children}</OfflineQueueContext.Provider>;
+};
+
+export const useOfflineQueue = () => {
+  const context = useContext(OfflineQueueContext);
+  if (!context) {
+    throw new Error('useOfflineQueue must be used within an OfflineQueueProvider');
+  }
+  return context;
+};
@@ -0,0 +1,227 @@
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
+import api, { DEFAULT_PAGE_SIZE } from '../services/api';
+import { queryCache, queryKeys } from '../services/queryCache';
+import { useAuth } from './AuthContext';
+
+const QueryCacheContext = createContext({});
+
+const EMPTY_FAVORITE_STATE = { statuses: {}, counts: {} };
+
+export const QueryCacheProvider = ({ children }) => {
+  const { user } = useAuth();
+  const previousUserId = useRef(user?.id ?? null);
+
+  // Restore persisted entries for instant cold starts
+  useEffect(() => {
+    queryCache.hydrate();
+  }, []);
+
+  // Never show one account's cached data to another
+  useEffect(() => {
+    const userId = user?.id ?? null;
+    if (previousUserId.current && previousUserId.current !== userId) {
+      queryCache.clear();
+    }
+    previousUserId.current = userId;
+  }, [user]);
+
+  return <QueryCacheContext.Provider value={queryCache}>{children}</QueryCacheContext.Provider>;
+};
+
+/**
+ * A key that keeps its identity until its contents change, so callers can
+ * build the key array inline on every render
+ */
+function useStableKey(key) {
+  const hash = JSON.stringify(key);
+  return useMemo(() => JSON.parse(hash), [hash]);
+}
+
+/**
+ * Read a cached query, fetching it when missing or stale.
+ * Cached data is returned immediately while a refetch runs in the background;
+ * `refreshing` is only set for explicit refetches (pull to refresh).
+ *
+ * @param {Array} key - Cache key, see queryKeys
+ * @param {Function} fetcher - async () => data
+ * @param {Object} options
+ * @param {boolean} options.enabled - Set false to skip fetching (e.g. no user yet)
+ * @param {number} options.staleTime - Age in ms after which data is refetched
+ * @returns {{ data, loading, refreshing, error, refetch, revalidate, setData }}
+ */
+export function useQuery(queryKey, fetcher, { enabled = true, staleTime } = {}) {
+  const cache = useContext(QueryCacheContext);
+  const key = useStableKey(queryKey);
+  const [entry, setEntry] = useState(() => cache.get(key));
+  const [fetching, setFetching] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Keep the latest fetcher without refetching on every render
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const load = useCallback(async ({ force = false } = {}) => {
+    if (!enabled) return undefined;
+
+    setFetching(true);
+    if (force) setRefreshing(true);
+    try {
+      const data = await cache.fetch(key, () => fetcherRef.current(), { force, staleTime });
+      setError(null);
+      return data;
+    } catch (fetchError) {
+      setError(fetchError);
+      throw fetchError;
+    } finally {
+      setFetching(false);
+      setRefreshing(false);
+    }
+  }, [cache, key, enabled, staleTime]);
+
+  useEffect(() => {
+    setEntry(cache.get(key));
+
+    return cache.subscribe(key, (nextEntry) => {
+      setEntry(nextEntry);
+      // Invalidated while on screen - refresh in the background
+      if (nextEntry?.isStale) {
+        load().catch(() => {});
+      }
+    });
+  }, [cache, key, load]);
+
+  useEffect(() => {
+    load().catch(() => {});
+  }, [load]);
+
+  const setData = useCallback((updater) => cache.setData(key, updater), [cache, key]);
+
+  const data = entry?.data;
+
+  return {
+    data,
+    loading: enabled && data === undefined && (fetching || !error),
+    refreshing,
+    error,
+    refetch: () => load({ force: true }),
+    revalidate: () => load(),
+    setData,
+  };
+}
+
+/**
+ * Read a cursor paginated list through the cache (see PAGINATION in api.js).
+ * The cached entry holds every page loaded so far as { items, nextCursor };
+ * revalidating refetches the loaded items in one request so the list keeps
+ * its length.
+ *
+ * @param {Array} key - Cache key, see queryKeys
+ * @param {Function} fetchPage - async ({ cursor, limit }) => { items, nextCursor }
+ * @param {Object} options - Same as useQuery, plus pageSize
+ * @returns {{ items, hasMore, loadMore, loadingMore, loading, refreshing, error, refetch, revalidate, setData }}
+ */
+export function useInfiniteQuery(queryKey, fetchPage, { pageSize = DEFAULT_PAGE_SIZE, ...options } = {}) {
+  const cache = useContext(QueryCacheContext);
+  const key = useStableKey(queryKey);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+
+  const fetchFirstPage = useCallback(() => {
+    const loadedCount = cache.getData(key)?.items?.length || 0;
+    return fetchPage({ cursor: null, limit: Math.max(pageSize, loadedCount) });
+  }, [cache, key, fetchPage, pageSize]);
+
+  const query = useQuery(key, fetchFirstPage, options);
+  const { data, setData } = query;
+
+  const loadMore = useCallback(async () => {
+    const cursor = data?.nextCursor;
+    if (!cursor || loadingMoreRef.current) return;
+
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    try {
+      const page = await fetchPage({ cursor, limit: pageSize });
+      // Drop the page if the list was refetched in the meantime
+      setData(previous => (previous?.nextCursor === cursor
+        ? { items: [...previous.items, ...page.items], nextCursor: page.nextCursor }
+        : previous));
+    } catch (error) {
+      console.error('Error loading more:', error);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  }, [data, fetchPage, pageSize, setData]);
+
+  return {
+    ...query,
+    items: data?.items || [],
+    hasMore: !!data?.nextCursor,
+    loadMore,
+    loadingMore,
+  };
+}
+
+/**
+ * Shared favorite status and counts for the signed in user.
+ * Toggling here updates every screen showing the same bench.
+ *
+ * @returns {{ statuses, counts, toggleFavorite, loadFavoriteState }}
+ */
+export function useFavoriteState() {
+  const cache = useContext(QueryCacheContext);
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const key = useMemo(() => queryKeys.favoriteState(userId), [userId]);
+  const subscribe = useCallback((onChange) => cache.subscribe(key, onChange), [cache, key]);
+  const state = useSyncExternalStore(subscribe, () => cache.getData(key) || EMPTY_FAVORITE_STATE);
+
+  /**
+   * Fetch statuses and counts for a set of benches into the shared state
+   */
+  const loadFavoriteState = useCallback(async (benchIds) => {
+    if (!user || benchIds.length === 0) return;
+    const { statuses, counts } = await api.favorites.getBatchData(benchIds, user.id);
+    cache.mergeFavoriteState(user.id, { statuses, counts });
+  }, [cache, user]);
+
+  /**
+   * Optimistically toggle a favorite, reverting if the request fails
+   * @returns {boolean} New favorite status
+   */
+  const toggleFavorite = useCallback(async (benchId) => {
+    const wasFavorite = !!cache.getData(key)?.statuses?.[benchId];
+    cache.applyFavoriteChange(user.id, benchId, !wasFavorite);
+
+    try {
+      const newStatus = await api.favorites.toggle(benchId, user.id, wasFavorite);
+      cache.applyFavoriteChange(user.id, benchId, newStatus);
+      return newStatus;
+    } catch (toggleError) {
+      cache.applyFavoriteChange(user.id, benchId, wasFavorite);
+      throw toggleError;
+    }
+  }, [cache, key, user]);
+
+  return {
+    statuses: state.statuses,
+    counts: state.counts,
+    toggleFavorite,
+    loadFavoriteState,
+  };
+}
+
+/**
+ * IDs of the benches the current user has checked in at, as a Set (empty
+ * when logged out). Shared by the lists and maps that mark visited benches.
+ */
+export function useVisitedBenchIds() {
+  const { user } = useAuth();
+
+  const fetchVisitedBenchIds = useCallback(() => api.visits.getVisitedBenchIds(user.id), [user]);
+  const { data } = useQuery(queryKeys.visitedBenches(user?.id), fetchVisitedBenchIds, { enabled: !!user });
+
+  return useMemo(() => new Set(user ? data || [] : []), [user, data]);
+}
@@ -0,0 +1,22 @@
+/**
+ * Deep links into the app (the "scheme" in app.json), used to share
+ * collections
+ */
+
+const PREFIX = 'benchspotter://';
+
+export const linking = {
+  prefixes: [PREFIX],
+  config: {
+    screens: {
+      Collection: 'collections/:collectionId',
+    },
+  },
+};
+
+/**
+ * Link that opens a collection in the app
+ */
+export function collectionUrl(collectionId) {
+  return `${PREFIX}collections/${collectionId}`;
+}
@@ -15,16 +15,20 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import * as ImagePicker from 'expo-image-picker';
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
 import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { getStyles } from '../styles';
+import { toAttributeFields } from '../utils/amenities';
 
 // Import extracted components
 import FormInput from '../components/FormInput';
 import ViewTypeSelector from '../components/ViewTypeSelector';
+import AmenitySelector from '../components/AmenitySelector';
+import AccessibilitySelector from '../components/AccessibilitySelector';
 import LocationDisplay from '../components/LocationDisplay';
+import SyncStatusBanner from '../components/SyncStatusBanner';
 
 // Maximum number of photos allowed
 const MAX_PHOTOS = 5;
@@ -38,10 +42,17 @@ export default function AddBenchScreen({ navigation, route }) {
   const [description, setDescription] = useState('');
   const [viewType, setViewType] = useState('ocean');
   const [accessibilityNotes, setAccessibilityNotes] = useState('');
+  const [attributes, setAttributes] = useState(() => toAttributeFields(null));
   const [location, setLocation] = useState(route.params?.location || null);
   const [photos, setPhotos] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState('');
+  const [duplicates, setDuplicates] = useState([]);
+
+  // Possible duplicates only apply to the title and spot they were found for
+  useEffect(() => {
+    setDuplicates([]);
+  }, [title, location]);
 
   // Update location when route params change (coming back from map selection)
   useEffect(() => {
@@ -187,7 +198,41 @@ export default function AddBenchScreen({ navigation, route }) {
     }
   };
 
-  const handleSubmit = async () => {
+  const preparePhotos = () => Promise.all(
+    photos.map(async (photo) => ({
+      uri: photo.uri,
+      base64: photo.base64 || await getBase64FromUri(photo.uri),
+      mimeType: photo.mimeType || 'image/jpeg',
+    }))
+  );
+
+  const handleAddPhotosToExisting = async (bench) => {
+    setLoading(true);
+    setUploadProgress('Uploading photos...');
+
+    try {
+      await api.photos.uploadMultiple({
+        benchId: bench.id,
+        userId: user.id,
+        photos: await preparePhotos(),
+      });
+
+      Alert.alert('Photos added', `Your photos were added to ${bench.title}`, [
+        {
+          text: 'OK',
+          onPress: () => navigation.replace('BenchDetail', { benchId: bench.id }),
+        },
+      ]);
+    } catch (error) {
+      console.error('Error adding photos:', error);
+      Alert.alert('Error', 'Could not add your photos. Please try again.');
+    } finally {
+      setLoading(false);
+      setUploadProgress('');
+    }
+  };
+
+  const handleSubmit = async ({ allowDuplicates = false } = {}) => {
     if (!title.trim()) {
       Alert.alert('Error', 'Please enter a title');
       return;
@@ -210,33 +255,30 @@ export default function AddBenchScreen({ navigation, route }) {
         longitude: location.longitude,
         viewType,
         accessibilityNotes: accessibilityNotes.trim(),
-      });
+        ...attributes,
+      }, { allowDuplicates });
 
       // Upload photos if any
       if (photos.length > 0) {
         setUploadProgress('Uploading photos...');
-        
-        // Prepare photos with base64 data
-        const photosToUpload = await Promise.all(
-          photos.map(async (photo, index) => {
-            let base64 = photo.base64;
-            if (!base64) {
-              base64 = await getBase64FromUri(photo.uri);
-            }
-            return {
-              base64,
-              mimeType: photo.mimeType || 'image/jpeg',
-            };
-          })
-        );
 
         await api.photos.uploadMultiple({
           benchId: bench.id,
           userId: user.id,
-          photos: photosToUpload,
+          photos: await preparePhotos(),
         });
       }
 
+      if (bench.pending) {
+        Alert.alert('Saved offline', 'No connection right now. Your bench will be added as soon as you are back online.', [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]);
+        return;
+      }
+
       Alert.alert('Success!', 'Bench added successfully', [
         {
           text: 'OK',
@@ -244,6 +286,10 @@ export default function AddBenchScreen({ navigation, route }) {
         },
       ]);
     } catch (error) {
+      if (error.isDuplicate) {
+        setDuplicates(error.duplicates);
+        return;
+      }
       console.error('Error adding bench:', error);
       Alert.alert('Error', 'Could not add bench. Please try again.');
     } finally {
@@ -280,6 +326,9 @@ export default function AddBenchScreen({ navigation, route }) {
             showsVerticalScrollIndicator={false}
             keyboardShouldPersistTaps="handled"
           >
+            {/* Benches and photos still waiting to sync */}
+            <SyncStatusBanner />
+
             {/* Photo Section */}
             <View style={localStyles.photoSection}>
               <View style={localStyles.photoHeader}>
@@ -372,6 +421,11 @@ export default function AddBenchScreen({ navigation, route }) {
                 onValueChange={setViewType}
               />
 
+              <AmenitySelector
+                values={attributes}
+                onValuesChange={setAttributes}
+              />
+
               {/* Enhanced Location Display with Map Selection */}
               <View style={localStyles.locationSection}>
                 <Text style={[styles.sectionLabel, { marginBottom: 8 }]}>location</Text>
@@ -395,6 +449,11 @@ export default function AddBenchScreen({ navigation, route }) {
                 </TouchableOpacity>
               </View>
 
+              <AccessibilitySelector
+                values={attributes}
+                onValuesChange={setAttributes}
+              />
+
               <FormInput
                 placeholder="accessibility notes (optional)"
                 value={accessibilityNotes}
@@ -410,16 +469,64 @@ export default function AddBenchScreen({ navigation, route }) {
                 </View>
               ) : null}
 
+              {/* Benches that look like the one being added */}
+              {duplicates.length > 0 && (
+                <View style={[localStyles.duplicateSection, {
+                  backgroundColor: colors.card.background,
+                  borderColor: colors.border,
+                }]}>
+                  <View style={localStyles.duplicateHeader}>
+                    <Ionicons name="copy-outline" size={18} color={colors.icon.primary} />
+                    <Text style={[localStyles.duplicateTitle, { color: colors.text.primary }]}>
+                      is it one of these?
+                    </Text>
+                  </View>
+                  <Text style={[localStyles.duplicateHint, { color: colors.text.secondary }]}>
+                    {duplicates.length === 1 ? 'a bench' : 'benches'} like this {duplicates.length === 1 ? 'is' : 'are'} already on the map nearby
+                  </Text>
+
+                  {duplicates.map(({ bench, distanceMeters }) => (
+                    <View key={bench.id} style={[localStyles.duplicateItem, { borderTopColor: colors.border }]}>
+                      <View style={localStyles.duplicateInfo}>
+                        <Text style={[localStyles.duplicateName, { color: colors.text.primary }]} numberOfLines={1}>
+                          {bench.title}
+                        </Text>
+                        <Text style={[localStyles.duplicateMeta, { color: colors.text.tertiary }]}>
+                          {distanceMeters} m away{bench.view_type ? ` · ${bench.view_type}` : ''}
+                        </Text>
+                      </View>
+                      <View style={localStyles.duplicateActions}>
+                        <TouchableOpacity
+                          onPress={() => navigation.navigate('BenchDetail', { benchId: bench.id })}
+                          disabled={loading}
+                        >
+                          <Text style={[localStyles.duplicateAction, { color: colors.button.primary }]}>open</Text>
+                        </TouchableOpacity>
+                        {photos.length > 0 && (
+                          <TouchableOpacity onPress={() => handleAddPhotosToExisting(bench)} disabled={loading}>
+                            <Text style={[localStyles.duplicateAction, { color: colors.button.primary }]}>
+                              add my photos
+                            </Text>
+                          </TouchableOpacity>
+                        )}
+                      </View>
+                    </View>
+                  ))}
+                </View>
+              )}
+
               <TouchableOpacity
                 style={styles.submitButton}
-                onPress={handleSubmit}
+                onPress={() => handleSubmit({ allowDuplicates: duplicates.length > 0 })}
                 disabled={loading}
                 activeOpacity={0.7}
               >
                 {loading ? (
                   <ActivityIndicator color={colors.button.primaryText} size="small" />
                 ) : (
-                  <Text style={styles.submitButtonText}>add bench</Text>
+                  <Text style={styles.submitButtonText}>
+                    {duplicates.length > 0 ? "no, it's a new bench" : 'add bench'}
+                  </Text>
                 )}
               </TouchableOpacity>
             </View>
@@ -536,4 +643,51 @@ const localStyles = {
     fontSize: 14,
     fontWeight: '500',
   },
+  duplicateSection: {
+    borderRadius: 8,
+    borderWidth: 1,
+    padding: 16,
+    marginBottom: 16,
+  },
+  duplicateHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  duplicateTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  duplicateHint: {
+    fontSize: 13,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  duplicateItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 10,
+    marginTop: 10,
+    borderTopWidth: 1,
+    gap: 12,
+  },
+  duplicateInfo: {
+    flex: 1,
+  },
+  duplicateName: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  duplicateMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  duplicateActions: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  duplicateAction: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
 };
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -6,16 +6,23 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Alert,
-  Linking,
   KeyboardAvoidingView,
   Platform,
   Keyboard,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../services/api';
+import * as Location from 'expo-location';
+import api, { DEFAULT_PAGE_SIZE, TRASH_RETENTION_DAYS, LOCATION_VOTES_NEEDED } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useOfflineQueue } from '../contexts/OfflineQueueContext';
+import { useQuery, useFavoriteState } from '../contexts/QueryCacheContext';
+import { queryCache, queryKeys } from '../services/queryCache';
+import { MUTATION_TYPES } from '../services/offlineQueue';
 import { getStyles } from '../styles';
+import { RATING_DIMENSIONS } from '../utils/ratings';
+import { openDirections } from '../utils/directions';
+import { DEFAULT_COMMENT_SORT } from '../utils/commentThreads';
 
 // Import extracted components
 import PhotoCarousel from '../components/PhotoCarousel';
@@ -23,151 +30,287 @@ import BenchInfo from '../components/BenchInfo';
 import RatingDisplay from '../components/RatingDisplay';
 import CommentSection from '../components/CommentSection';
 import RatingModal from '../components/RatingModal';
+import SyncStatusBanner from '../components/SyncStatusBanner';
+import LocationProposals from '../components/LocationProposals';
+import BenchIssues from '../components/BenchIssues';
+import IssueModal from '../components/IssueModal';
+import CollectionPicker from '../components/CollectionPicker';
+import CollectionModal from '../components/CollectionModal';
+import ReportModal from '../components/ReportModal';
+import CommentHistoryModal from '../components/CommentHistoryModal';
 
 export default function BenchDetailScreen({ route, navigation }) {
   const { benchId } = route.params;
   const { user } = useAuth();
   const { colors } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
+  const { entries: queuedEntries, pendingCount } = useOfflineQueue();
 
-  const [bench, setBench] = useState(null);
-  const [photos, setPhotos] = useState([]);
-  const [ratings, setRatings] = useState([]);
-  const [comments, setComments] = useState([]);
-  const [creator, setCreator] = useState(null);
-  const [isFavorite, setIsFavorite] = useState(false);
-  const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(false);
-  const [userRating, setUserRating] = useState(null);
+  const [pendingRating, setPendingRating] = useState(null);
   const [showRatingModal, setShowRatingModal] = useState(false);
   const [commentText, setCommentText] = useState('');
   const [submittingComment, setSubmittingComment] = useState(false);
-  const [tempViewRating, setTempViewRating] = useState(0);
-  const [tempComfortRating, setTempComfortRating] = useState(0);
-  const [favoriteCount, setFavoriteCount] = useState(0);
-  const [isFollowingCreator, setIsFollowingCreator] = useState(false);
+  const [tempRatings, setTempRatings] = useState({});
   const [followLoading, setFollowLoading] = useState(false);
+  const [proposalBusyId, setProposalBusyId] = useState(null);
+  const [reportTarget, setReportTarget] = useState(null);
+  const [submittingReport, setSubmittingReport] = useState(false);
+  const [historyComment, setHistoryComment] = useState(null);
+  const [showIssueModal, setShowIssueModal] = useState(false);
+  const [submittingIssue, setSubmittingIssue] = useState(false);
+  const [issueBusyId, setIssueBusyId] = useState(null);
+  const [checkingIn, setCheckingIn] = useState(false);
+  const [showCollectionPicker, setShowCollectionPicker] = useState(false);
+  const [collectionBusyId, setCollectionBusyId] = useState(null);
+  const [creatingCollection, setCreatingCollection] = useState(false);
+  const [savingCollection, setSavingCollection] = useState(false);
 
-  // Check if current user is the owner of this bench
-  const isOwner = user && bench && user.id === bench.user_id;
+  const { statuses: favoriteStatuses, counts: favoriteCounts, toggleFavorite: toggleSharedFavorite } = useFavoriteState();
 
-  useEffect(() => {
-    fetchBenchDetails();
+  // Order picked in CommentSection; data.commentsSort is the one the loaded comments are paged in
+  const commentSort = useRef(DEFAULT_COMMENT_SORT);
+
+  // Mark the comments the user liked (like counts come with the comments)
+  const withLikes = useCallback(async (commentsData) => {
+    let likedIds = [];
     if (user) {
-      checkIfFavorite();
+      try {
+        likedIds = await api.commentLikes.getLikedIds(user.id, commentsData.map(comment => comment.id));
+      } catch (error) {
+        console.error('Error fetching comment like status:', error);
+      }
     }
-  }, [benchId, user]);
+    return commentsData.map(comment => ({ ...comment, user_has_liked: likedIds.includes(comment.id) }));
+  }, [user]);
 
-  // Refresh data when returning from edit screen
-  useEffect(() => {
-    const unsubscribe = navigation.addListener('focus', () => {
-      if (bench) {
-        fetchBenchDetails();
-      }
-    });
-    return unsubscribe;
-  }, [navigation, bench]);
+  const fetchBenchDetails = useCallback(async () => {
+    // Refetch as many threads as are already on screen
+    const loadedComments = (queryCache.getData(queryKeys.bench(benchId))?.comments || [])
+      .filter(comment => !comment.parent_id).length;
+    const sort = commentSort.current;
 
-  const fetchBenchDetails = async () => {
-    try {
-      // Fetch all data including favorite count
-      const [benchData, photosData, ratingsData, commentsData, favCount] = await Promise.all([
-        api.benches.getById(benchId),
-        api.photos.getByBenchId(benchId),
-        api.ratings.getByBenchId(benchId),
-        api.comments.getByBenchId(benchId),
-        api.benches.getFavoriteCount(benchId),
-      ]);
-
-      setBench(benchData);
-      setPhotos(photosData);
-      setRatings(ratingsData);
-      
-      // Fetch like status for each comment if user is logged in
-      if (user && commentsData.length > 0) {
-        const commentsWithLikes = await Promise.all(
-          commentsData.map(async (comment) => {
-            try {
-              const [isLiked, likeCount] = await Promise.all([
-                api.commentLikes.isLiked(comment.id, user.id),
-                api.commentLikes.getCount(comment.id)
-              ]);
-              return {
-                ...comment,
-                user_has_liked: isLiked,
-                like_count: likeCount
-              };
-            } catch (error) {
-              console.error('Error fetching comment like status:', error);
-              return {
-                ...comment,
-                user_has_liked: false,
-                like_count: 0
-              };
-            }
-          })
-        );
-        setComments(commentsWithLikes);
-      } else {
-        // For non-logged in users, fetch counts only
-        const commentsWithCounts = await Promise.all(
-          commentsData.map(async (comment) => {
-            try {
-              const likeCount = await api.commentLikes.getCount(comment.id);
-              return {
-                ...comment,
-                user_has_liked: false,
-                like_count: likeCount
-              };
-            } catch (error) {
-              return {
-                ...comment,
-                user_has_liked: false,
-                like_count: 0
-              };
-            }
-          })
-        );
-        setComments(commentsWithCounts);
-      }
-      
-      setFavoriteCount(favCount);
+    // Fetch all data including favorite count
+    const [benchData, photosData, ratingsData, commentsPage, favCount, isFav] = await Promise.all([
+      api.benches.getById(benchId),
+      api.photos.getByBenchId(benchId),
+      api.ratings.getByBenchId(benchId),
+      api.comments.getByBenchId(benchId, {
+        sort,
+        limit: Math.max(DEFAULT_PAGE_SIZE, loadedComments),
+        viewerId: user?.id,
+      }),
+      api.benches.getFavoriteCount(benchId),
+      user ? api.favorites.isFavorite(benchId, user.id).catch((error) => {
+        console.error('Error checking favorite status:', error);
+        return undefined;
+      }) : undefined,
+    ]);
 
-      // Fetch creator profile
-      if (benchData?.user_id) {
-        const profileData = await api.profiles.getById(benchData.user_id);
-        setCreator(profileData);
+    const commentsWithLikes = await withLikes(commentsPage.items);
 
-        // Check if following creator
-        if (user && user.id !== benchData.user_id) {
-          const following = await api.follows.isFollowing(user.id, benchData.user_id);
-          setIsFollowingCreator(following);
-        }
-      }
+    // Fetch creator profile
+    let creatorData = null;
+    let following = false;
+    if (benchData?.user_id) {
+      creatorData = await api.profiles.getById(benchData.user_id);
 
-      // Find user's rating if logged in
-      if (user) {
-        const userRatingData = ratingsData.find(r => r.user_id === user.id);
-        setUserRating(userRatingData || null);
+      // Check if following creator
+      if (user && user.id !== benchData.user_id) {
+        following = await api.follows.isFollowing(user.id, benchData.user_id);
       }
+    }
 
-      setLoading(false);
-    } catch (error) {
-      console.error('Error fetching bench details:', error);
+    // Raters the user follows get a mention in the ratings breakdown
+    const raterIds = ratingsData.map(rating => rating.user_id).filter(id => id !== user?.id);
+    const followedRaterIds = user ? await api.follows.getFollowedIds(user.id, raterIds) : [];
+
+    // Share favorite state with the other screens
+    if (user) {
+      queryCache.mergeFavoriteState(user.id, {
+        statuses: isFav === undefined ? {} : { [benchId]: isFav },
+        counts: { [benchId]: favCount },
+      });
+    }
+
+    return {
+      bench: benchData,
+      photos: photosData,
+      ratings: ratingsData,
+      comments: commentsWithLikes,
+      commentsCursor: commentsPage.nextCursor,
+      commentsSort: sort,
+      creator: creatorData,
+      isFollowingCreator: following,
+      followedRaterIds,
+    };
+  }, [benchId, user, withLikes]);
+
+  const {
+    data,
+    loading,
+    error: fetchError,
+    refetch,
+    revalidate,
+    setData,
+  } = useQuery(queryKeys.bench(benchId), fetchBenchDetails);
+
+  const fetchLocationProposals = useCallback(
+    () => api.locations.getByBenchId(benchId, user?.id),
+    [benchId, user]
+  );
+
+  const { data: locationProposals } = useQuery(queryKeys.benchLocations(benchId), fetchLocationProposals);
+
+  const fetchIssues = useCallback(
+    () => api.issues.getByBenchId(benchId, user?.id),
+    [benchId, user]
+  );
+
+  const { data: issues } = useQuery(queryKeys.benchIssues(benchId), fetchIssues);
+
+  const fetchMyVisits = useCallback(
+    () => api.visits.getForBench(benchId, user.id),
+    [benchId, user]
+  );
+
+  const { data: myVisits } = useQuery(queryKeys.benchVisits(benchId), fetchMyVisits, { enabled: !!user });
+
+  const fetchMyCollections = useCallback(
+    () => api.collections.getForBench(benchId, user.id),
+    [benchId, user]
+  );
+
+  // Only needed once the picker opens
+  const { data: myCollections } = useQuery(
+    queryKeys.collectionsForBench(user?.id, benchId),
+    fetchMyCollections,
+    { enabled: !!user && showCollectionPicker }
+  );
+
+  const fetchCommentRevisions = useCallback(
+    () => api.comments.getRevisions(historyComment.id),
+    [historyComment]
+  );
+
+  const { data: commentRevisions, loading: loadingCommentRevisions } = useQuery(
+    queryKeys.commentRevisions(historyComment?.id),
+    fetchCommentRevisions,
+    { enabled: !!historyComment }
+  );
+
+  const bench = data?.bench || null;
+  const photos = data?.photos || [];
+  const ratings = data?.ratings || [];
+  const comments = data?.comments || [];
+  const creator = data?.creator || null;
+  const isFollowingCreator = data?.isFollowingCreator || false;
+  const isFavorite = !!favoriteStatuses[benchId];
+  const favoriteCount = favoriteCounts[benchId] || 0;
+
+  // Find user's rating if logged in (a queued rating wins until it syncs)
+  const userRating = pendingRating || (user && ratings.find(r => r.user_id === user.id)) || null;
+
+  // Check if current user is the owner of this bench
+  const isOwner = user && bench && user.id === bench.user_id;
+
+  useEffect(() => {
+    if (fetchError) {
+      console.error('Error fetching bench details:', fetchError);
       Alert.alert('Error', 'Could not load bench details');
-      setLoading(false);
     }
+  }, [fetchError]);
+
+  const reloadBenchDetails = () => {
+    refetch().catch(() => {});
   };
 
-  const checkIfFavorite = async () => {
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false);
+
+  const loadMoreComments = async () => {
+    const cursor = data?.commentsCursor;
+    if (!cursor || loadingMoreComments) return;
+
+    setLoadingMoreComments(true);
     try {
-      const isFav = await api.favorites.isFavorite(benchId, user.id);
-      setIsFavorite(isFav);
+      const page = await api.comments.getByBenchId(benchId, {
+        sort: data.commentsSort,
+        cursor,
+        viewerId: user?.id,
+      });
+      const moreComments = await withLikes(page.items);
+      // Drop the page if the comments were refetched in the meantime
+      setData(previous => (previous?.commentsCursor === cursor
+        ? { ...previous, comments: [...previous.comments, ...moreComments], commentsCursor: page.nextCursor }
+        : previous));
     } catch (error) {
-      console.error('Error checking favorite status:', error);
+      console.error('Error loading more comments:', error);
+      Alert.alert('Error', 'Could not load more comments');
+    } finally {
+      setLoadingMoreComments(false);
     }
   };
 
+  // Start over from the first page in the new order
+  const handleCommentSortChange = useCallback(async (sort) => {
+    commentSort.current = sort;
+    if (sort === queryCache.getData(queryKeys.bench(benchId))?.commentsSort) return;
+
+    try {
+      const page = await api.comments.getByBenchId(benchId, { sort, viewerId: user?.id });
+      const sortedComments = await withLikes(page.items);
+      // Drop the page if the order changed again in the meantime
+      if (commentSort.current === sort) {
+        setData(previous => previous && {
+          ...previous,
+          comments: sortedComments,
+          commentsCursor: page.nextCursor,
+          commentsSort: sort,
+        });
+      }
+    } catch (error) {
+      console.error('Error sorting comments:', error);
+      Alert.alert('Error', 'Could not load the comments in this order');
+    }
+  }, [benchId, user, withLikes, setData]);
+
+  // Comments written offline, shown until they sync
+  const pendingComments = useMemo(() => (queuedEntries || [])
+    .filter(entry => entry.type === MUTATION_TYPES.COMMENT_CREATE && entry.payload.benchId === benchId)
+    .map(entry => ({
+      id: entry.localId || entry.id,
+      bench_id: benchId,
+      user_id: entry.payload.userId,
+      text: entry.payload.text,
+      parent_id: entry.payload.parentId,
+      comment_mentions: (entry.payload.mentions || []).map(mention => ({
+        user_id: mention.userId,
+        start_index: mention.start,
+        end_index: mention.end,
+      })),
+      created_at: entry.createdAt,
+      profiles: { id: entry.payload.userId, username: user?.user_metadata?.username },
+      pending: true,
+    })), [queuedEntries, benchId, user]);
+
+  // Refresh once queued changes have synced
+  const previousPendingCount = useRef(pendingCount);
+  useEffect(() => {
+    if (pendingCount < previousPendingCount.current && bench) {
+      setPendingRating(null);
+      reloadBenchDetails();
+    }
+    previousPendingCount.current = pendingCount;
+  }, [pendingCount]);
+
+  // Refresh data when returning from edit screen
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      revalidate().catch(() => {});
+    });
+    return unsubscribe;
+  }, [navigation, revalidate]);
+
   const toggleFavorite = async () => {
     if (!user) {
       Alert.alert('Login Required', 'Please login to favorite benches');
@@ -175,9 +318,7 @@ export default function BenchDetailScreen({ route, navigation }) {
     }
 
     try {
-      const newStatus = await api.favorites.toggle(benchId, user.id);
-      setIsFavorite(newStatus);
-      setFavoriteCount(prev => newStatus ? prev + 1 : prev - 1);
+      await toggleSharedFavorite(benchId);
     } catch (error) {
       console.error('Error toggling favorite:', error);
       Alert.alert('Error', 'Could not update favorite');
@@ -195,7 +336,7 @@ export default function BenchDetailScreen({ route, navigation }) {
     setFollowLoading(true);
     try {
       const newStatus = await api.follows.toggle(user.id, creator.id);
-      setIsFollowingCreator(newStatus);
+      setData(previous => ({ ...previous, isFollowingCreator: newStatus }));
     } catch (error) {
       console.error('Error toggling follow:', error);
       Alert.alert('Error', 'Could not update follow status');
@@ -204,6 +345,43 @@ export default function BenchDetailScreen({ route, navigation }) {
     }
   };
 
+  const openReport = useCallback((targetType, targetId) => {
+    if (!user) {
+      Alert.alert('Login Required', 'Please login to report content');
+      return;
+    }
+    setReportTarget({ targetType, targetId });
+  }, [user]);
+
+  // Stable so the memoized carousel doesn't re-render
+  const handleReportPhoto = useCallback((photo) => openReport('photo', photo.id), [openReport]);
+
+  const handleSubmitReport = async ({ reason, details }) => {
+    setSubmittingReport(true);
+    try {
+      const report = await api.reports.create({
+        userId: user.id,
+        targetType: reportTarget.targetType,
+        targetId: reportTarget.targetId,
+        benchId,
+        reason,
+        details,
+      });
+      setReportTarget(null);
+      Alert.alert(
+        report ? 'Thanks for reporting' : 'Already reported',
+        report
+          ? 'A moderator will take a look.'
+          : 'You have already reported this. A moderator will take a look.'
+      );
+    } catch (error) {
+      console.error('Error reporting content:', error);
+      Alert.alert('Error', error.message || 'Could not send report');
+    } finally {
+      setSubmittingReport(false);
+    }
+  };
+
   const handleEditBench = () => {
     navigation.navigate('EditBench', { bench });
   };
@@ -211,49 +389,252 @@ export default function BenchDetailScreen({ route, navigation }) {
   const handleDeleteBench = useCallback(async () => {
     if (!isOwner) return;
 
-    // Cross-platform confirmation
-    const confirmDelete = () => {
+    // Cross-platform prompt, resolves true when the user picks `action`
+    const ask = (title, message, action, cancel, destructive = false) => {
       return new Promise((resolve) => {
         if (typeof window !== 'undefined' && window.confirm) {
-          resolve(window.confirm(`Delete "${bench.title}"? This action cannot be undone.`));
+          resolve(window.confirm(`${title}\n\n${message}`));
         } else {
           Alert.alert(
-            'Delete Bench',
-            `Delete "${bench.title}"? This action cannot be undone.`,
+            title,
+            message,
             [
-              { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
-              { text: 'Delete', style: 'destructive', onPress: () => resolve(true) },
-            ]
+              { text: cancel, style: 'cancel', onPress: () => resolve(false) },
+              { text: action, style: destructive ? 'destructive' : 'default', onPress: () => resolve(true) },
+            ],
+            { cancelable: false }
           );
         }
       });
     };
 
-    const shouldDelete = await confirmDelete();
+    const shouldDelete = await ask(
+      'Delete Bench',
+      `Move "${bench.title}" to the trash? You can restore it from your profile for ${TRASH_RETENTION_DAYS} days.`,
+      'Delete',
+      'Cancel',
+      true
+    );
     if (!shouldDelete) return;
 
     setDeleting(true);
 
     try {
       await api.benches.delete(benchId, user.id);
-
-      Alert.alert('Deleted', 'Bench has been deleted', [
-        {
-          text: 'OK',
-          onPress: () => navigation.goBack(),
-        },
-      ]);
     } catch (error) {
       console.error('Error deleting bench:', error);
       Alert.alert('Error', 'Could not delete bench. Please try again.');
+      setDeleting(false);
+      return;
+    }
+
+    const shouldUndo = await ask('Moved to trash', `"${bench.title}" was moved to the trash. Undo?`, 'Undo', 'OK');
+
+    if (!shouldUndo) {
+      setDeleting(false);
+      navigation.goBack();
+      return;
+    }
+
+    try {
+      await api.benches.restore(benchId, user.id);
+    } catch (error) {
+      console.error('Error restoring bench:', error);
+      Alert.alert('Error', 'Could not restore bench. You can still restore it from your profile.');
     } finally {
       setDeleting(false);
     }
   }, [isOwner, bench, benchId, user, navigation]);
 
+  const suggestLocation = () => {
+    if (!user) {
+      Alert.alert('Login Required', 'Please login to correct bench locations');
+      return;
+    }
+
+    navigation.navigate('MainTabs', {
+      screen: 'Explore',
+      params: {
+        selectLocation: true,
+        selectLocationFor: { screen: 'BenchDetail', params: { benchId } },
+        focusBench: {
+          id: bench.id,
+          latitude: bench.latitude,
+          longitude: bench.longitude,
+          title: bench.title,
+        },
+      },
+    });
+  };
+
+  // Location picked on the map (see suggestLocation)
+  const proposedLocation = route.params?.location;
+  useEffect(() => {
+    if (!proposedLocation || !bench || !user) return;
+    navigation.setParams({ location: undefined });
+
+    Alert.alert(
+      isOwner ? 'Move pin' : 'Suggest location',
+      isOwner
+        ? 'Move this bench to the selected spot?'
+        : `Suggest the selected spot as the right location? It is applied once ${LOCATION_VOTES_NEEDED} people confirm it or the owner approves it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: isOwner ? 'Move' : 'Suggest',
+          onPress: async () => {
+            try {
+              await api.locations.propose({ benchId, ...proposedLocation });
+            } catch (error) {
+              console.error('Error proposing location:', error);
+              Alert.alert('Error', error.message || 'Could not suggest this location');
+            }
+          },
+        },
+      ]
+    );
+  }, [proposedLocation, bench, user, benchId, isOwner, navigation]);
+
+  const handleVoteLocation = async (proposal, confirm) => {
+    setProposalBusyId(proposal.id);
+    try {
+      await api.locations.vote(proposal.id, benchId, confirm);
+    } catch (error) {
+      console.error('Error voting on location:', error);
+      Alert.alert('Error', 'Could not save your vote');
+    } finally {
+      setProposalBusyId(null);
+    }
+  };
+
+  const handleResolveLocation = async (proposal, approve) => {
+    setProposalBusyId(proposal.id);
+    try {
+      await api.locations.resolve(proposal.id, benchId, approve);
+    } catch (error) {
+      console.error('Error resolving location:', error);
+      Alert.alert('Error', approve ? 'Could not move the bench' : 'Could not reject this location');
+    } finally {
+      setProposalBusyId(null);
+    }
+  };
+
+  const handleCheckIn = async () => {
+    setCheckingIn(true);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission needed', 'Location access is required to check in');
+        return;
+      }
+
+      const position = await Location.getCurrentPositionAsync({});
+      await api.visits.checkIn(bench, user.id, {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+      });
+      Alert.alert('Checked in', 'Added to your visit history');
+    } catch (error) {
+      if (error.isTooFar) {
+        const away = error.distanceMeters < 1000
+          ? `${Math.round(error.distanceMeters)} m`
+          : `${(error.distanceMeters / 1000).toFixed(1)} km`;
+        Alert.alert('Too far away', `You are ${away} from this bench. Check in when you are sitting on it.`);
+        return;
+      }
+      console.error('Error checking in:', error);
+      Alert.alert('Error', error.message || 'Could not check in');
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+
+  const handleToggleCollection = async (collection) => {
+    setCollectionBusyId(collection.id);
+    try {
+      if (collection.containsBench) {
+        await api.collections.removeBench(collection.id, benchId, user.id);
+      } else {
+        await api.collections.addBench(collection.id, benchId, user.id);
+      }
+    } catch (error) {
+      console.error('Error updating collection:', error);
+      Alert.alert('Error', error.message || 'Could not update the collection');
+    } finally {
+      setCollectionBusyId(null);
+    }
+  };
+
+  const handleCreateCollection = async ({ title, description, visibility, coverPhoto }) => {
+    setSavingCollection(true);
+    try {
+      await api.collections.create({ userId: user.id, title, description, visibility, coverPhoto, benchId });
+      setCreatingCollection(false);
+      setShowCollectionPicker(true);
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      Alert.alert('Error', error.message || 'Could not create the collection');
+    } finally {
+      setSavingCollection(false);
+    }
+  };
+
+  const handleSubmitIssue = async ({ category, description, photo }) => {
+    setSubmittingIssue(true);
+    try {
+      await api.issues.report({ benchId, userId: user.id, category, description, photo });
+      setShowIssueModal(false);
+    } catch (error) {
+      console.error('Error reporting issue:', error);
+      Alert.alert('Error', error.message || 'Could not report the problem');
+    } finally {
+      setSubmittingIssue(false);
+    }
+  };
+
+  const handleConfirmIssue = async (issue) => {
+    setIssueBusyId(issue.id);
+    try {
+      await api.issues.confirm(issue.id, benchId);
+    } catch (error) {
+      console.error('Error confirming issue:', error);
+      Alert.alert('Error', error.message || 'Could not confirm the problem');
+    } finally {
+      setIssueBusyId(null);
+    }
+  };
+
+  const handleResolveIssue = async (issue) => {
+    setIssueBusyId(issue.id);
+    try {
+      await api.issues.resolve(issue.id, benchId);
+    } catch (error) {
+      console.error('Error resolving issue:', error);
+      Alert.alert('Error', 'Could not mark the problem as resolved');
+    } finally {
+      setIssueBusyId(null);
+    }
+  };
+
+  const showProposalOnMap = (proposal) => {
+    navigation.navigate('MainTabs', {
+      screen: 'Explore',
+      params: {
+        // Centered on the suggested spot, with the current pin nearby
+        focusBench: {
+          id: proposal.id,
+          latitude: proposal.latitude,
+          longitude: proposal.longitude,
+          title: `suggested spot for ${bench.title}`,
+        },
+      },
+    });
+  };
+
   const openRatingModal = () => {
-    setTempViewRating(userRating?.view_rating || 0);
-    setTempComfortRating(userRating?.comfort_rating || 0);
+    setTempRatings(Object.fromEntries(
+      RATING_DIMENSIONS.map(({ field, column }) => [field, userRating?.[column] || null])
+    ));
     setShowRatingModal(true);
   };
 
@@ -264,22 +645,28 @@ export default function BenchDetailScreen({ route, navigation }) {
     }
 
     try {
-      await api.ratings.upsert({
+      const rating = await api.ratings.upsert({
         benchId,
         userId: user.id,
-        viewRating: tempViewRating,
-        comfortRating: tempComfortRating,
+        ...tempRatings,
       });
 
       setShowRatingModal(false);
-      fetchBenchDetails(); // Refresh to get updated ratings
+
+      // Queued offline - show it as the user's rating until it syncs
+      if (rating.pending) {
+        setPendingRating(rating);
+        return;
+      }
+
+      reloadBenchDetails(); // Refresh to get updated ratings
     } catch (error) {
       console.error('Error submitting rating:', error);
       Alert.alert('Error', 'Could not submit rating');
     }
   };
 
-  const handleAddComment = async () => {
+  const handleAddComment = async (mentions = []) => {
     if (!user) {
       Alert.alert('Login Required', 'Please login to comment');
       return;
@@ -289,15 +676,18 @@ export default function BenchDetailScreen({ route, navigation }) {
 
     setSubmittingComment(true);
     try {
-      await api.comments.create({
+      const comment = await api.comments.create({
         benchId,
         userId: user.id,
         text: commentText,
+        mentions,
       });
 
       setCommentText('');
       Keyboard.dismiss();
-      fetchBenchDetails(); // Refresh to get updated comments
+      if (!comment.pending) {
+        reloadBenchDetails(); // Refresh to get updated comments
+      }
     } catch (error) {
       console.error('Error adding comment:', error);
       Alert.alert('Error', 'Could not add comment');
@@ -316,8 +706,9 @@ export default function BenchDetailScreen({ route, navigation }) {
       const newStatus = await api.commentLikes.toggle(commentId, user.id);
       
       // Update local state
-      setComments(prevComments => 
-        prevComments.map(comment => {
+      setData(previous => ({
+        ...previous,
+        comments: previous.comments.map(comment => {
           if (comment.id === commentId) {
             return {
               ...comment,
@@ -342,15 +733,15 @@ export default function BenchDetailScreen({ route, navigation }) {
             };
           }
           return comment;
-        })
-      );
+        }),
+      }));
     } catch (error) {
       console.error('Error liking comment:', error);
       Alert.alert('Error', 'Could not like comment');
     }
   };
 
-  const handleReplyToComment = async (parentId, text) => {
+  const handleReplyToComment = async (parentId, text, mentions = []) => {
     if (!user) {
       Alert.alert('Login Required', 'Please login to reply');
       return;
@@ -360,16 +751,19 @@ export default function BenchDetailScreen({ route, navigation }) {
 
     setSubmittingComment(true);
     try {
-      await api.comments.create({
+      const reply = await api.comments.create({
         benchId,
         userId: user.id,
-        text: text.trim(),
+        text,
         parentId,
+        mentions,
       });
 
       setCommentText('');
       Keyboard.dismiss();
-      fetchBenchDetails(); // Refresh to get updated comments
+      if (!reply.pending) {
+        reloadBenchDetails(); // Refresh to get updated comments
+      }
     } catch (error) {
       console.error('Error adding reply:', error);
       Alert.alert('Error', 'Could not add reply');
@@ -378,16 +772,46 @@ export default function BenchDetailScreen({ route, navigation }) {
     }
   };
 
-  const openDirections = () => {
-    const url = Platform.select({
-      ios: `maps:?daddr=${bench.latitude},${bench.longitude}`,
-      android: `geo:${bench.latitude},${bench.longitude}?q=${bench.latitude},${bench.longitude}`,
-    });
+  const handleEditComment = async (commentId, text, mentions = []) => {
+    if (!text.trim()) return;
 
-    Linking.openURL(url).catch(() => {
-      // Fallback to Google Maps
-      Linking.openURL(`https://www.google.com/maps/dir/?api=1&destination=${bench.latitude},${bench.longitude}`);
-    });
+    setSubmittingComment(true);
+    try {
+      // Mentions point into the text as typed, the service trims both
+      await api.comments.update(commentId, user.id, text, mentions);
+
+      setCommentText('');
+      Keyboard.dismiss();
+      reloadBenchDetails();
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      Alert.alert('Error', 'Could not save your changes');
+    } finally {
+      setSubmittingComment(false);
+    }
+  };
+
+  const handleDeleteComment = (comment) => {
+    Alert.alert(
+      'delete comment',
+      'are you sure you want to delete this comment?',
+      [
+        { text: 'cancel', style: 'cancel' },
+        {
+          text: 'delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.comments.delete(comment.id, user.id);
+              reloadBenchDetails();
+            } catch (error) {
+              console.error('Error deleting comment:', error);
+              Alert.alert('Error', 'Could not delete comment');
+            }
+          },
+        },
+      ]
+    );
   };
 
   if (loading) {
@@ -405,7 +829,8 @@ export default function BenchDetailScreen({ route, navigation }) {
     );
   }
 
-  if (!bench) {
+  // Moderators hid this bench - only its owner still sees it
+  if (!bench || (bench.hidden_at && !isOwner)) {
     return (
       <View style={styles.container}>
         <View style={styles.header}>
@@ -414,7 +839,9 @@ export default function BenchDetailScreen({ route, navigation }) {
           </TouchableOpacity>
         </View>
         <View style={styles.emptyState}>
-          <Text style={styles.emptyStateTitle}>bench not found</Text>
+          <Text style={styles.emptyStateTitle}>
+            {bench ? 'this bench was hidden by a moderator' : 'bench not found'}
+          </Text>
         </View>
       </View>
     );
@@ -453,6 +880,26 @@ export default function BenchDetailScreen({ route, navigation }) {
             </TouchableOpacity>
           )}
 
+          {/* Report button - everyone but the owner */}
+          {user && !isOwner && (
+            <TouchableOpacity
+              onPress={() => openReport('bench', bench.id)}
+              style={localStyles.headerButton}
+            >
+              <Ionicons name="flag-outline" size={22} color={colors.icon.primary} />
+            </TouchableOpacity>
+          )}
+
+          {/* Save to one of the user's collections */}
+          {user && (
+            <TouchableOpacity
+              onPress={() => setShowCollectionPicker(true)}
+              style={localStyles.headerButton}
+            >
+              <Ionicons name="albums-outline" size={22} color={colors.icon.primary} />
+            </TouchableOpacity>
+          )}
+
           {/* Favorite button with count */}
           <View style={localStyles.favoriteContainer}>
             <TouchableOpacity onPress={toggleFavorite} style={localStyles.headerButton}>
@@ -481,8 +928,29 @@ export default function BenchDetailScreen({ route, navigation }) {
           showsVerticalScrollIndicator={false}
           keyboardShouldPersistTaps="handled"
         >
+          {/* Changes to this bench still waiting to sync */}
+          <SyncStatusBanner benchId={benchId} />
+
+          {bench.hidden_at && (
+            <View style={[localStyles.hiddenBanner, { borderColor: colors.destructive }]}>
+              <Ionicons name="eye-off-outline" size={16} color={colors.destructive} />
+              <Text style={[localStyles.hiddenBannerText, { color: colors.text.secondary }]}>
+                a moderator hid this bench after it was reported. only you can see it.
+              </Text>
+            </View>
+          )}
+
+          {bench.removed_at && (
+            <View style={[localStyles.hiddenBanner, { borderColor: colors.warning }]}>
+              <Ionicons name="trash-outline" size={16} color={colors.warning} />
+              <Text style={[localStyles.hiddenBannerText, { color: colors.text.secondary }]}>
+                people confirmed this bench is gone (since {new Date(bench.removed_at).toLocaleDateString()}).
+              </Text>
+            </View>
+          )}
+
           {/* Photos */}
-          <PhotoCarousel photos={photos} />
+          <PhotoCarousel photos={photos} onReportPhoto={user ? handleReportPhoto : undefined} />
 
           {/* Main Info with integrated follow button */}
           <BenchInfo 
@@ -509,9 +977,26 @@ export default function BenchDetailScreen({ route, navigation }) {
             </TouchableOpacity>
           )}
 
+          {/* Edit history - anyone can see what a bench used to say */}
+          <TouchableOpacity
+            style={[localStyles.ownerBadge, { backgroundColor: colors.card.background, borderColor: colors.border }]}
+            onPress={() => navigation.navigate('BenchHistory', {
+              benchId,
+              benchTitle: bench.title,
+              ownerId: bench.user_id,
+            })}
+          >
+            <Ionicons name="time-outline" size={14} color={colors.text.secondary} />
+            <Text style={[localStyles.ownerBadgeText, { color: colors.text.secondary }]}>
+              edit history
+            </Text>
+            <Ionicons name="chevron-forward" size={14} color={colors.text.tertiary} />
+          </TouchableOpacity>
+
           {/* Ratings */}
           <RatingDisplay
             ratings={ratings}
+            followedRaterIds={data?.followedRaterIds}
             user={user}
             userRating={userRating}
             onRatePress={openRatingModal}
@@ -550,7 +1035,7 @@ export default function BenchDetailScreen({ route, navigation }) {
                   borderWidth: 1,
                   borderColor: colors.border,
                 }]}
-                onPress={openDirections}
+                onPress={() => openDirections(bench)}
               >
                 <Ionicons name="navigate-outline" size={16} color={colors.text.primary} />
                 <Text style={[styles.actionButtonText, { color: colors.text.primary }]}>
@@ -558,11 +1043,88 @@ export default function BenchDetailScreen({ route, navigation }) {
                 </Text>
               </TouchableOpacity>
             </View>
+
+            {user && (
+              <>
+                <TouchableOpacity
+                  style={[styles.actionButton, localStyles.checkInButton]}
+                  onPress={handleCheckIn}
+                  disabled={checkingIn}
+                >
+                  {checkingIn ? (
+                    <ActivityIndicator size="small" color={colors.button.primaryText} />
+                  ) : (
+                    <>
+                      <Ionicons name="checkmark-circle-outline" size={16} color={colors.button.primaryText} />
+                      <Text style={styles.actionButtonText}>i sat here</Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+                {myVisits?.count > 0 && (
+                  <Text style={[localStyles.visitsText, { color: colors.text.secondary }]}>
+                    you sat here {myVisits.count === 1 ? 'once' : `${myVisits.count} times`}, last on{' '}
+                    {new Date(myVisits.lastVisitedAt).toLocaleDateString()}
+                  </Text>
+                )}
+              </>
+            )}
+
+            {user && (
+              <TouchableOpacity style={localStyles.suggestLocation} onPress={suggestLocation}>
+                <Ionicons name="locate-outline" size={14} color={colors.text.secondary} />
+                <Text style={[localStyles.suggestLocationText, { color: colors.text.secondary }]}>
+                  {isOwner ? 'move pin' : 'pin in the wrong place? suggest a fix'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {user && !bench.removed_at && (
+              <TouchableOpacity
+                style={localStyles.suggestLocation}
+                onPress={() => navigation.navigate('WalkEdit', {
+                  startBench: {
+                    id: bench.id,
+                    title: bench.title,
+                    latitude: bench.latitude,
+                    longitude: bench.longitude,
+                  },
+                })}
+              >
+                <Ionicons name="walk-outline" size={14} color={colors.text.secondary} />
+                <Text style={[localStyles.suggestLocationText, { color: colors.text.secondary }]}>
+                  start a bench walk from here
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
 
+          {/* Location corrections */}
+          <LocationProposals
+            proposals={locationProposals || []}
+            bench={bench}
+            user={user}
+            isOwner={isOwner}
+            busyId={proposalBusyId}
+            onVote={handleVoteLocation}
+            onResolve={handleResolveLocation}
+            onShowOnMap={showProposalOnMap}
+          />
+
+          {/* Broken, vandalised or removed */}
+          <BenchIssues
+            issues={issues || []}
+            user={user}
+            isOwner={isOwner}
+            busyId={issueBusyId}
+            onReport={() => setShowIssueModal(true)}
+            onConfirm={handleConfirmIssue}
+            onResolve={handleResolveIssue}
+          />
+
           {/* Comments */}
           <CommentSection
-            comments={comments}
+            benchId={benchId}
+            comments={pendingComments.length > 0 ? [...comments, ...pendingComments] : comments}
             user={user}
             commentText={commentText}
             onCommentTextChange={setCommentText}
@@ -570,8 +1132,29 @@ export default function BenchDetailScreen({ route, navigation }) {
             submittingComment={submittingComment}
             onLikeComment={handleLikeComment}
             onReplyToComment={handleReplyToComment}
+            onReportComment={(comment) => openReport('comment', comment.id)}
+            onEditComment={handleEditComment}
+            onDeleteComment={handleDeleteComment}
+            onShowCommentHistory={setHistoryComment}
+            onSortChange={handleCommentSortChange}
           />
 
+          {data?.commentsCursor && (
+            <TouchableOpacity
+              style={localStyles.moreComments}
+              onPress={loadMoreComments}
+              disabled={loadingMoreComments}
+            >
+              {loadingMoreComments ? (
+                <ActivityIndicator size="small" color={colors.icon.primary} />
+              ) : (
+                <Text style={[localStyles.moreCommentsText, { color: colors.button.primary }]}>
+                  show more comments
+                </Text>
+              )}
+            </TouchableOpacity>
+          )}
+
           {/* Delete section for owner - secondary option at bottom */}
           {isOwner && (
             <View style={[localStyles.dangerZone, { borderColor: colors.destructive }]}>
@@ -609,12 +1192,61 @@ export default function BenchDetailScreen({ route, navigation }) {
       <RatingModal
         visible={showRatingModal}
         onClose={() => setShowRatingModal(false)}
-        viewRating={tempViewRating}
-        comfortRating={tempComfortRating}
-        onViewRatingChange={setTempViewRating}
-        onComfortRatingChange={setTempComfortRating}
+        ratings={tempRatings}
+        onRatingChange={(field, value) => setTempRatings(current => ({ ...current, [field]: value }))}
         onSubmit={submitRating}
       />
+
+      {reportTarget && (
+        <ReportModal
+          visible
+          targetType={reportTarget.targetType}
+          submitting={submittingReport}
+          onClose={() => setReportTarget(null)}
+          onSubmit={handleSubmitReport}
+        />
+      )}
+
+      {showIssueModal && (
+        <IssueModal
+          visible
+          submitting={submittingIssue}
+          onClose={() => setShowIssueModal(false)}
+          onSubmit={handleSubmitIssue}
+        />
+      )}
+
+      {showCollectionPicker && (
+        <CollectionPicker
+          visible
+          collections={myCollections}
+          busyId={collectionBusyId}
+          onToggle={handleToggleCollection}
+          onCreate={() => {
+            setShowCollectionPicker(false);
+            setCreatingCollection(true);
+          }}
+          onClose={() => setShowCollectionPicker(false)}
+        />
+      )}
+
+      {creatingCollection && (
+        <CollectionModal
+          visible
+          submitting={savingCollection}
+          onClose={() => setCreatingCollection(false)}
+          onSubmit={handleCreateCollection}
+        />
+      )}
+
+      {historyComment && (
+        <CommentHistoryModal
+          comment={historyComment}
+          revisions={commentRevisions}
+          loading={loadingCommentRevisions}
+          onClose={() => setHistoryComment(null)}
+        />
+      )}
     </View>
   );
 }
@@ -656,6 +1288,28 @@ const localStyles = {
     justifyContent: 'center',
     gap: 6,
   },
+  checkInButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    marginTop: 12,
+  },
+  visitsText: {
+    fontSize: 12,
+    fontWeight: '400',
+    marginTop: 8,
+  },
+  suggestLocation: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 12,
+  },
+  suggestLocationText: {
+    fontSize: 12,
+    fontWeight: '400',
+  },
   dangerZone: {
     marginTop: 32,
     marginHorizontal: 16,
@@ -697,4 +1351,27 @@ const localStyles = {
     fontSize: 11,
     fontWeight: '500',
   },
-};
\ No newline at end of file
+  hiddenBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginHorizontal: 16,
+    marginTop: 8,
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+  hiddenBannerText: {
+    flex: 1,
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  moreComments: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  moreCommentsText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+};
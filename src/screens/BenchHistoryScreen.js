@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { getStyles } from '../styles';
+import { BENCH_AMENITIES } from '../utils/amenities';
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  view_type: 'view type',
+  accessibility_notes: 'accessibility notes',
+  ...Object.fromEntries(BENCH_AMENITIES.map(amenity => [amenity.column, amenity.label])),
+  material: 'material',
+  seat_count: 'seats',
+  step_free_access: 'step-free path',
+  wheelchair_space: 'wheelchair space',
+  surface_type: 'path surface',
+  seat_height_cm: 'seat height (cm)',
+  access_distance_meters: 'distance from parking or transit (m)',
+};
+
+// Amenities are true/false, null when unknown
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return value;
+};
+
+export default function BenchHistoryScreen({ route, navigation }) {
+  const { benchId, benchTitle, ownerId } = route.params;
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+
+  const [revertingId, setRevertingId] = useState(null);
+  const isOwner = !!user && user.id === ownerId;
+
+  const fetchRevisionsPage = useCallback(
+    (page) => api.revisions.getByBenchId(benchId, page),
+    [benchId]
+  );
+
+  const {
+    items: revisions,
+    hasMore,
+    loadMore,
+    loadingMore,
+    loading,
+    error,
+  } = useInfiniteQuery(queryKeys.benchRevisions(benchId), fetchRevisionsPage);
+
+  useEffect(() => {
+    if (error) {
+      console.error('Error fetching revisions:', error);
+      Alert.alert('Error', 'Could not load edit history');
+    }
+  }, [error]);
+
+  const formatTimeAgo = (dateString) => {
+    const now = new Date();
+    const date = new Date(dateString);
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMins / 60);
+    const diffDays = Math.floor(diffHours / 24);
+
+    if (diffMins < 1) return 'just now';
+    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffHours < 24) return `${diffHours}h ago`;
+    if (diffDays < 7) return `${diffDays}d ago`;
+    return date.toLocaleDateString();
+  };
+
+  const handleRevert = (revision, { restorePrevious = false } = {}) => {
+    Alert.alert(
+      restorePrevious ? 'restore original' : 'restore this version',
+      restorePrevious
+        ? 'put the bench back to how it was before any edits?'
+        : 'put the bench back to how it was after this edit?',
+      [
+        { text: 'cancel', style: 'cancel' },
+        {
+          text: 'restore',
+          onPress: async () => {
+            setRevertingId(revision.id);
+            try {
+              await api.revisions.revert(revision.id, benchId, user.id, { restorePrevious });
+            } catch (revertError) {
+              console.error('Error reverting bench:', revertError);
+              Alert.alert('Error', 'Could not restore this version');
+            } finally {
+              setRevertingId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderValue = (value, isOld) => (
+    <Text
+      style={[
+        localStyles.value,
+        isOld
+          ? [localStyles.oldValue, { color: colors.text.tertiary }]
+          : { color: colors.text.primary },
+      ]}
+    >
+      {formatValue(value)}
+    </Text>
+  );
+
+  const renderRevision = ({ item, index }) => {
+    const isCurrent = index === 0;
+    const isOldest = index === revisions.length - 1 && !hasMore;
+
+    return (
+      <View style={[localStyles.revision, { borderBottomColor: colors.border }]}>
+        <View style={localStyles.revisionHeader}>
+          {item.profiles?.avatar_url ? (
+            <Image source={{ uri: item.profiles.avatar_url }} style={localStyles.avatar} />
+          ) : (
+            <View style={[localStyles.avatar, localStyles.avatarPlaceholder, { backgroundColor: colors.surface }]}>
+              <Ionicons name="person" size={12} color={colors.icon.secondary} />
+            </View>
+          )}
+          <Text style={[localStyles.author, { color: colors.text.primary }]}>
+            @{item.profiles?.username || 'unknown'}
+          </Text>
+          <Text style={[localStyles.time, { color: colors.text.tertiary }]}>
+            {item.reverted_from ? 'restored a version · ' : ''}{formatTimeAgo(item.created_at)}
+          </Text>
+        </View>
+
+        {Object.entries(item.changes || {}).map(([field, change]) => (
+          <View key={field} style={localStyles.change}>
+            <Text style={[localStyles.fieldLabel, { color: colors.text.secondary }]}>
+              {FIELD_LABELS[field] || field}
+            </Text>
+            {renderValue(change.from, true)}
+            {renderValue(change.to, false)}
+          </View>
+        ))}
+
+        {isOwner && (
+          <View style={localStyles.actions}>
+            {revertingId === item.id ? (
+              <ActivityIndicator size="small" color={colors.icon.primary} />
+            ) : (
+              <>
+                {isCurrent ? (
+                  <Text style={[localStyles.currentLabel, { color: colors.text.tertiary }]}>current version</Text>
+                ) : (
+                  <TouchableOpacity style={localStyles.actionButton} onPress={() => handleRevert(item)}>
+                    <Ionicons name="arrow-undo-outline" size={14} color={colors.button.primary} />
+                    <Text style={[localStyles.actionText, { color: colors.button.primary }]}>restore this version</Text>
+                  </TouchableOpacity>
+                )}
+                {isOldest && (
+                  <TouchableOpacity
+                    style={localStyles.actionButton}
+                    onPress={() => handleRevert(item, { restorePrevious: true })}
+                  >
+                    <Ionicons name="time-outline" size={14} color={colors.button.primary} />
+                    <Text style={[localStyles.actionText, { color: colors.button.primary }]}>restore original</Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>edit history</Text>
+        <View style={localStyles.headerSpacer} />
+      </View>
+
+      {benchTitle && (
+        <View style={[localStyles.subtitle, { borderBottomColor: colors.border }]}>
+          <Text style={[localStyles.subtitleText, { color: colors.text.secondary }]} numberOfLines={1}>
+            {benchTitle}
+          </Text>
+        </View>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.icon.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={revisions}
+          keyExtractor={(item) => item.id}
+          renderItem={renderRevision}
+          ListEmptyComponent={(
+            <View style={styles.emptyState}>
+              <Ionicons name="time-outline" size={48} color={colors.icon.muted} />
+              <Text style={styles.emptyStateTitle}>no edits yet</Text>
+              <Text style={styles.emptyStateText}>changes to this bench will show up here</Text>
+            </View>
+          )}
+          showsVerticalScrollIndicator={false}
+          onEndReached={() => hasMore && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />
+          ) : null}
+        />
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  headerSpacer: { width: 24 },
+  footerLoader: { marginVertical: 16 },
+  subtitle: { paddingHorizontal: 20, paddingVertical: 12, borderBottomWidth: 1 },
+  subtitleText: { fontSize: 13, fontWeight: '400' },
+  revision: { paddingHorizontal: 20, paddingVertical: 16, borderBottomWidth: 1 },
+  revisionHeader: { flexDirection: 'row', alignItems: 'center', gap: 8, marginBottom: 8 },
+  avatar: { width: 24, height: 24, borderRadius: 12 },
+  avatarPlaceholder: { justifyContent: 'center', alignItems: 'center' },
+  author: { fontSize: 14, fontWeight: '500' },
+  time: { fontSize: 12, fontWeight: '300' },
+  change: { marginTop: 8 },
+  fieldLabel: { fontSize: 11, fontWeight: '400', letterSpacing: 1, textTransform: 'uppercase', marginBottom: 4 },
+  value: { fontSize: 14, fontWeight: '300', lineHeight: 20 },
+  oldValue: { textDecorationLine: 'line-through' },
+  actions: { flexDirection: 'row', alignItems: 'center', gap: 16, marginTop: 12 },
+  actionButton: { flexDirection: 'row', alignItems: 'center', gap: 4 },
+  actionText: { fontSize: 13, fontWeight: '500' },
+  currentLabel: { fontSize: 12, fontWeight: '400' },
+};
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { useQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { getStyles } from '../styles';
+
+export default function BlockedUsersScreen({ navigation }) {
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchBlocks = useCallback(() => api.blocks.getByUserId(user.id), [user]);
+
+  const { data: blocks, loading, error } = useQuery(queryKeys.blocks(user?.id), fetchBlocks, { enabled: !!user });
+
+  useEffect(() => {
+    if (error) {
+      console.error('Error fetching blocked users:', error);
+      Alert.alert('Error', 'Could not load blocked users');
+    }
+  }, [error]);
+
+  const updateBlock = async (blockedId, kind) => {
+    setBusyId(blockedId);
+    try {
+      if (kind) {
+        await api.blocks.set(user.id, blockedId, kind);
+      } else {
+        await api.blocks.remove(user.id, blockedId);
+      }
+    } catch (updateError) {
+      console.error('Error updating block:', updateError);
+      Alert.alert('Error', 'Could not update this user');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderActions = (item) => {
+    if (busyId === item.blocked_id) {
+      return <ActivityIndicator size="small" color={colors.icon.primary} />;
+    }
+
+    return (
+      <View style={localStyles.actions}>
+        {item.kind === 'mute' && (
+          <TouchableOpacity onPress={() => updateBlock(item.blocked_id, 'block')}>
+            <Text style={[localStyles.actionText, { color: colors.destructive }]}>block</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => updateBlock(item.blocked_id, null)}>
+          <Text style={[localStyles.actionText, { color: colors.button.primary }]}>
+            {item.kind === 'block' ? 'unblock' : 'unmute'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={[localStyles.userItem, { borderBottomColor: colors.border }]}
+      onPress={() => navigation.push('UserProfile', { userId: item.blocked_id })}
+    >
+      <View style={localStyles.avatarContainer}>
+        {item.profiles.avatar_url ? (
+          <Image source={{ uri: item.profiles.avatar_url }} style={localStyles.avatar} />
+        ) : (
+          <View style={[localStyles.avatarPlaceholder, { backgroundColor: colors.surface }]}>
+            <Ionicons name="person" size={20} color={colors.icon.secondary} />
+          </View>
+        )}
+      </View>
+
+      <View style={localStyles.userInfo}>
+        <Text style={[localStyles.usernameText, { color: colors.text.primary }]}>
+          @{item.profiles.username}
+        </Text>
+        <Text style={[localStyles.kindText, { color: colors.text.tertiary }]}>
+          {item.kind === 'block' ? 'blocked' : 'muted'} {new Date(item.created_at).toLocaleDateString()}
+        </Text>
+      </View>
+
+      {renderActions(item)}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>blocked and muted</Text>
+        <View style={localStyles.headerSpacer} />
+      </View>
+
+      <View style={[localStyles.subtitle, { borderBottomColor: colors.border }]}>
+        <Text style={[localStyles.subtitleText, { color: colors.text.secondary }]}>
+          you won&apos;t see comments or feed posts from these users, or get notifications from them.
+          blocked users also can&apos;t follow you.
+        </Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.icon.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={blocks || []}
+          keyExtractor={(item) => item.blocked_id}
+          renderItem={renderItem}
+          ListEmptyComponent={(
+            <View style={styles.emptyState}>
+              <Ionicons name="ban-outline" size={48} color={colors.icon.muted} />
+              <Text style={styles.emptyStateTitle}>nobody blocked or muted</Text>
+              <Text style={styles.emptyStateText}>block or mute someone from their profile</Text>
+            </View>
+          )}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  headerSpacer: { width: 24 },
+  subtitle: { paddingHorizontal: 20, paddingVertical: 12, borderBottomWidth: 1 },
+  subtitleText: { fontSize: 13, fontWeight: '400', lineHeight: 18 },
+  userItem: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, paddingVertical: 14, borderBottomWidth: 1 },
+  avatarContainer: { marginRight: 12 },
+  avatar: { width: 44, height: 44, borderRadius: 22 },
+  avatarPlaceholder: { width: 44, height: 44, borderRadius: 22, justifyContent: 'center', alignItems: 'center' },
+  userInfo: { flex: 1 },
+  usernameText: { fontSize: 15, fontWeight: '500' },
+  kindText: { fontSize: 12, fontWeight: '300', marginTop: 2 },
+  actions: { flexDirection: 'row', alignItems: 'center', gap: 16 },
+  actionText: { fontSize: 13, fontWeight: '600' },
+};
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image,
+  Share,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { useQuery, useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { collectionUrl } from '../navigation/linking';
+import { getStyles } from '../styles';
+import { CollectionModal } from '../components';
+import { COLLECTION_VISIBILITIES } from '../components/CollectionModal';
+
+/**
+ * A collection's benches, with following and sharing for everyone who can
+ * see it and editing for its owner
+ */
+export default function CollectionScreen({ route, navigation }) {
+  const { collectionId } = route.params;
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [followBusy, setFollowBusy] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+
+  const fetchCollection = useCallback(
+    () => api.collections.getById(collectionId, user?.id),
+    [collectionId, user]
+  );
+
+  const { data: collection, loading, error } = useQuery(queryKeys.collection(collectionId), fetchCollection);
+
+  const fetchBenchesPage = useCallback(
+    (page) => api.collections.getBenches(collectionId, page),
+    [collectionId]
+  );
+
+  const {
+    items: entries,
+    hasMore,
+    loadMore,
+    loadingMore,
+  } = useInfiniteQuery(queryKeys.collectionBenches(collectionId), fetchBenchesPage, { enabled: !!collection });
+
+  useEffect(() => {
+    if (error) {
+      console.error('Error fetching collection:', error);
+      Alert.alert('Error', 'Could not load this collection');
+    }
+  }, [error]);
+
+  const isOwner = !!user && collection?.user_id === user.id;
+  const visibility = COLLECTION_VISIBILITIES[collection?.visibility];
+
+  const handleShare = async () => {
+    try {
+      await Share.share({
+        message: `${collection.title} - benches collected by @${collection.profiles?.username || 'someone'} on BenchSpotter\n${collectionUrl(collection.id)}`,
+      });
+    } catch (shareError) {
+      console.error('Error sharing collection:', shareError);
+    }
+  };
+
+  const handleFollowToggle = async () => {
+    setFollowBusy(true);
+    try {
+      if (collection.followedByMe) {
+        await api.collections.unfollow(collection.id, user.id);
+      } else {
+        await api.collections.follow(collection.id, user.id);
+      }
+    } catch (followError) {
+      console.error('Error following collection:', followError);
+      Alert.alert('Error', followError.message || 'Could not update follow status');
+    } finally {
+      setFollowBusy(false);
+    }
+  };
+
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      await api.collections.update(collection, user.id, values);
+      setEditing(false);
+    } catch (saveError) {
+      console.error('Error updating collection:', saveError);
+      Alert.alert('Error', saveError.message || 'Could not save the collection');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'delete collection',
+      `delete "${collection.title}"? the benches in it are not deleted.`,
+      [
+        { text: 'cancel', style: 'cancel' },
+        {
+          text: 'delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.collections.delete(collection, user.id);
+              navigation.goBack();
+            } catch (deleteError) {
+              console.error('Error deleting collection:', deleteError);
+              Alert.alert('Error', 'Could not delete the collection');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRemoveBench = async (entry) => {
+    setRemovingId(entry.bench_id);
+    try {
+      await api.collections.removeBench(collection.id, entry.bench_id, user.id);
+    } catch (removeError) {
+      console.error('Error removing bench from collection:', removeError);
+      Alert.alert('Error', 'Could not remove the bench');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  const renderHeader = () => (
+    <View>
+      {collection.cover_photo_url && (
+        <Image source={{ uri: collection.cover_photo_url }} style={localStyles.cover} />
+      )}
+      <View style={styles.section}>
+        <Text style={[localStyles.title, { color: colors.text.primary }]}>{collection.title}</Text>
+        {collection.description && (
+          <Text style={[localStyles.description, { color: colors.text.secondary }]}>
+            {collection.description}
+          </Text>
+        )}
+        <TouchableOpacity
+          onPress={() => navigation.navigate('UserProfile', { userId: collection.user_id })}
+        >
+          <Text style={[localStyles.owner, { color: colors.text.primary }]}>
+            by @{collection.profiles?.username || 'unknown'}
+          </Text>
+        </TouchableOpacity>
+        <View style={localStyles.meta}>
+          <Ionicons name={visibility?.icon || 'globe-outline'} size={12} color={colors.text.tertiary} />
+          <Text style={[localStyles.metaText, { color: colors.text.tertiary }]}>
+            {visibility?.label || collection.visibility} · {collection.followers === 1 ? '1 follower' : `${collection.followers} followers`}
+          </Text>
+        </View>
+
+        {user && !isOwner && (
+          <TouchableOpacity
+            style={[localStyles.followButton, {
+              backgroundColor: collection.followedByMe ? colors.background : colors.button.primary,
+              borderColor: colors.button.primary,
+            }]}
+            onPress={handleFollowToggle}
+            disabled={followBusy}
+          >
+            {followBusy ? (
+              <ActivityIndicator size="small" color={collection.followedByMe ? colors.text.primary : colors.button.primaryText} />
+            ) : (
+              <>
+                <Ionicons
+                  name={collection.followedByMe ? 'notifications' : 'notifications-outline'}
+                  size={16}
+                  color={collection.followedByMe ? colors.text.primary : colors.button.primaryText}
+                />
+                <Text style={[localStyles.followButtonText, {
+                  color: collection.followedByMe ? colors.text.primary : colors.button.primaryText,
+                }]}>
+                  {collection.followedByMe ? 'following' : 'follow'}
+                </Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  const renderEntry = ({ item }) => {
+    const bench = item.benches;
+    const primaryPhoto = bench.bench_photos?.find(photo => photo.is_primary);
+
+    return (
+      <TouchableOpacity
+        style={[styles.benchCard, localStyles.benchCard]}
+        onPress={() => navigation.navigate('BenchDetail', { benchId: bench.id })}
+      >
+        {primaryPhoto ? (
+          <Image source={{ uri: primaryPhoto.photo_url }} style={styles.benchImage} />
+        ) : (
+          <View style={styles.benchImagePlaceholder}>
+            <Ionicons name="image-outline" size={24} color={colors.icon.muted} />
+          </View>
+        )}
+        <View style={styles.benchInfo}>
+          <Text style={styles.benchViewType}>{bench.view_type}</Text>
+          <Text style={styles.benchTitle}>{bench.title}</Text>
+          {bench.description && (
+            <Text style={styles.benchDescription} numberOfLines={2}>{bench.description}</Text>
+          )}
+          <Text style={styles.benchDate}>added {new Date(item.created_at).toLocaleDateString()}</Text>
+        </View>
+        {isOwner && (
+          removingId === item.bench_id ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} />
+          ) : (
+            <TouchableOpacity onPress={() => handleRemoveBench(item)} hitSlop={8}>
+              <Ionicons name="close" size={20} color={colors.icon.secondary} />
+            </TouchableOpacity>
+          )
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>collection</Text>
+        <View style={localStyles.headerActions}>
+          {collection && collection.visibility !== 'private' && (
+            <TouchableOpacity onPress={handleShare}>
+              <Ionicons name="share-outline" size={22} color={colors.icon.primary} />
+            </TouchableOpacity>
+          )}
+          {isOwner && (
+            <>
+              <TouchableOpacity onPress={() => setEditing(true)}>
+                <Ionicons name="create-outline" size={22} color={colors.icon.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleDelete}>
+                <Ionicons name="trash-outline" size={22} color={colors.destructive} />
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.icon.primary} />
+        </View>
+      ) : !collection ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="lock-closed-outline" size={48} color={colors.icon.muted} />
+          <Text style={styles.emptyStateTitle}>collection not available</Text>
+          <Text style={styles.emptyStateText}>it was deleted or is not shared with you</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={(item) => item.bench_id}
+          renderItem={renderEntry}
+          ListHeaderComponent={renderHeader()}
+          ListEmptyComponent={(
+            <View style={styles.emptyState}>
+              <Ionicons name="albums-outline" size={48} color={colors.icon.muted} />
+              <Text style={styles.emptyStateTitle}>no benches yet</Text>
+              <Text style={styles.emptyStateText}>
+                {isOwner ? 'add benches from their page with "save to collection"' : 'benches added here will show up soon'}
+              </Text>
+            </View>
+          )}
+          showsVerticalScrollIndicator={false}
+          onEndReached={() => hasMore && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />
+          ) : null}
+        />
+      )}
+
+      {editing && collection && (
+        <CollectionModal
+          visible
+          collection={collection}
+          submitting={saving}
+          onClose={() => setEditing(false)}
+          onSubmit={handleSave}
+        />
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  headerActions: { flexDirection: 'row', alignItems: 'center', gap: 16, minWidth: 24 },
+  footerLoader: { marginVertical: 16 },
+  cover: { width: '100%', height: 180 },
+  title: { fontSize: 22, fontWeight: '600' },
+  description: { fontSize: 14, fontWeight: '300', lineHeight: 20, marginTop: 8 },
+  owner: { fontSize: 14, fontWeight: '500', marginTop: 12 },
+  meta: { flexDirection: 'row', alignItems: 'center', gap: 4, marginTop: 4 },
+  metaText: { fontSize: 12, fontWeight: '400' },
+  followButton: { flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-start', gap: 6, paddingHorizontal: 20, paddingVertical: 8, borderRadius: 20, borderWidth: 1, marginTop: 16 },
+  followButtonText: { fontSize: 14, fontWeight: '600' },
+  benchCard: { marginHorizontal: 20, marginBottom: 16 },
+};
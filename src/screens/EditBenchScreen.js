@@ -17,6 +17,9 @@ import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { getStyles } from '../styles';
+import AmenitySelector from '../components/AmenitySelector';
+import AccessibilitySelector from '../components/AccessibilitySelector';
+import { toAttributeFields } from '../utils/amenities';
 
 const VIEW_TYPES = [
   { value: 'ocean', label: 'ocean', icon: 'water-outline' },
@@ -41,6 +44,7 @@ export default function EditBenchScreen({ route, navigation }) {
   const [description, setDescription] = useState(bench.description || '');
   const [viewType, setViewType] = useState(bench.view_type || 'other');
   const [accessibilityNotes, setAccessibilityNotes] = useState(bench.accessibility_notes || '');
+  const [attributes, setAttributes] = useState(() => toAttributeFields(bench));
   const [saving, setSaving] = useState(false);
 
   // Photo state
@@ -92,8 +96,9 @@ export default function EditBenchScreen({ route, navigation }) {
       await api.benches.update(bench.id, user.id, {
         title: title.trim(),
         description: description.trim() || null,
-        view_type: viewType,
-        accessibility_notes: accessibilityNotes.trim() || null,
+        viewType,
+        accessibilityNotes: accessibilityNotes.trim() || null,
+        ...attributes,
       });
 
       // 2. Delete photos marked for deletion
@@ -268,11 +273,13 @@ export default function EditBenchScreen({ route, navigation }) {
     setPrimaryPhotoId(null);
   };
 
+  const initialAttributes = toAttributeFields(bench);
   const hasChanges = 
     title !== bench.title ||
     description !== (bench.description || '') ||
     viewType !== bench.view_type ||
     accessibilityNotes !== (bench.accessibility_notes || '') ||
+    Object.keys(attributes).some(field => attributes[field] !== initialAttributes[field]) ||
     newPhotos.length > 0 ||
     photosToDelete.length > 0 ||
     (primaryPhotoId !== existingPhotos.find(p => p.is_primary)?.id);
@@ -484,6 +491,11 @@ export default function EditBenchScreen({ route, navigation }) {
             </ScrollView>
           </View>
 
+          {/* Amenities, material and seats */}
+          <View style={localStyles.inputGroup}>
+            <AmenitySelector values={attributes} onValuesChange={setAttributes} />
+          </View>
+
           {/* Description */}
           <View style={localStyles.inputGroup}>
             <Text style={[localStyles.label, { color: colors.text.secondary }]}>description</Text>
@@ -507,6 +519,11 @@ export default function EditBenchScreen({ route, navigation }) {
             </Text>
           </View>
 
+          {/* Accessibility profile */}
+          <View style={localStyles.inputGroup}>
+            <AccessibilitySelector values={attributes} onValuesChange={setAttributes} />
+          </View>
+
           {/* Accessibility Notes */}
           <View style={localStyles.inputGroup}>
             <Text style={[localStyles.label, { color: colors.text.secondary }]}>
@@ -521,7 +538,7 @@ export default function EditBenchScreen({ route, navigation }) {
               }]}
               value={accessibilityNotes}
               onChangeText={setAccessibilityNotes}
-              placeholder="Add notes about wheelchair access, terrain, etc."
+              placeholder="Anything else about getting to or using the bench"
               placeholderTextColor={colors.input.placeholder}
               multiline
               numberOfLines={3}
@@ -1,8 +1,8 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useEffect, useMemo, useCallback } from 'react';
 import {
   View,
   Text,
-  ScrollView,
+  FlatList,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
@@ -13,6 +13,8 @@ import { Ionicons } from '@expo/vector-icons';
 import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryCache, queryKeys } from '../services/queryCache';
 import { getStyles } from '../styles';
 
 export default function FavoritesScreen({ navigation }) {
@@ -20,45 +22,50 @@ export default function FavoritesScreen({ navigation }) {
   const { colors } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
   
-  const [favorites, setFavorites] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
+  const fetchFavoritesPage = useCallback(async ({ cursor, limit }) => {
+    const page = await api.favorites.getByUserId(user.id, { cursor, limit });
 
-  const fetchFavorites = useCallback(async () => {
-    if (!user) return;
-    
-    try {
-      setLoading(true);
-      const data = await api.favorites.getByUserId(user.id);
-      setFavorites(data);
-    } catch (error) {
-      console.error('Error fetching favorites:', error);
-      Alert.alert('Error', 'Could not load favorites');
-    } finally {
-      setLoading(false);
-    }
+    // Everything listed here is a favorite on every other screen too
+    const statuses = {};
+    page.items.forEach(favorite => { statuses[favorite.bench_id] = true; });
+    queryCache.mergeFavoriteState(user.id, { statuses });
+
+    return page;
   }, [user]);
 
+  const {
+    items: favorites,
+    hasMore,
+    loadMore,
+    loadingMore,
+    loading,
+    refreshing,
+    error,
+    refetch,
+    revalidate,
+    setData,
+  } = useInfiniteQuery(queryKeys.favorites(user?.id), fetchFavoritesPage, { enabled: !!user });
+
   useEffect(() => {
-    if (user) {
-      fetchFavorites();
+    if (error) {
+      console.error('Error fetching favorites:', error);
+      Alert.alert('Error', 'Could not load favorites');
     }
-  }, [user, fetchFavorites]);
+  }, [error]);
 
   useEffect(() => {
     const unsubscribe = navigation.addListener('focus', () => {
       if (user) {
-        fetchFavorites();
+        revalidate().catch(() => {});
       }
     });
 
     return unsubscribe;
-  }, [navigation, user, fetchFavorites]);
+  }, [navigation, user, revalidate]);
 
-  const handleRefresh = async () => {
-    setRefreshing(true);
-    await fetchFavorites();
-    setRefreshing(false);
+  const handleRefresh = () => {
+    // Failures are reported through `error`
+    refetch().catch(() => {});
   };
 
   const removeFavorite = async (benchId, benchTitle) => {
@@ -84,13 +91,63 @@ export default function FavoritesScreen({ navigation }) {
 
     try {
       await api.favorites.remove(benchId, user.id);
-      setFavorites(favorites.filter(f => f.bench_id !== benchId));
+      setData(previous => previous && {
+        ...previous,
+        items: previous.items.filter(f => f.bench_id !== benchId),
+      });
     } catch (error) {
       console.error('Error removing favorite:', error);
       Alert.alert('Error', 'Could not remove favorite');
     }
   };
 
+  const renderFavorite = ({ item: favorite }) => {
+    const bench = favorite.benches;
+    const primaryPhoto = bench.bench_photos?.find(p => p.is_primary);
+
+    return (
+      <View style={styles.favoriteCard}>
+        <TouchableOpacity
+          style={styles.benchContent}
+          onPress={() => navigation.navigate('BenchDetail', { benchId: bench.id })}
+        >
+          {primaryPhoto ? (
+            <Image
+              source={{ uri: primaryPhoto.photo_url }}
+              style={styles.benchImage}
+            />
+          ) : (
+            <View style={styles.benchImagePlaceholder}>
+              <Ionicons name="image-outline" size={24} color={colors.icon.muted} />
+            </View>
+          )}
+          
+          <View style={styles.benchInfo}>
+            <Text style={styles.benchViewType}>{bench.view_type}</Text>
+            <Text style={styles.benchTitle}>{bench.title}</Text>
+            
+            {bench.description && (
+              <Text style={styles.benchDescription} numberOfLines={2}>
+                {bench.description}
+              </Text>
+            )}
+            
+            <Text style={styles.savedDate}>
+              saved {new Date(favorite.created_at).toLocaleDateString()}
+            </Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.removeButton}
+          onPress={() => removeFavorite(bench.id, bench.title)}
+        >
+          <Ionicons name="heart" size={20} color={colors.destructive} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -104,11 +161,15 @@ export default function FavoritesScreen({ navigation }) {
       {/* Header */}
       <View style={styles.header}>
         <Text style={styles.headerTitle}>favorites</Text>
-        <Text style={styles.count}>{favorites.length}</Text>
+        <Text style={styles.count}>{favorites.length}{hasMore ? '+' : ''}</Text>
       </View>
 
-      <ScrollView
+      <FlatList
         style={styles.content}
+        data={favorites}
+        keyExtractor={(favorite) => `${favorite.bench_id}-${favorite.created_at}`}
+        renderItem={renderFavorite}
+        contentContainerStyle={favorites.length > 0 ? styles.favoritesList : null}
         showsVerticalScrollIndicator={false}
         refreshControl={
           <RefreshControl
@@ -118,8 +179,9 @@ export default function FavoritesScreen({ navigation }) {
             colors={[colors.icon.primary]}
           />
         }
-      >
-        {favorites.length === 0 ? (
+        onEndReached={() => hasMore && loadMore()}
+        onEndReachedThreshold={0.5}
+        ListEmptyComponent={
           <View style={styles.emptyState}>
             <Ionicons name="heart-outline" size={48} color={colors.icon.muted} />
             <Text style={styles.emptyStateTitle}>no favorites yet</Text>
@@ -133,59 +195,17 @@ export default function FavoritesScreen({ navigation }) {
               <Text style={styles.exploreButtonText}>explore benches</Text>
             </TouchableOpacity>
           </View>
-        ) : (
-          <View style={styles.favoritesList}>
-            {favorites.map((favorite) => {
-              const bench = favorite.benches;
-              const primaryPhoto = bench.bench_photos?.find(p => p.is_primary);
-              
-              return (
-                <View key={`${favorite.bench_id}-${favorite.created_at}`} style={styles.favoriteCard}>
-                  <TouchableOpacity
-                    style={styles.benchContent}
-                    onPress={() => navigation.navigate('BenchDetail', { benchId: bench.id })}
-                  >
-                    {primaryPhoto ? (
-                      <Image
-                        source={{ uri: primaryPhoto.photo_url }}
-                        style={styles.benchImage}
-                      />
-                    ) : (
-                      <View style={styles.benchImagePlaceholder}>
-                        <Ionicons name="image-outline" size={24} color={colors.icon.muted} />
-                      </View>
-                    )}
-                    
-                    <View style={styles.benchInfo}>
-                      <Text style={styles.benchViewType}>{bench.view_type}</Text>
-                      <Text style={styles.benchTitle}>{bench.title}</Text>
-                      
-                      {bench.description && (
-                        <Text style={styles.benchDescription} numberOfLines={2}>
-                          {bench.description}
-                        </Text>
-                      )}
-                      
-                      <Text style={styles.savedDate}>
-                        saved {new Date(favorite.created_at).toLocaleDateString()}
-                      </Text>
-                    </View>
-                  </TouchableOpacity>
-
-                  <TouchableOpacity
-                    style={styles.removeButton}
-                    onPress={() => removeFavorite(bench.id, bench.title)}
-                  >
-                    <Ionicons name="heart" size={20} color={colors.destructive} />
-                  </TouchableOpacity>
-                </View>
-              );
-            })}
+        }
+        ListFooterComponent={
+          <View style={{ height: 100 }}>
+            {loadingMore && <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />}
           </View>
-        )}
-
-        <View style={{ height: 100 }} />
-      </ScrollView>
+        }
+      />
     </View>
   );
 }
+
+const localStyles = {
+  footerLoader: { marginTop: 16 },
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,9 +10,11 @@ import {
   RefreshControl,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../services/api';
+import api, { fetchAllPages } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useInfiniteQuery, useFavoriteState } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
 import { getStyles } from '../styles';
 
 export default function FeedScreen({ navigation }) {
@@ -20,103 +22,67 @@ export default function FeedScreen({ navigation }) {
   const { colors, isDarkMode, toggleTheme } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
 
-  const [feedItems, setFeedItems] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [favorites, setFavorites] = useState({}); // { benchId: true/false }
-  const [favoriteCounts, setFavoriteCounts] = useState({}); // { benchId: count }
+  const { statuses: favorites, counts: favoriteCounts, toggleFavorite: toggleSharedFavorite, loadFavoriteState } = useFavoriteState();
 
-  const fetchFeed = useCallback(async () => {
-    if (!user) {
-      setLoading(false);
-      return;
+  // Followed users (with profiles) from the first page, reused for later pages
+  const followingRef = useRef(null);
+
+  const fetchFeedPage = useCallback(async ({ cursor, limit }) => {
+    if (!cursor || !followingRef.current) {
+      const [following, hiddenUserIds] = await Promise.all([
+        fetchAllPages(page => api.follows.getFollowing(user.id, page)),
+        api.blocks.getHiddenUserIds(user.id),
+      ]);
+      // Muted users stay followed but drop out of the feed
+      followingRef.current = following.filter(f => !hiddenUserIds.includes(f.following_id));
     }
 
-    try {
-      const followingData = await api.follows.getFollowing(user.id);
-      const followingIds = followingData.map(f => f.following_id);
+    const followingData = followingRef.current;
+    const creators = {};
+    followingData.forEach(f => { creators[f.following_id] = f.profiles; });
 
-      if (followingIds.length === 0) {
-        setFeedItems([]);
-        setLoading(false);
-        setRefreshing(false);
-        return;
-      }
+    // Benches from all followed users, newest first
+    const page = await api.benches.getByUserIds(Object.keys(creators), { cursor, limit });
+    const items = page.items.map(bench => ({ ...bench, creator: creators[bench.user_id] }));
 
-      // Fetch benches from all followed users
-      const benchPromises = followingIds.map(id => api.benches.getByUserId(id));
-      const benchResults = await Promise.all(benchPromises);
+    // Fetch favorite status and counts for this page in a single batch query
+    try {
+      await loadFavoriteState(items.map(bench => bench.id));
+    } catch (error) {
+      console.error('Error fetching favorite data:', error);
+    }
 
-      // Combine and add creator info
-      const allBenches = [];
-      for (let i = 0; i < benchResults.length; i++) {
-        const benches = benchResults[i];
-        const creatorProfile = followingData[i].profiles;
-        
-        for (const bench of benches) {
-          allBenches.push({ ...bench, creator: creatorProfile });
-        }
-      }
+    return { items, nextCursor: page.nextCursor };
+  }, [user, loadFavoriteState]);
 
-      // Sort by newest first
-      allBenches.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      setFeedItems(allBenches);
+  const {
+    items: feedItems,
+    hasMore,
+    loadMore,
+    loadingMore,
+    loading,
+    refreshing,
+    error: feedError,
+    refetch,
+    revalidate,
+  } = useInfiniteQuery(queryKeys.feed(user?.id), fetchFeedPage, { enabled: !!user });
 
-      // Fetch favorite status and counts for all benches in a single batch query
-      const benchIds = allBenches.map(bench => bench.id);
-      try {
-        const { statuses, counts } = await api.favorites.getBatchData(benchIds, user.id);
-        setFavorites(statuses);
-        setFavoriteCounts(counts);
-      } catch (error) {
-        console.error('Error fetching favorite data:', error);
-        // Initialize with empty values on error
-        const emptyStatuses = {};
-        const emptyCounts = {};
-        benchIds.forEach(id => {
-          emptyStatuses[id] = false;
-          emptyCounts[id] = 0;
-        });
-        setFavorites(emptyStatuses);
-        setFavoriteCounts(emptyCounts);
-      }
-    } catch (error) {
-      console.error('Error fetching feed:', error);
+  useEffect(() => {
+    if (feedError) {
+      console.error('Error fetching feed:', feedError);
       Alert.alert('Error', 'Could not load feed');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
     }
-  }, [user]);
-
-  useEffect(() => {
-    fetchFeed();
-  }, [fetchFeed]);
+  }, [feedError]);
 
   // Refresh when screen comes into focus
   useEffect(() => {
     const unsubscribe = navigation.addListener('focus', () => {
-      if (user && feedItems.length > 0) {
-        // Silently refresh favorite statuses
-        refreshFavoriteStatuses();
+      if (user) {
+        revalidate().catch(() => {});
       }
     });
     return unsubscribe;
-  }, [navigation, user, feedItems]);
-
-  const refreshFavoriteStatuses = async () => {
-    if (!user || feedItems.length === 0) return;
-
-    const benchIds = feedItems.map(bench => bench.id);
-    try {
-      const { statuses, counts } = await api.favorites.getBatchData(benchIds, user.id);
-      setFavorites(statuses);
-      setFavoriteCounts(counts);
-    } catch (error) {
-      // Keep existing values on error (silent refresh)
-      console.error('Error refreshing favorite statuses:', error);
-    }
-  };
+  }, [navigation, user, revalidate]);
 
   const toggleFavorite = async (benchId) => {
     if (!user) {
@@ -124,26 +90,10 @@ export default function FeedScreen({ navigation }) {
       return;
     }
 
-    // Optimistic update
-    const wasFavorite = favorites[benchId];
-    setFavorites(prev => ({ ...prev, [benchId]: !wasFavorite }));
-    setFavoriteCounts(prev => ({ 
-      ...prev, 
-      [benchId]: wasFavorite ? Math.max(0, (prev[benchId] || 0) - 1) : (prev[benchId] || 0) + 1 
-    }));
-
     try {
-      const newStatus = await api.favorites.toggle(benchId, user.id);
-      // Update with actual status from server
-      setFavorites(prev => ({ ...prev, [benchId]: newStatus }));
+      await toggleSharedFavorite(benchId);
     } catch (error) {
       console.error('Error toggling favorite:', error);
-      // Revert on error
-      setFavorites(prev => ({ ...prev, [benchId]: wasFavorite }));
-      setFavoriteCounts(prev => ({ 
-        ...prev, 
-        [benchId]: wasFavorite ? (prev[benchId] || 0) + 1 : Math.max(0, (prev[benchId] || 0) - 1)
-      }));
       Alert.alert('Error', 'Could not update favorite');
     }
   };
@@ -333,9 +283,14 @@ export default function FeedScreen({ navigation }) {
           contentContainerStyle={feedItems.length === 0 ? { flex: 1 } : { paddingBottom: 20 }}
           showsVerticalScrollIndicator={false}
           refreshControl={
-            <RefreshControl refreshing={refreshing} onRefresh={() => { setRefreshing(true); fetchFeed(); }} tintColor={colors.icon.primary} />
+            <RefreshControl refreshing={refreshing} onRefresh={() => refetch().catch(() => {})} tintColor={colors.icon.primary} />
           }
           ItemSeparatorComponent={() => <View style={{ height: 12 }} />}
+          onEndReached={() => hasMore && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />
+          ) : null}
         />
       )}
     </View>
@@ -366,4 +321,5 @@ const localStyles = {
   emptySubtitle: { fontSize: 14, fontWeight: '300', marginTop: 8, textAlign: 'center', lineHeight: 20 },
   exploreButton: { marginTop: 24, paddingHorizontal: 24, paddingVertical: 12, borderRadius: 20 },
   exploreButtonText: { fontSize: 15, fontWeight: '600' },
+  footerLoader: { marginTop: 16 },
 };
\ No newline at end of file
@@ -12,6 +12,8 @@ import { Ionicons } from '@expo/vector-icons';
 import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
 import { getStyles } from '../styles';
 
 export default function FollowListScreen({ route, navigation }) {
@@ -20,50 +22,49 @@ export default function FollowListScreen({ route, navigation }) {
   const { colors } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
 
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [followingStatus, setFollowingStatus] = useState({});
 
-  const fetchUsers = useCallback(async () => {
-    try {
-      setLoading(true);
-
-      let data;
-      if (type === 'followers') {
-        data = await api.follows.getFollowers(userId);
-      } else {
-        data = await api.follows.getFollowing(userId);
-      }
-
-      const profiles = data.map(item => ({
-        ...item.profiles,
-        followedAt: item.created_at,
-      }));
-
-      setUsers(profiles);
-
-      // Check follow status for each user
-      if (currentUser) {
-        const statusMap = {};
-        for (const profile of profiles) {
-          if (profile.id !== currentUser.id) {
-            const isFollowing = await api.follows.isFollowing(currentUser.id, profile.id);
-            statusMap[profile.id] = isFollowing;
-          }
+  const fetchUsersPage = useCallback(async (pageParams) => {
+    const page = type === 'followers'
+      ? await api.follows.getFollowers(userId, pageParams)
+      : await api.follows.getFollowing(userId, pageParams);
+
+    const profiles = page.items.map(item => ({
+      ...item.profiles,
+      followedAt: item.created_at,
+    }));
+
+    // Check follow status for each user on this page
+    if (currentUser) {
+      const statusMap = {};
+      for (const profile of profiles) {
+        if (profile.id !== currentUser.id) {
+          const isFollowing = await api.follows.isFollowing(currentUser.id, profile.id);
+          statusMap[profile.id] = isFollowing;
         }
-        setFollowingStatus(statusMap);
       }
-    } catch (error) {
-      console.error('Error fetching users:', error);
-      Alert.alert('Error', 'Could not load users');
-    } finally {
-      setLoading(false);
+      setFollowingStatus(prev => ({ ...prev, ...statusMap }));
     }
+
+    return { items: profiles, nextCursor: page.nextCursor };
   }, [userId, type, currentUser]);
 
+  const listKey = type === 'followers' ? queryKeys.followers(userId) : queryKeys.following(userId);
+  const {
+    items: users,
+    hasMore,
+    loadMore,
+    loadingMore,
+    loading,
+    error,
+  } = useInfiniteQuery(listKey, fetchUsersPage);
+
   useEffect(() => {
-    fetchUsers();
-  }, [fetchUsers]);
+    if (error) {
+      console.error('Error fetching users:', error);
+      Alert.alert('Error', 'Could not load users');
+    }
+  }, [error]);
 
   const handleFollowToggle = async (profileId) => {
     if (!currentUser) {
@@ -177,6 +178,11 @@ export default function FollowListScreen({ route, navigation }) {
           ListEmptyComponent={renderEmptyState}
           contentContainerStyle={users.length === 0 ? { flex: 1 } : null}
           showsVerticalScrollIndicator={false}
+          onEndReached={() => hasMore && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />
+          ) : null}
         />
       )}
     </View>
@@ -184,6 +190,7 @@ export default function FollowListScreen({ route, navigation }) {
 }
 
 const localStyles = {
+  footerLoader: { marginVertical: 16 },
   subtitle: { paddingHorizontal: 20, paddingVertical: 12, borderBottomWidth: 1 },
   subtitleText: { fontSize: 13, fontWeight: '400' },
   userItem: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, paddingVertical: 14, borderBottomWidth: 1 },
@@ -2,10 +2,11 @@ import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import { View, Text, ActivityIndicator, Alert, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
-import { supabase } from '../services/supabase';
-import api from '../services/api';
+import { backend } from '../services/backend';
+import api, { fetchAllPages } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useVisitedBenchIds } from '../contexts/QueryCacheContext';
 import { getStyles } from '../styles';
 
 export default function MapScreen({ navigation, route }) {
@@ -20,12 +21,17 @@ export default function MapScreen({ navigation, route }) {
   const { colors, isDarkMode } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
   const mapRef = useRef(null);
+  const visitedBenchIds = useVisitedBenchIds();
   const markersRef = useRef({});
   const selectionMarkerRef = useRef(null);
 
   // Check for focusBench parameter and selectLocation mode
   const focusBench = route?.params?.focusBench;
   const selectLocationMode = route?.params?.selectLocation;
+  // Screen to hand the picked location to (defaults to adding a new bench)
+  const selectLocationFor = route?.params?.selectLocationFor;
+  // Bench walk to draw: { id, title, stops: [{ id, title, latitude, longitude }] }
+  const walkRoute = route?.params?.walk || null;
 
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -94,7 +100,7 @@ export default function MapScreen({ navigation, route }) {
     if (mapReady && location) {
       initMap();
     }
-  }, [benches, mapReady, isDarkMode, focusedBench, isSelectingLocation]);
+  }, [benches, visitedBenchIds, mapReady, isDarkMode, focusedBench, isSelectingLocation, walkRoute]);
 
   // Handle focusBench changes (when navigating back with new params)
   useEffect(() => {
@@ -115,11 +121,11 @@ export default function MapScreen({ navigation, route }) {
     }
   }, [focusBench, mapReady]);
 
-  // Real-time subscription for new benches
+  // Real-time subscription for new and changed benches
   useEffect(() => {
     if (!user) return;
 
-    const channel = supabase
+    const channel = backend
       .channel('benches-realtime')
       .on(
         'postgres_changes',
@@ -133,16 +139,31 @@ export default function MapScreen({ navigation, route }) {
           setBenches((prev) => [...prev, payload.new]);
         }
       )
+      // Issue badges (open_issue_count, removed_at) change on existing benches
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'benches',
+        },
+        (payload) => {
+          setBenches((prev) => prev.map((bench) => (
+            bench.id === payload.new.id ? { ...bench, ...payload.new } : bench
+          )));
+        }
+      )
       .subscribe();
 
     return () => {
-      supabase.removeChannel(channel);
+      backend.removeChannel(channel);
     };
   }, [user]);
 
   const fetchAllBenches = useCallback(async () => {
     try {
-      const data = await api.benches.getAll();
+      // Every marker is needed, so walk all pages
+      const data = await fetchAllPages(page => api.benches.getAll(page));
       setBenches(data);
     } catch (error) {
       console.error('Error fetching benches:', error);
@@ -159,11 +180,19 @@ export default function MapScreen({ navigation, route }) {
     navigation.setParams({ focusBench: undefined });
   };
 
+  const clearWalk = () => {
+    navigation.setParams({ walk: undefined });
+    if (location && mapRef.current) {
+      mapRef.current.setView([location.latitude, location.longitude], 13);
+    }
+  };
+
   const toggleLocationSelection = () => {
     if (isSelectingLocation) {
       // Cancel selection
       setIsSelectingLocation(false);
       setSelectedLocation(null);
+      navigation.setParams({ selectLocation: undefined, selectLocationFor: undefined });
       if (selectionMarkerRef.current && mapRef.current) {
         mapRef.current.removeLayer(selectionMarkerRef.current);
         selectionMarkerRef.current = null;
@@ -180,7 +209,9 @@ export default function MapScreen({ navigation, route }) {
 
   const confirmLocationSelection = () => {
     if (selectedLocation) {
-      navigation.navigate('AddBench', { location: selectedLocation });
+      const target = selectLocationFor || { screen: 'AddBench' };
+      navigation.navigate(target.screen, { ...target.params, location: selectedLocation });
+      navigation.setParams({ selectLocation: undefined, selectLocationFor: undefined });
       setIsSelectingLocation(false);
       setSelectedLocation(null);
     }
@@ -286,26 +317,37 @@ export default function MapScreen({ navigation, route }) {
       .addTo(map)
       .bindPopup(`<b style="color: ${colors.text.primary}; background: ${colors.background}; padding: 4px;">you are here</b>`);
 
+    // Walk stop numbers by bench
+    const walkStops = new Map((walkRoute?.stops || []).map((stop, index) => [stop.id, index + 1]));
+
     // Bench markers (only show if not in selection mode or if there's a focus)
     if (!isSelectingLocation || focusedBench) {
       benches.forEach((bench) => {
         const isFocused = focusedBench && bench.id === focusedBench.id;
-        
+        const stopNumber = walkStops.get(bench.id);
+        // Gone benches fade out, benches with open issues get a warning border
+        // and benches the user sat at a "visited" fill
+        const borderColor = bench.open_issue_count > 0 && !bench.removed_at ? colors.warning : colors.button.primary;
+        const background = visitedBenchIds.has(bench.id) ? colors.success : colors.background;
+
         const benchIcon = window.L.divIcon({
           className: 'bench-icon',
           html: `
             <div style="
               width: ${isFocused ? '32px' : '24px'};
               height: ${isFocused ? '32px' : '24px'};
-              background: ${isFocused ? colors.button.primary : colors.background};
-              border: 2px solid ${colors.button.primary};
+              background: ${isFocused || stopNumber ? colors.button.primary : background};
+              color: ${colors.button.primaryText};
+              font-weight: 600;
+              border: 2px solid ${borderColor};
               border-radius: 50%;
+              ${bench.removed_at ? 'opacity: 0.4;' : ''}
               display: flex;
               align-items: center;
               justify-content: center;
               font-size: ${isFocused ? '16px' : '12px'};
               ${isFocused ? 'box-shadow: 0 0 12px rgba(0,0,0,0.3);' : ''}
-            ">🪑</div>
+            ">${stopNumber || '🪑'}</div>
           `,
           iconSize: [isFocused ? 32 : 24, isFocused ? 32 : 24],
         });
@@ -325,6 +367,18 @@ export default function MapScreen({ navigation, route }) {
         });
       });
     }
+
+    // Bench walk route, stop to stop
+    if (walkRoute && walkRoute.stops.length > 1 && !isSelectingLocation) {
+      const walkLine = window.L.polyline(
+        walkRoute.stops.map((stop) => [parseFloat(stop.latitude), parseFloat(stop.longitude)]),
+        { color: colors.button.primary, weight: 4, opacity: 0.8, dashArray: '8 8' }
+      ).addTo(map);
+
+      if (!focusedBench) {
+        map.fitBounds(walkLine.getBounds(), { padding: [60, 60] });
+      }
+    }
   };
 
   if (loading) {
@@ -361,6 +415,20 @@ export default function MapScreen({ navigation, route }) {
                 {selectedLocation ? 'Location selected' : 'Tap map to select location'}
               </Text>
             </View>
+          ) : walkRoute ? (
+            <TouchableOpacity
+              style={[localStyles.focusBadge, {
+                backgroundColor: colors.card.background,
+                borderColor: colors.border,
+              }]}
+              onPress={clearWalk}
+            >
+              <Ionicons name="walk-outline" size={16} color={colors.button.primary} />
+              <Text style={[localStyles.focusText, { color: colors.text.primary }]} numberOfLines={1}>
+                {walkRoute.title}
+              </Text>
+              <Ionicons name="close-circle" size={18} color={colors.icon.secondary} />
+            </TouchableOpacity>
           ) : focusedBench ? (
             <TouchableOpacity 
               style={[localStyles.focusBadge, { 
@@ -1,12 +1,13 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { View, Text, ActivityIndicator, Alert, TouchableOpacity } from 'react-native';
-import MapView, { Marker } from 'react-native-maps';
+import MapView, { Marker, Polyline } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
-import { supabase } from '../services/supabase';
-import api from '../services/api';
+import { backend } from '../services/backend';
+import api, { fetchAllPages } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useVisitedBenchIds } from '../contexts/QueryCacheContext';
 import { getStyles } from '../styles';
 
 export default function MapScreen({ navigation, route }) {
@@ -21,10 +22,29 @@ export default function MapScreen({ navigation, route }) {
   const { colors, isDarkMode } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
   const mapRef = useRef(null);
+  const visitedBenchIds = useVisitedBenchIds();
+
+  // Gone benches fade out, benches with open issues get a warning pin and
+  // benches the user sat at a "visited" one
+  const benchPinColor = (bench) => {
+    if (bench.removed_at) return colors.icon.muted;
+    if (bench.open_issue_count > 0) return colors.warning;
+    if (visitedBenchIds.has(bench.id)) return colors.success;
+    return undefined;
+  };
 
   // Check for focusBench parameter and selectLocation mode
   const focusBench = route?.params?.focusBench;
   const selectLocationMode = route?.params?.selectLocation;
+  // Screen to hand the picked location to (defaults to adding a new bench)
+  const selectLocationFor = route?.params?.selectLocationFor;
+  // Bench walk to draw: { id, title, stops: [{ id, title, latitude, longitude }] }
+  const walkRoute = route?.params?.walk || null;
+  const walkCoordinates = useMemo(() => (walkRoute?.stops || []).map((stop) => ({
+    latitude: parseFloat(stop.latitude),
+    longitude: parseFloat(stop.longitude),
+  })), [walkRoute]);
+  const walkStopIds = useMemo(() => new Set((walkRoute?.stops || []).map((stop) => stop.id)), [walkRoute]);
 
   useEffect(() => {
     // Enable selection mode if parameter is passed
@@ -89,11 +109,25 @@ export default function MapScreen({ navigation, route }) {
     }
   }, [focusBench]);
 
-  // Real-time subscription for new benches
+  // Frame the whole walk when one is shown (onMapReady covers the first render)
+  const fitWalk = useCallback(() => {
+    if (walkCoordinates.length > 1 && mapRef.current) {
+      mapRef.current.fitToCoordinates(walkCoordinates, {
+        edgePadding: { top: 120, right: 60, bottom: 120, left: 60 },
+        animated: true,
+      });
+    }
+  }, [walkCoordinates]);
+
+  useEffect(() => {
+    if (!loading) fitWalk();
+  }, [fitWalk, loading]);
+
+  // Real-time subscription for new and changed benches
   useEffect(() => {
     if (!user) return;
 
-    const channel = supabase
+    const channel = backend
       .channel('benches-realtime')
       .on(
         'postgres_changes',
@@ -107,16 +141,31 @@ export default function MapScreen({ navigation, route }) {
           setBenches((prev) => [...prev, payload.new]);
         }
       )
+      // Issue badges (open_issue_count, removed_at) change on existing benches
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'benches',
+        },
+        (payload) => {
+          setBenches((prev) => prev.map((bench) => (
+            bench.id === payload.new.id ? { ...bench, ...payload.new } : bench
+          )));
+        }
+      )
       .subscribe();
 
     return () => {
-      supabase.removeChannel(channel);
+      backend.removeChannel(channel);
     };
   }, [user]);
 
   const fetchAllBenches = useCallback(async () => {
     try {
-      const data = await api.benches.getAll();
+      // Every marker is needed, so walk all pages
+      const data = await fetchAllPages(page => api.benches.getAll(page));
       setBenches(data);
     } catch (error) {
       console.error('Error fetching benches:', error);
@@ -140,11 +189,24 @@ export default function MapScreen({ navigation, route }) {
     navigation.setParams({ focusBench: undefined });
   };
 
+  const clearWalk = () => {
+    navigation.setParams({ walk: undefined });
+    if (location && mapRef.current) {
+      mapRef.current.animateToRegion({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        latitudeDelta: 0.05,
+        longitudeDelta: 0.05,
+      }, 1000);
+    }
+  };
+
   const toggleLocationSelection = () => {
     if (isSelectingLocation) {
       // Cancel selection
       setIsSelectingLocation(false);
       setSelectedLocation(null);
+      navigation.setParams({ selectLocation: undefined, selectLocationFor: undefined });
     } else {
       // Start selection
       setIsSelectingLocation(true);
@@ -157,7 +219,9 @@ export default function MapScreen({ navigation, route }) {
 
   const confirmLocationSelection = () => {
     if (selectedLocation) {
-      navigation.navigate('AddBench', { location: selectedLocation });
+      const target = selectLocationFor || { screen: 'AddBench' };
+      navigation.navigate(target.screen, { ...target.params, location: selectedLocation });
+      navigation.setParams({ selectLocation: undefined, selectLocationFor: undefined });
       setIsSelectingLocation(false);
       setSelectedLocation(null);
     }
@@ -201,6 +265,7 @@ export default function MapScreen({ navigation, route }) {
         showsMyLocationButton={!isSelectingLocation}
         customMapStyle={mapStyle}
         onPress={handleMapPress}
+        onMapReady={fitWalk}
       >
         {/* Bench markers (hide in selection mode unless there's a focus) */}
         {(!isSelectingLocation || focusedBench) && benches.map((bench) => {
@@ -212,7 +277,7 @@ export default function MapScreen({ navigation, route }) {
                 latitude: parseFloat(bench.latitude),
                 longitude: parseFloat(bench.longitude),
               }}
-              pinColor={isFocused ? colors.button.primary : undefined}
+              pinColor={isFocused || walkStopIds.has(bench.id) ? colors.button.primary : benchPinColor(bench)}
               onPress={() => {
                 if (!isSelectingLocation) {
                   navigation.navigate('BenchDetail', { benchId: bench.id });
@@ -222,6 +287,16 @@ export default function MapScreen({ navigation, route }) {
           );
         })}
 
+        {/* Bench walk route, stop to stop */}
+        {!isSelectingLocation && walkCoordinates.length > 1 && (
+          <Polyline
+            coordinates={walkCoordinates}
+            strokeColor={colors.button.primary}
+            strokeWidth={4}
+            lineDashPattern={[8, 8]}
+          />
+        )}
+
         {/* Selection marker */}
         {isSelectingLocation && selectedLocation && (
           <Marker
@@ -245,6 +320,20 @@ export default function MapScreen({ navigation, route }) {
                 {selectedLocation ? 'Location selected' : 'Tap map to select'}
               </Text>
             </View>
+          ) : walkRoute ? (
+            <TouchableOpacity
+              style={[localStyles.focusBadge, {
+                backgroundColor: colors.card.background,
+                borderColor: colors.border,
+              }]}
+              onPress={clearWalk}
+            >
+              <Ionicons name="walk-outline" size={16} color={colors.button.primary} />
+              <Text style={[localStyles.focusText, { color: colors.text.primary }]} numberOfLines={1}>
+                {walkRoute.title}
+              </Text>
+              <Ionicons name="close-circle" size={18} color={colors.icon.secondary} />
+            </TouchableOpacity>
           ) : focusedBench ? (
             <TouchableOpacity 
               style={[localStyles.focusBadge, { 
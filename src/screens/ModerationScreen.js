@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { useQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { REPORT_REASON_LABELS } from '../components/ReportModal';
+import { getStyles } from '../styles';
+
+const TABS = [
+  { value: 'open', label: 'reported' },
+  { value: 'hidden', label: 'hidden' },
+];
+
+const TARGET_ICONS = {
+  bench: 'location-outline',
+  photo: 'image-outline',
+  comment: 'chatbubble-outline',
+};
+
+// Actions offered per tab, in display order
+const ACTIONS = {
+  open: ['hide', 'remove', 'dismiss'],
+  hidden: ['restore', 'remove'],
+};
+
+const ACTION_LABELS = {
+  hide: 'hide',
+  restore: 'restore',
+  remove: 'remove',
+  dismiss: 'dismiss',
+};
+
+export default function ModerationScreen({ navigation }) {
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+
+  const [status, setStatus] = useState('open');
+  const [busyKey, setBusyKey] = useState(null);
+
+  const fetchQueue = useCallback(() => api.reports.getQueue(status), [status]);
+
+  const {
+    data: items,
+    loading,
+    refreshing,
+    error,
+    refetch,
+  } = useQuery(queryKeys.moderationQueue(status), fetchQueue);
+
+  useEffect(() => {
+    if (error) {
+      console.error('Error fetching moderation queue:', error);
+      Alert.alert('Error', error.message || 'Could not load reports');
+    }
+  }, [error]);
+
+  const moderate = async (item, action) => {
+    setBusyKey(item.key);
+    try {
+      await api.reports.moderate(item.reports[0].id, user.id, action);
+    } catch (moderateError) {
+      console.error('Error moderating content:', moderateError);
+      Alert.alert('Error', moderateError.message || 'Could not update this item');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleAction = (item, action) => {
+    if (action !== 'remove') {
+      moderate(item, action);
+      return;
+    }
+
+    Alert.alert(
+      `remove ${item.targetType}`,
+      item.targetType === 'bench'
+        ? 'delete this bench with its photos, ratings and comments for good?'
+        : `delete this ${item.targetType} for good?`,
+      [
+        { text: 'cancel', style: 'cancel' },
+        { text: 'remove', style: 'destructive', onPress: () => moderate(item, action) },
+      ]
+    );
+  };
+
+  const renderPreview = (item) => {
+    const { target } = item;
+
+    if (!target) {
+      return (
+        <Text style={[localStyles.previewText, { color: colors.text.tertiary }]}>
+          this {item.targetType} no longer exists
+        </Text>
+      );
+    }
+
+    if (item.targetType === 'photo') {
+      return <Image source={{ uri: target.photo_url }} style={localStyles.photo} />;
+    }
+
+    return (
+      <>
+        {item.targetType === 'bench' && (
+          <Text style={[localStyles.previewTitle, { color: colors.text.primary }]}>{target.title}</Text>
+        )}
+        <Text style={[localStyles.previewText, { color: colors.text.secondary }]} numberOfLines={4}>
+          {item.targetType === 'bench' ? target.description || '(no description)' : target.text}
+        </Text>
+        <Text style={[localStyles.meta, { color: colors.text.tertiary }]}>
+          by @{target.profiles?.username || 'unknown'}
+        </Text>
+      </>
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const reporters = item.reports.map(report => `@${report.reporter?.username || 'unknown'}`);
+    const notes = item.reports.filter(report => report.details);
+    const actions = item.target ? ACTIONS[status] : ['dismiss'];
+
+    return (
+      <View style={[localStyles.item, { borderBottomColor: colors.border }]}>
+        <View style={localStyles.itemHeader}>
+          <Ionicons name={TARGET_ICONS[item.targetType]} size={16} color={colors.text.secondary} />
+          <Text style={[localStyles.targetType, { color: colors.text.secondary }]}>{item.targetType}</Text>
+          {item.benchId && item.target && (
+            <TouchableOpacity onPress={() => navigation.navigate('BenchDetail', { benchId: item.benchId })}>
+              <Text style={[localStyles.link, { color: colors.button.primary }]}>view bench</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {renderPreview(item)}
+
+        <View style={localStyles.reasons}>
+          {Object.entries(item.reasons).map(([reason, count]) => (
+            <View key={reason} style={[localStyles.reason, { borderColor: colors.border }]}>
+              <Text style={[localStyles.reasonText, { color: colors.text.primary }]}>
+                {REPORT_REASON_LABELS[reason] || reason}{count > 1 ? ` ×${count}` : ''}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        {notes.map(report => (
+          <Text key={report.id} style={[localStyles.note, { color: colors.text.secondary }]}>
+            “{report.details}” · @{report.reporter?.username || 'unknown'}
+          </Text>
+        ))}
+
+        <Text style={[localStyles.meta, { color: colors.text.tertiary }]}>
+          reported by {reporters.join(', ')}
+        </Text>
+
+        <View style={localStyles.actions}>
+          {busyKey === item.key ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} />
+          ) : (
+            actions.map(action => (
+              <TouchableOpacity key={action} onPress={() => handleAction(item, action)}>
+                <Text
+                  style={[
+                    localStyles.actionText,
+                    { color: action === 'remove' ? colors.destructive : colors.button.primary },
+                  ]}
+                >
+                  {ACTION_LABELS[action]}
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>moderation</Text>
+        <View style={localStyles.headerSpacer} />
+      </View>
+
+      <View style={[localStyles.tabs, { borderBottomColor: colors.border }]}>
+        {TABS.map(tab => (
+          <TouchableOpacity
+            key={tab.value}
+            style={[styles.filterChip, status === tab.value && styles.filterChipActive]}
+            onPress={() => setStatus(tab.value)}
+          >
+            <Text style={[styles.filterChipText, status === tab.value && styles.filterChipTextActive]}>
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.icon.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={items || []}
+          keyExtractor={(item) => item.key}
+          renderItem={renderItem}
+          refreshControl={(
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={() => refetch().catch(() => {})}
+              tintColor={colors.icon.primary}
+            />
+          )}
+          ListEmptyComponent={(
+            <View style={styles.emptyState}>
+              <Ionicons name="shield-checkmark-outline" size={48} color={colors.icon.muted} />
+              <Text style={styles.emptyStateTitle}>
+                {status === 'open' ? 'nothing to review' : 'nothing hidden'}
+              </Text>
+              <Text style={styles.emptyStateText}>
+                {status === 'open'
+                  ? 'reported benches, photos and comments show up here'
+                  : 'content you hide shows up here until you restore or remove it'}
+              </Text>
+            </View>
+          )}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  headerSpacer: { width: 24 },
+  tabs: { flexDirection: 'row', gap: 8, paddingHorizontal: 20, paddingVertical: 12, borderBottomWidth: 1 },
+  item: { paddingHorizontal: 20, paddingVertical: 16, borderBottomWidth: 1 },
+  itemHeader: { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 8 },
+  targetType: { flex: 1, fontSize: 11, fontWeight: '400', letterSpacing: 1, textTransform: 'uppercase' },
+  link: { fontSize: 13, fontWeight: '500' },
+  previewTitle: { fontSize: 15, fontWeight: '500', marginBottom: 4 },
+  previewText: { fontSize: 14, fontWeight: '300', lineHeight: 20 },
+  photo: { width: '100%', height: 180, borderRadius: 8 },
+  meta: { fontSize: 12, fontWeight: '300', marginTop: 6 },
+  reasons: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 10 },
+  reason: { borderWidth: 1, borderRadius: 12, paddingHorizontal: 10, paddingVertical: 4 },
+  reasonText: { fontSize: 12, fontWeight: '400' },
+  note: { fontSize: 13, fontWeight: '300', fontStyle: 'italic', marginTop: 6 },
+  actions: { flexDirection: 'row', alignItems: 'center', gap: 20, marginTop: 12 },
+  actionText: { fontSize: 14, fontWeight: '500' },
+};
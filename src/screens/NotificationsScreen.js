@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,6 +12,8 @@ import { Ionicons } from '@expo/vector-icons';
 import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
 import { getStyles } from '../styles';
 
 export default function NotificationsScreen({ navigation }) {
@@ -19,39 +21,46 @@ export default function NotificationsScreen({ navigation }) {
   const { colors, isDarkMode, toggleTheme } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
 
-  const [notifications, setNotifications] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
+  const fetchNotificationsPage = useCallback(
+    (page) => api.notifications.getByUserId(user.id, page),
+    [user]
+  );
 
-  const fetchNotifications = useCallback(async () => {
-    if (!user) {
-      setLoading(false);
-      return;
-    }
+  const {
+    items: notifications,
+    hasMore,
+    loadMore,
+    loadingMore,
+    loading,
+    refreshing,
+    error,
+    refetch,
+    setData,
+  } = useInfiniteQuery(queryKeys.notifications(user?.id), fetchNotificationsPage, { enabled: !!user });
 
-    try {
-      const data = await api.notifications.getByUserId(user.id);
-      setNotifications(data);
-    } catch (error) {
+  useEffect(() => {
+    if (error) {
       console.error('Error fetching notifications:', error);
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
     }
-  }, [user]);
+  }, [error]);
 
+  // Mark all as read when leaving screen
+  const notificationsRef = useRef(notifications);
   useEffect(() => {
-    fetchNotifications();
-  }, [fetchNotifications]);
+    notificationsRef.current = notifications;
+  }, [notifications]);
 
-  // Mark all as read when leaving screen
   useEffect(() => {
     return () => {
-      if (user && notifications.some(n => !n.is_read)) {
+      if (user && notificationsRef.current.some(n => !n.is_read)) {
         api.notifications.markAllAsRead(user.id).catch(console.error);
+        setData(previous => previous && {
+          ...previous,
+          items: previous.items.map(n => ({ ...n, is_read: true })),
+        });
       }
     };
-  }, [user, notifications]);
+  }, [user, setData]);
 
   const formatTimeAgo = (dateString) => {
     const now = new Date();
@@ -115,6 +124,25 @@ export default function NotificationsScreen({ navigation }) {
           iconColor: '#FFB800',
           text: <Text><Text style={localStyles.bold}>@{actor}</Text> rated your bench <Text style={localStyles.bold}>{benchTitle}</Text></Text>,
         };
+      case 'collection_bench':
+        return {
+          icon: 'albums',
+          iconColor: colors.button.primary,
+          text: <Text><Text style={localStyles.bold}>@{actor}</Text> added <Text style={localStyles.bold}>{benchTitle}</Text> to <Text style={localStyles.bold}>{notification.collection?.title}</Text></Text>,
+        };
+      case 'content_hidden':
+      case 'content_restored':
+      case 'content_removed': {
+        const verb = { content_hidden: 'hid', content_restored: 'restored', content_removed: 'removed' }[notification.type];
+        const subject = notification.comment_id ? 'your comment' : 'something you posted';
+        return {
+          icon: notification.type === 'content_restored' ? 'shield-checkmark' : 'shield',
+          iconColor: notification.type === 'content_restored' ? colors.button.primary : colors.destructive,
+          text: benchTitle
+            ? <Text>a moderator {verb} {subject} on <Text style={localStyles.bold}>{benchTitle}</Text></Text>
+            : <Text>a moderator {verb} one of your posts</Text>,
+        };
+      }
       default:
         return {
           icon: 'notifications',
@@ -128,9 +156,10 @@ export default function NotificationsScreen({ navigation }) {
     // Mark as read
     if (!notification.is_read) {
       api.notifications.markAsRead(notification.id).catch(console.error);
-      setNotifications(prev => 
-        prev.map(n => n.id === notification.id ? { ...n, is_read: true } : n)
-      );
+      setData(previous => previous && {
+        ...previous,
+        items: previous.items.map(n => n.id === notification.id ? { ...n, is_read: true } : n),
+      });
     }
 
     // Navigate based on type
@@ -146,10 +175,18 @@ export default function NotificationsScreen({ navigation }) {
       case 'mention':
       case 'comment_like':
       case 'rating':
+      case 'content_hidden':
+      case 'content_restored':
+      case 'content_removed':
         if (notification.bench?.id) {
           navigation.navigate('BenchDetail', { benchId: notification.bench.id });
         }
         break;
+      case 'collection_bench':
+        if (notification.collection?.id) {
+          navigation.navigate('Collection', { collectionId: notification.collection.id });
+        }
+        break;
     }
   };
 
@@ -262,10 +299,15 @@ export default function NotificationsScreen({ navigation }) {
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
-              onRefresh={() => { setRefreshing(true); fetchNotifications(); }}
+              onRefresh={() => refetch().catch(() => {})}
               tintColor={colors.icon.primary}
             />
           }
+          onEndReached={() => hasMore && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />
+          ) : null}
         />
       )}
     </View>
@@ -273,6 +315,10 @@ export default function NotificationsScreen({ navigation }) {
 }
 
 const localStyles = {
+  footerLoader: {
+    marginTop: 16,
+    marginBottom: 16,
+  },
   notificationItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -15,89 +15,214 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
-import * as FileSystem from 'expo-file-system';
-import api from '../services/api';
+import * as FileSystem from 'expo-file-system/legacy';
+import api, { TRASH_RETENTION_DAYS } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useQuery, useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { isNearBottom } from '../utils/scroll';
 import { getStyles } from '../styles';
 import KeyboardAwareModal from '../components/KeyboardAwareModal';
 import ThemeSelector from '../components/ThemeSelector';
+import CollectionList from '../components/CollectionList';
+import CollectionModal from '../components/CollectionModal';
+import WalkList from '../components/WalkList';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days until a trashed bench is purged
+ */
+const daysUntilPurge = (deletedAt) => Math.max(
+  0,
+  Math.ceil((new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS)
+);
 
 export default function ProfileScreen({ navigation }) {
   const { user, signOut } = useAuth();
   const { colors, isDarkMode, toggleTheme } = useTheme();
   const styles = useMemo(() => getStyles(colors), [colors]);
   
-  const [profile, setProfile] = useState(null);
-  const [userBenches, setUserBenches] = useState([]);
-  const [stats, setStats] = useState({
-    benchesAdded: 0,
-    ratingsGiven: 0,
-    commentsPosted: 0,
-    favorites: 0,
-    followers: 0,
-    following: 0,
-  });
   const [unreadNotifications, setUnreadNotifications] = useState(0);
-  const [loading, setLoading] = useState(true);
   const [editModalVisible, setEditModalVisible] = useState(false);
   const [editedName, setEditedName] = useState('');
   const [editedBio, setEditedBio] = useState('');
   const [editedAvatar, setEditedAvatar] = useState(null);
   const [saving, setSaving] = useState(false);
   const [uploadingAvatar, setUploadingAvatar] = useState(false);
+  const [trashBusyId, setTrashBusyId] = useState(null);
+  const [creatingCollection, setCreatingCollection] = useState(false);
+  const [savingCollection, setSavingCollection] = useState(false);
 
   const fetchProfileData = useCallback(async () => {
-    if (!user) return;
-    
+    const [profileData, statsData] = await Promise.all([
+      api.profiles.getById(user.id),
+      api.profiles.getStats(user.id),
+    ]);
+
+    return { profile: profileData, stats: statsData };
+  }, [user]);
+
+  const {
+    data,
+    loading,
+    error: fetchError,
+    refetch,
+    revalidate,
+  } = useQuery(queryKeys.profile(user?.id), fetchProfileData, { enabled: !!user });
+
+  const fetchBenchesPage = useCallback(
+    (page) => api.benches.getByUserId(user.id, page),
+    [user]
+  );
+
+  const {
+    items: userBenches,
+    hasMore: hasMoreBenches,
+    loadMore: loadMoreBenches,
+    loadingMore: loadingMoreBenches,
+  } = useInfiniteQuery(queryKeys.userBenches(user?.id), fetchBenchesPage, { enabled: !!user });
+
+  const fetchVisitsPage = useCallback(
+    (page) => api.visits.getByUserId(user.id, page),
+    [user]
+  );
+
+  const {
+    items: visits,
+    hasMore: hasMoreVisits,
+    loadMore: loadMoreVisits,
+    loadingMore: loadingMoreVisits,
+  } = useInfiniteQuery(queryKeys.visits(user?.id), fetchVisitsPage, { enabled: !!user });
+
+  const fetchCollections = useCallback(
+    () => api.collections.getByUserId(user.id, user.id),
+    [user]
+  );
+
+  const { data: collectionsData } = useQuery(queryKeys.collections(user?.id), fetchCollections, { enabled: !!user });
+  const collections = collectionsData || [];
+
+  const fetchWalks = useCallback(() => api.walks.getByUserId(user.id), [user]);
+
+  const { data: walksData } = useQuery(queryKeys.walks(user?.id), fetchWalks, { enabled: !!user });
+  const walks = walksData || [];
+
+  const fetchTrash = useCallback(async () => {
+    // Purge anything past the retention period before listing what is left
     try {
-      setLoading(true);
-
-      const [profileData, benchesData, statsData] = await Promise.all([
-        api.profiles.getById(user.id),
-        api.benches.getByUserId(user.id),
-        api.profiles.getStats(user.id),
-      ]);
-
-      setProfile(profileData);
-      setEditedName(profileData?.full_name || '');
-      setEditedBio(profileData?.bio || '');
-      setUserBenches(benchesData);
-      setStats(statsData);
-
-      // Fetch unread notification count
-      try {
-        const unreadCount = await api.notifications.getUnreadCount(user.id);
-        setUnreadNotifications(unreadCount);
-      } catch (e) {
-        // Notifications might not be set up yet
-        console.log('Could not fetch notifications count');
-      }
+      await api.benches.purgeExpired(user.id);
     } catch (error) {
-      console.error('Error fetching profile:', error);
-      Alert.alert('Error', 'Could not load profile');
-    } finally {
-      setLoading(false);
+      console.error('Error purging trash:', error);
     }
+    return api.benches.getTrash(user.id);
   }, [user]);
 
+  const { data: trashData } = useQuery(queryKeys.trash(user?.id), fetchTrash, { enabled: !!user });
+  const trashedBenches = trashData || [];
+
+  const profile = data?.profile || null;
+  const stats = data?.stats || {
+    benchesAdded: 0,
+    ratingsGiven: 0,
+    commentsPosted: 0,
+    favorites: 0,
+    followers: 0,
+    following: 0,
+    checkIns: 0,
+  };
+
+  const handleScroll = ({ nativeEvent }) => {
+    if (hasMoreBenches && isNearBottom(nativeEvent)) {
+      loadMoreBenches();
+    }
+  };
+
   useEffect(() => {
-    if (user) {
-      fetchProfileData();
+    if (fetchError) {
+      console.error('Error fetching profile:', fetchError);
+      Alert.alert('Error', 'Could not load profile');
     }
-  }, [user, fetchProfileData]);
+  }, [fetchError]);
+
+  const fetchUnreadCount = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const unreadCount = await api.notifications.getUnreadCount(user.id);
+      setUnreadNotifications(unreadCount);
+    } catch (e) {
+      // Notifications might not be set up yet
+      console.log('Could not fetch notifications count');
+    }
+  }, [user]);
 
-  // Refresh notification count when screen comes into focus
+  useEffect(() => {
+    fetchUnreadCount();
+  }, [fetchUnreadCount]);
+
+  // Refresh profile and notification count when screen comes into focus
   useEffect(() => {
     const unsubscribe = navigation.addListener('focus', () => {
       if (user) {
-        api.notifications.getUnreadCount(user.id)
-          .then(count => setUnreadNotifications(count))
-          .catch(() => {});
+        revalidate().catch(() => {});
+        fetchUnreadCount();
       }
     });
     return unsubscribe;
-  }, [navigation, user]);
+  }, [navigation, user, revalidate, fetchUnreadCount]);
+
+  const handleCreateCollection = async ({ title, description, visibility, coverPhoto }) => {
+    setSavingCollection(true);
+    try {
+      const collection = await api.collections.create({ userId: user.id, title, description, visibility, coverPhoto });
+      setCreatingCollection(false);
+      navigation.navigate('Collection', { collectionId: collection.id });
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      Alert.alert('Error', error.message || 'Could not create the collection');
+    } finally {
+      setSavingCollection(false);
+    }
+  };
+
+  const handleRestoreBench = async (bench) => {
+    setTrashBusyId(bench.id);
+    try {
+      await api.benches.restore(bench.id, user.id);
+    } catch (error) {
+      console.error('Error restoring bench:', error);
+      Alert.alert('error', 'could not restore bench');
+    } finally {
+      setTrashBusyId(null);
+    }
+  };
+
+  const handleDeleteForever = (bench) => {
+    Alert.alert(
+      'delete forever',
+      `"${bench.title}" and its photos, ratings and comments will be deleted. this cannot be undone.`,
+      [
+        { text: 'cancel', style: 'cancel' },
+        {
+          text: 'delete',
+          style: 'destructive',
+          onPress: async () => {
+            setTrashBusyId(bench.id);
+            try {
+              await api.benches.deletePermanently(bench.id, user.id);
+            } catch (error) {
+              console.error('Error deleting bench:', error);
+              Alert.alert('error', 'could not delete bench');
+            } finally {
+              setTrashBusyId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
 
   const openEditModal = () => {
     setEditedName(profile?.full_name || '');
@@ -228,7 +353,7 @@ export default function ProfileScreen({ navigation }) {
         bio: editedBio,
       });
 
-      await fetchProfileData();
+      await refetch();
       setEditModalVisible(false);
       setEditedAvatar(null);
       Alert.alert('success', 'profile updated');
@@ -301,6 +426,12 @@ export default function ProfileScreen({ navigation }) {
               </View>
             )}
           </TouchableOpacity>
+          {/* Moderation queue - moderators only */}
+          {profile?.role === 'moderator' && (
+            <TouchableOpacity onPress={() => navigation.navigate('Moderation')}>
+              <Ionicons name="shield-outline" size={20} color={colors.icon.primary} />
+            </TouchableOpacity>
+          )}
           {/* Theme Toggle */}
           <TouchableOpacity onPress={toggleTheme}>
             <Ionicons
@@ -312,7 +443,12 @@ export default function ProfileScreen({ navigation }) {
         </View>
       </View>
 
-      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+      <ScrollView
+        style={styles.content}
+        showsVerticalScrollIndicator={false}
+        onScroll={handleScroll}
+        scrollEventThrottle={200}
+      >
         {/* Profile */}
         <View style={styles.section}>
           <TouchableOpacity 
@@ -400,7 +536,7 @@ export default function ProfileScreen({ navigation }) {
           
         {/* Your Benches */}
         <View style={styles.section}>
-          <Text style={styles.sectionLabel}>your benches ({userBenches.length})</Text>
+          <Text style={styles.sectionLabel}>your benches ({stats.benchesAdded})</Text>
 
           {userBenches.length === 0 ? (
             <View style={styles.emptyState}>
@@ -447,10 +583,152 @@ export default function ProfileScreen({ navigation }) {
                   </TouchableOpacity>
                 );
               })}
+              {loadingMoreBenches && (
+                <ActivityIndicator size="small" color={colors.icon.primary} />
+              )}
             </View>
           )}
         </View>
 
+        {/* Collections */}
+        <View style={styles.section}>
+          <View style={localStyles.sectionHeader}>
+            <Text style={styles.sectionLabel}>collections ({collections.length})</Text>
+            <TouchableOpacity style={localStyles.sectionAction} onPress={() => setCreatingCollection(true)}>
+              <Ionicons name="add" size={16} color={colors.button.primary} />
+              <Text style={[localStyles.sectionActionText, { color: colors.button.primary }]}>new</Text>
+            </TouchableOpacity>
+          </View>
+
+          {collections.length === 0 ? (
+            <Text style={styles.helperText}>
+              group benches into lists like &quot;lunch spots near the office&quot; and share them
+            </Text>
+          ) : (
+            <CollectionList
+              collections={collections}
+              onPress={(collection) => navigation.navigate('Collection', { collectionId: collection.id })}
+            />
+          )}
+        </View>
+
+        {/* Walks */}
+        <View style={styles.section}>
+          <View style={localStyles.sectionHeader}>
+            <Text style={styles.sectionLabel}>walks ({walks.length})</Text>
+            <TouchableOpacity style={localStyles.sectionAction} onPress={() => navigation.navigate('WalkEdit')}>
+              <Ionicons name="add" size={16} color={colors.button.primary} />
+              <Text style={[localStyles.sectionActionText, { color: colors.button.primary }]}>new</Text>
+            </TouchableOpacity>
+          </View>
+
+          {walks.length === 0 ? (
+            <Text style={styles.helperText}>
+              string benches together into a walking route for others to follow
+            </Text>
+          ) : (
+            <WalkList
+              walks={walks}
+              onPress={(walk) => navigation.navigate('Walk', { walkId: walk.id })}
+            />
+          )}
+        </View>
+
+        {/* Visit history */}
+        <View style={styles.section}>
+          <Text style={styles.sectionLabel}>visit history ({stats.checkIns})</Text>
+
+          {visits.length === 0 ? (
+            <Text style={styles.helperText}>
+              tap &quot;i sat here&quot; when you are at a bench to keep track of where you sat
+            </Text>
+          ) : (
+            <>
+              {visits.map((visit) => (
+                <TouchableOpacity
+                  key={visit.id}
+                  style={[localStyles.visitItem, { borderBottomColor: colors.border }]}
+                  onPress={() => navigation.navigate('BenchDetail', { benchId: visit.bench_id })}
+                >
+                  <Ionicons name="checkmark-circle" size={18} color={colors.success} />
+                  <View style={localStyles.visitInfo}>
+                    <Text style={styles.benchTitle} numberOfLines={1}>{visit.benches.title}</Text>
+                    <Text style={styles.benchDate}>
+                      {new Date(visit.visited_at).toLocaleString()}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              ))}
+              {loadingMoreVisits ? (
+                <ActivityIndicator size="small" color={colors.icon.primary} />
+              ) : hasMoreVisits && (
+                <TouchableOpacity style={localStyles.showMore} onPress={loadMoreVisits}>
+                  <Text style={[localStyles.showMoreText, { color: colors.text.secondary }]}>show more</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+
+        {/* Trash */}
+        {trashedBenches.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>trash ({trashedBenches.length})</Text>
+            <Text style={styles.helperText}>
+              deleted benches are removed for good after {TRASH_RETENTION_DAYS} days
+            </Text>
+
+            {trashedBenches.map((bench) => {
+              const daysLeft = daysUntilPurge(bench.deleted_at);
+              return (
+                <View key={bench.id} style={[localStyles.trashItem, { borderBottomColor: colors.border }]}>
+                  <View style={localStyles.trashInfo}>
+                    <Text style={styles.benchTitle} numberOfLines={1}>{bench.title}</Text>
+                    <Text style={styles.benchDate}>
+                      {daysLeft === 1 ? '1 day left' : `${daysLeft} days left`}
+                    </Text>
+                  </View>
+
+                  {trashBusyId === bench.id ? (
+                    <ActivityIndicator size="small" color={colors.icon.primary} />
+                  ) : (
+                    <>
+                      <TouchableOpacity
+                        style={localStyles.trashAction}
+                        onPress={() => handleRestoreBench(bench)}
+                      >
+                        <Ionicons name="arrow-undo-outline" size={18} color={colors.icon.primary} />
+                        <Text style={[localStyles.trashActionText, { color: colors.text.primary }]}>restore</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={localStyles.trashAction}
+                        onPress={() => handleDeleteForever(bench)}
+                      >
+                        <Ionicons name="trash-outline" size={18} color={colors.destructive} />
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              );
+            })}
+          </View>
+        )}
+
+        {/* Privacy */}
+        <View style={styles.section}>
+          <Text style={styles.sectionLabel}>privacy</Text>
+          <TouchableOpacity
+            style={[localStyles.settingsRow, { borderBottomColor: colors.border }]}
+            onPress={() => navigation.navigate('BlockedUsers')}
+          >
+            <Ionicons name="ban-outline" size={18} color={colors.icon.primary} />
+            <Text style={[localStyles.settingsRowText, { color: colors.text.primary }]}>
+              blocked and muted users
+            </Text>
+            <Ionicons name="chevron-forward" size={16} color={colors.text.tertiary} />
+          </TouchableOpacity>
+        </View>
+
         {/* Sign Out */}
         <View style={styles.section}>
           <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
@@ -568,11 +846,52 @@ export default function ProfileScreen({ navigation }) {
           </KeyboardAvoidingView>
         </View>
       </KeyboardAwareModal>
+
+      {creatingCollection && (
+        <CollectionModal
+          visible
+          submitting={savingCollection}
+          onClose={() => setCreatingCollection(false)}
+          onSubmit={handleCreateCollection}
+        />
+      )}
     </View>
   );
 }
 
 const localStyles = {
+  visitItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  visitInfo: {
+    flex: 1,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    justifyContent: 'space-between',
+  },
+  sectionAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  sectionActionText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  showMore: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  showMoreText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
   headerRight: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -674,4 +993,36 @@ const localStyles = {
     fontSize: 12,
     fontWeight: '400',
   },
+  settingsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  settingsRowText: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '400',
+  },
+  trashItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  trashInfo: {
+    flex: 1,
+  },
+  trashAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    padding: 4,
+  },
+  trashActionText: {
+    fontSize: 13,
+    fontWeight: '400',
+  },
 };
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -19,8 +19,11 @@ import * as Location from 'expo-location';
 import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useQuery, useVisitedBenchIds } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
 import { getStyles } from '../styles';
 import KeyboardAwareModal from '../components/KeyboardAwareModal';
+import { suggestCorrection } from '../utils/textSearch';
 
 // Import extracted components
 import SearchInput from '../components/SearchInput';
@@ -57,12 +60,26 @@ export default function SearchScreen({ navigation }) {
   
   // Bench search state
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
   const [viewType, setViewType] = useState(null);
+  // Keys from utils/amenities, benches must have all of them
+  const [amenities, setAmenities] = useState([]);
+  const [material, setMaterial] = useState(null);
+  // Step-free path and room for a wheelchair, see utils/amenities isAccessibleBench
+  const [accessibleOnly, setAccessibleOnly] = useState(false);
   const [ratingFilter, setRatingFilter] = useState(null);
+  // null filters and sorts on the overall rating
+  const [ratingDimension, setRatingDimension] = useState(null);
   const [distanceFilter, setDistanceFilter] = useState(null);
-  const [sortBy, setSortBy] = useState('distance');
+  // null until the user picks one - then best match while typing, nearest otherwise
+  const [sortBy, setSortBy] = useState(null);
   const [results, setResults] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [nextOffset, setNextOffset] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [offline, setOffline] = useState(false);
   const [location, setLocation] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
   
@@ -79,6 +96,10 @@ export default function SearchScreen({ navigation }) {
   const [searchingLocation, setSearchingLocation] = useState(false);
   const [selectedLocationName, setSelectedLocationName] = useState(null);
 
+  const fetchTrendingTags = useCallback(() => api.tags.getTrending(), []);
+  const { data: trendingTags } = useQuery(queryKeys.trendingTags(), fetchTrendingTags);
+  const visitedBenchIds = useVisitedBenchIds();
+
   useEffect(() => {
     getCurrentLocation();
   }, []);
@@ -87,7 +108,16 @@ export default function SearchScreen({ navigation }) {
     if (location && activeTab === 'benches') {
       performSearch();
     }
-  }, [searchQuery, viewType, ratingFilter, distanceFilter, sortBy, location, activeTab]);
+  }, [
+    debouncedQuery, viewType, amenities, material, accessibleOnly, ratingFilter, ratingDimension, distanceFilter, sortBy,
+    location, activeTab,
+  ]);
+
+  // Full-text search on every keystroke is wasteful - wait for a pause
+  useEffect(() => {
+    const debounceTimer = setTimeout(() => setDebouncedQuery(searchQuery), 300);
+    return () => clearTimeout(debounceTimer);
+  }, [searchQuery]);
 
   // User search with debounce
   useEffect(() => {
@@ -120,24 +150,78 @@ export default function SearchScreen({ navigation }) {
     }
   };
 
+  // Ignore pages that arrive after the filters have changed
+  const searchRequestId = useRef(0);
+
+  const effectiveSortBy = sortBy || (debouncedQuery.trim() ? 'relevance' : 'distance');
+
+  const searchParams = useMemo(() => ({
+    query: debouncedQuery,
+    viewType,
+    amenities,
+    material,
+    accessibleOnly,
+    ratingFilter,
+    ratingDimension,
+    maxDistance: distanceFilter,
+    sortBy: effectiveSortBy,
+    userLocation: location,
+  }), [
+    debouncedQuery, viewType, amenities, material, accessibleOnly, ratingFilter, ratingDimension, distanceFilter,
+    effectiveSortBy, location,
+  ]);
+
+  // Offer a correction when the query only matched through typo tolerance
+  const suggestion = useMemo(() => (
+    debouncedQuery.trim() && results.length > 0
+      ? suggestCorrection(debouncedQuery, results.slice(0, 10).map(bench => `${bench.title} ${bench.description || ''}`))
+      : null
+  ), [debouncedQuery, results]);
+
   const performSearch = useCallback(async () => {
+    const requestId = ++searchRequestId.current;
     setLoading(true);
     try {
-      const processedBenches = await api.benches.search({
-        query: searchQuery,
-        viewType,
-        ratingFilter,
-        maxDistance: distanceFilter,
-        sortBy,
-        userLocation: location,
-      });
-      setResults(processedBenches);
+      const page = await api.benches.search({ ...searchParams, offset: 0 });
+      if (requestId !== searchRequestId.current) return;
+
+      setResults(page.benches);
+      setTotalCount(page.totalCount);
+      setNextOffset(page.nextOffset);
+      setHasMore(page.hasMore);
+      setOffline(page.offline);
     } catch (error) {
       console.error('Error searching benches:', error);
     } finally {
-      setLoading(false);
+      if (requestId === searchRequestId.current) {
+        setLoading(false);
+      }
     }
-  }, [searchQuery, viewType, ratingFilter, distanceFilter, sortBy, location]);
+  }, [searchParams]);
+
+  const loadMoreResults = useCallback(async () => {
+    if (loading || loadingMore || !hasMore) return;
+
+    const requestId = searchRequestId.current;
+    setLoadingMore(true);
+    try {
+      const page = await api.benches.search({ ...searchParams, offset: nextOffset });
+      if (requestId !== searchRequestId.current) return;
+
+      // Skip anything already shown if new benches shifted the pages
+      setResults(prev => {
+        const seen = new Set(prev.map(bench => bench.id));
+        return [...prev, ...page.benches.filter(bench => !seen.has(bench.id))];
+      });
+      setTotalCount(page.totalCount);
+      setNextOffset(page.nextOffset);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more benches:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loading, loadingMore, hasMore, searchParams, nextOffset]);
 
   const searchUsers = async () => {
     setUserLoading(true);
@@ -179,9 +263,13 @@ export default function SearchScreen({ navigation }) {
   const clearFilters = () => {
     setSearchQuery('');
     setViewType(null);
+    setAmenities([]);
+    setMaterial(null);
+    setAccessibleOnly(false);
     setRatingFilter(null);
+    setRatingDimension(null);
     setDistanceFilter(null);
-    setSortBy('distance');
+    setSortBy(null);
   };
 
   const searchLocation = async () => {
@@ -210,7 +298,8 @@ export default function SearchScreen({ navigation }) {
     setLocationResults([]);
   };
 
-  const hasActiveFilters = viewType || ratingFilter || searchQuery.trim();
+  const hasActiveFilters = viewType || amenities.length > 0 || material || accessibleOnly || ratingFilter || ratingDimension
+    || searchQuery.trim();
 
   const renderUserItem = ({ item }) => {
     const isCurrentUser = currentUser && item.id === currentUser.id;
@@ -325,55 +414,100 @@ export default function SearchScreen({ navigation }) {
               value={searchQuery}
               onChangeText={setSearchQuery}
               onClear={() => setSearchQuery('')}
-              placeholder="search bench names..."
+              placeholder="search names, descriptions, access notes..."
+              suggestion={suggestion}
+              onSuggestionPress={setSearchQuery}
             />
           </View>
 
+          {!debouncedQuery.trim() && !showFilters && trendingTags?.length > 0 && (
+            <View style={localStyles.trendingSection}>
+              <Text style={[localStyles.trendingLabel, { color: colors.text.tertiary }]}>trending</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={localStyles.trendingTags}>
+                {trendingTags.map(({ tag, bench_count: benchCount }) => (
+                  <TouchableOpacity
+                    key={tag}
+                    style={styles.filterChip}
+                    onPress={() => navigation.navigate('Tag', { tag })}
+                  >
+                    <Text style={styles.filterChipText}>
+                      #{tag} · {benchCount}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            </View>
+          )}
+
           {showFilters && (
             <SearchFilters
               viewType={viewType}
+              amenities={amenities}
+              material={material}
+              accessibleOnly={accessibleOnly}
               ratingFilter={ratingFilter}
+              ratingDimension={ratingDimension}
               distanceFilter={distanceFilter}
-              sortBy={sortBy}
+              sortBy={effectiveSortBy}
               onViewTypeChange={setViewType}
+              onAmenitiesChange={setAmenities}
+              onMaterialChange={setMaterial}
+              onAccessibleOnlyChange={setAccessibleOnly}
               onRatingFilterChange={setRatingFilter}
+              onRatingDimensionChange={setRatingDimension}
               onDistanceFilterChange={setDistanceFilter}
               onSortByChange={setSortBy}
               onClearFilters={clearFilters}
               hasActiveFilters={hasActiveFilters}
+              hasQuery={!!debouncedQuery.trim()}
             />
           )}
 
-          <ScrollView style={styles.results} showsVerticalScrollIndicator={false}>
-            {loading ? (
-              <View style={styles.loadingContainer}>
-                <ActivityIndicator size="large" color={colors.icon.primary} />
-              </View>
-            ) : results.length === 0 ? (
-              <View style={styles.emptyState}>
-                <Ionicons name="search-outline" size={48} color={colors.icon.muted} />
-                <Text style={styles.emptyStateTitle}>no benches found</Text>
-                <Text style={styles.emptyStateText}>
-                  {selectedLocationName ? `no benches in ${selectedLocationName}` : 'try adjusting your filters'}
-                </Text>
-              </View>
-            ) : (
-              <View style={styles.resultsList}>
+          {loading ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color={colors.icon.primary} />
+            </View>
+          ) : (
+            <FlatList
+              style={styles.results}
+              data={results}
+              keyExtractor={(item) => item.id}
+              contentContainerStyle={results.length > 0 ? styles.resultsList : null}
+              renderItem={({ item }) => (
+                <SearchResultCard
+                  bench={item}
+                  ratingDimension={ratingDimension}
+                  visited={visitedBenchIds.has(item.id)}
+                  onPress={() => navigation.navigate('BenchDetail', { benchId: item.id })}
+                />
+              )}
+              ListHeaderComponent={results.length > 0 ? (
                 <Text style={styles.resultsCount}>
-                  {results.length} {results.length === 1 ? 'bench' : 'benches'}
+                  {totalCount} {totalCount === 1 ? 'bench' : 'benches'}
                   {selectedLocationName ? ` near ${selectedLocationName}` : ' nearby'}
+                  {offline ? ' · offline, saved benches only' : ''}
                 </Text>
-                {results.map((bench) => (
-                  <SearchResultCard
-                    key={bench.id}
-                    bench={bench}
-                    onPress={() => navigation.navigate('BenchDetail', { benchId: bench.id })}
-                  />
-                ))}
-              </View>
-            )}
-            <View style={{ height: 80 }} />
-          </ScrollView>
+              ) : null}
+              ListEmptyComponent={(
+                <View style={styles.emptyState}>
+                  <Ionicons name="search-outline" size={48} color={colors.icon.muted} />
+                  <Text style={styles.emptyStateTitle}>no benches found</Text>
+                  <Text style={styles.emptyStateText}>
+                    {selectedLocationName ? `no benches in ${selectedLocationName}` : 'try adjusting your filters'}
+                  </Text>
+                </View>
+              )}
+              ListFooterComponent={(
+                <View style={{ height: 80 }}>
+                  {loadingMore && <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />}
+                </View>
+              )}
+              onEndReached={loadMoreResults}
+              onEndReachedThreshold={0.5}
+              showsVerticalScrollIndicator={false}
+              keyboardShouldPersistTaps="handled"
+            />
+          )}
         </>
       )}
 
@@ -516,6 +650,9 @@ const localStyles = {
   tab: { flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 6, paddingVertical: 12 },
   tabActive: { borderBottomWidth: 2 },
   tabText: { fontSize: 14, fontWeight: '500' },
+  trendingSection: { paddingBottom: 12 },
+  trendingLabel: { fontSize: 11, fontWeight: '500', letterSpacing: 1, paddingHorizontal: 20, marginBottom: 8 },
+  trendingTags: { gap: 8, paddingHorizontal: 20 },
   userSearchContainer: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 12, paddingVertical: 10, borderRadius: 12, borderWidth: 1, gap: 10 },
   userSearchInput: { flex: 1, fontSize: 15, fontWeight: '400' },
   userItem: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, paddingVertical: 14, borderBottomWidth: 1 },
@@ -550,4 +687,5 @@ const localStyles = {
   suggestionsTitle: { fontSize: 12, fontWeight: '400', letterSpacing: 1, textTransform: 'uppercase', marginBottom: 12 },
   suggestionItem: { flexDirection: 'row', alignItems: 'center', gap: 10, paddingVertical: 10, paddingHorizontal: 12, borderWidth: 1, borderRadius: 8, marginBottom: 8 },
   suggestionText: { fontSize: 14, fontWeight: '300' },
+  footerLoader: { marginTop: 16 },
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+import { useTheme } from '../contexts/ThemeContext';
+import { useVisitedBenchIds } from '../contexts/QueryCacheContext';
+import { getStyles } from '../styles';
+import SearchResultCard from '../components/SearchResultCard';
+
+const TAG_SORTS = [
+  { key: 'recent', label: 'recent' },
+  { key: 'rating', label: 'highest rated' },
+];
+
+/**
+ * Benches tagged #tag in their description or a comment
+ */
+export default function TagScreen({ route, navigation }) {
+  const { tag } = route.params;
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+  const visitedBenchIds = useVisitedBenchIds();
+
+  const [sortBy, setSortBy] = useState('recent');
+  const [benches, setBenches] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [nextOffset, setNextOffset] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [offline, setOffline] = useState(false);
+
+  // Ignore pages that arrive after the sort has changed
+  const requestIdRef = useRef(0);
+
+  const loadBenches = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    try {
+      const page = await api.benches.search({ tag, sortBy, maxDistance: null, offset: 0 });
+      if (requestId !== requestIdRef.current) return;
+
+      setBenches(page.benches);
+      setTotalCount(page.totalCount);
+      setNextOffset(page.nextOffset);
+      setHasMore(page.hasMore);
+      setOffline(page.offline);
+    } catch (error) {
+      console.error('Error loading tagged benches:', error);
+      Alert.alert('Error', 'Could not load benches for this tag');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [tag, sortBy]);
+
+  useEffect(() => {
+    loadBenches();
+  }, [loadBenches]);
+
+  const loadMore = async () => {
+    if (loading || loadingMore || !hasMore) return;
+
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+    try {
+      const page = await api.benches.search({ tag, sortBy, maxDistance: null, offset: nextOffset });
+      if (requestId !== requestIdRef.current) return;
+
+      setBenches(previous => {
+        const seen = new Set(previous.map(bench => bench.id));
+        return [...previous, ...page.benches.filter(bench => !seen.has(bench.id))];
+      });
+      setNextOffset(page.nextOffset);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more tagged benches:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>#{tag}</Text>
+        <View style={localStyles.headerSpacer} />
+      </View>
+
+      <View style={[styles.filterOptions, localStyles.sortOptions]}>
+        {TAG_SORTS.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.filterChip, sortBy === option.key && styles.filterChipActive]}
+            onPress={() => setSortBy(option.key)}
+          >
+            <Text style={[styles.filterChipText, sortBy === option.key && styles.filterChipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.icon.primary} />
+        </View>
+      ) : (
+        <FlatList
+          style={styles.results}
+          data={benches}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={benches.length > 0 ? styles.resultsList : null}
+          renderItem={({ item }) => (
+            <SearchResultCard
+              bench={item}
+              visited={visitedBenchIds.has(item.id)}
+              onPress={() => navigation.push('BenchDetail', { benchId: item.id })}
+            />
+          )}
+          ListHeaderComponent={benches.length > 0 ? (
+            <Text style={styles.resultsCount}>
+              {totalCount} {totalCount === 1 ? 'bench' : 'benches'}
+              {offline ? ' · offline, saved benches only' : ''}
+            </Text>
+          ) : null}
+          ListEmptyComponent={(
+            <View style={styles.emptyState}>
+              <Ionicons name="pricetag-outline" size={48} color={colors.icon.muted} />
+              <Text style={styles.emptyStateTitle}>no benches tagged #{tag}</Text>
+              <Text style={styles.emptyStateText}>add #{tag} to a bench description or a comment</Text>
+            </View>
+          )}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color={colors.icon.primary} style={localStyles.footerLoader} />
+          ) : null}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  headerSpacer: { width: 24 },
+  sortOptions: { paddingHorizontal: 20, paddingVertical: 12 },
+  footerLoader: { paddingVertical: 20 },
+};
@@ -12,7 +12,12 @@ import { Ionicons } from '@expo/vector-icons';
 import api from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { useQuery, useInfiniteQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { isNearBottom } from '../utils/scroll';
 import { getStyles } from '../styles';
+import CollectionList from '../components/CollectionList';
+import WalkList from '../components/WalkList';
 
 export default function UserProfileScreen({ route, navigation }) {
     const { userId, username } = route.params;
@@ -21,11 +26,11 @@ export default function UserProfileScreen({ route, navigation }) {
     const styles = useMemo(() => getStyles(colors), [colors]);
 
     const [profile, setProfile] = useState(null);
-    const [userBenches, setUserBenches] = useState([]);
     const [stats, setStats] = useState({ benchesAdded: 0, followers: 0, following: 0 });
     const [isFollowing, setIsFollowing] = useState(false);
     const [loading, setLoading] = useState(true);
     const [followLoading, setFollowLoading] = useState(false);
+    const [blockStatus, setBlockStatus] = useState(null);
 
     const isOwnProfile = currentUser && profile && currentUser.id === profile.id;
 
@@ -48,21 +53,20 @@ export default function UserProfileScreen({ route, navigation }) {
 
             setProfile(profileData);
 
-            const [benchesData, followCounts] = await Promise.all([
-                api.benches.getByUserId(profileData.id),
-                api.follows.getCounts(profileData.id),
-            ]);
-
-            setUserBenches(benchesData);
+            const statsData = await api.profiles.getStats(profileData.id);
             setStats({
-                benchesAdded: benchesData.length,
-                followers: followCounts.followers,
-                following: followCounts.following,
+                benchesAdded: statsData.benchesAdded,
+                followers: statsData.followers,
+                following: statsData.following,
             });
 
             if (currentUser && currentUser.id !== profileData.id) {
-                const following = await api.follows.isFollowing(currentUser.id, profileData.id);
+                const [following, block] = await Promise.all([
+                    api.follows.isFollowing(currentUser.id, profileData.id),
+                    api.blocks.getStatus(currentUser.id, profileData.id),
+                ]);
                 setIsFollowing(following);
+                setBlockStatus(block);
             }
         } catch (error) {
             console.error('Error fetching user data:', error);
@@ -76,6 +80,43 @@ export default function UserProfileScreen({ route, navigation }) {
         fetchUserData();
     }, [fetchUserData]);
 
+    const profileId = profile?.id;
+    const viewerId = currentUser?.id;
+
+    const fetchBenchesPage = useCallback(
+        (page) => api.benches.getByUserId(profileId, page),
+        [profileId]
+    );
+
+    const {
+        items: userBenches,
+        hasMore: hasMoreBenches,
+        loadMore: loadMoreBenches,
+        loadingMore: loadingMoreBenches,
+    } = useInfiniteQuery(queryKeys.userBenches(profile?.id), fetchBenchesPage, { enabled: !!profile });
+
+    const fetchCollections = useCallback(
+        () => api.collections.getByUserId(profileId, viewerId),
+        [profileId, viewerId]
+    );
+
+    const { data: collectionsData } = useQuery(queryKeys.collections(profile?.id), fetchCollections, { enabled: !!profile });
+    const collections = collectionsData || [];
+
+    const fetchWalks = useCallback(
+        () => api.walks.getByUserId(profileId),
+        [profileId]
+    );
+
+    const { data: walksData } = useQuery(queryKeys.walks(profile?.id), fetchWalks, { enabled: !!profile });
+    const walks = walksData || [];
+
+    const handleScroll = ({ nativeEvent }) => {
+        if (hasMoreBenches && isNearBottom(nativeEvent)) {
+            loadMoreBenches();
+        }
+    };
+
     const handleFollowToggle = async () => {
         if (!currentUser) {
             Alert.alert('Login Required', 'Please login to follow users');
@@ -93,12 +134,61 @@ export default function UserProfileScreen({ route, navigation }) {
             }));
         } catch (error) {
             console.error('Error toggling follow:', error);
-            Alert.alert('Error', 'Could not update follow status');
+            Alert.alert('Error', error.message || 'Could not update follow status');
         } finally {
             setFollowLoading(false);
         }
     };
 
+    // kind: 'block', 'mute' or null to undo either
+    const updateBlock = async (kind) => {
+        try {
+            if (kind) {
+                await api.blocks.set(currentUser.id, profile.id, kind);
+            } else {
+                await api.blocks.remove(currentUser.id, profile.id);
+            }
+            setBlockStatus(kind);
+
+            // Blocking ends follows both ways
+            if (kind === 'block') {
+                setIsFollowing(false);
+                const statsData = await api.profiles.getStats(profile.id);
+                setStats({
+                    benchesAdded: statsData.benchesAdded,
+                    followers: statsData.followers,
+                    following: statsData.following,
+                });
+            }
+        } catch (error) {
+            console.error('Error updating block:', error);
+            Alert.alert('Error', 'Could not update this user');
+        }
+    };
+
+    const confirmBlock = () => {
+        Alert.alert(
+            `block @${profile.username}?`,
+            "they will be unfollowed and won't be able to follow you. you won't see their comments or posts, or get notifications from them.",
+            [
+                { text: 'cancel', style: 'cancel' },
+                { text: 'block', style: 'destructive', onPress: () => updateBlock('block') },
+            ]
+        );
+    };
+
+    const showBlockOptions = () => {
+        Alert.alert(`@${profile.username}`, undefined, [
+            blockStatus === 'mute'
+                ? { text: 'unmute', onPress: () => updateBlock(null) }
+                : blockStatus === null && { text: 'mute', onPress: () => updateBlock('mute') },
+            blockStatus === 'block'
+                ? { text: 'unblock', onPress: () => updateBlock(null) }
+                : { text: 'block', style: 'destructive', onPress: confirmBlock },
+            { text: 'cancel', style: 'cancel' },
+        ].filter(Boolean));
+    };
+
     if (loading) {
         return (
             <View style={styles.loadingContainer}>
@@ -123,10 +213,21 @@ export default function UserProfileScreen({ route, navigation }) {
                     <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
                 </TouchableOpacity>
                 <Text style={styles.headerTitle}>@{profile.username}</Text>
-                <View style={{ width: 24 }} />
+                {currentUser && !isOwnProfile ? (
+                    <TouchableOpacity onPress={showBlockOptions}>
+                        <Ionicons name="ellipsis-horizontal" size={24} color={colors.icon.primary} />
+                    </TouchableOpacity>
+                ) : (
+                    <View style={{ width: 24 }} />
+                )}
             </View>
 
-            <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            <ScrollView
+                style={styles.content}
+                showsVerticalScrollIndicator={false}
+                onScroll={handleScroll}
+                scrollEventThrottle={200}
+            >
                 <View style={localStyles.profileHeader}>
                     <View style={localStyles.avatarContainer}>
                         {profile.avatar_url ? (
@@ -152,7 +253,25 @@ export default function UserProfileScreen({ route, navigation }) {
                         </Text>
                     )}
 
-                    {currentUser && !isOwnProfile && (
+                    {blockStatus && (
+                        <View style={[localStyles.blockNotice, { backgroundColor: colors.surface }]}>
+                            <Ionicons
+                                name={blockStatus === 'block' ? 'ban-outline' : 'volume-mute-outline'}
+                                size={14}
+                                color={colors.text.secondary}
+                            />
+                            <Text style={[localStyles.blockNoticeText, { color: colors.text.secondary }]}>
+                                {blockStatus === 'block' ? 'you blocked this user' : 'you muted this user'}
+                            </Text>
+                            <TouchableOpacity onPress={() => updateBlock(null)}>
+                                <Text style={[localStyles.blockNoticeAction, { color: colors.button.primary }]}>
+                                    {blockStatus === 'block' ? 'unblock' : 'unmute'}
+                                </Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    {currentUser && !isOwnProfile && blockStatus !== 'block' && (
                         <TouchableOpacity
                             style={[localStyles.followButton, {
                                 backgroundColor: isFollowing ? colors.background : colors.button.primary,
@@ -222,6 +341,26 @@ export default function UserProfileScreen({ route, navigation }) {
                     </TouchableOpacity>
                 </View>
 
+                {collections.length > 0 && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionLabel}>collections</Text>
+                        <CollectionList
+                            collections={collections}
+                            onPress={(collection) => navigation.navigate('Collection', { collectionId: collection.id })}
+                        />
+                    </View>
+                )}
+
+                {walks.length > 0 && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionLabel}>walks</Text>
+                        <WalkList
+                            walks={walks}
+                            onPress={(walk) => navigation.navigate('Walk', { walkId: walk.id })}
+                        />
+                    </View>
+                )}
+
                 <View style={styles.section}>
                     <Text style={styles.sectionLabel}>
                         {isOwnProfile ? 'your benches' : `benches`}
@@ -259,6 +398,9 @@ export default function UserProfileScreen({ route, navigation }) {
                                     </TouchableOpacity>
                                 );
                             })}
+                            {loadingMoreBenches && (
+                                <ActivityIndicator size="small" color={colors.icon.primary} />
+                            )}
                         </View>
                     )}
                 </View>
@@ -279,6 +421,9 @@ const localStyles = {
     bio: { fontSize: 14, fontWeight: '300', textAlign: 'center', lineHeight: 20, marginTop: 8, paddingHorizontal: 20 },
     followButton: { flexDirection: 'row', alignItems: 'center', gap: 6, paddingHorizontal: 24, paddingVertical: 10, borderRadius: 20, marginTop: 16 },
     followButtonText: { fontSize: 14, fontWeight: '600' },
+    blockNotice: { flexDirection: 'row', alignItems: 'center', gap: 6, paddingHorizontal: 12, paddingVertical: 6, borderRadius: 12, marginTop: 12 },
+    blockNoticeText: { fontSize: 13, fontWeight: '400' },
+    blockNoticeAction: { fontSize: 13, fontWeight: '600', marginLeft: 4 },
     editButton: { paddingHorizontal: 24, paddingVertical: 10, borderRadius: 20, borderWidth: 1, marginTop: 16 },
     editButtonText: { fontSize: 14, fontWeight: '500' },
     statsContainer: { flexDirection: 'row', justifyContent: 'space-around', paddingVertical: 16, marginHorizontal: 20, borderTopWidth: 1, borderBottomWidth: 1 },
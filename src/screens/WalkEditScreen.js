@@ -0,0 +1,374 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import api from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getStyles } from '../styles';
+import { MAX_WALK_STOPS } from '../validation/schemas';
+import { formatDistance } from '../utils/geo';
+import { summarizeWalk, formatDuration } from '../utils/walks';
+import WalkStopPicker from '../components/WalkStopPicker';
+
+// How far from the last stop the next one is looked for
+const NEXT_STOP_RADIUS_METERS = 3000;
+
+/**
+ * Create a bench walk, or edit one of the user's walks: a name, a
+ * description and the benches in walk order
+ */
+export default function WalkEditScreen({ route, navigation }) {
+  // walk: the walk to edit (from WalkScreen); startBench: the first stop of a new walk
+  const walk = route.params?.walk || null;
+  const startBench = route.params?.startBench || null;
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+
+  const [title, setTitle] = useState(walk?.title || '');
+  const [description, setDescription] = useState(walk?.description || '');
+  const [stops, setStops] = useState(() => walk?.stops || (startBench ? [startBench] : []));
+  const [saving, setSaving] = useState(false);
+
+  // Next stop picker: the benches around the origin, null while loading
+  const [picking, setPicking] = useState(false);
+  const [nearbyBenches, setNearbyBenches] = useState(null);
+  const [pickerOrigin, setPickerOrigin] = useState('');
+
+  const { legs, distanceMeters, durationMinutes } = useMemo(() => summarizeWalk(stops), [stops]);
+
+  const canSave = title.trim() && stops.length >= 2 && !saving;
+
+  const openPicker = async () => {
+    const lastStop = stops[stops.length - 1];
+    setNearbyBenches(null);
+    setPicking(true);
+
+    try {
+      let origin = lastStop;
+      if (origin) {
+        setPickerOrigin(lastStop.title);
+      } else {
+        const { status } = await Location.requestForegroundPermissionsAsync();
+        if (status !== 'granted') {
+          setPicking(false);
+          Alert.alert('Permission needed', 'Location access is required to find benches near you');
+          return;
+        }
+        const position = await Location.getCurrentPositionAsync({});
+        origin = position.coords;
+        setPickerOrigin('you');
+      }
+
+      const benches = await api.benches.getNearby(
+        parseFloat(origin.latitude),
+        parseFloat(origin.longitude),
+        NEXT_STOP_RADIUS_METERS
+      );
+      const chosen = new Set(stops.map(stop => stop.id));
+      setNearbyBenches(benches.filter(bench => !chosen.has(bench.id)));
+    } catch (error) {
+      console.error('Error loading nearby benches:', error);
+      setPicking(false);
+      Alert.alert('Error', 'Could not load benches nearby');
+    }
+  };
+
+  const addStop = (bench) => {
+    setStops(prev => [...prev, bench]);
+    setPicking(false);
+  };
+
+  const moveStop = (index, offset) => {
+    setStops((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const removeStop = (index) => {
+    setStops(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await api.walks.save({
+        walkId: walk?.id,
+        userId: user.id,
+        title,
+        description,
+        benchIds: stops.map(stop => stop.id),
+      });
+
+      if (walk) {
+        navigation.goBack();
+      } else {
+        navigation.replace('Walk', { walkId: saved.id });
+      }
+    } catch (error) {
+      console.error('Error saving walk:', error);
+      Alert.alert('Error', error.message || 'Could not save the walk');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{walk ? 'edit walk' : 'new walk'}</Text>
+        <TouchableOpacity
+          onPress={handleSave}
+          disabled={!canSave}
+          style={canSave ? null : localStyles.disabled}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color={colors.button.primary} />
+          ) : (
+            <Text style={[localStyles.saveText, { color: colors.button.primary }]}>save</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={localStyles.flex}
+      >
+        <ScrollView
+          style={styles.content}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {/* Title */}
+          <View style={localStyles.inputGroup}>
+            <Text style={[localStyles.label, { color: colors.text.secondary }]}>name *</Text>
+            <TextInput
+              style={[localStyles.input, {
+                backgroundColor: colors.surface,
+                color: colors.text.primary,
+                borderColor: colors.border,
+              }]}
+              value={title}
+              onChangeText={setTitle}
+              placeholder="alfama viewpoints"
+              placeholderTextColor={colors.input.placeholder}
+              maxLength={80}
+            />
+          </View>
+
+          {/* Description */}
+          <View style={localStyles.inputGroup}>
+            <Text style={[localStyles.label, { color: colors.text.secondary }]}>description</Text>
+            <TextInput
+              style={[localStyles.textArea, {
+                backgroundColor: colors.surface,
+                color: colors.text.primary,
+                borderColor: colors.border,
+              }]}
+              value={description}
+              onChangeText={setDescription}
+              placeholder="where does it go, what should people look out for?"
+              placeholderTextColor={colors.input.placeholder}
+              multiline
+              numberOfLines={4}
+              maxLength={1000}
+              textAlignVertical="top"
+            />
+            <Text style={[localStyles.charCount, { color: colors.text.tertiary }]}>
+              {description.length}/1000
+            </Text>
+          </View>
+
+          {/* Stops */}
+          <View style={localStyles.inputGroup}>
+            <View style={localStyles.labelRow}>
+              <Text style={[localStyles.label, { color: colors.text.secondary }]}>
+                benches ({stops.length}/{MAX_WALK_STOPS})
+              </Text>
+              {stops.length >= 2 && (
+                <Text style={[localStyles.labelHint, { color: colors.text.tertiary }]}>
+                  {formatDistance(distanceMeters)} · about {formatDuration(durationMinutes)}
+                </Text>
+              )}
+            </View>
+
+            {stops.map((stop, index) => (
+              <View key={stop.id}>
+                {index > 0 && (
+                  <Text style={[localStyles.leg, { color: colors.text.tertiary }]}>
+                    ↓ {formatDistance(legs[index - 1])}
+                  </Text>
+                )}
+                <View style={[localStyles.stop, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+                  <View style={[localStyles.stopNumber, { backgroundColor: colors.button.primary }]}>
+                    <Text style={[localStyles.stopNumberText, { color: colors.button.primaryText }]}>{index + 1}</Text>
+                  </View>
+                  <Text style={[localStyles.stopTitle, { color: colors.text.primary }]} numberOfLines={1}>
+                    {stop.title}
+                  </Text>
+                  <TouchableOpacity onPress={() => moveStop(index, -1)} disabled={index === 0} hitSlop={6}>
+                    <Ionicons name="chevron-up" size={20} color={index === 0 ? colors.icon.muted : colors.icon.secondary} />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => moveStop(index, 1)}
+                    disabled={index === stops.length - 1}
+                    hitSlop={6}
+                  >
+                    <Ionicons
+                      name="chevron-down"
+                      size={20}
+                      color={index === stops.length - 1 ? colors.icon.muted : colors.icon.secondary}
+                    />
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => removeStop(index)} hitSlop={6}>
+                    <Ionicons name="close" size={20} color={colors.icon.secondary} />
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+
+            {stops.length < MAX_WALK_STOPS && (
+              <TouchableOpacity
+                style={[localStyles.addStop, { borderColor: colors.border }]}
+                onPress={openPicker}
+              >
+                <Ionicons name="add" size={18} color={colors.button.primary} />
+                <Text style={[localStyles.addStopText, { color: colors.button.primary }]}>
+                  {stops.length === 0 ? 'add the first bench' : 'add the next bench'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {stops.length < 2 && (
+              <Text style={styles.helperText}>a walk needs at least two benches</Text>
+            )}
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      {picking && (
+        <WalkStopPicker
+          visible
+          benches={nearbyBenches}
+          origin={pickerOrigin}
+          onSelect={addStop}
+          onClose={() => setPicking(false)}
+        />
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  flex: {
+    flex: 1,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  inputGroup: {
+    marginBottom: 24,
+    paddingHorizontal: 16,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '500',
+    textTransform: 'lowercase',
+    marginBottom: 8,
+  },
+  labelHint: {
+    fontSize: 11,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  input: {
+    fontSize: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  textArea: {
+    fontSize: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    minHeight: 120,
+  },
+  charCount: {
+    fontSize: 11,
+    marginTop: 6,
+    textAlign: 'right',
+  },
+  leg: {
+    fontSize: 12,
+    marginVertical: 4,
+    marginLeft: 18,
+  },
+  stop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  stopNumber: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stopNumberText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  stopTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  addStop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    marginTop: 12,
+  },
+  addStopText: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+};
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import api from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { useQuery } from '../contexts/QueryCacheContext';
+import { queryKeys } from '../services/queryCache';
+import { getStyles } from '../styles';
+import { formatDistance } from '../utils/geo';
+import { formatDuration } from '../utils/walks';
+import { openDirections } from '../utils/directions';
+
+/**
+ * A bench walk: its route and stops, followed step by step with directions
+ * to the next bench. Its author can edit or delete it.
+ */
+export default function WalkScreen({ route, navigation }) {
+  const { walkId } = route.params;
+  const { user } = useAuth();
+  const { colors } = useTheme();
+  const styles = useMemo(() => getStyles(colors), [colors]);
+
+  // Index of the stop being walked to, null when not following the walk
+  const [step, setStep] = useState(null);
+
+  const fetchWalk = useCallback(() => api.walks.getById(walkId), [walkId]);
+
+  const { data: walk, loading, error } = useQuery(queryKeys.walk(walkId), fetchWalk);
+
+  useEffect(() => {
+    if (error) {
+      console.error('Error fetching walk:', error);
+      Alert.alert('Error', 'Could not load this walk');
+    }
+  }, [error]);
+
+  const isOwner = !!user && walk?.user_id === user.id;
+  const stops = walk?.stops || [];
+  // A stop can drop out (trashed or hidden bench) while the walk is followed
+  const current = step !== null ? stops[Math.min(step, stops.length - 1)] : null;
+  const currentIndex = current ? stops.indexOf(current) : null;
+
+  const showOnMap = () => {
+    navigation.navigate('MainTabs', {
+      screen: 'Explore',
+      params: {
+        walk: {
+          id: walk.id,
+          title: walk.title,
+          stops: stops.map(({ id, title, latitude, longitude }) => ({ id, title, latitude, longitude })),
+        },
+      },
+    });
+  };
+
+  const handleNext = () => {
+    if (currentIndex < stops.length - 1) {
+      setStep(currentIndex + 1);
+      return;
+    }
+
+    setStep(null);
+    Alert.alert('Walk finished', `You made it through all ${stops.length} benches of "${walk.title}"`);
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'delete walk',
+      `delete "${walk.title}"? the benches on it are not deleted.`,
+      [
+        { text: 'cancel', style: 'cancel' },
+        {
+          text: 'delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.walks.delete(walk.id, user.id);
+              navigation.goBack();
+            } catch (deleteError) {
+              console.error('Error deleting walk:', deleteError);
+              Alert.alert('Error', 'Could not delete the walk');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderStepCard = () => (
+    <View style={[localStyles.stepCard, { backgroundColor: colors.card.background, borderColor: colors.button.primary }]}>
+      <Text style={[localStyles.stepLabel, { color: colors.text.tertiary }]}>
+        bench {currentIndex + 1} of {stops.length}
+        {currentIndex > 0 && ` · ${formatDistance(walk.legs[currentIndex - 1])} from the last one`}
+      </Text>
+      <Text style={[localStyles.stepTitle, { color: colors.text.primary }]}>{current.title}</Text>
+
+      <View style={localStyles.stepActions}>
+        <TouchableOpacity
+          style={[localStyles.stepButton, { borderColor: colors.border }]}
+          onPress={() => openDirections(current)}
+        >
+          <Ionicons name="navigate-outline" size={16} color={colors.text.primary} />
+          <Text style={[localStyles.stepButtonText, { color: colors.text.primary }]}>directions</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[localStyles.stepButton, localStyles.stepButtonPrimary, { backgroundColor: colors.button.primary, borderColor: colors.button.primary }]}
+          onPress={handleNext}
+        >
+          <Text style={[localStyles.stepButtonText, { color: colors.button.primaryText }]}>
+            {currentIndex < stops.length - 1 ? 'next bench' : 'finish'}
+          </Text>
+          <Ionicons
+            name={currentIndex < stops.length - 1 ? 'arrow-forward' : 'flag-outline'}
+            size={16}
+            color={colors.button.primaryText}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <View style={localStyles.stepFooter}>
+        <TouchableOpacity onPress={() => setStep(currentIndex - 1)} disabled={currentIndex === 0}>
+          <Text style={[localStyles.stepLink, { color: currentIndex === 0 ? colors.text.tertiary : colors.text.secondary }]}>
+            previous
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setStep(null)}>
+          <Text style={[localStyles.stepLink, { color: colors.text.secondary }]}>stop walking</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderStop = (bench, index) => {
+    const primaryPhoto = bench.bench_photos?.find(photo => photo.is_primary);
+    const isCurrent = index === currentIndex;
+
+    return (
+      <View key={bench.id}>
+        {index > 0 && (
+          <Text style={[localStyles.leg, { color: colors.text.tertiary }]}>
+            ↓ {formatDistance(walk.legs[index - 1])}
+          </Text>
+        )}
+        <TouchableOpacity
+          style={[styles.benchCard, isCurrent && { borderBottomColor: colors.button.primary }]}
+          onPress={() => navigation.navigate('BenchDetail', { benchId: bench.id })}
+        >
+          <View style={[localStyles.stopNumber, { backgroundColor: isCurrent ? colors.button.primary : colors.surface }]}>
+            <Text style={[localStyles.stopNumberText, { color: isCurrent ? colors.button.primaryText : colors.text.primary }]}>
+              {index + 1}
+            </Text>
+          </View>
+          {primaryPhoto ? (
+            <Image source={{ uri: primaryPhoto.photo_url }} style={styles.benchImage} />
+          ) : (
+            <View style={styles.benchImagePlaceholder}>
+              <Ionicons name="image-outline" size={24} color={colors.icon.muted} />
+            </View>
+          )}
+          <View style={styles.benchInfo}>
+            <Text style={styles.benchViewType}>{bench.view_type}</Text>
+            <Text style={styles.benchTitle}>{bench.title}</Text>
+            {bench.removed_at && (
+              <Text style={[localStyles.gone, { color: colors.warning }]}>reported gone</Text>
+            )}
+          </View>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.icon.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>walk</Text>
+        <View style={localStyles.headerActions}>
+          {walk && stops.length > 0 && (
+            <TouchableOpacity onPress={showOnMap}>
+              <Ionicons name="map-outline" size={22} color={colors.icon.primary} />
+            </TouchableOpacity>
+          )}
+          {isOwner && (
+            <>
+              <TouchableOpacity onPress={() => navigation.navigate('WalkEdit', { walk })}>
+                <Ionicons name="create-outline" size={22} color={colors.icon.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleDelete}>
+                <Ionicons name="trash-outline" size={22} color={colors.destructive} />
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.icon.primary} />
+        </View>
+      ) : !walk ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="walk-outline" size={48} color={colors.icon.muted} />
+          <Text style={styles.emptyStateTitle}>walk not available</Text>
+          <Text style={styles.emptyStateText}>it may have been deleted</Text>
+        </View>
+      ) : (
+        <ScrollView showsVerticalScrollIndicator={false}>
+          <View style={styles.section}>
+            <Text style={[localStyles.title, { color: colors.text.primary }]}>{walk.title}</Text>
+            {walk.description && (
+              <Text style={[localStyles.description, { color: colors.text.secondary }]}>
+                {walk.description}
+              </Text>
+            )}
+            <TouchableOpacity onPress={() => navigation.navigate('UserProfile', { userId: walk.user_id })}>
+              <Text style={[localStyles.owner, { color: colors.text.primary }]}>
+                by @{walk.profiles?.username || 'unknown'}
+              </Text>
+            </TouchableOpacity>
+            <View style={localStyles.meta}>
+              <Ionicons name="walk-outline" size={14} color={colors.text.tertiary} />
+              <Text style={[localStyles.metaText, { color: colors.text.tertiary }]}>
+                {stops.length === 1 ? '1 bench' : `${stops.length} benches`} · {formatDistance(walk.distanceMeters)} · about {formatDuration(walk.durationMinutes)}
+              </Text>
+            </View>
+
+            {current ? renderStepCard() : stops.length > 0 && (
+              <TouchableOpacity
+                style={[localStyles.startButton, { backgroundColor: colors.button.primary }]}
+                onPress={() => setStep(0)}
+              >
+                <Ionicons name="footsteps-outline" size={16} color={colors.button.primaryText} />
+                <Text style={[localStyles.startButtonText, { color: colors.button.primaryText }]}>start walk</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <View style={localStyles.stops}>
+            {stops.length === 0 ? (
+              <Text style={styles.helperText}>the benches on this walk are no longer available</Text>
+            ) : stops.map(renderStop)}
+          </View>
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const localStyles = {
+  headerActions: { flexDirection: 'row', alignItems: 'center', gap: 16, minWidth: 24 },
+  title: { fontSize: 22, fontWeight: '600' },
+  description: { fontSize: 14, fontWeight: '300', lineHeight: 20, marginTop: 8 },
+  owner: { fontSize: 14, fontWeight: '500', marginTop: 12 },
+  meta: { flexDirection: 'row', alignItems: 'center', gap: 4, marginTop: 4 },
+  metaText: { fontSize: 12, fontWeight: '400' },
+  startButton: { flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-start', gap: 6, paddingHorizontal: 20, paddingVertical: 8, borderRadius: 20, marginTop: 16 },
+  startButtonText: { fontSize: 14, fontWeight: '600' },
+  stepCard: { borderWidth: 1, borderRadius: 12, padding: 16, marginTop: 16 },
+  stepLabel: { fontSize: 12, fontWeight: '400' },
+  stepTitle: { fontSize: 18, fontWeight: '600', marginTop: 4 },
+  stepActions: { flexDirection: 'row', gap: 12, marginTop: 16 },
+  stepButton: { flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 6, paddingVertical: 12, borderRadius: 12, borderWidth: 1 },
+  stepButtonPrimary: { flex: 2 },
+  stepButtonText: { fontSize: 15, fontWeight: '600' },
+  stepFooter: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 12 },
+  stepLink: { fontSize: 13, fontWeight: '500' },
+  stops: { paddingHorizontal: 20, paddingBottom: 32 },
+  leg: { fontSize: 12, marginVertical: 6, marginLeft: 12 },
+  stopNumber: { width: 24, height: 24, borderRadius: 12, justifyContent: 'center', alignItems: 'center' },
+  stopNumberText: { fontSize: 12, fontWeight: '600' },
+  gone: { fontSize: 12, fontWeight: '500', marginTop: 4 },
+};
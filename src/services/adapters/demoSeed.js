@@ -0,0 +1,216 @@
+/**
+ * Demo data for the in-memory backend (EXPO_PUBLIC_BACKEND=memory)
+ *
+ * Sign in with demo@benchspotter.app / benchspotter
+ */
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const USERS = {
+  demo: '0b7e6c1a-3f2d-4c8e-9a51-6d2f4e8b1c01',
+  marta: '0b7e6c1a-3f2d-4c8e-9a51-6d2f4e8b1c02',
+  joao: '0b7e6c1a-3f2d-4c8e-9a51-6d2f4e8b1c03',
+};
+
+const BENCHES = {
+  miradouro: '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e01',
+  riverside: '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e02',
+  garden: '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e03',
+  castle: '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e04',
+  park: '5c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e05',
+};
+
+export const demoSeed = {
+  users: [
+    {
+      id: USERS.demo,
+      email: 'demo@benchspotter.app',
+      password: 'benchspotter',
+      user_metadata: { username: 'demo' },
+      created_at: daysAgo(60),
+    },
+    {
+      id: USERS.marta,
+      email: 'marta@benchspotter.app',
+      password: 'benchspotter',
+      user_metadata: { username: 'marta' },
+      created_at: daysAgo(45),
+    },
+    {
+      id: USERS.joao,
+      email: 'joao@benchspotter.app',
+      password: 'benchspotter',
+      user_metadata: { username: 'joao' },
+      created_at: daysAgo(30),
+    },
+  ],
+
+  tables: {
+    profiles: [
+      { id: USERS.demo, username: 'demo', full_name: 'Demo User', avatar_url: null, bio: 'just here for the views', role: 'moderator', created_at: daysAgo(60) },
+      { id: USERS.marta, username: 'marta', full_name: 'Marta Silva', avatar_url: null, bio: 'sunset chaser', role: 'user', created_at: daysAgo(45) },
+      { id: USERS.joao, username: 'joao', full_name: 'João Costa', avatar_url: null, bio: null, role: 'user', created_at: daysAgo(30) },
+    ],
+
+    benches: [
+      {
+        id: BENCHES.miradouro,
+        user_id: USERS.marta,
+        title: 'Miradouro da Graça',
+        description: 'Stone bench under the pines with a view over the whole city. Busy at #sunset.',
+        latitude: 38.7163,
+        longitude: -9.1318,
+        view_type: 'urban',
+        accessibility_notes: 'Cobbled slope on the way up',
+        step_free_access: false,
+        surface_type: 'cobbles',
+        has_backrest: false,
+        has_shade: true,
+        material: 'stone',
+        seat_count: 4,
+        created_at: daysAgo(40),
+      },
+      {
+        id: BENCHES.riverside,
+        user_id: USERS.marta,
+        title: 'Riverside at Ribeira das Naus',
+        description: 'Wide wooden steps and benches right on the water. #sunset #riverside',
+        latitude: 38.7067,
+        longitude: -9.1417,
+        view_type: 'river',
+        accessibility_notes: 'Step-free from the promenade',
+        step_free_access: true,
+        wheelchair_space: true,
+        surface_type: 'paved',
+        seat_height_cm: 45,
+        access_distance_meters: 150,
+        has_backrest: true,
+        toilet_nearby: true,
+        water_nearby: true,
+        material: 'wood',
+        created_at: daysAgo(20),
+      },
+      {
+        id: BENCHES.garden,
+        user_id: USERS.joao,
+        title: 'Jardim da Estrela pond',
+        description: 'Quiet bench next to the duck pond, lots of shade in summer. #picnic',
+        latitude: 38.7137,
+        longitude: -9.1603,
+        view_type: 'lake',
+        accessibility_notes: null,
+        has_backrest: true,
+        has_armrests: true,
+        has_shade: true,
+        toilet_nearby: true,
+        material: 'wood',
+        seat_count: 3,
+        created_at: daysAgo(12),
+      },
+      {
+        id: BENCHES.castle,
+        user_id: USERS.demo,
+        title: 'Castle walls lookout',
+        description: 'Small bench just outside the castle gate. #sunset',
+        latitude: 38.7139,
+        longitude: -9.1334,
+        view_type: 'urban',
+        accessibility_notes: 'Steep climb',
+        step_free_access: false,
+        material: 'metal',
+        seat_count: 2,
+        open_issue_count: 1,
+        created_at: daysAgo(5),
+      },
+      {
+        id: BENCHES.park,
+        user_id: USERS.joao,
+        title: 'Monsanto forest clearing',
+        description: 'Hidden bench in the forest park, almost always empty. #quiet #picnic',
+        latitude: 38.7286,
+        longitude: -9.1875,
+        view_type: 'forest',
+        accessibility_notes: 'Dirt trail, not suitable for wheelchairs',
+        step_free_access: false,
+        wheelchair_space: false,
+        surface_type: 'dirt',
+        access_distance_meters: 600,
+        has_table: true,
+        has_shade: true,
+        material: 'wood',
+        created_at: daysAgo(2),
+      },
+    ],
+
+    bench_photos: [],
+
+    bench_issues: [
+      { id: '6f7a8b9c-0d1e-4f2a-9b3c-4d5e6f7a8b01', bench_id: BENCHES.castle, user_id: USERS.joao, category: 'broken', description: 'One of the seat slats is cracked, sit on the left side', photo_url: null, status: 'open', created_at: daysAgo(1), confirmed_at: null, resolved_by: null, resolved_at: null },
+    ],
+
+    bench_ratings: [
+      { id: '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c01', bench_id: BENCHES.miradouro, user_id: USERS.demo, view_rating: 5, comfort_rating: 3, shade_rating: 2, quietness_rating: 3, created_at: daysAgo(30) },
+      { id: '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c02', bench_id: BENCHES.miradouro, user_id: USERS.joao, view_rating: 5, comfort_rating: 4, created_at: daysAgo(25) },
+      { id: '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c03', bench_id: BENCHES.riverside, user_id: USERS.joao, view_rating: 4, comfort_rating: 4, shade_rating: 5, quietness_rating: 4, cleanliness_rating: 4, accessibility_rating: 5, created_at: daysAgo(15) },
+      { id: '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c04', bench_id: BENCHES.garden, user_id: USERS.marta, view_rating: 3, comfort_rating: 5, shade_rating: 4, quietness_rating: 5, created_at: daysAgo(10) },
+      { id: '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c05', bench_id: BENCHES.castle, user_id: USERS.marta, view_rating: 4, comfort_rating: 2, created_at: daysAgo(4) },
+    ],
+
+    comments: [
+      { id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b01', bench_id: BENCHES.miradouro, user_id: USERS.demo, text: 'best sunset spot in town', parent_id: null, thread_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b01', like_count: 1, created_at: daysAgo(29) },
+      { id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b02', bench_id: BENCHES.miradouro, user_id: USERS.marta, text: '@demo agreed, go early on weekends', parent_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b01', thread_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b01', like_count: 0, created_at: daysAgo(28) },
+      { id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b03', bench_id: BENCHES.garden, user_id: USERS.demo, text: 'bring bread for the ducks', parent_id: null, thread_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b03', like_count: 0, created_at: daysAgo(9) },
+    ],
+
+    comment_likes: [
+      { id: '3e4f5a6b-7c8d-4e9f-a0b1-c2d3e4f5a601', comment_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b01', user_id: USERS.marta, created_at: daysAgo(28) },
+    ],
+
+    comment_mentions: [
+      { id: '5c6d7e8f-9a0b-4c1d-8e2f-3a4b5c6d7e01', comment_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b02', user_id: USERS.demo, start_index: 0, end_index: 5, created_at: daysAgo(28) },
+    ],
+
+    favorites: [
+      { user_id: USERS.demo, bench_id: BENCHES.riverside, created_at: daysAgo(14) },
+      { user_id: USERS.marta, bench_id: BENCHES.castle, created_at: daysAgo(3) },
+    ],
+
+    collections: [
+      { id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d01', user_id: USERS.marta, title: 'Best sunset benches in Lisbon', description: 'Where to sit when the sky turns orange', cover_photo_url: null, visibility: 'public', created_at: daysAgo(11), updated_at: daysAgo(4) },
+      { id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d02', user_id: USERS.demo, title: 'Lunch spots near the office', description: null, cover_photo_url: null, visibility: 'followers', created_at: daysAgo(8), updated_at: daysAgo(8) },
+    ],
+
+    collection_benches: [
+      { collection_id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d01', bench_id: BENCHES.miradouro, created_at: daysAgo(11) },
+      { collection_id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d01', bench_id: BENCHES.castle, created_at: daysAgo(4) },
+      { collection_id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d02', bench_id: BENCHES.garden, created_at: daysAgo(8) },
+    ],
+
+    collection_follows: [
+      { collection_id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d01', user_id: USERS.demo, created_at: daysAgo(10) },
+    ],
+
+    walks: [
+      { id: '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e01', user_id: USERS.marta, title: 'Alfama viewpoints', description: 'From the castle walls up to Graça and down to the river, resting at every view on the way', created_at: daysAgo(6), updated_at: daysAgo(6) },
+    ],
+
+    walk_stops: [
+      { walk_id: '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e01', position: 1, bench_id: BENCHES.castle },
+      { walk_id: '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e01', position: 2, bench_id: BENCHES.miradouro },
+      { walk_id: '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e01', position: 3, bench_id: BENCHES.riverside },
+    ],
+
+    follows: [
+      { follower_id: USERS.demo, following_id: USERS.marta, created_at: daysAgo(35) },
+      { follower_id: USERS.demo, following_id: USERS.joao, created_at: daysAgo(20) },
+      { follower_id: USERS.marta, following_id: USERS.demo, created_at: daysAgo(34) },
+    ],
+
+    notifications: [
+      { id: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c01', user_id: USERS.demo, actor_id: USERS.marta, type: 'follow', bench_id: null, comment_id: null, collection_id: null, is_read: true, created_at: daysAgo(34) },
+      { id: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c02', user_id: USERS.demo, actor_id: USERS.marta, type: 'reply', bench_id: BENCHES.miradouro, comment_id: '9d8c7b6a-5f4e-4d3c-9b2a-1f0e9d8c7b02', collection_id: null, is_read: false, created_at: daysAgo(28) },
+      { id: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c03', user_id: USERS.demo, actor_id: USERS.marta, type: 'favorite', bench_id: BENCHES.castle, comment_id: null, collection_id: null, is_read: false, created_at: daysAgo(3) },
+      { id: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c04', user_id: USERS.demo, actor_id: USERS.marta, type: 'collection_bench', bench_id: BENCHES.castle, comment_id: null, collection_id: '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d01', is_read: false, created_at: daysAgo(4) },
+    ],
+  },
+};
@@ -0,0 +1,969 @@
+/**
+ * In-Memory Backend Adapter
+ *
+ * Implements the adapter interface (see ../backend) entirely in memory so the
+ * app can run in demo mode and services can be exercised without a live
+ * Supabase project.
+ *
+ * Supported surface:
+ * - from(table): select (columns, embeds, !inner embeds, count/head), insert, update, upsert, delete,
+ *   filters eq/neq/gt/gte/lt/lte/like/ilike/is/in/contains/not/or/filter (also on
+ *   embedded columns, e.g. 'benches.deleted_at'), order, limit, range, single, maybeSingle
+ * - rpc(name, params): handlers registered in ./memoryRpc
+ * - storage.from(bucket): upload, getPublicUrl, remove, list
+ * - auth: getSession, getUser, onAuthStateChange, signUp, signInWithPassword, signOut
+ * - channel(name): postgres_changes subscriptions fired on writes
+ * - the database triggers the app relies on, in TRIGGERS
+ *
+ * Errors use the same shape and codes as PostgREST (PGRST116 for .single()
+ * without exactly one row, 23505 for unique violations, 42501 for the few
+ * row-level security checks in INSERT_POLICIES) so service-level error
+ * handling behaves identically.
+ */
+
+import { generateId } from '../../utils/id';
+import { rpcHandlers } from './memoryRpc';
+
+// ============================================================================
+// SCHEMA METADATA
+// ============================================================================
+
+// Primary keys that differ from the default 'id' column
+const PRIMARY_KEYS = {
+  favorites: ['user_id', 'bench_id'],
+  follows: ['follower_id', 'following_id'],
+  bench_location_votes: ['proposal_id', 'user_id'],
+  bench_issue_confirmations: ['issue_id', 'user_id'],
+  collection_benches: ['collection_id', 'bench_id'],
+  collection_follows: ['collection_id', 'user_id'],
+  walk_stops: ['walk_id', 'position'],
+  user_blocks: ['blocker_id', 'blocked_id'],
+};
+
+// Unique constraints enforced on insert/upsert
+const UNIQUE_KEYS = {
+  profiles: [['username']],
+  bench_ratings: [['bench_id', 'user_id']],
+  comment_likes: [['comment_id', 'user_id']],
+  comment_mentions: [['comment_id', 'start_index']],
+  push_tokens: [['user_id']],
+  reports: [['reporter_id', 'target_type', 'target_id']],
+};
+
+// Creation timestamp column per table (defaults to created_at)
+const TIMESTAMP_COLUMNS = {
+  bench_photos: 'uploaded_at',
+  bench_visits: 'visited_at',
+};
+
+// Column defaults applied on insert
+const COLUMN_DEFAULTS = {
+  benches: { open_issue_count: 0, removed_at: null },
+  comments: { like_count: 0 },
+  collections: { description: null, cover_photo_url: null, visibility: 'public' },
+  walks: { description: null },
+  bench_photos: { is_primary: false },
+  notifications: { is_read: false, collection_id: null },
+  reports: { status: 'open', resolution: null, resolved_by: null, resolved_at: null },
+};
+
+// Foreign key column -> referenced table (used to resolve embeds)
+const FOREIGN_KEYS = {
+  user_id: 'profiles',
+  actor_id: 'profiles',
+  follower_id: 'profiles',
+  following_id: 'profiles',
+  reporter_id: 'profiles',
+  resolved_by: 'profiles',
+  blocker_id: 'profiles',
+  blocked_id: 'profiles',
+  bench_id: 'benches',
+  comment_id: 'comments',
+  parent_id: 'comments',
+  proposal_id: 'bench_location_proposals',
+  issue_id: 'bench_issues',
+  collection_id: 'collections',
+  walk_id: 'walks',
+};
+
+// Table -> column other tables use to reference it
+const REFERENCE_COLUMNS = {
+  profiles: 'user_id',
+  benches: 'bench_id',
+  comments: 'comment_id',
+  bench_location_proposals: 'proposal_id',
+  bench_issues: 'issue_id',
+  collections: 'collection_id',
+  walks: 'walk_id',
+};
+
+// Row-level security checks on insert the app relies on: table -> (store, row) => allowed
+const INSERT_POLICIES = {
+  // "No follows across a block", either way round
+  follows: (store, row) => !store.table('user_blocks').some((block) => block.kind === 'block' && (
+    (block.blocker_id === row.following_id && block.blocked_id === row.follower_id) ||
+    (block.blocker_id === row.follower_id && block.blocked_id === row.following_id)
+  )),
+};
+
+// Database triggers the app relies on: table -> (store, emit, eventType, newRow, oldRow),
+// run on every write to the table, before realtime subscribers hear of it
+const TRIGGERS = {
+  // comments_set_thread: a reply joins its parent's thread
+  comments: (store, emit, eventType, newRow) => {
+    if (eventType !== 'INSERT' || newRow.thread_id) return;
+    const parent = store.table('comments').find((row) => row.id === newRow.parent_id);
+    newRow.thread_id = parent ? parent.thread_id : newRow.id;
+  },
+  // comment_likes_count: keeps comments.like_count
+  comment_likes: (store, emit, eventType, newRow, oldRow) => {
+    const change = { INSERT: 1, DELETE: -1 }[eventType];
+    const comment = change && store.table('comments').find((row) => row.id === (newRow || oldRow).comment_id);
+    if (!comment) return;
+
+    const old = { ...comment };
+    comment.like_count = Math.max((comment.like_count || 0) + change, 0);
+    emit('comments', 'UPDATE', comment, old);
+  },
+};
+
+const getPrimaryKey = (table) => PRIMARY_KEYS[table] || ['id'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const makeError = (code, message, details = null) => ({ code, message, details, hint: null });
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+  return String(a) === String(b);
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  // Values in or() expressions arrive as strings, also for number columns
+  if (typeof a === 'number' && b !== '' && !Number.isNaN(Number(b))) return a - Number(b);
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function likeToRegExp(pattern, caseInsensitive) {
+  const escaped = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, caseInsensitive ? 'i' : '');
+}
+
+/**
+ * Split a string on commas that are not nested inside parentheses
+ */
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+const OPERATORS = {
+  eq: (value, arg) => isEqual(value, arg),
+  neq: (value, arg) => !isEqual(value, arg),
+  gt: (value, arg) => value != null && compareValues(value, arg) > 0,
+  gte: (value, arg) => value != null && compareValues(value, arg) >= 0,
+  lt: (value, arg) => value != null && compareValues(value, arg) < 0,
+  lte: (value, arg) => value != null && compareValues(value, arg) <= 0,
+  like: (value, arg) => value != null && likeToRegExp(arg, false).test(String(value)),
+  ilike: (value, arg) => value != null && likeToRegExp(arg, true).test(String(value)),
+  is: (value, arg) => (arg === null ? value == null : value === arg),
+  in: (value, arg) => (arg || []).some((item) => isEqual(value, item)),
+  contains: (value, arg) =>
+    Array.isArray(value) && (Array.isArray(arg) ? arg : [arg]).every((item) => value.includes(item)),
+  overlaps: (value, arg) =>
+    Array.isArray(value) && (Array.isArray(arg) ? arg : [arg]).some((item) => value.includes(item)),
+};
+
+/**
+ * Parse a PostgREST filter value from its string form (used by or()/filter())
+ */
+function parseFilterValue(operator, raw) {
+  if (operator === 'in' || operator === 'contains' || operator === 'overlaps') {
+    if (Array.isArray(raw)) return raw;
+    return String(raw)
+      .replace(/^[({]|[)}]$/g, '')
+      .split(',')
+      .map((item) => item.trim().replace(/^"|"$/g, ''));
+  }
+  if (operator === 'is') {
+    if (raw === 'null' || raw === null) return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+  }
+  if (operator === 'like' || operator === 'ilike') {
+    return String(raw).replace(/\*/g, '%');
+  }
+  return raw;
+}
+
+function buildPredicate(column, operator, value) {
+  const test = OPERATORS[operator];
+  if (!test) {
+    throw makeError('PGRST100', `Unsupported filter operator: ${operator}`);
+  }
+  return (row) => test(row[column], value);
+}
+
+/**
+ * Parse one condition of an or() expression. Supports nested and(...)/or(...)
+ * groups and double-quoted values ("2024-01-01T00:00:00+00:00").
+ */
+function parseCondition(condition) {
+  const group = condition.match(/^(and|or)\((.*)\)$/);
+  if (group) {
+    const predicates = splitTopLevel(group[2]).map(parseCondition);
+    return group[1] === 'and'
+      ? (row) => predicates.every((predicate) => predicate(row))
+      : (row) => predicates.some((predicate) => predicate(row));
+  }
+
+  const [column, ...rest] = condition.split('.');
+  let operator = rest.shift();
+  let negate = false;
+  if (operator === 'not') {
+    negate = true;
+    operator = rest.shift();
+  }
+  const raw = rest.join('.').replace(/^"(.*)"$/, '$1');
+  const predicate = buildPredicate(column, operator, parseFilterValue(operator, raw));
+  return negate ? (row) => !predicate(row) : predicate;
+}
+
+/**
+ * Parse an or() expression such as "title.ilike.%park%,description.ilike.%park%"
+ */
+function parseOrExpression(expression) {
+  return parseCondition(`or(${expression})`);
+}
+
+// ============================================================================
+// SELECT / EMBEDS
+// ============================================================================
+
+/**
+ * Parse a select string ("*, profiles:user_id (id, username)") into fields
+ */
+function parseSelect(columns) {
+  const normalized = (columns || '*').replace(/\s+/g, ' ').trim();
+
+  return splitTopLevel(normalized).map((token) => {
+    const parenIndex = token.indexOf('(');
+
+    if (parenIndex === -1) {
+      const [name, alias] = token.split('::')[0].split(':').reverse();
+      const column = name.trim();
+      return { type: 'column', column, alias: (alias || column).trim() };
+    }
+
+    const head = token.slice(0, parenIndex).trim();
+    const inner = token.slice(parenIndex + 1, token.lastIndexOf(')'));
+    const [relation, alias] = head.split(':').reverse();
+    const cleanRelation = relation.split('!')[0].trim();
+
+    return {
+      type: 'embed',
+      relation: cleanRelation,
+      alias: (alias || cleanRelation).trim(),
+      // "benches!inner (...)" leaves out rows without a (matching) embedded row
+      inner: /!inner\b/.test(relation),
+      fields: parseSelect(inner),
+    };
+  });
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+function createStore(seedTables = {}) {
+  const tables = {};
+
+  Object.entries(seedTables).forEach(([name, rows]) => {
+    tables[name] = clone(rows);
+  });
+
+  return {
+    table(name) {
+      if (!tables[name]) tables[name] = [];
+      return tables[name];
+    },
+    replace(name, rows) {
+      tables[name] = rows;
+    },
+    snapshot() {
+      return clone(tables);
+    },
+  };
+}
+
+/**
+ * Whether an embedded row passes the filters on the embed ('benches.deleted_at')
+ */
+const matchesEmbedFilters = (field, row) => (field.filters || []).every((test) => test(row));
+
+function resolveEmbed(store, table, row, field) {
+  const { relation } = field;
+
+  // Many-to-one through a foreign key column: "profiles:user_id (...)"
+  if (FOREIGN_KEYS[relation] && relation in row) {
+    const target = store.table(FOREIGN_KEYS[relation]).find((item) => isEqual(item.id, row[relation]));
+    return target && matchesEmbedFilters(field, target)
+      ? projectRow(store, FOREIGN_KEYS[relation], target, field.fields)
+      : null;
+  }
+
+  // Many-to-one by table name: "benches (...)" from a row with bench_id
+  const referenceColumn = REFERENCE_COLUMNS[relation];
+  if (referenceColumn && referenceColumn in row) {
+    const target = store.table(relation).find((item) => isEqual(item.id, row[referenceColumn]));
+    return target && matchesEmbedFilters(field, target) ? projectRow(store, relation, target, field.fields) : null;
+  }
+
+  // One-to-many: "bench_photos (...)" from a bench row
+  const childColumn = REFERENCE_COLUMNS[table];
+  if (!childColumn) {
+    throw makeError('PGRST200', `Could not find a relationship between '${table}' and '${relation}'`);
+  }
+
+  return store
+    .table(relation)
+    .filter((item) => isEqual(item[childColumn], row.id) && matchesEmbedFilters(field, item))
+    .map((item) => projectRow(store, relation, item, field.fields));
+}
+
+/**
+ * Whether a row has every !inner embed of a select
+ */
+function hasInnerEmbeds(store, table, row, fields) {
+  return fields.every((field) => {
+    if (field.type !== 'embed' || !field.inner) return true;
+    const embedded = resolveEmbed(store, table, row, field);
+    return Array.isArray(embedded) ? embedded.length > 0 : embedded !== null;
+  });
+}
+
+function projectRow(store, table, row, fields) {
+  const result = {};
+
+  fields.forEach((field) => {
+    if (field.type === 'embed') {
+      result[field.alias] = resolveEmbed(store, table, row, field);
+    } else if (field.column === '*') {
+      Object.assign(result, clone(row));
+    } else {
+      result[field.alias] = row[field.column] === undefined ? null : clone(row[field.column]);
+    }
+  });
+
+  return result;
+}
+
+// ============================================================================
+// QUERY BUILDER
+// ============================================================================
+
+function createQueryBuilder(context, table) {
+  const { store, emit } = context;
+
+  const state = {
+    operation: 'select',
+    columns: '*',
+    returning: false,
+    count: null,
+    head: false,
+    filters: [],
+    // Filters on embedded columns, by embed alias
+    embedFilters: {},
+    orders: [],
+    limit: null,
+    range: null,
+    cardinality: null,
+    payload: null,
+    onConflict: null,
+    ignoreDuplicates: false,
+    // A filter that could not be parsed fails the request, as in PostgREST
+    filterError: null,
+  };
+
+  const applyFilters = (rows) => rows.filter((row) => state.filters.every((test) => test(row)));
+
+  const selectFields = () => parseSelect(state.columns).map((field) => (
+    field.type === 'embed' ? { ...field, filters: state.embedFilters[field.alias] || [] } : field
+  ));
+
+  const sortRows = (rows) => {
+    if (state.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of state.orders) {
+        const valueA = a[column];
+        const valueB = b[column];
+        if (valueA == null && valueB == null) continue;
+        if (valueA == null) return nullsFirst ? -1 : 1;
+        if (valueB == null) return nullsFirst ? 1 : -1;
+        const result = compareValues(valueA, valueB);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  };
+
+  const paginate = (rows) => {
+    let result = rows;
+    if (state.range) {
+      result = result.slice(state.range.from, state.range.to + 1);
+    }
+    if (state.limit != null) {
+      result = result.slice(0, state.limit);
+    }
+    return result;
+  };
+
+  const findConflict = (rows, candidate, keySets) => rows.find((row) =>
+    keySets.some((keys) => keys.every((key) => candidate[key] != null && isEqual(row[key], candidate[key])))
+  );
+
+  const withDefaults = (values) => {
+    const row = { ...(COLUMN_DEFAULTS[table] || {}), ...clone(values) };
+    const primaryKey = getPrimaryKey(table);
+    if (primaryKey.length === 1 && primaryKey[0] === 'id' && row.id == null) {
+      row.id = generateId();
+    }
+    const timestampColumn = TIMESTAMP_COLUMNS[table] || 'created_at';
+    if (row[timestampColumn] == null) {
+      row[timestampColumn] = new Date().toISOString();
+    }
+    return row;
+  };
+
+  const runInsert = () => {
+    const rows = store.table(table);
+    const keySets = [getPrimaryKey(table), ...(UNIQUE_KEYS[table] || [])];
+    const incoming = (Array.isArray(state.payload) ? state.payload : [state.payload]).map(withDefaults);
+
+    for (const row of incoming) {
+      if (findConflict(rows, row, keySets)) {
+        throw makeError('23505', `duplicate key value violates unique constraint on "${table}"`);
+      }
+      if (INSERT_POLICIES[table] && !INSERT_POLICIES[table](store, row)) {
+        throw makeError('42501', `new row violates row-level security policy for table "${table}"`);
+      }
+    }
+
+    rows.push(...incoming);
+    incoming.forEach((row) => emit(table, 'INSERT', row, null));
+    return incoming;
+  };
+
+  const runUpsert = () => {
+    const rows = store.table(table);
+    const conflictKeys = state.onConflict
+      ? [state.onConflict.split(',').map((key) => key.trim())]
+      : [getPrimaryKey(table), ...(UNIQUE_KEYS[table] || [])];
+    const incoming = Array.isArray(state.payload) ? state.payload : [state.payload];
+    const written = [];
+
+    incoming.forEach((values) => {
+      const existing = findConflict(rows, values, conflictKeys);
+
+      if (existing) {
+        if (state.ignoreDuplicates) return;
+        const old = clone(existing);
+        Object.assign(existing, clone(values));
+        emit(table, 'UPDATE', existing, old);
+        written.push(existing);
+      } else {
+        const row = withDefaults(values);
+        rows.push(row);
+        emit(table, 'INSERT', row, null);
+        written.push(row);
+      }
+    });
+
+    return written;
+  };
+
+  const runUpdate = () => {
+    const updated = applyFilters(store.table(table));
+
+    updated.forEach((row) => {
+      const old = clone(row);
+      Object.assign(row, clone(state.payload));
+      emit(table, 'UPDATE', row, old);
+    });
+
+    return updated;
+  };
+
+  const runDelete = () => {
+    const rows = store.table(table);
+    const removed = applyFilters(rows);
+    store.replace(table, rows.filter((row) => !removed.includes(row)));
+    removed.forEach((row) => emit(table, 'DELETE', null, row));
+    return removed;
+  };
+
+  const execute = () => {
+    if (state.filterError) throw state.filterError;
+
+    let rows;
+    let count = null;
+    const fields = selectFields();
+
+    switch (state.operation) {
+      case 'insert':
+        rows = runInsert();
+        break;
+      case 'upsert':
+        rows = runUpsert();
+        break;
+      case 'update':
+        rows = runUpdate();
+        break;
+      case 'delete':
+        rows = runDelete();
+        break;
+      default: {
+        const matched = sortRows(
+          applyFilters(store.table(table)).filter((row) => hasInnerEmbeds(store, table, row, fields))
+        );
+        count = state.count ? matched.length : null;
+        rows = paginate(matched);
+      }
+    }
+
+    const isWrite = state.operation !== 'select';
+    if (isWrite && !state.returning) {
+      return { data: null, error: null, count: null, status: 201 };
+    }
+    if (state.head) {
+      return { data: null, error: null, count, status: 200 };
+    }
+
+    const data = (isWrite ? sortRows(rows) : rows).map((row) => projectRow(store, table, row, fields));
+
+    if (state.cardinality === 'single') {
+      if (data.length !== 1) {
+        return {
+          data: null,
+          count,
+          status: 406,
+          error: makeError(
+            'PGRST116',
+            'JSON object requested, multiple (or no) rows returned',
+            `The result contains ${data.length} rows`
+          ),
+        };
+      }
+      return { data: data[0], error: null, count, status: 200 };
+    }
+
+    if (state.cardinality === 'maybeSingle') {
+      if (data.length > 1) {
+        return {
+          data: null,
+          count,
+          status: 406,
+          error: makeError('PGRST116', 'JSON object requested, multiple (or no) rows returned'),
+        };
+      }
+      return { data: data[0] || null, error: null, count, status: 200 };
+    }
+
+    return { data, error: null, count, status: 200 };
+  };
+
+  const pushFilter = (build, filters = state.filters) => {
+    try {
+      filters.push(build());
+    } catch (error) {
+      state.filterError = state.filterError || error;
+    }
+    return builder;
+  };
+
+  const addFilter = (column, operator, value) => {
+    const [embed, embedColumn] = column.split('.');
+    if (embedColumn === undefined) {
+      return pushFilter(() => buildPredicate(column, operator, value));
+    }
+
+    // A filter on an embedded column ('benches.deleted_at') applies to the embed
+    if (!state.embedFilters[embed]) state.embedFilters[embed] = [];
+    return pushFilter(() => buildPredicate(embedColumn, operator, value), state.embedFilters[embed]);
+  };
+
+  const builder = {
+    select(columns = '*', { count = null, head = false } = {}) {
+      state.columns = columns;
+      if (state.operation === 'select') {
+        state.count = count;
+        state.head = head;
+      } else {
+        state.returning = true;
+      }
+      return builder;
+    },
+    insert(values) {
+      state.operation = 'insert';
+      state.payload = values;
+      return builder;
+    },
+    upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+      state.operation = 'upsert';
+      state.payload = values;
+      state.onConflict = onConflict;
+      state.ignoreDuplicates = ignoreDuplicates;
+      return builder;
+    },
+    update(values) {
+      state.operation = 'update';
+      state.payload = values;
+      return builder;
+    },
+    delete() {
+      state.operation = 'delete';
+      return builder;
+    },
+
+    eq: (column, value) => addFilter(column, 'eq', value),
+    neq: (column, value) => addFilter(column, 'neq', value),
+    gt: (column, value) => addFilter(column, 'gt', value),
+    gte: (column, value) => addFilter(column, 'gte', value),
+    lt: (column, value) => addFilter(column, 'lt', value),
+    lte: (column, value) => addFilter(column, 'lte', value),
+    like: (column, pattern) => addFilter(column, 'like', pattern),
+    ilike: (column, pattern) => addFilter(column, 'ilike', pattern),
+    is: (column, value) => addFilter(column, 'is', value),
+    in: (column, values) => addFilter(column, 'in', values),
+    contains: (column, values) => addFilter(column, 'contains', values),
+    overlaps: (column, values) => addFilter(column, 'overlaps', values),
+    match(query) {
+      Object.entries(query).forEach(([column, value]) => addFilter(column, 'eq', value));
+      return builder;
+    },
+    filter(column, operator, value) {
+      return addFilter(column, operator, parseFilterValue(operator, value));
+    },
+    not(column, operator, value) {
+      return pushFilter(() => {
+        const predicate = buildPredicate(column, operator, parseFilterValue(operator, value));
+        return (row) => !predicate(row);
+      });
+    },
+    or(expression) {
+      return pushFilter(() => parseOrExpression(expression));
+    },
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+      state.orders.push({
+        column,
+        ascending,
+        nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst,
+      });
+      return builder;
+    },
+    limit(count) {
+      state.limit = count;
+      return builder;
+    },
+    range(from, to) {
+      state.range = { from, to };
+      return builder;
+    },
+    single() {
+      state.cardinality = 'single';
+      return builder;
+    },
+    maybeSingle() {
+      state.cardinality = 'maybeSingle';
+      return builder;
+    },
+
+    then(onFulfilled, onRejected) {
+      let result;
+      try {
+        result = execute();
+      } catch (error) {
+        result = { data: null, count: null, status: 400, error: error.code ? error : makeError('PGRST000', error.message) };
+      }
+      return Promise.resolve(result).then(onFulfilled, onRejected);
+    },
+  };
+
+  return builder;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function createStorage(baseUrl) {
+  const buckets = {};
+  const getBucket = (name) => {
+    if (!buckets[name]) buckets[name] = new Map();
+    return buckets[name];
+  };
+
+  return {
+    from(bucketName) {
+      const bucket = getBucket(bucketName);
+
+      return {
+        async upload(path, body, { contentType = null, upsert = false } = {}) {
+          if (bucket.has(path) && !upsert) {
+            return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+          }
+          bucket.set(path, { body, contentType, createdAt: new Date().toISOString() });
+          return { data: { path, fullPath: `${bucketName}/${path}` }, error: null };
+        },
+        getPublicUrl(path) {
+          return { data: { publicUrl: `${baseUrl}/storage/v1/object/public/${bucketName}/${path}` } };
+        },
+        async remove(paths) {
+          const removed = paths.filter((path) => bucket.delete(path)).map((name) => ({ name }));
+          return { data: removed, error: null };
+        },
+        async list(prefix = '') {
+          const files = [...bucket.keys()]
+            .filter((path) => path.startsWith(prefix))
+            .map((name) => ({ name }));
+          return { data: files, error: null };
+        },
+      };
+    },
+  };
+}
+
+// ============================================================================
+// AUTH
+// ============================================================================
+
+function createAuth(store, seedUsers = []) {
+  const users = clone(seedUsers);
+  const listeners = new Set();
+  let session = null;
+
+  const publicUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    user_metadata: user.user_metadata || {},
+    created_at: user.created_at,
+  });
+
+  const setSession = (event, user) => {
+    session = user
+      ? { access_token: `memory-${user.id}`, token_type: 'bearer', user: publicUser(user) }
+      : null;
+    listeners.forEach((callback) => callback(event, session));
+  };
+
+  return {
+    currentUserId: () => session?.user?.id ?? null,
+
+    api: {
+      async getSession() {
+        return { data: { session }, error: null };
+      },
+
+      async getUser() {
+        return { data: { user: session?.user ?? null }, error: null };
+      },
+
+      onAuthStateChange(callback) {
+        listeners.add(callback);
+        return {
+          data: {
+            subscription: { unsubscribe: () => listeners.delete(callback) },
+          },
+        };
+      },
+
+      async signUp({ email, password, options = {} }) {
+        const normalizedEmail = email?.trim().toLowerCase();
+        if (users.some((user) => user.email === normalizedEmail)) {
+          return { data: { user: null, session: null }, error: { message: 'User already registered', status: 422 } };
+        }
+
+        const user = {
+          id: generateId(),
+          email: normalizedEmail,
+          password,
+          user_metadata: options.data || {},
+          created_at: new Date().toISOString(),
+        };
+        users.push(user);
+
+        // Mirrors the handle_new_user trigger that creates the profile row
+        store.table('profiles').push({
+          id: user.id,
+          username: options.data?.username || normalizedEmail.split('@')[0],
+          full_name: null,
+          avatar_url: null,
+          bio: null,
+          role: 'user',
+          created_at: user.created_at,
+        });
+
+        // No email verification in memory - sign the user straight in
+        setSession('SIGNED_IN', user);
+        return { data: { user: publicUser(user), session }, error: null };
+      },
+
+      async signInWithPassword({ email, password }) {
+        const user = users.find(
+          (candidate) => candidate.email === email?.trim().toLowerCase() && candidate.password === password
+        );
+
+        if (!user) {
+          return { data: { user: null, session: null }, error: { message: 'Invalid login credentials', status: 400 } };
+        }
+
+        setSession('SIGNED_IN', user);
+        return { data: { user: publicUser(user), session }, error: null };
+      },
+
+      async signOut() {
+        if (!session) {
+          return { error: { message: 'Auth session missing!' } };
+        }
+        setSession('SIGNED_OUT', null);
+        return { error: null };
+      },
+    },
+  };
+}
+
+// ============================================================================
+// REALTIME
+// ============================================================================
+
+function createRealtime() {
+  const channels = new Set();
+
+  const emit = (table, eventType, newRow, oldRow) => {
+    channels.forEach((channel) => {
+      channel.bindings.forEach(({ type, filter, callback }) => {
+        if (type !== 'postgres_changes' || filter.table !== table) return;
+        if (filter.event !== '*' && filter.event !== eventType) return;
+        callback({
+          schema: 'public',
+          table,
+          eventType,
+          new: newRow ? clone(newRow) : {},
+          old: oldRow ? clone(oldRow) : {},
+        });
+      });
+    });
+  };
+
+  const channel = (name) => {
+    const instance = {
+      name,
+      bindings: [],
+      on(type, filter, callback) {
+        instance.bindings.push({ type, filter, callback });
+        return instance;
+      },
+      subscribe(callback) {
+        channels.add(instance);
+        if (callback) callback('SUBSCRIBED');
+        return instance;
+      },
+      async unsubscribe() {
+        channels.delete(instance);
+        return 'ok';
+      },
+    };
+    return instance;
+  };
+
+  const removeChannel = async (instance) => {
+    channels.delete(instance);
+    return 'ok';
+  };
+
+  return { emit, channel, removeChannel };
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+/**
+ * Create an in-memory backend adapter
+ * @param {Object} options
+ * @param {Object} options.seed - { tables: { [table]: rows[] }, users: [{ id, email, password, user_metadata }] }
+ * @param {string} options.baseUrl - Prefix for storage public URLs
+ */
+export function createMemoryAdapter({ seed = {}, baseUrl = 'memory://benchspotter' } = {}) {
+  const store = createStore(seed.tables);
+  const realtime = createRealtime();
+  const auth = createAuth(store, seed.users);
+  const emit = (table, eventType, newRow, oldRow) => {
+    TRIGGERS[table]?.(store, emit, eventType, newRow, oldRow);
+    realtime.emit(table, eventType, newRow, oldRow);
+  };
+  const context = { store, emit };
+
+  return {
+    name: 'memory',
+
+    from: (table) => createQueryBuilder(context, table),
+
+    async rpc(fn, params = {}) {
+      const handler = rpcHandlers[fn];
+      if (!handler) {
+        return { data: null, error: makeError('PGRST202', `Could not find the function public.${fn}`) };
+      }
+
+      try {
+        const data = handler(params, {
+          store,
+          emit,
+          userId: auth.currentUserId(),
+        });
+        return { data: clone(data), error: null };
+      } catch (error) {
+        return { data: null, error: error.code ? error : makeError('P0001', error.message) };
+      }
+    },
+
+    storage: createStorage(baseUrl),
+    auth: auth.api,
+    channel: realtime.channel,
+    removeChannel: realtime.removeChannel,
+
+    // Test helper: deep copy of every table
+    snapshot: () => store.snapshot(),
+  };
+}
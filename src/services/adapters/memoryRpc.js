@@ -0,0 +1,1016 @@
+/**
+ * Database functions for the in-memory adapter
+ *
+ * Each handler mirrors a Postgres function called through backend.rpc().
+ * Handlers receive (params, { store, emit, userId }) where userId plays the
+ * role of auth.uid(), and return the function result synchronously.
+ * Throwing an Error surfaces it to the caller as an RPC error.
+ */
+
+import { calculateDistance } from '../../utils/geo';
+import { searchBenchRows } from '../../utils/benchSearch';
+import { generateId } from '../../utils/id';
+import { averageRating, averageRatingDimensions } from '../../utils/ratings';
+import { extractHashtags } from '../../utils/hashtags';
+import { ATTRIBUTE_COLUMNS } from '../../utils/amenities';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Votes either way that settle a location proposal (see propose_bench_location)
+const LOCATION_VOTES_NEEDED = 3;
+// Proposals closer than this to the current pin are not a correction
+const LOCATION_MIN_MOVE_METERS = 5;
+
+// Confirmations from other users that confirm an issue (see confirm_bench_issue)
+const ISSUE_CONFIRMATIONS_NEEDED = 3;
+
+// Check-ins further than this from the bench are refused (see check_in_bench)
+const CHECK_IN_RADIUS_METERS = 100;
+const CHECK_IN_COOLDOWN_MS = 60 * 60 * 1000;
+
+// Bench columns tracked by bench_revisions
+const REVISION_FIELDS = ['title', 'description', 'view_type', 'accessibility_notes', ...ATTRIBUTE_COLUMNS];
+
+/**
+ * Whether blocker blocked (or, with includeMutes, muted) blocked, like has_blocked()
+ */
+function hasBlocked(store, blocker, blocked, includeMutes = false) {
+  return store.table('user_blocks').some((row) =>
+    row.blocker_id === blocker && row.blocked_id === blocked && (row.kind === 'block' || includeMutes));
+}
+
+/**
+ * Whether a user is a moderator, like is_moderator()
+ */
+function isModerator(store, userId) {
+  return store.table('profiles').find((profile) => profile.id === userId)?.role === 'moderator';
+}
+
+/**
+ * The caller's bench, or an error if it does not exist or belongs to someone else
+ */
+function findOwnBench(store, benchId, userId) {
+  const bench = store.table('benches').find((row) => row.id === benchId && row.user_id === userId);
+  if (!bench) throw new Error('Bench not found');
+  return bench;
+}
+
+/**
+ * Update the tracked fields of the caller's bench and record a revision,
+ * like apply_bench_edit(). Unchanged fields are left out of the diff and an
+ * edit that changes nothing records no revision.
+ */
+function applyBenchEdit(store, emit, userId, benchId, values, revertedFrom = null) {
+  const bench = findOwnBench(store, benchId, userId);
+  if (bench.deleted_at) throw new Error('Bench not found');
+
+  const changes = {};
+  REVISION_FIELDS.forEach((field) => {
+    const next = values[field] ?? null;
+    if (field in values && (bench[field] ?? null) !== next) {
+      changes[field] = { from: bench[field] ?? null, to: next };
+    }
+  });
+
+  if (Object.keys(changes).length === 0) return bench;
+
+  const old = { ...bench };
+  Object.entries(changes).forEach(([field, { to }]) => {
+    bench[field] = to;
+  });
+  bench.updated_at = new Date().toISOString();
+  emit('benches', 'UPDATE', bench, old);
+
+  const revision = {
+    id: generateId(),
+    bench_id: benchId,
+    user_id: userId,
+    changes,
+    snapshot: Object.fromEntries(REVISION_FIELDS.map((field) => [field, bench[field] ?? null])),
+    reverted_from: revertedFrom,
+    created_at: bench.updated_at,
+  };
+  store.table('bench_revisions').push(revision);
+  emit('bench_revisions', 'INSERT', revision, null);
+
+  return bench;
+}
+
+/**
+ * Move a bench to a proposed location, keeping the old one on the proposal,
+ * like apply_bench_location()
+ */
+function applyLocationProposal(store, emit, proposal) {
+  const bench = store.table('benches').find((row) => row.id === proposal.bench_id);
+  const now = new Date().toISOString();
+
+  const oldProposal = { ...proposal };
+  proposal.previous_latitude = bench.latitude;
+  proposal.previous_longitude = bench.longitude;
+  proposal.status = 'applied';
+  proposal.resolved_at = now;
+  emit('bench_location_proposals', 'UPDATE', proposal, oldProposal);
+
+  const oldBench = { ...bench };
+  bench.latitude = proposal.latitude;
+  bench.longitude = proposal.longitude;
+  bench.updated_at = now;
+  emit('benches', 'UPDATE', bench, oldBench);
+
+  return proposal;
+}
+
+/**
+ * An open proposal on a bench that is not in the trash
+ */
+function findOpenProposal(store, proposalId) {
+  const proposal = store.table('bench_location_proposals').find((row) => row.id === proposalId);
+  if (!proposal) throw new Error('Proposal not found');
+  if (proposal.status !== 'open') throw new Error('This proposal has already been settled');
+
+  const bench = store.table('benches').find((row) => row.id === proposal.bench_id && !row.deleted_at);
+  if (!bench) throw new Error('Bench not found');
+  return { proposal, bench };
+}
+
+/**
+ * Recount a bench's unresolved issues and mark it gone while a "removed"
+ * issue is confirmed, like refresh_bench_issues()
+ */
+function refreshBenchIssues(store, emit, benchId) {
+  const bench = store.table('benches').find((row) => row.id === benchId);
+  const issues = store.table('bench_issues').filter((issue) => issue.bench_id === benchId);
+  const gone = issues.some((issue) => issue.category === 'removed' && issue.status === 'confirmed');
+
+  const old = { ...bench };
+  bench.open_issue_count = issues.filter((issue) => issue.status !== 'resolved').length;
+  bench.removed_at = gone ? (bench.removed_at ?? new Date().toISOString()) : null;
+  emit('benches', 'UPDATE', bench, old);
+}
+
+/**
+ * An unresolved issue on a bench that is not in the trash
+ */
+function findUnresolvedIssue(store, issueId) {
+  const issue = store.table('bench_issues').find((row) => row.id === issueId);
+  if (!issue) throw new Error('Issue not found');
+  if (issue.status === 'resolved') throw new Error('This issue has already been resolved');
+
+  const bench = store.table('benches').find((row) => row.id === issue.bench_id && !row.deleted_at);
+  if (!bench) throw new Error('Issue not found');
+  return { issue, bench };
+}
+
+/**
+ * Delete the rows of a table matching predicate
+ */
+function removeRows(store, emit, table, predicate) {
+  const rows = store.table(table);
+  const removed = rows.filter(predicate);
+  store.replace(table, rows.filter((row) => !predicate(row)));
+  removed.forEach((row) => emit(table, 'DELETE', null, row));
+}
+
+/**
+ * Delete a bench and every row that references it, like purge_bench()
+ * @returns {Array} Photo rows (issue photos included), so the caller can remove the files
+ */
+function purgeBench(store, emit, benchId) {
+  const commentIds = store.table('comments')
+    .filter((comment) => comment.bench_id === benchId)
+    .map((comment) => comment.id);
+  const photos = store.table('bench_photos').filter((photo) => photo.bench_id === benchId);
+  const remove = (table, predicate) => removeRows(store, emit, table, predicate);
+
+  remove('notifications', (row) => row.bench_id === benchId || commentIds.includes(row.comment_id));
+  remove('comment_likes', (row) => commentIds.includes(row.comment_id));
+  remove('comment_revisions', (row) => commentIds.includes(row.comment_id));
+  remove('comment_mentions', (row) => commentIds.includes(row.comment_id));
+  remove('comments', (row) => row.bench_id === benchId);
+  remove('bench_ratings', (row) => row.bench_id === benchId);
+  remove('favorites', (row) => row.bench_id === benchId);
+  remove('bench_revisions', (row) => row.bench_id === benchId);
+  const proposalIds = store.table('bench_location_proposals')
+    .filter((proposal) => proposal.bench_id === benchId)
+    .map((proposal) => proposal.id);
+  remove('bench_location_votes', (row) => proposalIds.includes(row.proposal_id));
+  remove('bench_location_proposals', (row) => row.bench_id === benchId);
+  const issues = store.table('bench_issues').filter((issue) => issue.bench_id === benchId);
+  const issueIds = issues.map((issue) => issue.id);
+  remove('bench_issue_confirmations', (row) => issueIds.includes(row.issue_id));
+  remove('bench_issues', (row) => row.bench_id === benchId);
+  remove('bench_visits', (row) => row.bench_id === benchId);
+  remove('collection_benches', (row) => row.bench_id === benchId);
+  remove('walk_stops', (row) => row.bench_id === benchId);
+  remove('bench_photos', (row) => row.bench_id === benchId);
+  remove('benches', (row) => row.id === benchId);
+
+  return [...issues.filter((issue) => issue.photo_url), ...photos].map(({ photo_url }) => ({ photo_url }));
+}
+
+/**
+ * Whether a user can see a collection, like can_view_collection()
+ */
+function canViewCollection(store, collection, viewerId) {
+  return collection.visibility === 'public' ||
+    collection.user_id === viewerId ||
+    (collection.visibility === 'followers' &&
+      store.table('follows').some((row) => row.follower_id === viewerId && row.following_id === collection.user_id));
+}
+
+/**
+ * The caller's collection, or an error if it does not exist or belongs to someone else
+ */
+function findOwnCollection(store, collectionId, userId) {
+  const collection = store.table('collections').find((row) => row.id === collectionId && row.user_id === userId);
+  if (!collection) throw new Error('Collection not found');
+  return collection;
+}
+
+/**
+ * Delete a comment with its replies, likes and notifications, like purge_comment()
+ */
+function purgeComment(store, emit, commentId) {
+  // The comment and every reply below it, however deep
+  const commentIds = [commentId];
+  for (let i = 0; i < commentIds.length; i += 1) {
+    store.table('comments')
+      .filter((comment) => comment.parent_id === commentIds[i])
+      .forEach((comment) => commentIds.push(comment.id));
+  }
+  const remove = (table, predicate) => removeRows(store, emit, table, predicate);
+
+  remove('notifications', (row) => commentIds.includes(row.comment_id));
+  remove('comment_likes', (row) => commentIds.includes(row.comment_id));
+  remove('comment_revisions', (row) => commentIds.includes(row.comment_id));
+  remove('comment_mentions', (row) => commentIds.includes(row.comment_id));
+  remove('comments', (row) => commentIds.includes(row.id));
+}
+
+/**
+ * The caller's comment, unless it does not exist, belongs to someone else or was deleted
+ */
+function findOwnComment(store, commentId, userId) {
+  const comment = store.table('comments')
+    .find((row) => row.id === commentId && row.user_id === userId && !row.deleted_at);
+  if (!comment) throw new Error('Comment not found');
+  return comment;
+}
+
+/**
+ * Add comment_mentions rows for a comment, skipping ranges past the end of its text
+ */
+function insertMentions(store, emit, comment, mentions) {
+  (mentions || [])
+    .filter((mention) => mention.end_index <= comment.text.length)
+    .forEach(({ user_id, start_index, end_index }) => {
+      const row = {
+        id: generateId(),
+        comment_id: comment.id,
+        user_id,
+        start_index,
+        end_index,
+        created_at: new Date().toISOString(),
+      };
+      store.table('comment_mentions').push(row);
+      emit('comment_mentions', 'INSERT', row, null);
+    });
+}
+
+// Table holding each kind of reported content
+const REPORT_TARGET_TABLES = {
+  bench: 'benches',
+  photo: 'bench_photos',
+  comment: 'comments',
+};
+
+// Moderation action -> resolution recorded on the reports it settles
+const MODERATION_RESOLUTIONS = {
+  hide: 'hidden',
+  restore: 'restored',
+  remove: 'removed',
+  dismiss: null,
+};
+
+// Notification types notify_users sends -> whether the caller did what the
+// notification tells the recipient about, like can_notify()
+const NOTIFY_CHECKS = {
+  comment: (store, { callerId, recipientId, benchId }) =>
+    store.table('benches').some((bench) => bench.id === benchId && bench.user_id === recipientId) &&
+    store.table('comments').some((comment) => comment.bench_id === benchId && comment.user_id === callerId),
+  reply: (store, { callerId, recipientId, commentId }) =>
+    store.table('comments').some((comment) => comment.id === commentId && comment.user_id === recipientId) &&
+    store.table('comments').some((comment) => comment.parent_id === commentId && comment.user_id === callerId),
+  mention: (store, { callerId, recipientId, commentId }) =>
+    store.table('comments').some((comment) => comment.id === commentId && comment.user_id === callerId) &&
+    store.table('comment_mentions').some((mention) => mention.comment_id === commentId && mention.user_id === recipientId),
+  comment_like: (store, { callerId, recipientId, commentId }) =>
+    store.table('comments').some((comment) => comment.id === commentId && comment.user_id === recipientId) &&
+    store.table('comment_likes').some((like) => like.comment_id === commentId && like.user_id === callerId),
+  content_hidden: (store, { callerId }) => isModerator(store, callerId),
+  content_restored: (store, { callerId }) => isModerator(store, callerId),
+  content_removed: (store, { callerId }) => isModerator(store, callerId),
+};
+
+/**
+ * What bench_tags would hold: a row per tag per bench description and per
+ * visible comment, dated from when that text was written
+ */
+function benchTagRows(store) {
+  const benches = store.table('benches').filter((bench) => !bench.deleted_at && !bench.hidden_at);
+  const visibleBenchIds = new Set(benches.map((bench) => bench.id));
+
+  return [
+    ...benches.flatMap((bench) => extractHashtags(bench.description).map((tag) => ({
+      tag, bench_id: bench.id, comment_id: null, created_at: bench.updated_at || bench.created_at,
+    }))),
+    ...store.table('comments')
+      .filter((comment) => visibleBenchIds.has(comment.bench_id) && !comment.hidden_at)
+      .flatMap((comment) => extractHashtags(comment.text).map((tag) => ({
+        tag, bench_id: comment.bench_id, comment_id: comment.id, created_at: comment.edited_at || comment.created_at,
+      }))),
+  ];
+}
+
+export const rpcHandlers = {
+  /**
+   * get_nearby_benches(user_lat, user_lng, radius_meters)
+   * Benches within the radius, closest first, with distance_meters
+   */
+  get_nearby_benches({ user_lat, user_lng, radius_meters = 5000 }, { store }) {
+    return store
+      .table('benches')
+      .filter((bench) => !bench.deleted_at && !bench.hidden_at)
+      .map((bench) => ({
+        ...bench,
+        distance_meters: calculateDistance(user_lat, user_lng, bench.latitude, bench.longitude) * 1000,
+      }))
+      .filter((bench) => bench.distance_meters <= radius_meters)
+      .sort((a, b) => a.distance_meters - b.distance_meters);
+  },
+
+  /**
+   * search_benches(search_query, search_tsquery, view_type_filter, min_rating,
+   *   rating_dimension, user_lat, user_lng, max_distance_meters, sort_by,
+   *   page_limit, page_offset, tag_filter, amenity_filter, material_filter, accessible_only)
+   * One page of matching benches with avg_rating, ratings_count, dimension_rating,
+   * primary_photo_url, distance_meters, rank, highlights and the total_count
+   * of matches. The text search itself lives in utils/textSearch.
+   */
+  search_benches(params, { store }) {
+    const ratings = store.table('bench_ratings');
+    const photos = store.table('bench_photos');
+    const tagRows = benchTagRows(store);
+
+    const rows = store.table('benches').filter((bench) => !bench.deleted_at && !bench.hidden_at).map((bench) => {
+      const benchRatings = ratings.filter((rating) => rating.bench_id === bench.id);
+
+      return {
+        ...bench,
+        avg_rating: averageRating(benchRatings) ?? 0,
+        ratings_count: benchRatings.length,
+        rating_averages: averageRatingDimensions(benchRatings),
+        primary_photo_url: photos.find((photo) => photo.bench_id === bench.id && photo.is_primary && !photo.hidden_at)?.photo_url ?? null,
+        tags: tagRows.filter((row) => row.bench_id === bench.id).map((row) => row.tag),
+      };
+    });
+
+    return searchBenchRows(rows, params);
+  },
+
+  /**
+   * get_trending_tags(since_days, tag_limit)
+   * Tags on the most benches in the last since_days days, then the most uses
+   */
+  get_trending_tags({ since_days = 7, tag_limit = 12 }, { store }) {
+    const since = Date.now() - since_days * DAY_MS;
+    const byTag = new Map();
+
+    benchTagRows(store)
+      .filter((row) => new Date(row.created_at).getTime() >= since)
+      .forEach((row) => {
+        const entry = byTag.get(row.tag) || { tag: row.tag, benchIds: new Set(), use_count: 0 };
+        entry.benchIds.add(row.bench_id);
+        entry.use_count += 1;
+        byTag.set(row.tag, entry);
+      });
+
+    return [...byTag.values()]
+      .map(({ tag, benchIds, use_count }) => ({ tag, bench_count: benchIds.size, use_count }))
+      .sort((a, b) => (b.bench_count - a.bench_count) || (b.use_count - a.use_count) || a.tag.localeCompare(b.tag))
+      .slice(0, tag_limit);
+  },
+
+  /**
+   * soft_delete_bench(target_bench_id)
+   * Move the caller's bench to the trash, returns deleted_at
+   */
+  soft_delete_bench({ target_bench_id }, { store, emit, userId }) {
+    const bench = findOwnBench(store, target_bench_id, userId);
+    if (bench.deleted_at) throw new Error('Bench is already in the trash');
+
+    const old = { ...bench };
+    bench.deleted_at = new Date().toISOString();
+    emit('benches', 'UPDATE', bench, old);
+    return bench.deleted_at;
+  },
+
+  /**
+   * restore_bench(target_bench_id)
+   * Take the caller's bench out of the trash
+   */
+  restore_bench({ target_bench_id }, { store, emit, userId }) {
+    const bench = findOwnBench(store, target_bench_id, userId);
+    if (!bench.deleted_at) throw new Error('Bench is not in the trash');
+
+    const old = { ...bench };
+    bench.deleted_at = null;
+    emit('benches', 'UPDATE', bench, old);
+    return null;
+  },
+
+  /**
+   * delete_bench_permanently(target_bench_id)
+   * Delete one of the caller's trashed benches with all related rows,
+   * returns the photo_url of every removed photo
+   */
+  delete_bench_permanently({ target_bench_id }, { store, emit, userId }) {
+    const bench = findOwnBench(store, target_bench_id, userId);
+    if (!bench.deleted_at) throw new Error('Only benches in the trash can be deleted permanently');
+
+    return purgeBench(store, emit, bench.id);
+  },
+
+  /**
+   * purge_deleted_benches(retention_days)
+   * Permanently delete the caller's benches trashed more than retention_days
+   * ago, returns the photo_url of every removed photo
+   */
+  purge_deleted_benches({ retention_days = 30 }, { store, emit, userId }) {
+    const cutoff = Date.now() - retention_days * DAY_MS;
+
+    return store
+      .table('benches')
+      .filter((bench) => bench.user_id === userId && bench.deleted_at && new Date(bench.deleted_at).getTime() < cutoff)
+      .flatMap((bench) => purgeBench(store, emit, bench.id));
+  },
+
+  /**
+   * update_bench(target_bench_id, changes)
+   * Edit the caller's bench and record a revision, returns the bench
+   */
+  update_bench({ target_bench_id, changes }, { store, emit, userId }) {
+    return applyBenchEdit(store, emit, userId, target_bench_id, changes || {});
+  },
+
+  /**
+   * revert_bench(target_revision_id, restore_previous)
+   * Put the caller's bench back to how it was right after a revision (or
+   * right before it), recorded as a new revision; returns the bench
+   */
+  revert_bench({ target_revision_id, restore_previous = false }, { store, emit, userId }) {
+    const revision = store.table('bench_revisions').find((row) => row.id === target_revision_id);
+    if (!revision) throw new Error('Revision not found');
+
+    const values = { ...revision.snapshot };
+    if (restore_previous) {
+      Object.entries(revision.changes).forEach(([field, { from }]) => {
+        values[field] = from;
+      });
+    }
+
+    return applyBenchEdit(store, emit, userId, revision.bench_id, values, revision.id);
+  },
+
+  /**
+   * propose_bench_location(target_bench_id, new_latitude, new_longitude)
+   * Suggest a corrected position for a bench, returns the proposal.
+   * The owner's own proposals apply straight away.
+   */
+  propose_bench_location({ target_bench_id, new_latitude, new_longitude }, { store, emit, userId }) {
+    const bench = store.table('benches').find((row) => row.id === target_bench_id && !row.deleted_at);
+    if (!bench) throw new Error('Bench not found');
+
+    const moveMeters = calculateDistance(bench.latitude, bench.longitude, new_latitude, new_longitude) * 1000;
+    if (moveMeters < LOCATION_MIN_MOVE_METERS) throw new Error('That is where the bench already is');
+
+    const proposals = store.table('bench_location_proposals');
+    if (proposals.some((row) => row.bench_id === bench.id && row.user_id === userId && row.status === 'open')) {
+      throw new Error('You already proposed a location for this bench');
+    }
+
+    const proposal = {
+      id: generateId(),
+      bench_id: bench.id,
+      user_id: userId,
+      latitude: new_latitude,
+      longitude: new_longitude,
+      status: 'open',
+      previous_latitude: null,
+      previous_longitude: null,
+      created_at: new Date().toISOString(),
+      resolved_at: null,
+    };
+    proposals.push(proposal);
+    emit('bench_location_proposals', 'INSERT', proposal, null);
+
+    return bench.user_id === userId ? applyLocationProposal(store, emit, proposal) : proposal;
+  },
+
+  /**
+   * vote_bench_location(target_proposal_id, confirm)
+   * Confirm or reject someone else's proposal (voting again changes the vote).
+   * LOCATION_VOTES_NEEDED confirmations apply it, as many rejections close it.
+   * Returns the proposal.
+   */
+  vote_bench_location({ target_proposal_id, confirm }, { store, emit, userId }) {
+    const { proposal, bench } = findOpenProposal(store, target_proposal_id);
+    if (proposal.user_id === userId) throw new Error('You cannot vote on your own proposal');
+    if (bench.user_id === userId) throw new Error('Bench owners approve or reject proposals instead');
+
+    const votes = store.table('bench_location_votes');
+    const existing = votes.find((vote) => vote.proposal_id === proposal.id && vote.user_id === userId);
+    if (existing) {
+      const old = { ...existing };
+      existing.confirm = !!confirm;
+      emit('bench_location_votes', 'UPDATE', existing, old);
+    } else {
+      const vote = { proposal_id: proposal.id, user_id: userId, confirm: !!confirm, created_at: new Date().toISOString() };
+      votes.push(vote);
+      emit('bench_location_votes', 'INSERT', vote, null);
+    }
+
+    const proposalVotes = votes.filter((vote) => vote.proposal_id === proposal.id);
+    const confirmations = proposalVotes.filter((vote) => vote.confirm).length;
+    const rejections = proposalVotes.length - confirmations;
+
+    if (confirmations >= LOCATION_VOTES_NEEDED) return applyLocationProposal(store, emit, proposal);
+    if (rejections >= LOCATION_VOTES_NEEDED) {
+      const old = { ...proposal };
+      proposal.status = 'rejected';
+      proposal.resolved_at = new Date().toISOString();
+      emit('bench_location_proposals', 'UPDATE', proposal, old);
+    }
+    return proposal;
+  },
+
+  /**
+   * resolve_bench_location(target_proposal_id, approve)
+   * The bench owner applies or rejects a proposal without waiting for votes,
+   * returns the proposal
+   */
+  resolve_bench_location({ target_proposal_id, approve }, { store, emit, userId }) {
+    const { proposal, bench } = findOpenProposal(store, target_proposal_id);
+    if (bench.user_id !== userId) throw new Error('Only the bench owner can approve or reject proposals');
+
+    if (approve) return applyLocationProposal(store, emit, proposal);
+
+    const old = { ...proposal };
+    proposal.status = 'rejected';
+    proposal.resolved_at = new Date().toISOString();
+    emit('bench_location_proposals', 'UPDATE', proposal, old);
+    return proposal;
+  },
+
+  /**
+   * report_bench_issue(target_bench_id, issue_category, issue_description, issue_photo_url)
+   * File an issue against a bench, returns the issue. A category can only
+   * have one unresolved issue per bench.
+   */
+  report_bench_issue({ target_bench_id, issue_category, issue_description, issue_photo_url = null }, { store, emit, userId }) {
+    const bench = store.table('benches').find((row) => row.id === target_bench_id && !row.deleted_at);
+    if (!bench) throw new Error('Bench not found');
+
+    const issues = store.table('bench_issues');
+    if (issues.some((row) => row.bench_id === bench.id && row.category === issue_category && row.status !== 'resolved')) {
+      throw new Error('This problem has already been reported, confirm it instead');
+    }
+
+    const issue = {
+      id: generateId(),
+      bench_id: bench.id,
+      user_id: userId,
+      category: issue_category,
+      description: issue_description.trim(),
+      photo_url: issue_photo_url,
+      status: 'open',
+      created_at: new Date().toISOString(),
+      confirmed_at: null,
+      resolved_by: null,
+      resolved_at: null,
+    };
+    issues.push(issue);
+    emit('bench_issues', 'INSERT', issue, null);
+
+    refreshBenchIssues(store, emit, bench.id);
+    return issue;
+  },
+
+  /**
+   * confirm_bench_issue(target_issue_id)
+   * Confirm someone else's open issue. ISSUE_CONFIRMATIONS_NEEDED
+   * confirmations confirm it (a confirmed "removed" issue marks the bench as
+   * gone). Returns the issue.
+   */
+  confirm_bench_issue({ target_issue_id }, { store, emit, userId }) {
+    const { issue } = findUnresolvedIssue(store, target_issue_id);
+    if (issue.status === 'confirmed') throw new Error('This issue has already been confirmed');
+    if (issue.user_id === userId) throw new Error('You cannot confirm your own issue');
+
+    const confirmations = store.table('bench_issue_confirmations');
+    if (!confirmations.some((row) => row.issue_id === issue.id && row.user_id === userId)) {
+      const confirmation = { issue_id: issue.id, user_id: userId, created_at: new Date().toISOString() };
+      confirmations.push(confirmation);
+      emit('bench_issue_confirmations', 'INSERT', confirmation, null);
+    }
+
+    if (confirmations.filter((row) => row.issue_id === issue.id).length >= ISSUE_CONFIRMATIONS_NEEDED) {
+      const old = { ...issue };
+      issue.status = 'confirmed';
+      issue.confirmed_at = new Date().toISOString();
+      emit('bench_issues', 'UPDATE', issue, old);
+      refreshBenchIssues(store, emit, issue.bench_id);
+    }
+    return issue;
+  },
+
+  /**
+   * resolve_bench_issue(target_issue_id)
+   * The bench owner, the reporter or a moderator closes an issue, returns it
+   */
+  resolve_bench_issue({ target_issue_id }, { store, emit, userId }) {
+    const { issue, bench } = findUnresolvedIssue(store, target_issue_id);
+    if (issue.user_id !== userId && bench.user_id !== userId && !isModerator(store, userId)) {
+      throw new Error('Only the bench owner, the reporter or a moderator can resolve an issue');
+    }
+
+    const old = { ...issue };
+    issue.status = 'resolved';
+    issue.resolved_by = userId;
+    issue.resolved_at = new Date().toISOString();
+    emit('bench_issues', 'UPDATE', issue, old);
+
+    refreshBenchIssues(store, emit, issue.bench_id);
+    return issue;
+  },
+
+  /**
+   * check_in_bench(target_bench_id, user_lat, user_lng)
+   * Record a visit when the caller is at the bench, at most one per bench an
+   * hour; returns the visit
+   */
+  check_in_bench({ target_bench_id, user_lat, user_lng }, { store, emit, userId }) {
+    const bench = store.table('benches').find((row) => row.id === target_bench_id && !row.deleted_at && !row.hidden_at);
+    if (!bench) throw new Error('Bench not found');
+
+    if (calculateDistance(user_lat, user_lng, bench.latitude, bench.longitude) * 1000 > CHECK_IN_RADIUS_METERS) {
+      throw new Error('You need to be at the bench to check in');
+    }
+
+    const visits = store.table('bench_visits');
+    const since = Date.now() - CHECK_IN_COOLDOWN_MS;
+    if (visits.some((row) => row.bench_id === bench.id && row.user_id === userId && Date.parse(row.visited_at) > since)) {
+      throw new Error('You already checked in here');
+    }
+
+    const visit = { id: generateId(), user_id: userId, bench_id: bench.id, visited_at: new Date().toISOString() };
+    visits.push(visit);
+    emit('bench_visits', 'INSERT', visit, null);
+    return visit;
+  },
+
+  /**
+   * add_bench_to_collection(target_collection_id, target_bench_id)
+   * Add a bench to one of the caller's collections and notify the followers
+   * who can still see it; returns the collection_benches row. A bench that is
+   * already there is returned as is.
+   */
+  add_bench_to_collection({ target_collection_id, target_bench_id }, { store, emit, userId }) {
+    const collection = findOwnCollection(store, target_collection_id, userId);
+    const bench = store.table('benches').find((row) => row.id === target_bench_id && !row.deleted_at && !row.hidden_at);
+    if (!bench) throw new Error('Bench not found');
+
+    const entries = store.table('collection_benches');
+    const existing = entries.find((row) => row.collection_id === collection.id && row.bench_id === bench.id);
+    if (existing) return { ...existing };
+
+    const now = new Date().toISOString();
+    const entry = { collection_id: collection.id, bench_id: bench.id, created_at: now };
+    entries.push(entry);
+    emit('collection_benches', 'INSERT', entry, null);
+
+    store.table('collection_follows')
+      .filter((row) => row.collection_id === collection.id && row.user_id !== userId)
+      .filter((row) => canViewCollection(store, collection, row.user_id) && !hasBlocked(store, row.user_id, userId, true))
+      .forEach((row) => {
+        const notification = {
+          id: generateId(),
+          user_id: row.user_id,
+          actor_id: userId,
+          type: 'collection_bench',
+          bench_id: bench.id,
+          comment_id: null,
+          collection_id: collection.id,
+          is_read: false,
+          created_at: now,
+        };
+        store.table('notifications').push(notification);
+        emit('notifications', 'INSERT', notification, null);
+      });
+
+    return { ...entry };
+  },
+
+  /**
+   * delete_collection(target_collection_id)
+   * Delete one of the caller's collections with its benches, follows and
+   * notifications
+   */
+  delete_collection({ target_collection_id }, { store, emit, userId }) {
+    const collection = findOwnCollection(store, target_collection_id, userId);
+    const remove = (table, predicate) => removeRows(store, emit, table, predicate);
+
+    remove('notifications', (row) => row.collection_id === collection.id);
+    remove('collection_follows', (row) => row.collection_id === collection.id);
+    remove('collection_benches', (row) => row.collection_id === collection.id);
+    remove('collections', (row) => row.id === collection.id);
+    return null;
+  },
+
+  /**
+   * save_walk(target_walk_id, walk_title, walk_description, bench_ids)
+   * Create a walk (target_walk_id null) or update one of the caller's walks,
+   * replacing all of its stops with bench_ids in order; returns the walk
+   */
+  save_walk({ target_walk_id, walk_title, walk_description, bench_ids }, { store, emit, userId }) {
+    if (!bench_ids || bench_ids.length < 2) throw new Error('A walk needs at least two benches');
+    const live = store.table('benches').filter((row) => bench_ids.includes(row.id) && !row.deleted_at && !row.hidden_at);
+    if (live.length !== bench_ids.length) throw new Error('Bench not found');
+
+    const walks = store.table('walks');
+    const now = new Date().toISOString();
+    let walk;
+
+    if (target_walk_id) {
+      walk = walks.find((row) => row.id === target_walk_id && row.user_id === userId);
+      if (!walk) throw new Error('Walk not found');
+      const old = { ...walk };
+      Object.assign(walk, { title: walk_title, description: walk_description, updated_at: now });
+      emit('walks', 'UPDATE', walk, old);
+      removeRows(store, emit, 'walk_stops', (row) => row.walk_id === walk.id);
+    } else {
+      walk = {
+        id: generateId(),
+        user_id: userId,
+        title: walk_title,
+        description: walk_description,
+        created_at: now,
+        updated_at: now,
+      };
+      walks.push(walk);
+      emit('walks', 'INSERT', walk, null);
+    }
+
+    const stops = store.table('walk_stops');
+    bench_ids.forEach((benchId, index) => {
+      const stop = { walk_id: walk.id, position: index + 1, bench_id: benchId };
+      stops.push(stop);
+      emit('walk_stops', 'INSERT', stop, null);
+    });
+
+    return { ...walk };
+  },
+
+  /**
+   * delete_walk(target_walk_id)
+   * Delete one of the caller's walks with its stops
+   */
+  delete_walk({ target_walk_id }, { store, emit, userId }) {
+    const walk = store.table('walks').find((row) => row.id === target_walk_id && row.user_id === userId);
+    if (!walk) throw new Error('Walk not found');
+
+    removeRows(store, emit, 'walk_stops', (row) => row.walk_id === walk.id);
+    removeRows(store, emit, 'walks', (row) => row.id === walk.id);
+    return null;
+  },
+
+  /**
+   * moderate_report(target_report_id, moderation_action)
+   * Moderators only: hide, restore or remove the reported content, or
+   * dismiss the reports. Settles every pending report on the same content and
+   * returns { target_type, target_id, bench_id, author_id, photo_urls }.
+   */
+  moderate_report({ target_report_id, moderation_action }, { store, emit, userId }) {
+    if (!isModerator(store, userId)) throw new Error('Only moderators can do this');
+
+    const report = store.table('reports').find((row) => row.id === target_report_id);
+    if (!report) throw new Error('Report not found');
+
+    if (!(moderation_action in MODERATION_RESOLUTIONS)) throw new Error('Unknown moderation action');
+
+    const table = REPORT_TARGET_TABLES[report.target_type];
+    const target = store.table(table).find((row) => row.id === report.target_id);
+    if (!target && moderation_action !== 'dismiss') throw new Error('This content no longer exists');
+
+    const authorId = report.target_type === 'photo'
+      ? store.table('benches').find((bench) => bench.id === target?.bench_id)?.user_id ?? null
+      : target?.user_id ?? null;
+    let photoUrls = [];
+
+    if (moderation_action === 'hide' || moderation_action === 'restore') {
+      const old = { ...target };
+      target.hidden_at = moderation_action === 'hide' ? new Date().toISOString() : null;
+      emit(table, 'UPDATE', target, old);
+    } else if (moderation_action === 'remove') {
+      if (report.target_type === 'bench') {
+        photoUrls = purgeBench(store, emit, target.id).map(({ photo_url }) => photo_url);
+      } else if (report.target_type === 'photo') {
+        removeRows(store, emit, 'bench_photos', (row) => row.id === target.id);
+        photoUrls = [target.photo_url];
+      } else {
+        purgeComment(store, emit, target.id);
+      }
+    }
+
+    // Hidden content stays in the queue (to restore or remove) until one of those happens
+    const settles = (row) => row.status === 'open' ||
+      (row.resolution === 'hidden' && (moderation_action === 'restore' || moderation_action === 'remove'));
+    const now = new Date().toISOString();
+
+    store.table('reports')
+      .filter((row) => row.target_type === report.target_type && row.target_id === report.target_id && settles(row))
+      .forEach((row) => {
+        const old = { ...row };
+        row.status = moderation_action === 'dismiss' ? 'dismissed' : 'resolved';
+        row.resolution = MODERATION_RESOLUTIONS[moderation_action];
+        row.resolved_by = userId;
+        row.resolved_at = now;
+        emit('reports', 'UPDATE', row, old);
+      });
+
+    return {
+      target_type: report.target_type,
+      target_id: report.target_id,
+      bench_id: report.bench_id,
+      author_id: authorId,
+      photo_urls: photoUrls,
+    };
+  },
+
+  /**
+   * create_comment(target_bench_id, comment_text, target_parent_id, new_mentions)
+   * Add a comment by the caller together with its mentions; returns the comment
+   */
+  create_comment({ target_bench_id, comment_text, target_parent_id = null, new_mentions = [] }, { store, emit, userId }) {
+    if (!comment_text?.trim()) throw new Error('Comment cannot be empty');
+
+    const comment = {
+      id: generateId(),
+      bench_id: target_bench_id,
+      user_id: userId,
+      text: comment_text,
+      parent_id: target_parent_id,
+      like_count: 0,
+      created_at: new Date().toISOString(),
+    };
+    store.table('comments').push(comment);
+    emit('comments', 'INSERT', comment, null);
+
+    insertMentions(store, emit, comment, new_mentions);
+    return { ...comment };
+  },
+
+  /**
+   * edit_comment(target_comment_id, new_text, new_mentions)
+   * Change the text of the caller's comment, keeping the old text in
+   * comment_revisions, and replace its mentions; returns the comment
+   */
+  edit_comment({ target_comment_id, new_text, new_mentions = [] }, { store, emit, userId }) {
+    const comment = findOwnComment(store, target_comment_id, userId);
+    if (!new_text?.trim()) throw new Error('Comment cannot be empty');
+
+    removeRows(store, emit, 'comment_mentions', (row) => row.comment_id === comment.id);
+    insertMentions(store, emit, { id: comment.id, text: new_text }, new_mentions);
+
+    if (comment.text === new_text) return { ...comment };
+
+    const now = new Date().toISOString();
+    const revision = { id: generateId(), comment_id: comment.id, text: comment.text, created_at: now };
+    store.table('comment_revisions').push(revision);
+    emit('comment_revisions', 'INSERT', revision, null);
+
+    const old = { ...comment };
+    comment.text = new_text;
+    comment.edited_at = now;
+    emit('comments', 'UPDATE', comment, old);
+
+    return { ...comment };
+  },
+
+  /**
+   * delete_comment(target_comment_id)
+   * Delete the caller's comment. One with replies becomes a placeholder
+   * (deleted_at set, text cleared); returns whether a placeholder was kept.
+   */
+  delete_comment({ target_comment_id }, { store, emit, userId }) {
+    const comment = findOwnComment(store, target_comment_id, userId);
+    const comments = store.table('comments');
+
+    if (comments.some((row) => row.parent_id === comment.id)) {
+      const remove = (table, predicate) => removeRows(store, emit, table, predicate);
+      remove('notifications', (row) => row.comment_id === comment.id);
+      remove('comment_likes', (row) => row.comment_id === comment.id);
+      remove('comment_revisions', (row) => row.comment_id === comment.id);
+      remove('comment_mentions', (row) => row.comment_id === comment.id);
+
+      const old = { ...comment };
+      comment.text = '';
+      comment.deleted_at = new Date().toISOString();
+      emit('comments', 'UPDATE', comment, old);
+      return true;
+    }
+
+    purgeComment(store, emit, comment.id);
+
+    // A placeholder whose last reply is gone has nothing left to hold
+    // together, and neither may its own parent
+    let parentId = comment.parent_id;
+    while (parentId) {
+      const parent = store.table('comments').find((row) => row.id === parentId);
+      if (!parent?.deleted_at || store.table('comments').some((row) => row.parent_id === parent.id)) break;
+      purgeComment(store, emit, parent.id);
+      parentId = parent.parent_id;
+    }
+    return false;
+  },
+
+  /**
+   * notify_users(recipient_ids, notification_type, target_bench_id, target_comment_id)
+   * Notify users of something the caller did, skipping the caller, anyone
+   * who blocked or muted them and anyone it does not concern (NOTIFY_CHECKS)
+   */
+  notify_users({ recipient_ids, notification_type, target_bench_id = null, target_comment_id = null }, { store, emit, userId }) {
+    const concerns = NOTIFY_CHECKS[notification_type];
+    if (!concerns) throw new Error('Unknown notification type');
+
+    const now = new Date().toISOString();
+    [...new Set(recipient_ids)]
+      .filter((recipientId) => recipientId !== userId && !hasBlocked(store, recipientId, userId, true))
+      .filter((recipientId) => concerns(store, {
+        callerId: userId,
+        recipientId,
+        benchId: target_bench_id,
+        commentId: target_comment_id,
+      }))
+      .forEach((recipientId) => {
+        const notification = {
+          id: generateId(),
+          user_id: recipientId,
+          actor_id: userId,
+          type: notification_type,
+          bench_id: target_bench_id,
+          comment_id: target_comment_id,
+          collection_id: null,
+          is_read: false,
+          created_at: now,
+        };
+        store.table('notifications').push(notification);
+        emit('notifications', 'INSERT', notification, null);
+      });
+    return null;
+  },
+
+  /**
+   * block_user(target_user_id, block_kind)
+   * Block or mute a user, returns the row. Blocking ends follows both ways.
+   */
+  block_user({ target_user_id, block_kind }, { store, emit, userId }) {
+    if (!userId || target_user_id === userId) throw new Error('Cannot block yourself');
+    if (block_kind !== 'block' && block_kind !== 'mute') throw new Error('Unknown block kind');
+    if (!store.table('profiles').some((profile) => profile.id === target_user_id)) {
+      throw new Error('User not found');
+    }
+
+    const blocks = store.table('user_blocks');
+    const now = new Date().toISOString();
+    let block = blocks.find((row) => row.blocker_id === userId && row.blocked_id === target_user_id);
+    if (block) {
+      const old = { ...block };
+      block.kind = block_kind;
+      block.created_at = now;
+      emit('user_blocks', 'UPDATE', block, old);
+    } else {
+      block = { blocker_id: userId, blocked_id: target_user_id, kind: block_kind, created_at: now };
+      blocks.push(block);
+      emit('user_blocks', 'INSERT', block, null);
+    }
+
+    if (block_kind === 'block') {
+      removeRows(store, emit, 'follows', (row) =>
+        (row.follower_id === userId && row.following_id === target_user_id) ||
+        (row.follower_id === target_user_id && row.following_id === userId));
+    }
+
+    return { ...block };
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Supabase Backend Adapter
+ *
+ * Thin pass-through to the supabase-js client. The adapter interface mirrors
+ * the client, so queries built by the services run unchanged.
+ */
+
+export function createSupabaseAdapter(client) {
+  return {
+    name: 'supabase',
+    from: (table) => client.from(table),
+    rpc: (fn, params) => client.rpc(fn, params),
+    channel: (name) => client.channel(name),
+    removeChannel: (channel) => client.removeChannel(channel),
+    storage: client.storage,
+    auth: client.auth,
+  };
+}
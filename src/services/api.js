@@ -1,43 +1,303 @@
 /**
  * BenchSpotter API Service Layer
  * 
- * Centralizes all Supabase database operations for easier maintenance,
- * testing, and potential backend swapping in the future.
+ * Centralizes all database operations for easier maintenance and testing.
+ * Services never talk to Supabase directly - every query goes through the
+ * backend adapter selected in ./backend (Supabase or in-memory).
  * 
  * Database Schema Reference:
  * - profiles: id (uuid, FK to auth.users), username (unique), full_name, avatar_url, bio
- * - benches: id, user_id (FK), title, description, latitude, longitude, location (PostGIS), view_type, accessibility_notes
+ * - benches: id, user_id (FK), title, description, latitude, longitude, location (PostGIS), view_type, accessibility_notes, deleted_at,
+ *   has_backrest, has_armrests, has_table, has_shade, toilet_nearby, water_nearby, material, seat_count,
+ *   step_free_access, wheelchair_space, surface_type, seat_height_cm, access_distance_meters (null when unknown)
  * - bench_photos: id, bench_id (FK), photo_url, is_primary, uploaded_at
- * - bench_ratings: id, bench_id (FK), user_id (FK), view_rating (1-5), comfort_rating (1-5)
- * - comments: id, bench_id (FK), user_id (FK), text, parent_id (FK to comments)
+ * - bench_ratings: id, bench_id (FK), user_id (FK), view_rating (1-5), comfort_rating (1-5),
+ *   shade_rating, quietness_rating, cleanliness_rating, accessibility_rating (1-5 or null)
+ * - comments: id, bench_id (FK), user_id (FK), text, parent_id (FK to comments), thread_id (top-level comment of the thread), like_count (kept by trigger), edited_at, deleted_at (placeholder kept for replies)
  * - comment_likes: id, comment_id (FK), user_id (FK), created_at
  * - favorites: user_id + bench_id (composite PK, no id column)
  * - follows: follower_id + following_id (composite PK, no id column)
- * - notifications: id, user_id (FK), actor_id (FK), type, bench_id (FK), comment_id (FK), is_read, created_at
+ * - notifications: id, user_id (FK), actor_id (FK), type, bench_id (FK), comment_id (FK), collection_id (FK), is_read, created_at
+ * - comment_revisions: id, comment_id (FK), text (before the edit), created_at
+ * - comment_mentions: id, comment_id (FK), user_id (FK), start_index, end_index (range of the @handle in text)
+ * - bench_tags: id, tag, bench_id (FK), comment_id (FK, null for the description), created_at - kept up to date by triggers
+ * - bench_revisions: id, bench_id (FK), user_id (FK), changes (jsonb diff), snapshot (jsonb), reverted_from (FK), created_at
+ * - bench_location_proposals: id, bench_id (FK), user_id (FK), latitude, longitude, status, previous_latitude, previous_longitude, resolved_at
+ * - bench_location_votes: proposal_id + user_id (composite PK), confirm
+ * - bench_issues: id, bench_id (FK), user_id (FK), category, description, photo_url, status (open/confirmed/resolved),
+ *   confirmed_at, resolved_by (FK), resolved_at; benches.open_issue_count and benches.removed_at are kept by the issue functions
+ * - bench_issue_confirmations: issue_id + user_id (composite PK), created_at
+ * - bench_visits: id, user_id (FK), bench_id (FK), visited_at - "I sat here" check-ins, written by check_in_bench
+ * - collections: id, user_id (FK), title, description, cover_photo_url, visibility (public/followers/private), created_at, updated_at
+ * - collection_benches: collection_id + bench_id (composite PK), created_at
+ * - collection_follows: collection_id + user_id (composite PK), created_at
+ * - walks: id, user_id (FK), title, description, created_at, updated_at - routes through benches, written by save_walk
+ * - walk_stops: walk_id + position (composite PK), bench_id (FK)
+ * - reports: id, reporter_id (FK), target_type (bench/photo/comment), target_id, bench_id, reason, details, status, resolution, resolved_by, resolved_at
+ * - user_blocks: blocker_id + blocked_id (composite PK), kind ('block' or 'mute'), created_at
+ * - profiles.role ('user' or 'moderator'); benches, bench_photos and comments have hidden_at (set by moderators)
  * 
- * Note: No cascade deletes - must manually delete related records before parent
+ * Note: No cascade deletes - benches are deleted (with their related records) by
+ * database functions in a single transaction, see supabase/migrations.
+ * Deleting only moves a bench to the trash (deleted_at); reads skip trashed benches.
+ *
+ * Offline: bench creation, photo uploads for offline benches, ratings, comments and
+ * favorites are queued in ./offlineQueue when the network is unreachable. Those
+ * methods then resolve with a placeholder flagged `pending: true`.
+ *
+ * Caching: mutations invalidate the matching ./queryCache keys so every screen
+ * reading them through useQuery picks up the change.
+ *
+ * Pagination: list methods take { cursor, limit } and resolve with
+ * { items, nextCursor } (see PAGINATION below).
  */
 
-import { supabase } from './supabase';
+import { backend } from './backend';
 import {
   benchCreateSchema,
   benchUpdateSchema,
   ratingSchema,
   commentCreateSchema,
   coordinatesSchema,
+  searchParamsSchema,
+  reportCreateSchema,
+  issueCreateSchema,
+  collectionSchema,
+  collectionVisibilities,
+  walkSchema,
 } from '../validation/schemas';
 import { validateOrThrow } from '../validation/validate';
+import { calculateDistance, toRadians } from '../utils/geo';
+import { generateId } from '../utils/id';
+import { buildTsQuery, titleSimilarity } from '../utils/textSearch';
+import { searchBenchRows } from '../utils/benchSearch';
+import { RATING_DIMENSIONS, averageRating, averageRatingDimensions } from '../utils/ratings';
+import { alignMentions } from '../utils/mentions';
+import { extractHashtags } from '../utils/hashtags';
+import { toAttributeColumns } from '../utils/amenities';
+import { summarizeWalk } from '../utils/walks';
+import { DEFAULT_COMMENT_SORT } from '../utils/commentThreads';
+import { keepPhotoFile, readPhotoBase64, deletePhotoFile } from '../utils/photoFiles';
+import {
+  offlineQueue,
+  MUTATION_TYPES,
+  isNetworkError,
+  createConflictError,
+} from './offlineQueue';
+import { queryCache, queryKeys } from './queryCache';
+
+/**
+ * Queue a mutation for replay and return its optimistic placeholder
+ */
+async function queueMutation(type, payload, placeholder = {}) {
+  await offlineQueue.enqueue(type, payload, { localId: placeholder.id || null });
+  return { ...placeholder, pending: true };
+}
+
+/**
+ * Benches the query cache already holds, as search_benches rows
+ * (used to search offline)
+ */
+function getCachedBenchRows() {
+  const rows = new Map();
+  const add = (bench, ratings = null, comments = []) => {
+    if (!bench?.id || rows.has(bench.id)) return;
+
+    rows.set(bench.id, {
+      ...bench,
+      avg_rating: ratings?.length ? averageRating(ratings) : (bench.avgRating ?? null),
+      ratings_count: ratings ? ratings.length : (bench.ratingsCount ?? 0),
+      rating_averages: ratings ? averageRatingDimensions(ratings) : null,
+      primary_photo_url: bench.bench_photos?.find(photo => photo.is_primary)?.photo_url ?? null,
+      // Tags from the description and whatever comments were loaded
+      tags: [...new Set([bench.description, ...comments.map(comment => comment.text)].flatMap(extractHashtags))],
+    });
+  };
+
+  // Bench details first - they carry the ratings
+  queryCache.getEntries(['bench'])
+    .filter(({ key }) => key.length === 2)
+    .forEach(({ data: { bench, photos, ratings, comments } }) => (
+      add(bench && { ...bench, bench_photos: photos || [] }, ratings, comments || [])
+    ));
+  queryCache.getEntries(['feed']).forEach(({ data }) => data.items?.forEach(bench => add(bench)));
+  queryCache.getEntries(['favorites']).forEach(({ data }) => data.items?.forEach(favorite => add(favorite.benches)));
+  queryCache.getEntries(['profile'])
+    .filter(({ key }) => key[2] === 'benches')
+    .forEach(({ data }) => data.items?.forEach(bench => add(bench)));
+
+  return [...rows.values()];
+}
+
+// ============================================================================
+// PAGINATION
+// ============================================================================
+
+/**
+ * List methods page with keyset cursors. They take { cursor, limit } and
+ * resolve with { items, nextCursor }; nextCursor is null on the last page.
+ * Cursors are opaque strings - pass them back unchanged.
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+
+const encodeCursor = (row, orders) =>
+  JSON.stringify(orders.map(([column]) => row[column]));
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(cursor);
+    if (!Array.isArray(values)) throw new Error();
+    return values;
+  } catch (error) {
+    throw new Error('Invalid page cursor');
+  }
+};
+
+// [column, ascending] pairs a page is ordered by; the last column must be unique
+const pageOrders = ({ sortColumn = 'created_at', tieColumn = 'id', ascending = false, orders = null }) =>
+  orders || [[sortColumn, ascending], [tieColumn, ascending]];
+
+/**
+ * Order a query by (sortColumn, tieColumn), start after the cursor and fetch
+ * one extra row so toPage() can tell whether another page exists. Pass
+ * `orders` instead for columns sorted in different directions.
+ */
+function paginate(query, { cursor, limit, ...options }) {
+  const orders = pageOrders(options);
+  let paged = orders.reduce((ordered, [column, ascending]) => ordered.order(column, { ascending }), query);
+
+  if (cursor) {
+    const values = decodeCursor(cursor);
+    // Past the cursor on one column, level with it on the ones before
+    const conditions = orders.map(([column, ascending], index) => {
+      const level = orders.slice(0, index).map(([previous], i) => `${previous}.eq."${values[i]}"`);
+      const past = `${column}.${ascending ? 'gt' : 'lt'}."${values[index]}"`;
+      return level.length > 0 ? `and(${[...level, past].join(',')})` : past;
+    });
+    paged = paged.or(conditions.join(','));
+  }
+
+  return paged.limit(limit + 1);
+}
+
+/**
+ * Turn the rows of a paginate() query into { items, nextCursor }
+ */
+function toPage(rows, { limit, ...options }) {
+  const items = (rows || []).slice(0, limit);
+  const hasMore = (rows || []).length > limit;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], pageOrders(options)) : null,
+  };
+}
+
+/**
+ * Collect every page of a paginated method (for views that need the full set,
+ * e.g. map markers). fetchPage receives { cursor, limit }.
+ */
+export async function fetchAllPages(fetchPage, { limit = 100 } = {}) {
+  const items = [];
+  let cursor = null;
+
+  do {
+    const page = await fetchPage({ cursor, limit });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return items;
+}
 
 // ============================================================================
 // BENCH OPERATIONS
 // ============================================================================
 
+export const TRASH_RETENTION_DAYS = 30;
+
+// How far from a new bench to look for one that is already on the map
+export const DUPLICATE_RADIUS_METERS = 50;
+// Titles at least this similar are flagged anywhere in the radius
+const DUPLICATE_TITLE_THRESHOLD = 0.5;
+// Benches this close are flagged whatever they are called
+const DUPLICATE_SAME_SPOT_METERS = 10;
+
+/**
+ * Create the error benchService.create throws when a bench looks like one
+ * that already exists. `duplicates` is the result of findDuplicates().
+ */
+function createDuplicateError(duplicates) {
+  const error = new Error('A bench like this already exists nearby');
+  error.isDuplicate = true;
+  error.duplicates = duplicates;
+  return error;
+}
+
+/**
+ * Drop photos a moderator hid from a bench's embedded bench_photos
+ */
+function withoutHiddenPhotos(bench) {
+  return bench?.bench_photos
+    ? { ...bench, bench_photos: bench.bench_photos.filter(photo => !photo.hidden_at) }
+    : bench;
+}
+
+/**
+ * Upload a base64 image from the image picker to a storage bucket
+ * @param {string} bucket - Storage bucket name
+ * @param {string} path - File path without the extension
+ * @param {string} base64 - Image data
+ * @param {string} mimeType - Image type, jpeg when unknown
+ * @param {boolean} upsert - Overwrite a file already at the path
+ * @returns {string} Public URL of the file
+ */
+async function uploadImage({ bucket, path, base64, mimeType, upsert = false }) {
+  const fileExt = mimeType?.split('/')[1] || 'jpg';
+  const fileName = `${path}.${fileExt === 'jpeg' ? 'jpg' : fileExt}`;
+  const contentType = `image/${fileExt === 'jpg' ? 'jpeg' : fileExt}`;
+
+  // Convert base64 to Uint8Array
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+
+  const { error } = await backend.storage
+    .from(bucket)
+    .upload(fileName, bytes, {
+      contentType,
+      upsert,
+    });
+
+  if (error) throw error;
+
+  const { data: { publicUrl } } = backend.storage
+    .from(bucket)
+    .getPublicUrl(fileName);
+
+  return publicUrl;
+}
+
+/**
+ * Invalidate everything that may show a bench after it moved in or out of the trash
+ */
+function invalidateBench(benchId, userId) {
+  queryCache.invalidate(queryKeys.bench(benchId));
+  queryCache.invalidate(['feed']);
+  queryCache.invalidate(['favorites']);
+  queryCache.invalidate(['collection']);
+  queryCache.invalidate(['walk']);
+  queryCache.invalidate(queryKeys.profile(userId));
+}
+
 export const benchService = {
   /**
    * Get a single bench by ID with all related data
    */
   async getById(benchId) {
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('benches')
       .select('*')
       .eq('id', benchId)
@@ -48,16 +308,17 @@ export const benchService = {
   },
 
   /**
-   * Get ALL benches globally (no distance limit)
+   * Get ALL benches globally (no distance limit), newest first
+   * @returns {Object} { items, nextCursor }
    */
-  async getAll() {
-    const { data, error } = await supabase
-      .from('benches')
-      .select('*')
-      .order('created_at', { ascending: false });
+  async getAll({ cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend.from('benches').select('*').is('deleted_at', null).is('hidden_at', null),
+      { cursor, limit }
+    );
 
     if (error) throw error;
-    return data || [];
+    return toPage(data, { limit });
   },
 
   /**
@@ -70,7 +331,7 @@ export const benchService = {
       longitude,
     });
 
-    const { data, error } = await supabase.rpc('get_nearby_benches', {
+    const { data, error } = await backend.rpc('get_nearby_benches', {
       user_lat: validatedCoords.latitude,
       user_lng: validatedCoords.longitude,
       radius_meters: radiusMeters,
@@ -84,7 +345,7 @@ export const benchService = {
    * Get favorite count for a bench
    */
   async getFavoriteCount(benchId) {
-    const { count, error } = await supabase
+    const { count, error } = await backend
       .from('favorites')
       .select('*', { count: 'exact', head: true })
       .eq('bench_id', benchId);
@@ -94,106 +355,181 @@ export const benchService = {
   },
 
   /**
-   * Search benches with optional filters
+   * Search benches with optional filters, one page at a time.
+   * Full-text matching, distance, aggregation and sorting all happen in the
+   * search_benches database function (see supabase/migrations).
+   * When the network is unreachable, benches already in the query cache are
+   * searched instead and the result is flagged `offline: true`.
+   *
+   * @param {Object} params - See searchParamsSchema; maxDistance is in km
+   * @returns {Object} { benches, totalCount, hasMore, nextOffset, offline }
    */
-  async search({ query, viewType, ratingFilter, sortBy, userLocation, maxDistance = 10 } = {}) {
-    let supabaseQuery = supabase
-      .from('benches')
-      .select(`
-        *,
-        bench_photos (
-          photo_url,
-          is_primary
-        ),
-        bench_ratings (
-          view_rating,
-          comfort_rating
-        )
-      `);
-
-    // Apply text search filter
-    if (query?.trim()) {
-      supabaseQuery = supabaseQuery.ilike('title', `%${query.trim()}%`);
-    }
-
-    // Apply view type filter
-    if (viewType) {
-      supabaseQuery = supabaseQuery.eq('view_type', viewType);
-    }
-
-    const { data: benches, error } = await supabaseQuery;
+  async search({
+    query, tag, viewType, amenities, material, accessibleOnly, ratingFilter, ratingDimension, sortBy, userLocation,
+    maxDistance = 10, limit, offset,
+  } = {}) {
+    const params = validateOrThrow(searchParamsSchema, {
+      query: query?.trim() || undefined,
+      tag,
+      viewType,
+      amenities,
+      material,
+      accessibleOnly,
+      ratingFilter,
+      ratingDimension,
+      sortBy,
+      userLocation,
+      maxDistance,
+      limit,
+      offset,
+    });
 
-    if (error) throw error;
+    const rpcParams = {
+      search_query: params.query || null,
+      search_tsquery: params.query ? buildTsQuery(params.query) : null,
+      tag_filter: params.tag || null,
+      view_type_filter: params.viewType || null,
+      amenity_filter: params.amenities?.length ? params.amenities : null,
+      material_filter: params.material || null,
+      accessible_only: !!params.accessibleOnly,
+      min_rating: params.ratingFilter || null,
+      rating_dimension: params.ratingDimension || null,
+      user_lat: params.userLocation?.latitude ?? null,
+      user_lng: params.userLocation?.longitude ?? null,
+      max_distance_meters: params.maxDistance ? params.maxDistance * 1000 : null,
+      sort_by: params.sortBy || 'recent',
+      page_limit: params.limit,
+      page_offset: params.offset,
+    };
 
-    // Process benches with ratings and distance
-    let processedBenches = (benches || []).map(bench => {
-      const ratings = bench.bench_ratings || [];
-      let avgRating = 0;
+    let rows;
+    let offline = false;
+    const { data, error } = await backend.rpc('search_benches', rpcParams);
 
-      if (ratings.length > 0) {
-        const totalView = ratings.reduce((sum, r) => sum + r.view_rating, 0);
-        const totalComfort = ratings.reduce((sum, r) => sum + r.comfort_rating, 0);
-        avgRating = (totalView + totalComfort) / (ratings.length * 2);
-      }
+    if (error) {
+      if (!isNetworkError(error)) throw error;
+      rows = searchBenchRows(getCachedBenchRows(), rpcParams);
+      offline = true;
+    } else {
+      rows = data || [];
+    }
 
-      let distance = null;
-      if (userLocation) {
-        distance = calculateDistance(
-          userLocation.latitude,
-          userLocation.longitude,
-          bench.latitude,
-          bench.longitude
-        );
-      }
+    const totalCount = rows.length > 0 ? Number(rows[0].total_count) : 0;
+    const nextOffset = params.offset + rows.length;
+
+    // Keep the shape screens already render (distance in km, photo list),
+    // without the search-only fields (total_count, offline rating_averages and tags)
+    const benches = rows.map(({
+      avg_rating, ratings_count, rating_score, dimension_rating, primary_photo_url, distance_meters,
+      rank, title_highlight, description_snippet, total_count: _totalCount,
+      rating_averages: _ratingAverages, tags: _tags, ...bench
+    }) => ({
+      ...bench,
+      avgRating: Number(avg_rating) || 0,
+      ratingsCount: ratings_count || 0,
+      // Confidence-weighted avgRating the 'rating' sort uses (utils/ratings bayesianRating)
+      ratingScore: Number(rating_score) || 0,
+      // Average of params.ratingDimension, null when nobody rated it
+      dimensionRating: dimension_rating === null || dimension_rating === undefined ? null : Number(dimension_rating),
+      distance: distance_meters === null || distance_meters === undefined ? null : distance_meters / 1000,
+      bench_photos: primary_photo_url ? [{ photo_url: primary_photo_url, is_primary: true }] : [],
+      relevance: Number(rank) || 0,
+      titleHighlight: title_highlight || null,
+      descriptionSnippet: description_snippet || null,
+    }));
 
-      return {
-        ...bench,
-        avgRating,
-        distance,
-        ratingsCount: ratings.length,
-      };
-    });
+    return {
+      benches,
+      totalCount,
+      hasMore: nextOffset < totalCount,
+      nextOffset,
+      offline,
+    };
+  },
 
-    // Apply distance filter if user location is provided and maxDistance is set
-    if (userLocation && maxDistance !== null) {
-      processedBenches = processedBenches.filter(b => b.distance !== null && b.distance <= maxDistance);
-    }
+  /**
+   * Get benches created by a specific user, newest first
+   * @returns {Object} { items, nextCursor }
+   */
+  async getByUserId(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    return this.getByUserIds([userId], { cursor, limit });
+  },
 
-    // Apply rating filter (post-query since it's calculated)
-    if (ratingFilter) {
-      processedBenches = processedBenches.filter(b => b.avgRating >= ratingFilter);
+  /**
+   * Get benches created by any of the given users, newest first (feed)
+   * @returns {Object} { items, nextCursor }
+   */
+  async getByUserIds(userIds, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    if (userIds.length === 0) {
+      return { items: [], nextCursor: null };
     }
 
-    // Apply sorting
-    if (sortBy === 'distance' && userLocation) {
-      processedBenches.sort((a, b) => a.distance - b.distance);
-    } else if (sortBy === 'rating') {
-      processedBenches.sort((a, b) => b.avgRating - a.avgRating);
-    } else if (sortBy === 'recent') {
-      processedBenches.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    }
+    const { data, error } = await paginate(
+      backend
+        .from('benches')
+        .select('*, bench_photos(photo_url, is_primary, hidden_at)')
+        .in('user_id', userIds)
+        .is('deleted_at', null)
+        .is('hidden_at', null),
+      { cursor, limit }
+    );
 
-    return processedBenches;
+    if (error) throw error;
+    const page = toPage(data, { limit });
+    return { ...page, items: page.items.map(withoutHiddenPhotos) };
   },
 
   /**
-   * Get benches created by a specific user
+   * Find existing benches that are probably the same one as a new bench:
+   * anything within the radius whose title is similar, or that sits on
+   * practically the same spot. Falls back to cached benches when offline.
+   *
+   * @returns {Array} [{ bench, distanceMeters, titleSimilarity, score }], most likely first
    */
-  async getByUserId(userId) {
-    const { data, error } = await supabase
-      .from('benches')
-      .select('*, bench_photos(photo_url, is_primary)')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+  async findDuplicates({ latitude, longitude, title }, { radiusMeters = DUPLICATE_RADIUS_METERS } = {}) {
+    let nearby;
+    try {
+      nearby = await this.getNearby(latitude, longitude, radiusMeters);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      nearby = getCachedBenchRows()
+        .filter(bench => !bench.deleted_at)
+        .map(bench => ({
+          ...bench,
+          distance_meters: calculateDistance(latitude, longitude, bench.latitude, bench.longitude) * 1000,
+        }))
+        .filter(bench => bench.distance_meters <= radiusMeters);
+    }
 
-    if (error) throw error;
-    return data || [];
+    return nearby
+      .map(bench => {
+        const similarity = titleSimilarity(title, bench.title);
+        const proximity = 1 - bench.distance_meters / radiusMeters;
+        return {
+          bench,
+          distanceMeters: Math.round(bench.distance_meters),
+          titleSimilarity: similarity,
+          score: (similarity + proximity) / 2,
+        };
+      })
+      .filter(match =>
+        match.titleSimilarity >= DUPLICATE_TITLE_THRESHOLD ||
+        match.distanceMeters <= DUPLICATE_SAME_SPOT_METERS
+      )
+      .sort((a, b) => b.score - a.score);
   },
 
   /**
-   * Create a new bench
+   * Create a new bench. Unless allowDuplicates is set, throws an error flagged
+   * `isDuplicate` (with the matches in `duplicates`) when findDuplicates()
+   * finds the bench already on the map.
+   * @param {Object} bench - Also any of the attribute fields in utils/amenities
+   *   (hasBackrest, material, seatCount, ...)
    */
-  async create({ userId, title, description, latitude, longitude, viewType, accessibilityNotes }) {
+  async create(
+    { userId, title, description, latitude, longitude, viewType, accessibilityNotes, ...attributes },
+    { queueOffline = true, allowDuplicates = false, duplicateRadiusMeters = DUPLICATE_RADIUS_METERS } = {}
+  ) {
     // Validate input data
     const validatedData = validateOrThrow(benchCreateSchema, {
       title,
@@ -202,9 +538,15 @@ export const benchService = {
       longitude,
       viewType,
       accessibilityNotes,
+      ...attributes,
     });
 
-    const { data, error } = await supabase
+    if (!allowDuplicates) {
+      const duplicates = await this.findDuplicates(validatedData, { radiusMeters: duplicateRadiusMeters });
+      if (duplicates.length > 0) throw createDuplicateError(duplicates);
+    }
+
+    const { data, error } = await backend
       .from('benches')
       .insert({
         user_id: userId,
@@ -214,793 +556,1946 @@ export const benchService = {
         longitude: validatedData.longitude,
         view_type: validatedData.viewType,
         accessibility_notes: validatedData.accessibilityNotes,
+        ...toAttributeColumns(validatedData),
       })
       .select()
       .single();
 
-    if (error) throw error;
+    if (error) {
+      if (queueOffline && isNetworkError(error)) {
+        return queueMutation(MUTATION_TYPES.BENCH_CREATE, { userId, ...validatedData }, {
+          id: generateId(),
+          user_id: userId,
+          title: validatedData.title,
+          description: validatedData.description,
+          latitude: validatedData.latitude,
+          longitude: validatedData.longitude,
+          view_type: validatedData.viewType,
+          accessibility_notes: validatedData.accessibilityNotes,
+          ...toAttributeColumns(validatedData),
+          created_at: new Date().toISOString(),
+        });
+      }
+      throw error;
+    }
+
+    queryCache.invalidate(['feed']);
+    queryCache.invalidate(queryKeys.profile(userId));
     return data;
   },
 
   /**
-   * Update an existing bench
+   * Update an existing bench. The update_bench database function checks
+   * ownership and records the change as a revision (see revisionService).
+   * @param {Object} updates - Any of title, description, viewType,
+   *   accessibilityNotes and the attribute fields in utils/amenities
    */
   async update(benchId, userId, updates) {
-    const { data, error } = await supabase
-      .from('benches')
-      .update({
-        ...updates,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', benchId)
-      .eq('user_id', userId) // Ensure user owns the bench
-      .select()
-      .single();
+    const validatedData = validateOrThrow(benchUpdateSchema, updates);
+
+    const changes = {
+      title: validatedData.title,
+      description: validatedData.description,
+      view_type: validatedData.viewType,
+      accessibility_notes: validatedData.accessibilityNotes,
+      ...toAttributeColumns(validatedData),
+    };
+    // Fields left out stay as they are
+    Object.keys(changes).forEach((column) => {
+      if (changes[column] === undefined) delete changes[column];
+    });
+
+    const { data, error } = await backend.rpc('update_bench', {
+      target_bench_id: benchId,
+      changes,
+    });
 
     if (error) throw error;
+
+    invalidateBench(benchId, userId);
     return data;
   },
 
   /**
-   * Delete a bench and all related data
+   * Move a bench to the trash. It disappears from every list straight away
+   * and can be restored for TRASH_RETENTION_DAYS (see soft_delete_bench in supabase/migrations).
+   * @returns {string} deleted_at timestamp
    */
   async delete(benchId, userId) {
-    // Get photos first for storage cleanup
-    const photos = await photoService.getByBenchId(benchId);
+    const { data, error } = await backend.rpc('soft_delete_bench', { target_bench_id: benchId });
 
-    // Delete photos from storage
-    if (photos.length > 0) {
-      await photoService.deleteFromStorage(photos);
-    }
+    if (error) throw error;
 
-    // Delete related records (order matters for foreign keys if not cascading)
-    await photoService.deleteByBenchId(benchId);
-    await ratingService.deleteByBenchId(benchId);
-    await commentService.deleteByBenchId(benchId);
-    await favoriteService.deleteByBenchId(benchId);
+    invalidateBench(benchId, userId);
+    return data;
+  },
 
-    // Finally delete the bench
-    const { error } = await supabase
-      .from('benches')
-      .delete()
-      .eq('id', benchId)
-      .eq('user_id', userId);
+  /**
+   * Restore a bench from the trash
+   */
+  async restore(benchId, userId) {
+    const { error } = await backend.rpc('restore_bench', { target_bench_id: benchId });
 
     if (error) throw error;
+
+    invalidateBench(benchId, userId);
     return true;
   },
-};
 
-// ============================================================================
-// PHOTO OPERATIONS
-// ============================================================================
-
-export const photoService = {
   /**
-   * Get photos for a bench
+   * Get a user's benches in the trash, most recently deleted first
    */
-  async getByBenchId(benchId) {
-    const { data, error } = await supabase
-      .from('bench_photos')
-      .select('*')
-      .eq('bench_id', benchId)
-      .order('is_primary', { ascending: false });
+  async getTrash(userId) {
+    const { data, error } = await backend
+      .from('benches')
+      .select('*, bench_photos(photo_url, is_primary)')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
 
     if (error) throw error;
     return data || [];
   },
 
   /**
-   * Upload a photo to storage and create database record
+   * Delete a bench in the trash for good. The bench and all related rows go
+   * in one transaction (delete_bench_permanently in supabase/migrations); photo files are
+   * removed from storage afterwards.
    */
-  async upload({ benchId, userId, photoData, mimeType, isPrimary = false }) {
-    const fileExt = mimeType?.split('/')[1] || 'jpg';
-    const fileName = `${userId}/${benchId}/${Date.now()}.${fileExt === 'jpeg' ? 'jpg' : fileExt}`;
-    const contentType = `image/${fileExt === 'jpg' ? 'jpeg' : fileExt}`;
-
-    // Convert base64 to Uint8Array
-    const binaryString = atob(photoData);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-
-    // Upload to storage
-    const { error: uploadError } = await supabase.storage
-      .from('bench-photos')
-      .upload(fileName, bytes, {
-        contentType,
-        upsert: false,
-      });
-
-    if (uploadError) throw uploadError;
-
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('bench-photos')
-      .getPublicUrl(fileName);
-
-    // Create database record
-    const { data, error: dbError } = await supabase
-      .from('bench_photos')
-      .insert({
-        bench_id: benchId,
-        photo_url: publicUrl,
-        is_primary: isPrimary,
-      })
-      .select()
-      .single();
-
-    if (dbError) throw dbError;
-    return data;
-  },
+  async deletePermanently(benchId, userId) {
+    const { data, error } = await backend.rpc('delete_bench_permanently', { target_bench_id: benchId });
 
-  /**
-   * Upload multiple photos
-   */
-  async uploadMultiple({ benchId, userId, photos }) {
-    const uploadedPhotos = [];
+    if (error) throw error;
 
-    for (let i = 0; i < photos.length; i++) {
-      const photo = photos[i];
-      try {
-        const uploaded = await this.upload({
-          benchId,
-          userId,
-          photoData: photo.base64,
-          mimeType: photo.mimeType,
-          isPrimary: i === 0,
-        });
-        uploadedPhotos.push(uploaded);
-      } catch (error) {
-        console.error(`Error uploading photo ${i}:`, error);
-        // Continue with other photos
-      }
+    if (data?.length > 0) {
+      await photoService.deleteFromStorage(data);
     }
 
-    return uploadedPhotos;
+    invalidateBench(benchId, userId);
+    return true;
   },
 
   /**
-   * Delete photos from storage
+   * Permanently delete the user's benches that have been in the trash longer
+   * than TRASH_RETENTION_DAYS, then remove their photo files
+   * @returns {number} Number of photos removed
    */
-  async deleteFromStorage(photos) {
-    const paths = photos.map(photo => {
-      const urlParts = photo.photo_url.split('/bench-photos/');
-      return urlParts[1];
+  async purgeExpired(userId) {
+    const { data, error } = await backend.rpc('purge_deleted_benches', {
+      retention_days: TRASH_RETENTION_DAYS,
     });
 
-    const { error } = await supabase.storage
-      .from('bench-photos')
-      .remove(paths);
+    if (error) throw error;
 
-    if (error) {
-      console.error('Error deleting photos from storage:', error);
+    if (data?.length > 0) {
+      await photoService.deleteFromStorage(data);
+      queryCache.invalidate(queryKeys.profile(userId));
     }
+    return data?.length || 0;
   },
+};
+
+// ============================================================================
+// REVISION OPERATIONS
+// ============================================================================
 
+/**
+ * Every edit to a bench's title, description, view_type, accessibility_notes
+ * or attributes (utils/amenities) is stored in bench_revisions with its author, a
+ * field-level diff ({ field: { from, to } }) and a snapshot of those fields
+ * after the edit. Revisions are written by the database functions only.
+ */
+export const revisionService = {
   /**
-   * Delete photo database records by bench ID
+   * Get a bench's revisions with their authors, newest first
+   * @returns {Object} { items, nextCursor }
    */
-  async deleteByBenchId(benchId) {
-    const { error } = await supabase
-      .from('bench_photos')
-      .delete()
-      .eq('bench_id', benchId);
+  async getByBenchId(benchId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend
+        .from('bench_revisions')
+        .select(`
+          *,
+          profiles:user_id (
+            id,
+            username,
+            avatar_url
+          )
+        `)
+        .eq('bench_id', benchId),
+      { cursor, limit }
+    );
 
-    if (error) {
-      console.error('Error deleting photos:', error);
-    }
+    if (error) throw error;
+    return toPage(data, { limit });
   },
 
   /**
-   * Delete a single photo by ID (from both storage and database)
+   * Revert a bench to how it was right after a revision, or right before it
+   * with restorePrevious (to undo the very first edit). The revert is
+   * recorded as a new revision.
    */
-  async delete(photoId) {
-    // First get the photo to get the URL for storage deletion
-    const { data: photo, error: fetchError } = await supabase
-      .from('bench_photos')
-      .select('*')
-      .eq('id', photoId)
-      .single();
+  async revert(revisionId, benchId, userId, { restorePrevious = false } = {}) {
+    const { data, error } = await backend.rpc('revert_bench', {
+      target_revision_id: revisionId,
+      restore_previous: restorePrevious,
+    });
 
-    if (fetchError) throw fetchError;
+    if (error) throw error;
 
-    // Delete from storage
-    if (photo?.photo_url) {
-      const urlParts = photo.photo_url.split('/bench-photos/');
-      if (urlParts[1]) {
-        await supabase.storage
-          .from('bench-photos')
-          .remove([urlParts[1]]);
-      }
-    }
+    invalidateBench(benchId, userId);
+    return data;
+  },
+};
 
-    // Delete from database
-    const { error } = await supabase
-      .from('bench_photos')
-      .delete()
-      .eq('id', photoId);
+// ============================================================================
+// LOCATION CORRECTIONS
+// ============================================================================
 
-    if (error) throw error;
-    return true;
-  },
+// Confirmations that apply a proposal (or rejections that close it) - matches
+// the vote_bench_location database function
+export const LOCATION_VOTES_NEEDED = 3;
 
+/**
+ * Anyone can propose a corrected position for a bench pin in
+ * bench_location_proposals; other users confirm or reject it in
+ * bench_location_votes. A proposal is applied once LOCATION_VOTES_NEEDED users
+ * confirm it, or straight away when the bench owner approves it (or proposed
+ * it). Applied proposals keep the position they replaced, so they double as
+ * the bench's location history.
+ */
+export const locationService = {
   /**
-   * Set a photo as the primary photo for a bench
+   * Get a bench's open and applied proposals, newest first, with their
+   * authors, vote counts and the current user's vote (true, false or null)
    */
-  async setPrimary(photoId, benchId) {
-    // First, unset all primary photos for this bench
-    const { error: unsetError } = await supabase
-      .from('bench_photos')
-      .update({ is_primary: false })
-      .eq('bench_id', benchId);
+  async getByBenchId(benchId, userId) {
+    const { data, error } = await backend
+      .from('bench_location_proposals')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        ),
+        bench_location_votes (
+          user_id,
+          confirm
+        )
+      `)
+      .eq('bench_id', benchId)
+      .in('status', ['open', 'applied'])
+      .order('created_at', { ascending: false });
 
-    if (unsetError) throw unsetError;
+    if (error) throw error;
 
-    // Then set the new primary
-    const { data, error } = await supabase
-      .from('bench_photos')
-      .update({ is_primary: true })
-      .eq('id', photoId)
-      .select()
-      .single();
+    return (data || []).map(({ bench_location_votes: votes = [], ...proposal }) => ({
+      ...proposal,
+      confirmations: votes.filter(vote => vote.confirm).length,
+      rejections: votes.filter(vote => !vote.confirm).length,
+      myVote: votes.find(vote => vote.user_id === userId)?.confirm ?? null,
+    }));
+  },
+
+  /**
+   * Propose a new position for a bench
+   * @returns {Object} The proposal (already `applied` when the owner proposed it)
+   */
+  async propose({ benchId, latitude, longitude }) {
+    const coords = validateOrThrow(coordinatesSchema, { latitude, longitude });
+
+    const { data, error } = await backend.rpc('propose_bench_location', {
+      target_bench_id: benchId,
+      new_latitude: coords.latitude,
+      new_longitude: coords.longitude,
+    });
+
+    if (error) throw error;
+
+    invalidateBenchLocation(benchId, data);
+    return data;
+  },
+
+  /**
+   * Confirm or reject someone else's proposal
+   */
+  async vote(proposalId, benchId, confirm) {
+    const { data, error } = await backend.rpc('vote_bench_location', {
+      target_proposal_id: proposalId,
+      confirm,
+    });
+
+    if (error) throw error;
+
+    invalidateBenchLocation(benchId, data);
+    return data;
+  },
+
+  /**
+   * Apply or reject a proposal on one of your own benches
+   */
+  async resolve(proposalId, benchId, approve) {
+    const { data, error } = await backend.rpc('resolve_bench_location', {
+      target_proposal_id: proposalId,
+      approve,
+    });
 
     if (error) throw error;
+
+    invalidateBenchLocation(benchId, data);
     return data;
   },
 };
 
+/**
+ * Refresh a bench's proposals, and every list showing the bench once its pin moved
+ */
+function invalidateBenchLocation(benchId, proposal) {
+  queryCache.invalidate(queryKeys.benchLocations(benchId));
+  if (proposal?.status === 'applied') {
+    queryCache.invalidate(queryKeys.bench(benchId));
+    queryCache.invalidate(['feed']);
+    queryCache.invalidate(['favorites']);
+    queryCache.invalidate(['profile']);
+  }
+}
+
 // ============================================================================
-// RATING OPERATIONS
+// BENCH ISSUES
 // ============================================================================
 
-export const ratingService = {
+// Confirmations from other users that confirm an issue - matches the
+// confirm_bench_issue database function
+export const ISSUE_CONFIRMATIONS_NEEDED = 3;
+
+/**
+ * Users file issues (broken, vandalised, removed, ...) against a bench in
+ * bench_issues, optionally with a photo. Others confirm them in
+ * bench_issue_confirmations; at ISSUE_CONFIRMATIONS_NEEDED confirmations an
+ * issue moves from open to confirmed, and a confirmed "removed" issue marks
+ * the bench as gone (benches.removed_at). The bench owner, the reporter or a
+ * moderator resolves it. Unresolved issues are counted in
+ * benches.open_issue_count for the warning badges on lists and the map.
+ */
+export const issueService = {
   /**
-   * Get ratings for a bench
+   * Get a bench's issues, newest first, with their reporters, confirmation
+   * counts and whether the current user confirmed them
    */
-  async getByBenchId(benchId) {
-    const { data, error } = await supabase
-      .from('bench_ratings')
-      .select('*')
-      .eq('bench_id', benchId);
+  async getByBenchId(benchId, userId) {
+    const { data, error } = await backend
+      .from('bench_issues')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        ),
+        bench_issue_confirmations (
+          user_id
+        )
+      `)
+      .eq('bench_id', benchId)
+      .order('created_at', { ascending: false });
 
     if (error) throw error;
-    return data || [];
+
+    return (data || []).map(({ bench_issue_confirmations: confirmations = [], ...issue }) => ({
+      ...issue,
+      confirmations: confirmations.length,
+      confirmedByMe: confirmations.some(confirmation => confirmation.user_id === userId),
+    }));
   },
 
   /**
-   * Get a user's rating for a bench
+   * File an issue against a bench
+   * @param {Object} photo - Optional { base64, mimeType } from the image picker
+   * @returns {Object} The issue
    */
-  async getUserRating(benchId, userId) {
-    const { data, error } = await supabase
-      .from('bench_ratings')
-      .select('*')
-      .eq('bench_id', benchId)
-      .eq('user_id', userId)
-      .single();
+  async report({ benchId, userId, category, description, photo = null }) {
+    const validatedData = validateOrThrow(issueCreateSchema, { benchId, category, description });
 
-    if (error && error.code !== 'PGRST116') throw error;
-    return data || null;
+    const photoUrl = photo ? await this.uploadPhoto({ benchId, userId, photo }) : null;
+
+    const { data, error } = await backend.rpc('report_bench_issue', {
+      target_bench_id: validatedData.benchId,
+      issue_category: validatedData.category,
+      issue_description: validatedData.description,
+      issue_photo_url: photoUrl,
+    });
+
+    if (error) {
+      if (photoUrl) await photoService.deleteFromStorage([{ photo_url: photoUrl }]);
+      throw error;
+    }
+
+    invalidateBenchIssues(benchId);
+    return data;
   },
 
   /**
-   * Add or update a rating
+   * Upload an issue photo to storage (next to the bench's photos, but not
+   * one of them)
+   * @returns {string} Public URL of the photo
    */
-  async upsert({ benchId, userId, viewRating, comfortRating }) {
-    // Validate rating values
-    const validatedRating = validateOrThrow(ratingSchema, {
-      viewRating,
-      comfortRating,
+  uploadPhoto({ benchId, userId, photo }) {
+    return uploadImage({
+      bucket: 'bench-photos',
+      path: `${userId}/${benchId}/issues/${Date.now()}`,
+      base64: photo.base64,
+      mimeType: photo.mimeType,
     });
+  },
 
-    const { data, error } = await supabase
-      .from('bench_ratings')
-      .upsert({
-        bench_id: benchId,
-        user_id: userId,
-        view_rating: validatedRating.viewRating,
-        comfort_rating: validatedRating.comfortRating,
-      })
-      .select()
-      .single();
+  /**
+   * Confirm someone else's open issue
+   */
+  async confirm(issueId, benchId) {
+    const { data, error } = await backend.rpc('confirm_bench_issue', {
+      target_issue_id: issueId,
+    });
 
     if (error) throw error;
+
+    invalidateBenchIssues(benchId);
     return data;
   },
 
   /**
-   * Delete ratings by bench ID (for bench deletion cleanup)
+   * Mark an issue as resolved (bench owner, reporter or moderator)
    */
-  async deleteByBenchId(benchId) {
-    const { error } = await supabase
-      .from('bench_ratings')
-      .delete()
-      .eq('bench_id', benchId);
+  async resolve(issueId, benchId) {
+    const { data, error } = await backend.rpc('resolve_bench_issue', {
+      target_issue_id: issueId,
+    });
 
-    if (error) {
-      console.error('Error deleting ratings:', error);
-    }
+    if (error) throw error;
+
+    invalidateBenchIssues(benchId);
+    return data;
   },
 };
 
+/**
+ * Refresh a bench's issues, and every list showing its warning badge
+ */
+function invalidateBenchIssues(benchId) {
+  queryCache.invalidate(queryKeys.benchIssues(benchId));
+  queryCache.invalidate(queryKeys.bench(benchId));
+  queryCache.invalidate(['feed']);
+  queryCache.invalidate(['favorites']);
+  queryCache.invalidate(['profile']);
+}
+
 // ============================================================================
-// COMMENT OPERATIONS
+// PHOTO OPERATIONS
 // ============================================================================
 
-export const commentService = {
+export const photoService = {
   /**
-   * Get comments for a bench with user profiles
+   * Get photos for a bench
    */
   async getByBenchId(benchId) {
-    const { data, error } = await supabase
-      .from('comments')
-      .select(`
-        *,
-        profiles:user_id (
-          id,
-          username,
-          avatar_url
-        )
-      `)
+    const { data, error } = await backend
+      .from('bench_photos')
+      .select('*')
       .eq('bench_id', benchId)
-      .order('created_at', { ascending: true });
+      .is('hidden_at', null)
+      .order('is_primary', { ascending: false });
 
     if (error) throw error;
     return data || [];
   },
 
   /**
-   * Add a comment (UPDATED to support replies and mentions)
+   * Upload a photo to storage and create database record
    */
-  async create({ benchId, userId, text, parentId = null }) {
-    // Validate comment data
-    const validatedComment = validateOrThrow(commentCreateSchema, {
-      text,
-      parentId,
+  async upload({ benchId, userId, photoData, mimeType, isPrimary = false }) {
+    const publicUrl = await uploadImage({
+      bucket: 'bench-photos',
+      path: `${userId}/${benchId}/${Date.now()}`,
+      base64: photoData,
+      mimeType,
     });
 
-    const { data, error } = await supabase
-      .from('comments')
+    // Create database record
+    const { data, error: dbError } = await backend
+      .from('bench_photos')
       .insert({
         bench_id: benchId,
-        user_id: userId,
-        text: validatedComment.text,
-        parent_id: validatedComment.parentId,
+        photo_url: publicUrl,
+        is_primary: isPrimary,
       })
-      .select(`
-        *,
-        profiles:user_id (
-          id,
-          username,
-          avatar_url
-        )
-      `)
+      .select()
       .single();
 
-    if (error) throw error;
+    if (dbError) throw dbError;
 
-    // Create notification for bench owner (if not commenting on own bench)
-    const { data: bench } = await supabase
-      .from('benches')
-      .select('user_id')
-      .eq('id', benchId)
-      .single();
+    queryCache.invalidate(queryKeys.bench(benchId));
+    return data;
+  },
 
-    if (bench && bench.user_id !== userId) {
-      await notificationService.create({
-        userId: bench.user_id,
-        actorId: userId,
-        type: 'comment',
-        benchId: benchId,
-      });
+  /**
+   * Upload multiple photos
+   * @param {Array} params.photos - { uri, base64, mimeType }; only the file is
+   *   queued while offline, and read again when it is uploaded
+   */
+  async uploadMultiple({ benchId, userId, photos }) {
+    // Bench only exists in the offline queue - upload once it has been created
+    if (offlineQueue.isPendingId(benchId)) {
+      const queued = await Promise.all(photos.map(async photo => ({
+        uri: await keepPhotoFile(photo.uri),
+        mimeType: photo.mimeType,
+      })));
+
+      try {
+        await offlineQueue.enqueue(MUTATION_TYPES.PHOTOS_UPLOAD, { benchId, userId, photos: queued });
+      } catch (error) {
+        await Promise.all(queued.map(photo => deletePhotoFile(photo.uri)));
+        throw error;
+      }
+      return [];
     }
 
-    // If this is a reply, create notification for parent comment author
-    if (parentId) {
-      const { data: parentComment } = await supabase
-        .from('comments')
-        .select('user_id')
-        .eq('id', parentId)
-        .single();
+    const uploadedPhotos = [];
 
-      if (parentComment && parentComment.user_id !== userId) {
-        await notificationService.create({
-          userId: parentComment.user_id,
-          actorId: userId,
-          type: 'reply',
-          benchId: benchId,
-          commentId: parentId,
+    for (let i = 0; i < photos.length; i++) {
+      const photo = photos[i];
+      try {
+        const uploaded = await this.upload({
+          benchId,
+          userId,
+          photoData: photo.base64,
+          mimeType: photo.mimeType,
+          isPrimary: i === 0,
         });
+        uploadedPhotos.push(uploaded);
+      } catch (error) {
+        console.error(`Error uploading photo ${i}:`, error);
+        // Continue with other photos
       }
     }
 
-    // Check for mentions and create notifications
-    await mentionService.createMentionNotifications(text, userId, benchId, data.id);
+    return uploadedPhotos;
+  },
+
+  /**
+   * Delete photos from storage
+   */
+  async deleteFromStorage(photos) {
+    const paths = photos.map(photo => {
+      const urlParts = photo.photo_url.split('/bench-photos/');
+      return urlParts[1];
+    });
+
+    const { error } = await backend.storage
+      .from('bench-photos')
+      .remove(paths);
 
-    return data;
+    if (error) {
+      console.error('Error deleting photos from storage:', error);
+    }
   },
 
   /**
-   * Delete a comment
+   * Delete a single photo by ID (from both storage and database)
    */
-  async delete(commentId, userId) {
-    const { error } = await supabase
-      .from('comments')
+  async delete(photoId) {
+    // First get the photo to get the URL for storage deletion
+    const { data: photo, error: fetchError } = await backend
+      .from('bench_photos')
+      .select('*')
+      .eq('id', photoId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    // Delete from storage
+    if (photo?.photo_url) {
+      const urlParts = photo.photo_url.split('/bench-photos/');
+      if (urlParts[1]) {
+        await backend.storage
+          .from('bench-photos')
+          .remove([urlParts[1]]);
+      }
+    }
+
+    // Delete from database
+    const { error } = await backend
+      .from('bench_photos')
       .delete()
-      .eq('id', commentId)
-      .eq('user_id', userId);
+      .eq('id', photoId);
 
     if (error) throw error;
     return true;
   },
 
-  /**
-   * Delete comments by bench ID (for bench deletion cleanup)
-   */
-  async deleteByBenchId(benchId) {
-    const { error } = await supabase
-      .from('comments')
-      .delete()
-      .eq('bench_id', benchId);
+  /**
+   * Set a photo as the primary photo for a bench
+   */
+  async setPrimary(photoId, benchId) {
+    // First, unset all primary photos for this bench
+    const { error: unsetError } = await backend
+      .from('bench_photos')
+      .update({ is_primary: false })
+      .eq('bench_id', benchId);
+
+    if (unsetError) throw unsetError;
+
+    // Then set the new primary
+    const { data, error } = await backend
+      .from('bench_photos')
+      .update({ is_primary: true })
+      .eq('id', photoId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+};
+
+// ============================================================================
+// RATING OPERATIONS
+// ============================================================================
+
+export const ratingService = {
+  /**
+   * Get ratings for a bench with rater profiles
+   */
+  async getByBenchId(benchId) {
+    const { data, error } = await backend
+      .from('bench_ratings')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        )
+      `)
+      .eq('bench_id', benchId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get a user's rating for a bench
+   */
+  async getUserRating(benchId, userId) {
+    const { data, error } = await backend
+      .from('bench_ratings')
+      .select('*')
+      .eq('bench_id', benchId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  },
+
+  /**
+   * Add or update a rating. View and comfort are required, the other
+   * RATING_DIMENSIONS may be left out (null)
+   */
+  async upsert({ benchId, userId, ...values }, { queueOffline = true } = {}) {
+    // Validate rating values
+    const validatedRating = validateOrThrow(ratingSchema, Object.fromEntries(
+      RATING_DIMENSIONS.map(({ field }) => [field, values[field] ?? null])
+    ));
+
+    const columns = Object.fromEntries(
+      RATING_DIMENSIONS.map(({ column, field }) => [column, validatedRating[field] ?? null])
+    );
+    const placeholder = {
+      bench_id: benchId,
+      user_id: userId,
+      ...columns,
+    };
+    const payload = { benchId, userId, ...validatedRating };
+
+    // A newer rating replaces one still waiting in the queue
+    const queued = queueOffline && offlineQueue.findPending(
+      MUTATION_TYPES.RATING_UPSERT,
+      (item) => item.benchId === benchId && item.userId === userId
+    );
+    if (queued) {
+      await offlineQueue.updatePayload(queued.id, payload);
+      return { ...placeholder, pending: true };
+    }
+
+    const { data, error } = await backend
+      .from('bench_ratings')
+      .upsert({
+        bench_id: benchId,
+        user_id: userId,
+        ...columns,
+        // Rating trends count a changed rating from when it changed
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (queueOffline && isNetworkError(error)) {
+        return queueMutation(MUTATION_TYPES.RATING_UPSERT, payload, placeholder);
+      }
+      throw error;
+    }
+
+    queryCache.invalidate(queryKeys.bench(benchId));
+    queryCache.invalidate(queryKeys.profile(userId));
+    return data;
+  },
+};
+
+// ============================================================================
+// COMMENT OPERATIONS
+// ============================================================================
+
+// new_mentions rows (create_comment, edit_comment) for { userId, start, end } mentions
+const toMentionRows = (mentions) => mentions.map(({ userId, start, end }) => ({
+  user_id: userId,
+  start_index: start,
+  end_index: end,
+}));
+
+// Order top-level comments are paged in, per sort of utils/commentThreads
+const COMMENT_PAGE_ORDERS = {
+  top: [['like_count', false], ['created_at', true], ['id', true]],
+  newest: [['created_at', false], ['id', false]],
+  oldest: [['created_at', true], ['id', true]],
+};
+
+export const commentService = {
+  /**
+   * Get comments for a bench with user profiles: a page of top-level
+   * comments in the given sort order, followed by all their replies
+   * @param {string} sort - One of COMMENT_SORTS (utils/commentThreads)
+   * @param {string} viewerId - Signed in user, whose blocked and muted users are left out
+   * @returns {Object} { items, nextCursor }
+   */
+  async getByBenchId(benchId, {
+    sort = DEFAULT_COMMENT_SORT,
+    cursor = null,
+    limit = DEFAULT_PAGE_SIZE,
+    viewerId = null,
+  } = {}) {
+    const hiddenUserIds = viewerId ? await blockService.getHiddenUserIds(viewerId) : [];
+    const visibleComments = () => {
+      let query = backend
+        .from('comments')
+        .select(`
+          *,
+          profiles:user_id (
+            id,
+            username,
+            avatar_url
+          ),
+          comment_mentions (
+            user_id,
+            start_index,
+            end_index,
+            profiles:user_id (username)
+          )
+        `)
+        .eq('bench_id', benchId)
+        .is('hidden_at', null);
+
+      if (hiddenUserIds.length > 0) {
+        query = query.not('user_id', 'in', `(${hiddenUserIds.join(',')})`);
+      }
+      return query;
+    };
+
+    const orders = COMMENT_PAGE_ORDERS[sort] || COMMENT_PAGE_ORDERS[DEFAULT_COMMENT_SORT];
+    const { data, error } = await paginate(visibleComments().is('parent_id', null), { cursor, limit, orders });
+
+    if (error) throw error;
+    const page = toPage(data, { limit, orders });
+    if (page.items.length === 0) return page;
+
+    const { data: replies, error: repliesError } = await visibleComments()
+      .in('thread_id', page.items.map(comment => comment.id))
+      .not('parent_id', 'is', null)
+      .order('created_at', { ascending: true });
+
+    if (repliesError) throw repliesError;
+    return { ...page, items: [...page.items, ...(replies || [])] };
+  },
+
+  /**
+   * Add a comment (UPDATED to support replies and mentions)
+   * @param {Array} mentions - { userId, start, end } ranges of @handles in text
+   */
+  async create({ benchId, userId, text, parentId = null, mentions = [] }, { queueOffline = true } = {}) {
+    // Validate comment data
+    const validatedComment = validateOrThrow(commentCreateSchema, {
+      text,
+      parentId,
+      mentions,
+    });
+    const validatedMentions = alignMentions(text, validatedComment.mentions);
+
+    // The comment and its mentions are inserted together
+    const { data: created, error } = await backend.rpc('create_comment', {
+      target_bench_id: benchId,
+      comment_text: validatedComment.text,
+      target_parent_id: validatedComment.parentId,
+      new_mentions: toMentionRows(validatedMentions),
+    });
+
+    if (error) {
+      if (queueOffline && isNetworkError(error)) {
+        return queueMutation(MUTATION_TYPES.COMMENT_CREATE, { benchId, userId, text, parentId, mentions }, {
+          id: generateId(),
+          bench_id: benchId,
+          user_id: userId,
+          text: validatedComment.text,
+          parent_id: validatedComment.parentId,
+          created_at: new Date().toISOString(),
+          profiles: null,
+        });
+      }
+      throw error;
+    }
+
+    const { data, error: fetchError } = await backend
+      .from('comments')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        )
+      `)
+      .eq('id', created.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    // Create notification for bench owner (if not commenting on own bench)
+    const { data: bench } = await backend
+      .from('benches')
+      .select('user_id')
+      .eq('id', benchId)
+      .single();
+
+    if (bench && bench.user_id !== userId) {
+      await notificationService.create({
+        userId: bench.user_id,
+        actorId: userId,
+        type: 'comment',
+        benchId: benchId,
+      });
+    }
+
+    // If this is a reply, create notification for parent comment author
+    if (parentId) {
+      const { data: parentComment } = await backend
+        .from('comments')
+        .select('user_id')
+        .eq('id', parentId)
+        .single();
+
+      if (parentComment && parentComment.user_id !== userId) {
+        await notificationService.create({
+          userId: parentComment.user_id,
+          actorId: userId,
+          type: 'reply',
+          benchId: benchId,
+          commentId: parentId,
+        });
+      }
+    }
+
+    // Notify the mentioned users
+    await mentionService.createMentionNotifications(
+      validatedMentions.map(mention => mention.userId),
+      userId,
+      benchId,
+      data.id
+    );
+
+    queryCache.invalidate(queryKeys.bench(benchId));
+    queryCache.invalidate(queryKeys.profile(userId));
+    return data;
+  },
+
+  /**
+   * Edit the text of the caller's comment. The edit_comment database
+   * function keeps the previous text in comment_revisions and sets
+   * edited_at. The mentions are replaced; users mentioned for the first
+   * time are notified.
+   * @param {Array} mentions - { userId, start, end } ranges of @handles in text
+   */
+  async update(commentId, userId, text, mentions = []) {
+    const validatedComment = validateOrThrow(commentCreateSchema, { text, mentions });
+    const validatedMentions = alignMentions(text, validatedComment.mentions);
+
+    const { data: current, error: fetchError } = await backend
+      .from('comments')
+      .select('bench_id, comment_mentions (user_id)')
+      .eq('id', commentId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const { data, error } = await backend.rpc('edit_comment', {
+      target_comment_id: commentId,
+      new_text: validatedComment.text,
+      new_mentions: toMentionRows(validatedMentions),
+    });
+
+    if (error) throw error;
+
+    await mentionService.createMentionNotifications(
+      validatedMentions.map(mention => mention.userId),
+      userId,
+      current.bench_id,
+      commentId,
+      { previouslyMentioned: (current.comment_mentions || []).map(mention => mention.user_id) }
+    );
+
+    queryCache.invalidate(queryKeys.bench(current.bench_id));
+    queryCache.invalidate(queryKeys.commentRevisions(commentId));
+    return data;
+  },
+
+  /**
+   * Get the earlier versions of a comment, newest first
+   */
+  async getRevisions(commentId) {
+    const { data, error } = await backend
+      .from('comment_revisions')
+      .select('*')
+      .eq('comment_id', commentId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Delete the caller's comment. One with replies stays behind as a
+   * [deleted] placeholder (deleted_at set, text cleared) so the thread keeps
+   * its shape; see delete_comment in supabase/migrations.
+   * @returns {boolean} Whether a placeholder was kept
+   */
+  async delete(commentId, userId) {
+    const { data, error } = await backend.rpc('delete_comment', { target_comment_id: commentId });
+
+    if (error) throw error;
+
+    queryCache.invalidate(['bench']);
+    queryCache.invalidate(queryKeys.profile(userId));
+    return !!data;
+  },
+};
+
+// ============================================================================
+// COMMENT LIKES SERVICE (NEW)
+// ============================================================================
+
+export const commentLikeService = {
+  /**
+   * Toggle like on a comment
+   */
+  async toggle(commentId, userId) {
+    const { data: existing } = await backend
+      .from('comment_likes')
+      .select('*')
+      .eq('comment_id', commentId)
+      .eq('user_id', userId)
+      .single();
+
+    if (existing) {
+      // Unlike
+      await backend
+        .from('comment_likes')
+        .delete()
+        .eq('comment_id', commentId)
+        .eq('user_id', userId);
+      return false;
+    } else {
+      // Like
+      await backend
+        .from('comment_likes')
+        .insert({ comment_id: commentId, user_id: userId });
+
+      // Get comment details for notification
+      const { data: comment } = await backend
+        .from('comments')
+        .select('user_id, bench_id')
+        .eq('id', commentId)
+        .single();
+
+      // Create notification (will auto-skip if user likes own comment)
+      if (comment) {
+        await notificationService.create({
+          userId: comment.user_id,
+          actorId: userId,
+          type: 'comment_like',
+          benchId: comment.bench_id,
+          commentId: commentId,
+        });
+      }
+
+      return true;
+    }
+  },
+
+  /**
+   * Check if user has liked a comment
+   */
+  async isLiked(commentId, userId) {
+    const { data, error } = await backend
+      .from('comment_likes')
+      .select('*')
+      .eq('comment_id', commentId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return !!data;
+  },
+
+  /**
+   * Which of the given comments a user has liked
+   * @returns {Array} Liked comment ids
+   */
+  async getLikedIds(userId, commentIds) {
+    if (commentIds.length === 0) return [];
+
+    const { data, error } = await backend
+      .from('comment_likes')
+      .select('comment_id')
+      .eq('user_id', userId)
+      .in('comment_id', commentIds);
+
+    if (error) throw error;
+    return (data || []).map(row => row.comment_id);
+  },
+
+  /**
+   * Get like count for a comment
+   */
+  async getCount(commentId) {
+    const { count, error } = await backend
+      .from('comment_likes')
+      .select('*', { count: 'exact', head: true })
+      .eq('comment_id', commentId);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  /**
+   * Get users who liked a comment
+   */
+  async getLikers(commentId) {
+    const { data, error } = await backend
+      .from('comment_likes')
+      .select(`
+        user_id,
+        created_at,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        )
+      `)
+      .eq('comment_id', commentId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+};
+
+// ============================================================================
+// MENTION SERVICE (NEW)
+// ============================================================================
+
+export const mentionService = {
+  /**
+   * Notify the users mentioned in a comment
+   * @param {Array} userIds - Mentioned users
+   * @param {Array} previouslyMentioned - Users the comment mentioned before an
+   *   edit; they are not notified again
+   */
+  async createMentionNotifications(userIds, actorId, benchId, commentId = null, { previouslyMentioned = [] } = {}) {
+    const recipients = [...new Set(userIds)]
+      .filter(id => id !== actorId && !previouslyMentioned.includes(id));
+
+    if (recipients.length === 0) return;
+
+    // notify_users skips anyone who blocked or muted the actor
+    const { error } = await backend.rpc('notify_users', {
+      recipient_ids: recipients,
+      notification_type: 'mention',
+      target_bench_id: benchId,
+      target_comment_id: commentId,
+    });
+
+    if (error) throw error;
+  },
+};
+
+// ============================================================================
+// TAG OPERATIONS
+// ============================================================================
+
+export const TRENDING_TAG_DAYS = 7;
+
+/**
+ * Hashtags from bench descriptions and comments (utils/hashtags), indexed
+ * in bench_tags by database triggers. Benches with a tag are listed with
+ * benchService.search({ tag }).
+ */
+export const tagService = {
+  /**
+   * Tags used on the most benches lately
+   * @returns {Array} { tag, bench_count, use_count }
+   */
+  async getTrending({ days = TRENDING_TAG_DAYS, limit = 12 } = {}) {
+    const { data, error } = await backend.rpc('get_trending_tags', {
+      since_days: days,
+      tag_limit: limit,
+    });
+
+    if (error) throw error;
+    return data || [];
+  },
+};
+
+// ============================================================================
+// VISITS
+// ============================================================================
+
+// How close to a bench you have to be to check in - matches check_in_bench
+export const CHECK_IN_RADIUS_METERS = 100;
+
+/**
+ * "I sat here" check-ins. Each one is a timestamped row in bench_visits, so a
+ * bench can be visited many times; check_in_bench checks the distance again
+ * and allows one check-in per bench an hour.
+ */
+export const visitService = {
+  /**
+   * Check in at a bench from the device location
+   * @param {Object} location - { latitude, longitude } of the device
+   * @returns {Object} The visit
+   * @throws Error with isTooFar and distanceMeters when not at the bench
+   */
+  async checkIn(bench, userId, location) {
+    const coords = validateOrThrow(coordinatesSchema, location);
+
+    const distanceMeters = calculateDistance(coords.latitude, coords.longitude, bench.latitude, bench.longitude) * 1000;
+    if (distanceMeters > CHECK_IN_RADIUS_METERS) {
+      const error = new Error('You need to be at the bench to check in');
+      error.isTooFar = true;
+      error.distanceMeters = distanceMeters;
+      throw error;
+    }
+
+    const { data, error } = await backend.rpc('check_in_bench', {
+      target_bench_id: bench.id,
+      user_lat: coords.latitude,
+      user_lng: coords.longitude,
+    });
+
+    if (error) throw error;
+
+    queryCache.invalidate(queryKeys.benchVisits(bench.id));
+    queryCache.invalidate(queryKeys.profile(userId));
+    return data;
+  },
+
+  /**
+   * How often a user sat at a bench
+   * @returns {Object} { count, lastVisitedAt }
+   */
+  async getForBench(benchId, userId) {
+    const { data, error } = await backend
+      .from('bench_visits')
+      .select('visited_at')
+      .eq('bench_id', benchId)
+      .eq('user_id', userId)
+      .order('visited_at', { ascending: false });
+
+    if (error) throw error;
+    return {
+      count: data?.length || 0,
+      lastVisitedAt: data?.[0]?.visited_at || null,
+    };
+  },
+
+  /**
+   * IDs of every bench a user has checked in at (for the "visited" markers)
+   */
+  async getVisitedBenchIds(userId) {
+    const { data, error } = await backend
+      .from('bench_visits')
+      .select('bench_id')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return [...new Set((data || []).map(visit => visit.bench_id))];
+  },
+
+  /**
+   * A user's check-ins with bench details, most recent first
+   * @returns {Object} { items, nextCursor }
+   */
+  async getByUserId(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend
+        .from('bench_visits')
+        .select(`
+          id,
+          bench_id,
+          visited_at,
+          benches:bench_id!inner (
+            id,
+            title,
+            view_type,
+            removed_at
+          )
+        `)
+        .eq('user_id', userId)
+        // Skip visits to trashed and hidden benches
+        .is('benches.deleted_at', null)
+        .is('benches.hidden_at', null),
+      { cursor, limit, sortColumn: 'visited_at' }
+    );
+
+    if (error) throw error;
+    return toPage(data, { limit, sortColumn: 'visited_at' });
+  },
+};
+
+// ============================================================================
+// FAVORITE OPERATIONS
+// ============================================================================
+
+export const favoriteService = {
+  /**
+   * Check if a bench is favorited by a user
+   */
+  async isFavorite(benchId, userId) {
+    const { data, error } = await backend
+      .from('favorites')
+      .select('bench_id')
+      .eq('user_id', userId)
+      .eq('bench_id', benchId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return !!data;
+  },
+
+  /**
+   * Get a user's favorites with bench details, most recently saved first
+   * @returns {Object} { items, nextCursor }
+   */
+  async getByUserId(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend
+        .from('favorites')
+        .select(`
+          bench_id,
+          created_at,
+          benches:bench_id!inner (
+            id,
+            title,
+            description,
+            view_type,
+            latitude,
+            longitude,
+            created_at,
+            bench_photos (
+              photo_url,
+              is_primary,
+              hidden_at
+            )
+          )
+        `)
+        .eq('user_id', userId)
+        // Filter out deleted, trashed and hidden benches
+        .is('benches.deleted_at', null)
+        .is('benches.hidden_at', null),
+      { cursor, limit, tieColumn: 'bench_id' }
+    );
+
+    if (error) throw error;
+
+    const page = toPage(data, { limit, tieColumn: 'bench_id' });
+    return { ...page, items: page.items.map(f => ({ ...f, benches: withoutHiddenPhotos(f.benches) })) };
+  },
+
+  /**
+   * Add a bench to favorites
+   */
+  async add(benchId, userId) {
+    const { data, error } = await backend
+      .from('favorites')
+      .insert({ user_id: userId, bench_id: benchId })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    queryCache.applyFavoriteChange(userId, benchId, true);
+    return data;
+  },
+
+  /**
+   * Remove a bench from favorites
+   */
+  async remove(benchId, userId) {
+    const { error } = await backend
+      .from('favorites')
+      .delete()
+      .eq('user_id', userId)
+      .eq('bench_id', benchId);
+
+    if (error) throw error;
+
+    queryCache.applyFavoriteChange(userId, benchId, false);
+    return true;
+  },
+
+  /**
+   * Toggle favorite status
+   * @param {boolean} currentlyFavorite - Status shown in the UI, used to queue the toggle when offline
+   */
+  async toggle(benchId, userId, currentlyFavorite) {
+    // Still waiting to sync: flip the queued change instead of stacking another
+    const queued = offlineQueue.findPending(
+      MUTATION_TYPES.FAVORITE_SET,
+      (item) => item.benchId === benchId && item.userId === userId
+    );
+    if (queued) {
+      const favorite = !queued.payload.favorite;
+      await offlineQueue.updatePayload(queued.id, { ...queued.payload, favorite });
+      queryCache.applyFavoriteChange(userId, benchId, favorite);
+      return favorite;
+    }
+
+    try {
+      const isFav = await this.isFavorite(benchId, userId);
+
+      if (isFav) {
+        await this.remove(benchId, userId);
+        return false;
+      } else {
+        await this.add(benchId, userId);
+        return true;
+      }
+    } catch (error) {
+      if (!isNetworkError(error) || currentlyFavorite === undefined) throw error;
+
+      await offlineQueue.enqueue(MUTATION_TYPES.FAVORITE_SET, {
+        benchId,
+        userId,
+        favorite: !currentlyFavorite,
+      });
+      queryCache.applyFavoriteChange(userId, benchId, !currentlyFavorite);
+      return !currentlyFavorite;
+    }
+  },
+
+  /**
+   * Set favorite status explicitly (idempotent, used when replaying queued toggles)
+   */
+  async setFavorite(benchId, userId, favorite) {
+    if (!favorite) {
+      return this.remove(benchId, userId);
+    }
+
+    const { error } = await backend
+      .from('favorites')
+      .upsert({ user_id: userId, bench_id: benchId }, { ignoreDuplicates: true });
+
+    if (error) throw error;
+
+    queryCache.applyFavoriteChange(userId, benchId, true);
+    return true;
+  },
+
+
+  /**
+   * Get favorite status for multiple benches in a single query (batch operation)
+   * @param {string[]} benchIds - Array of bench IDs to check
+   * @param {string} userId - The user ID to check favorites for
+   * @returns {Object} Map of benchId -> boolean (isFavorited)
+   */
+  async getStatusBatch(benchIds, userId) {
+    if (!benchIds.length || !userId) return {};
+
+    const { data, error } = await backend
+      .from('favorites')
+      .select('bench_id')
+      .eq('user_id', userId)
+      .in('bench_id', benchIds);
+
+    if (error) throw error;
+
+    // Convert to map for O(1) lookup
+    const favoritedSet = new Set((data || []).map(f => f.bench_id));
+    const result = {};
+    benchIds.forEach(id => {
+      result[id] = favoritedSet.has(id);
+    });
+    return result;
+  },
+
+  /**
+   * Get favorite counts for multiple benches in a single query (batch operation)
+   * Uses aggregation to minimize database calls
+   * @param {string[]} benchIds - Array of bench IDs
+   * @returns {Object} Map of benchId -> count
+   */
+  async getCountBatch(benchIds) {
+    if (!benchIds.length) return {};
+
+    // Get all favorites for these benches
+    const { data, error } = await backend
+      .from('favorites')
+      .select('bench_id')
+      .in('bench_id', benchIds);
+
+    if (error) throw error;
+
+    // Count favorites per bench
+    const counts = {};
+    benchIds.forEach(id => {
+      counts[id] = 0;
+    });
+    (data || []).forEach(f => {
+      counts[f.bench_id] = (counts[f.bench_id] || 0) + 1;
+    });
+    return counts;
+  },
+
+  /**
+   * Combined batch operation to get both status and counts in minimal queries
+   * @param {string[]} benchIds - Array of bench IDs
+   * @param {string} userId - User ID to check favorites for
+   * @returns {Object} { statuses: {benchId: boolean}, counts: {benchId: number} }
+   */
+  async getBatchData(benchIds, userId) {
+    if (!benchIds.length) return { statuses: {}, counts: {} };
+
+    // Single query to get all favorites for these benches
+    const { data, error } = await backend
+      .from('favorites')
+      .select('bench_id, user_id')
+      .in('bench_id', benchIds);
+
+    if (error) throw error;
+
+    const statuses = {};
+    const counts = {};
+
+    // Initialize all benches
+    benchIds.forEach(id => {
+      statuses[id] = false;
+      counts[id] = 0;
+    });
+
+    // Process results
+    (data || []).forEach(f => {
+      counts[f.bench_id] = (counts[f.bench_id] || 0) + 1;
+      if (userId && f.user_id === userId) {
+        statuses[f.bench_id] = true;
+      }
+    });
 
-    if (error) {
-      console.error('Error deleting comments:', error);
-    }
+    return { statuses, counts };
   },
 };
 
 // ============================================================================
-// COMMENT LIKES SERVICE (NEW)
+// COLLECTIONS
 // ============================================================================
 
-export const commentLikeService = {
+/**
+ * Named lists of benches a user curates ("Best sunset benches in Lisbon"),
+ * with a description and a cover photo. A collection is public, visible to
+ * the owner's followers or private - the reads below ask only for what the
+ * viewer may see, and the database policies enforce the same. Other users
+ * follow collections; add_bench_to_collection notifies them when a bench is
+ * added.
+ */
+export const collectionService = {
   /**
-   * Toggle like on a comment
+   * Get the collections of a user that the viewer can see, newest first,
+   * with their bench counts
    */
-  async toggle(commentId, userId) {
-    const { data: existing } = await supabase
-      .from('comment_likes')
-      .select('*')
-      .eq('comment_id', commentId)
-      .eq('user_id', userId)
-      .single();
-
-    if (existing) {
-      // Unlike
-      await supabase
-        .from('comment_likes')
-        .delete()
-        .eq('comment_id', commentId)
-        .eq('user_id', userId);
-      return false;
-    } else {
-      // Like
-      await supabase
-        .from('comment_likes')
-        .insert({ comment_id: commentId, user_id: userId });
+  async getByUserId(userId, viewerId) {
+    const visibilities = await visibleCollectionTypes(userId, viewerId);
 
-      // Get comment details for notification
-      const { data: comment } = await supabase
-        .from('comments')
-        .select('user_id, bench_id')
-        .eq('id', commentId)
-        .single();
+    const { data, error } = await backend
+      .from('collections')
+      .select(`
+        *,
+        collection_benches (
+          benches:bench_id (
+            deleted_at,
+            hidden_at
+          )
+        )
+      `)
+      .eq('user_id', userId)
+      .in('visibility', visibilities)
+      .order('created_at', { ascending: false });
 
-      // Create notification (will auto-skip if user likes own comment)
-      if (comment) {
-        await notificationService.create({
-          userId: comment.user_id,
-          actorId: userId,
-          type: 'comment_like',
-          benchId: comment.bench_id,
-          commentId: commentId,
-        });
-      }
+    if (error) throw error;
 
-      return true;
-    }
+    return (data || []).map(({ collection_benches: entries = [], ...collection }) => ({
+      ...collection,
+      benchCount: entries.filter(entry => entry.benches && !entry.benches.deleted_at && !entry.benches.hidden_at).length,
+    }));
   },
 
   /**
-   * Check if user has liked a comment
+   * Get a collection with its owner, follower count and whether the viewer
+   * follows it
+   * @returns {Object|null} null when it does not exist or the viewer cannot see it
    */
-  async isLiked(commentId, userId) {
-    const { data, error } = await supabase
-      .from('comment_likes')
-      .select('*')
-      .eq('comment_id', commentId)
-      .eq('user_id', userId)
-      .single();
+  async getById(collectionId, viewerId) {
+    const { data, error } = await backend
+      .from('collections')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        ),
+        collection_follows (
+          user_id
+        )
+      `)
+      .eq('id', collectionId)
+      .maybeSingle();
 
-    if (error && error.code !== 'PGRST116') {
-      throw error;
-    }
+    if (error) throw error;
+    if (!data) return null;
 
-    return !!data;
+    const visibilities = await visibleCollectionTypes(data.user_id, viewerId);
+    if (!visibilities.includes(data.visibility)) return null;
+
+    const { collection_follows: follows = [], ...collection } = data;
+    return {
+      ...collection,
+      followers: follows.length,
+      followedByMe: follows.some(follow => follow.user_id === viewerId),
+    };
   },
 
   /**
-   * Get like count for a comment
+   * Get the benches in a collection, most recently added first
+   * @returns {Object} { items, nextCursor }
    */
-  async getCount(commentId) {
-    const { count, error } = await supabase
-      .from('comment_likes')
-      .select('*', { count: 'exact', head: true })
-      .eq('comment_id', commentId);
+  async getBenches(collectionId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend
+        .from('collection_benches')
+        .select(`
+          bench_id,
+          created_at,
+          benches:bench_id!inner (
+            id,
+            title,
+            description,
+            view_type,
+            latitude,
+            longitude,
+            created_at,
+            removed_at,
+            bench_photos (
+              photo_url,
+              is_primary,
+              hidden_at
+            )
+          )
+        `)
+        .eq('collection_id', collectionId)
+        // Filter out trashed and hidden benches
+        .is('benches.deleted_at', null)
+        .is('benches.hidden_at', null),
+      { cursor, limit, tieColumn: 'bench_id' }
+    );
 
     if (error) throw error;
-    return count || 0;
+
+    const page = toPage(data, { limit, tieColumn: 'bench_id' });
+    return { ...page, items: page.items.map(entry => ({ ...entry, benches: withoutHiddenPhotos(entry.benches) })) };
   },
 
   /**
-   * Get users who liked a comment
+   * A user's own collections, each with whether it holds the given bench
+   * (for the "add to collection" picker)
    */
-  async getLikers(commentId) {
-    const { data, error } = await supabase
-      .from('comment_likes')
+  async getForBench(benchId, userId) {
+    const { data, error } = await backend
+      .from('collections')
       .select(`
-        user_id,
-        created_at,
-        profiles:user_id (
-          id,
-          username,
-          avatar_url
+        id,
+        title,
+        visibility,
+        collection_benches (
+          bench_id
         )
       `)
-      .eq('comment_id', commentId)
+      .eq('user_id', userId)
       .order('created_at', { ascending: false });
 
     if (error) throw error;
-    return data || [];
-  },
-};
 
-// ============================================================================
-// MENTION SERVICE (NEW)
-// ============================================================================
+    return (data || []).map(({ collection_benches: entries = [], ...collection }) => ({
+      ...collection,
+      containsBench: entries.some(entry => entry.bench_id === benchId),
+    }));
+  },
 
-export const mentionService = {
   /**
-   * Extract mentions from text and create notifications
+   * Create a collection, optionally starting it with a bench
+   * @param {Object} coverPhoto - Optional { base64, mimeType } from the image picker
+   * @returns {Object} The collection
    */
-  async createMentionNotifications(text, actorId, benchId, commentId = null) {
-    const mentionRegex = /@(\w+)/g;
-    const mentions = [];
-    let match;
+  async create({ userId, title, description, visibility, coverPhoto = null, benchId = null }) {
+    const validatedData = validateOrThrow(collectionSchema, { title, description, visibility });
 
-    while ((match = mentionRegex.exec(text)) !== null) {
-      mentions.push(match[1]);
-    }
+    const coverPhotoUrl = coverPhoto ? await this.uploadCover({ userId, photo: coverPhoto }) : null;
 
-    if (mentions.length === 0) return;
+    const { data, error } = await backend
+      .from('collections')
+      .insert({
+        user_id: userId,
+        title: validatedData.title,
+        description: validatedData.description,
+        visibility: validatedData.visibility,
+        cover_photo_url: coverPhotoUrl,
+      })
+      .select()
+      .single();
 
-    // Get user IDs for mentioned usernames
-    const { data: users } = await supabase
-      .from('profiles')
-      .select('id, username')
-      .in('username', mentions);
-
-    if (!users || users.length === 0) return;
-
-    // Create notifications for each mentioned user (except the actor)
-    const notifications = users
-      .filter(user => user.id !== actorId)
-      .map(user => ({
-        user_id: user.id,
-        type: 'mention',
-        actor_id: actorId,
-        bench_id: benchId,
-        comment_id: commentId,
-      }));
+    if (error) {
+      if (coverPhotoUrl) await photoService.deleteFromStorage([{ photo_url: coverPhotoUrl }]);
+      throw error;
+    }
 
-    if (notifications.length > 0) {
-      await supabase.from('notifications').insert(notifications);
+    if (benchId) {
+      await this.addBench(data.id, benchId, userId);
     }
-  },
-};
 
-// ============================================================================
-// FAVORITE OPERATIONS
-// ============================================================================
+    queryCache.invalidate(queryKeys.collections(userId));
+    return data;
+  },
 
-export const favoriteService = {
   /**
-   * Check if a bench is favorited by a user
+   * Update a collection's details
+   * @param {Object} collection - The collection as loaded (for its current cover)
+   * @param {Object|null} coverPhoto - A new { base64, mimeType } cover, null to
+   *   remove the cover, or undefined to keep it
    */
-  async isFavorite(benchId, userId) {
-    const { data, error } = await supabase
-      .from('favorites')
-      .select('bench_id')
+  async update(collection, userId, { title, description, visibility, coverPhoto }) {
+    const validatedData = validateOrThrow(collectionSchema, { title, description, visibility });
+
+    const updates = {
+      title: validatedData.title,
+      description: validatedData.description,
+      visibility: validatedData.visibility,
+      updated_at: new Date().toISOString(),
+    };
+    if (coverPhoto !== undefined) {
+      updates.cover_photo_url = coverPhoto ? await this.uploadCover({ userId, photo: coverPhoto }) : null;
+    }
+
+    const { data, error } = await backend
+      .from('collections')
+      .update(updates)
+      .eq('id', collection.id)
       .eq('user_id', userId)
-      .eq('bench_id', benchId)
+      .select()
       .single();
 
-    if (error && error.code !== 'PGRST116') throw error;
-    return !!data;
+    if (error) {
+      if (updates.cover_photo_url) await photoService.deleteFromStorage([{ photo_url: updates.cover_photo_url }]);
+      throw error;
+    }
+
+    // The old cover is no longer used
+    if (coverPhoto !== undefined && collection.cover_photo_url) {
+      await photoService.deleteFromStorage([{ photo_url: collection.cover_photo_url }]);
+    }
+
+    invalidateCollection(collection.id, userId);
+    return data;
   },
 
   /**
-   * Get all favorites for a user with bench details
+   * Delete a collection with its benches, follows and notifications
+   * @param {Object} collection - The collection as loaded (for its cover)
    */
-  async getByUserId(userId) {
-    const { data, error } = await supabase
-      .from('favorites')
-      .select(`
-        bench_id,
-        created_at,
-        benches:bench_id (
-          id,
-          title,
-          description,
-          view_type,
-          latitude,
-          longitude,
-          created_at,
-          bench_photos (
-            photo_url,
-            is_primary
-          )
-        )
-      `)
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+  async delete(collection, userId) {
+    const { error } = await backend.rpc('delete_collection', {
+      target_collection_id: collection.id,
+    });
 
     if (error) throw error;
 
-    // Filter out any null benches (deleted)
-    return (data || []).filter(f => f.benches !== null);
+    if (collection.cover_photo_url) {
+      await photoService.deleteFromStorage([{ photo_url: collection.cover_photo_url }]);
+    }
+
+    invalidateCollection(collection.id, userId);
+    return true;
   },
 
   /**
-   * Add a bench to favorites
+   * Upload a cover photo to storage
+   * @returns {string} Public URL of the photo
    */
-  async add(benchId, userId) {
-    const { data, error } = await supabase
-      .from('favorites')
-      .insert({ user_id: userId, bench_id: benchId })
-      .select()
-      .single();
+  uploadCover({ userId, photo }) {
+    return uploadImage({
+      bucket: 'bench-photos',
+      path: `${userId}/collections/${Date.now()}`,
+      base64: photo.base64,
+      mimeType: photo.mimeType,
+    });
+  },
+
+  /**
+   * Add a bench to one of the user's collections and notify its followers
+   */
+  async addBench(collectionId, benchId, userId) {
+    const { data, error } = await backend.rpc('add_bench_to_collection', {
+      target_collection_id: collectionId,
+      target_bench_id: benchId,
+    });
 
     if (error) throw error;
+
+    invalidateCollection(collectionId, userId);
     return data;
   },
 
   /**
-   * Remove a bench from favorites
+   * Take a bench out of one of the user's collections
    */
-  async remove(benchId, userId) {
-    const { error } = await supabase
-      .from('favorites')
+  async removeBench(collectionId, benchId, userId) {
+    const { error } = await backend
+      .from('collection_benches')
       .delete()
-      .eq('user_id', userId)
+      .eq('collection_id', collectionId)
       .eq('bench_id', benchId);
 
     if (error) throw error;
+
+    invalidateCollection(collectionId, userId);
     return true;
   },
 
   /**
-   * Toggle favorite status
+   * Follow a collection to hear about benches added to it
    */
-  async toggle(benchId, userId) {
-    const isFav = await this.isFavorite(benchId, userId);
+  async follow(collectionId, userId) {
+    const { error } = await backend
+      .from('collection_follows')
+      .upsert({ collection_id: collectionId, user_id: userId }, { ignoreDuplicates: true });
 
-    if (isFav) {
-      await this.remove(benchId, userId);
-      return false;
-    } else {
-      await this.add(benchId, userId);
-      return true;
-    }
+    if (error) throw error;
+
+    queryCache.invalidate(queryKeys.collection(collectionId));
+    return true;
   },
 
   /**
-   * Delete favorites by bench ID (for bench deletion cleanup)
+   * Stop following a collection
    */
-  async deleteByBenchId(benchId) {
-    const { error } = await supabase
-      .from('favorites')
+  async unfollow(collectionId, userId) {
+    const { error } = await backend
+      .from('collection_follows')
       .delete()
-      .eq('bench_id', benchId);
+      .eq('collection_id', collectionId)
+      .eq('user_id', userId);
 
-    if (error) {
-      console.error('Error deleting favorites:', error);
-    }
+    if (error) throw error;
+
+    queryCache.invalidate(queryKeys.collection(collectionId));
+    return true;
   },
+};
+
+/**
+ * Visibilities of someone's collections a viewer can see: all of them for
+ * the owner, followers-only ones for their followers
+ */
+async function visibleCollectionTypes(ownerId, viewerId) {
+  if (viewerId && viewerId === ownerId) return collectionVisibilities;
+  if (viewerId && await followService.isFollowing(viewerId, ownerId)) return ['public', 'followers'];
+  return ['public'];
+}
+
+/**
+ * Refresh a collection and the owner's lists of collections (which the bench
+ * picker reads too)
+ */
+function invalidateCollection(collectionId, userId) {
+  queryCache.invalidate(queryKeys.collection(collectionId));
+  queryCache.invalidate(queryKeys.collections(userId));
+}
+
+// ============================================================================
+// WALKS
+// ============================================================================
 
+/**
+ * Bench walks: an ordered route through existing benches with a title and a
+ * description. Distance and walking time are not stored - they are summed
+ * from the legs between consecutive stops (see utils/walks) whenever a walk
+ * is read, so they follow the benches when their pins are corrected.
+ * Trashed and hidden benches drop out of a walk until they come back.
+ */
+export const walkService = {
   /**
-   * Get favorite status for multiple benches in a single query (batch operation)
-   * @param {string[]} benchIds - Array of bench IDs to check
-   * @param {string} userId - The user ID to check favorites for
-   * @returns {Object} Map of benchId -> boolean (isFavorited)
+   * Get a user's walks, newest first, with their stop count, distance and
+   * walking time
    */
-  async getStatusBatch(benchIds, userId) {
-    if (!benchIds.length || !userId) return {};
-
-    const { data, error } = await supabase
-      .from('favorites')
-      .select('bench_id')
+  async getByUserId(userId) {
+    const { data, error } = await backend
+      .from('walks')
+      .select(`
+        *,
+        walk_stops (
+          position,
+          benches:bench_id (
+            latitude,
+            longitude,
+            deleted_at,
+            hidden_at
+          )
+        )
+      `)
       .eq('user_id', userId)
-      .in('bench_id', benchIds);
+      .order('created_at', { ascending: false });
 
     if (error) throw error;
 
-    // Convert to map for O(1) lookup
-    const favoritedSet = new Set((data || []).map(f => f.bench_id));
-    const result = {};
-    benchIds.forEach(id => {
-      result[id] = favoritedSet.has(id);
+    return (data || []).map(({ walk_stops: stops = [], ...walk }) => {
+      const benches = visibleStops(stops);
+      const { distanceMeters, durationMinutes } = summarizeWalk(benches);
+      return { ...walk, stopCount: benches.length, distanceMeters, durationMinutes };
     });
-    return result;
   },
 
   /**
-   * Get favorite counts for multiple benches in a single query (batch operation)
-   * Uses aggregation to minimize database calls
-   * @param {string[]} benchIds - Array of bench IDs
-   * @returns {Object} Map of benchId -> count
+   * Get a walk with its author and its benches in walk order
+   * @returns {Object|null} The walk with stops (benches), legs (meters between
+   *   consecutive stops), distanceMeters and durationMinutes; null when it does not exist
    */
-  async getCountBatch(benchIds) {
-    if (!benchIds.length) return {};
-
-    // Get all favorites for these benches
-    const { data, error } = await supabase
-      .from('favorites')
-      .select('bench_id')
-      .in('bench_id', benchIds);
+  async getById(walkId) {
+    const { data, error } = await backend
+      .from('walks')
+      .select(`
+        *,
+        profiles:user_id (
+          id,
+          username,
+          avatar_url
+        ),
+        walk_stops (
+          position,
+          benches:bench_id (
+            id,
+            title,
+            description,
+            view_type,
+            latitude,
+            longitude,
+            deleted_at,
+            hidden_at,
+            removed_at,
+            bench_photos (
+              photo_url,
+              is_primary,
+              hidden_at
+            )
+          )
+        )
+      `)
+      .eq('id', walkId)
+      .maybeSingle();
 
     if (error) throw error;
+    if (!data) return null;
 
-    // Count favorites per bench
-    const counts = {};
-    benchIds.forEach(id => {
-      counts[id] = 0;
-    });
-    (data || []).forEach(f => {
-      counts[f.bench_id] = (counts[f.bench_id] || 0) + 1;
-    });
-    return counts;
+    const { walk_stops: stops = [], ...walk } = data;
+    const benches = visibleStops(stops).map(withoutHiddenPhotos);
+    return { ...walk, stops: benches, ...summarizeWalk(benches) };
   },
 
   /**
-   * Combined batch operation to get both status and counts in minimal queries
-   * @param {string[]} benchIds - Array of bench IDs
-   * @param {string} userId - User ID to check favorites for
-   * @returns {Object} { statuses: {benchId: boolean}, counts: {benchId: number} }
+   * Create a walk, or replace the details and stops of one of the user's walks
+   * @param {string|null} walkId - The walk to update, null to create one
+   * @param {Array} benchIds - The benches in walk order
+   * @returns {Object} The walk
    */
-  async getBatchData(benchIds, userId) {
-    if (!benchIds.length) return { statuses: {}, counts: {} };
-
-    // Single query to get all favorites for these benches
-    const { data, error } = await supabase
-      .from('favorites')
-      .select('bench_id, user_id')
-      .in('bench_id', benchIds);
+  async save({ walkId = null, userId, title, description, benchIds }) {
+    const validatedData = validateOrThrow(walkSchema, { title, description, benchIds });
+
+    const { data, error } = await backend.rpc('save_walk', {
+      target_walk_id: walkId,
+      walk_title: validatedData.title,
+      walk_description: validatedData.description,
+      bench_ids: validatedData.benchIds,
+    });
 
     if (error) throw error;
 
-    const statuses = {};
-    const counts = {};
+    queryCache.invalidate(queryKeys.walk(data.id));
+    queryCache.invalidate(queryKeys.walks(userId));
+    return data;
+  },
 
-    // Initialize all benches
-    benchIds.forEach(id => {
-      statuses[id] = false;
-      counts[id] = 0;
+  /**
+   * Delete one of the user's walks with its stops
+   */
+  async delete(walkId, userId) {
+    const { error } = await backend.rpc('delete_walk', {
+      target_walk_id: walkId,
     });
 
-    // Process results
-    (data || []).forEach(f => {
-      counts[f.bench_id] = (counts[f.bench_id] || 0) + 1;
-      if (userId && f.user_id === userId) {
-        statuses[f.bench_id] = true;
-      }
-    });
+    if (error) throw error;
 
-    return { statuses, counts };
+    queryCache.invalidate(queryKeys.walk(walkId));
+    queryCache.invalidate(queryKeys.walks(userId));
+    return true;
   },
 };
 
+/**
+ * A walk's stops as benches in walk order, without trashed and hidden ones
+ */
+function visibleStops(stops) {
+  return [...stops]
+    .sort((a, b) => a.position - b.position)
+    .map(stop => stop.benches)
+    .filter(bench => bench && !bench.deleted_at && !bench.hidden_at);
+}
+
 // ============================================================================
 // FOLLOW OPERATIONS
 // ============================================================================
@@ -1010,7 +2505,7 @@ export const followService = {
    * Check if a user is following another user
    */
   async isFollowing(followerId, followingId) {
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('follows')
       .select('follower_id')
       .eq('follower_id', followerId)
@@ -1022,49 +2517,74 @@ export const followService = {
   },
 
   /**
-   * Get followers for a user with profile details
+   * Which of the given users someone follows
+   * @returns {Array} Followed user ids
    */
-  async getFollowers(userId) {
-    const { data, error } = await supabase
+  async getFollowedIds(followerId, userIds) {
+    if (userIds.length === 0) return [];
+
+    const { data, error } = await backend
       .from('follows')
-      .select(`
-        follower_id,
-        created_at,
-        profiles:follower_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `)
-      .eq('following_id', userId)
-      .order('created_at', { ascending: false });
+      .select('following_id')
+      .eq('follower_id', followerId)
+      .in('following_id', userIds);
 
     if (error) throw error;
-    return (data || []).filter(f => f.profiles !== null);
+    return (data || []).map(row => row.following_id);
   },
 
   /**
-   * Get users that a user is following with profile details
+   * Get followers for a user with profile details, newest first
+   * @returns {Object} { items, nextCursor }
    */
-  async getFollowing(userId) {
-    const { data, error } = await supabase
-      .from('follows')
-      .select(`
-        following_id,
-        created_at,
-        profiles:following_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `)
-      .eq('follower_id', userId)
-      .order('created_at', { ascending: false });
+  async getFollowers(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend
+        .from('follows')
+        .select(`
+          follower_id,
+          created_at,
+          profiles:follower_id!inner (
+            id,
+            username,
+            full_name,
+            avatar_url
+          )
+        `)
+        .eq('following_id', userId),
+      { cursor, limit, tieColumn: 'follower_id' }
+    );
 
     if (error) throw error;
-    return (data || []).filter(f => f.profiles !== null);
+
+    return toPage(data, { limit, tieColumn: 'follower_id' });
+  },
+
+  /**
+   * Get users that a user is following with profile details, newest first
+   * @returns {Object} { items, nextCursor }
+   */
+  async getFollowing(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { data, error } = await paginate(
+      backend
+        .from('follows')
+        .select(`
+          following_id,
+          created_at,
+          profiles:following_id!inner (
+            id,
+            username,
+            full_name,
+            avatar_url
+          )
+        `)
+        .eq('follower_id', userId),
+      { cursor, limit, tieColumn: 'following_id' }
+    );
+
+    if (error) throw error;
+
+    return toPage(data, { limit, tieColumn: 'following_id' });
   },
 
   /**
@@ -1072,11 +2592,11 @@ export const followService = {
    */
   async getCounts(userId) {
     const [followersResult, followingResult] = await Promise.all([
-      supabase
+      backend
         .from('follows')
         .select('follower_id', { count: 'exact', head: true })
         .eq('following_id', userId),
-      supabase
+      backend
         .from('follows')
         .select('following_id', { count: 'exact', head: true })
         .eq('follower_id', userId),
@@ -1096,13 +2616,24 @@ export const followService = {
       throw new Error('Cannot follow yourself');
     }
 
-    const { data, error } = await supabase
+    const ownBlock = await blockService.getStatus(followerId, followingId);
+    if (ownBlock === 'block') {
+      throw new Error('Unblock this user to follow them');
+    }
+
+    const { data, error } = await backend
       .from('follows')
       .insert({ follower_id: followerId, following_id: followingId })
       .select()
       .single();
 
+    // The "No follows across a block" policy refused it: they blocked the follower
+    if (error?.code === '42501') throw new Error('Cannot follow this user');
     if (error) throw error;
+
+    queryCache.invalidate(queryKeys.feed(followerId));
+    queryCache.invalidate(queryKeys.profile(followerId));
+    queryCache.invalidate(queryKeys.profile(followingId));
     return data;
   },
 
@@ -1110,13 +2641,17 @@ export const followService = {
    * Unfollow a user
    */
   async unfollow(followerId, followingId) {
-    const { error } = await supabase
+    const { error } = await backend
       .from('follows')
       .delete()
       .eq('follower_id', followerId)
       .eq('following_id', followingId);
 
     if (error) throw error;
+
+    queryCache.invalidate(queryKeys.feed(followerId));
+    queryCache.invalidate(queryKeys.profile(followerId));
+    queryCache.invalidate(queryKeys.profile(followingId));
     return true;
   },
 
@@ -1136,6 +2671,125 @@ export const followService = {
   },
 };
 
+// ============================================================================
+// BLOCK & MUTE OPERATIONS
+// ============================================================================
+
+export const BLOCK_KINDS = ['block', 'mute'];
+
+/**
+ * Blocking or muting someone hides their comments and feed posts from you and
+ * stops their actions from notifying you. Blocking also removes follows both
+ * ways and keeps them from following you again. Rows are private to the
+ * blocker; the database enforces them without telling whoever is blocked or
+ * muted (see notify_users and the follows policy in supabase/migrations).
+ */
+export const blockService = {
+  /**
+   * Get the users someone blocked or muted with their profiles, newest first
+   */
+  async getByUserId(userId) {
+    const { data, error } = await backend
+      .from('user_blocks')
+      .select(`
+        blocked_id,
+        kind,
+        created_at,
+        profiles:blocked_id (
+          id,
+          username,
+          full_name,
+          avatar_url
+        )
+      `)
+      .eq('blocker_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).filter(row => row.profiles !== null);
+  },
+
+  /**
+   * Whether a user blocked or muted another one
+   * @returns {string|null} 'block', 'mute' or null
+   */
+  async getStatus(userId, targetId) {
+    const { data, error } = await backend
+      .from('user_blocks')
+      .select('kind')
+      .eq('blocker_id', userId)
+      .eq('blocked_id', targetId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.kind || null;
+  },
+
+  /**
+   * IDs of everyone a user blocked or muted (their content is hidden from them)
+   */
+  async getHiddenUserIds(userId) {
+    const { data, error } = await backend
+      .from('user_blocks')
+      .select('blocked_id')
+      .eq('blocker_id', userId);
+
+    if (error) throw error;
+    return (data || []).map(row => row.blocked_id);
+  },
+
+  /**
+   * Block or mute a user (switching between the two keeps one row)
+   * @param {string} kind - 'block' or 'mute'
+   */
+  async set(userId, targetId, kind) {
+    if (userId === targetId) {
+      throw new Error('Cannot block yourself');
+    }
+    if (!BLOCK_KINDS.includes(kind)) {
+      throw new Error('Unknown block kind');
+    }
+
+    const { data, error } = await backend.rpc('block_user', {
+      target_user_id: targetId,
+      block_kind: kind,
+    });
+
+    if (error) throw error;
+
+    invalidateBlocks(userId, targetId);
+    return data;
+  },
+
+  /**
+   * Unblock or unmute a user
+   */
+  async remove(userId, targetId) {
+    const { error } = await backend
+      .from('user_blocks')
+      .delete()
+      .eq('blocker_id', userId)
+      .eq('blocked_id', targetId);
+
+    if (error) throw error;
+
+    invalidateBlocks(userId, targetId);
+    return true;
+  },
+};
+
+/**
+ * Refresh everything a block changes: comments, the feed, follows and notifications
+ */
+function invalidateBlocks(userId, targetId) {
+  queryCache.invalidate(queryKeys.blocks(userId));
+  queryCache.invalidate(queryKeys.feed(userId));
+  queryCache.invalidate(queryKeys.profile(userId));
+  queryCache.invalidate(queryKeys.profile(targetId));
+  queryCache.invalidate(queryKeys.notifications(userId));
+  queryCache.invalidate(['bench']);
+}
+
 // ============================================================================
 // PROFILE OPERATIONS
 // ============================================================================
@@ -1145,7 +2799,7 @@ export const profileService = {
    * Get a profile by user ID
    */
   async getById(userId) {
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('profiles')
       .select('*')
       .eq('id', userId)
@@ -1159,7 +2813,7 @@ export const profileService = {
    * Get a profile by username
    */
   async getByUsername(username) {
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('profiles')
       .select('*')
       .eq('username', username.toLowerCase())
@@ -1185,7 +2839,7 @@ export const profileService = {
       return [];
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('profiles')
       .select('id, username, avatar_url')
       .ilike('username', `%${query}%`)
@@ -1208,7 +2862,7 @@ export const profileService = {
     if (bio !== undefined) updateData.bio = bio?.trim() || null;
     if (avatarUrl !== undefined) updateData.avatar_url = avatarUrl;
 
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('profiles')
       .update(updateData)
       .eq('id', userId)
@@ -1216,6 +2870,8 @@ export const profileService = {
       .single();
 
     if (error) throw error;
+
+    queryCache.invalidate(queryKeys.profile(userId));
     return data;
   },
 
@@ -1223,31 +2879,13 @@ export const profileService = {
    * Upload avatar image and update profile
    */
   async uploadAvatar(userId, base64Data, mimeType = 'image/jpeg') {
-    const fileExt = mimeType.split('/')[1] || 'jpg';
-    const fileName = `${userId}/avatar_${Date.now()}.${fileExt === 'jpeg' ? 'jpg' : fileExt}`;
-    const contentType = `image/${fileExt === 'jpg' ? 'jpeg' : fileExt}`;
-
-    // Convert base64 to Uint8Array
-    const binaryString = atob(base64Data);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-
-    // Upload to storage
-    const { error: uploadError } = await supabase.storage
-      .from('avatars')
-      .upload(fileName, bytes, {
-        contentType,
-        upsert: true, // Overwrite if exists
-      });
-
-    if (uploadError) throw uploadError;
-
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('avatars')
-      .getPublicUrl(fileName);
+    const publicUrl = await uploadImage({
+      bucket: 'avatars',
+      path: `${userId}/avatar_${Date.now()}`,
+      base64: base64Data,
+      mimeType,
+      upsert: true, // Overwrite if exists
+    });
 
     // Update profile with new avatar URL
     await this.update(userId, { avatarUrl: publicUrl });
@@ -1264,7 +2902,7 @@ export const profileService = {
     try {
       const bucketPath = avatarUrl.split('/avatars/')[1];
       if (bucketPath) {
-        await supabase.storage.from('avatars').remove([bucketPath]);
+        await backend.storage.from('avatars').remove([bucketPath]);
       }
     } catch (error) {
       console.error('Error deleting old avatar:', error);
@@ -1276,23 +2914,29 @@ export const profileService = {
    * Get user stats (including follow counts)
    */
   async getStats(userId) {
-    const [benchesResult, ratingsResult, commentsResult, favoritesResult, followCounts] = await Promise.all([
-      supabase
+    const [benchesResult, ratingsResult, commentsResult, favoritesResult, visitsResult, followCounts] = await Promise.all([
+      backend
         .from('benches')
         .select('id', { count: 'exact', head: true })
-        .eq('user_id', userId),
-      supabase
+        .eq('user_id', userId)
+        .is('deleted_at', null),
+      backend
         .from('bench_ratings')
         .select('id', { count: 'exact', head: true })
         .eq('user_id', userId),
-      supabase
+      backend
         .from('comments')
         .select('id', { count: 'exact', head: true })
-        .eq('user_id', userId),
-      supabase
+        .eq('user_id', userId)
+        .is('deleted_at', null),
+      backend
         .from('favorites')
         .select('bench_id', { count: 'exact', head: true })
         .eq('user_id', userId),
+      backend
+        .from('bench_visits')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId),
       followService.getCounts(userId),
     ]);
 
@@ -1301,6 +2945,7 @@ export const profileService = {
       ratingsGiven: ratingsResult.count || 0,
       commentsPosted: commentsResult.count || 0,
       favorites: favoritesResult.count || 0,
+      checkIns: visitsResult.count || 0,
       followers: followCounts.followers,
       following: followCounts.following,
     };
@@ -1313,10 +2958,11 @@ export const profileService = {
 
 export const notificationService = {
   /**
-   * Get notifications for a user
+   * Get notifications for a user, newest first
+   * @returns {Object} { items, nextCursor }
    */
-  async getByUserId(userId, { limit = 50, unreadOnly = false } = {}) {
-    let query = supabase
+  async getByUserId(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE, unreadOnly = false } = {}) {
+    let query = backend
       .from('notifications')
       .select(`
         *,
@@ -1328,26 +2974,28 @@ export const notificationService = {
         bench:bench_id (
           id,
           title
+        ),
+        collection:collection_id (
+          id,
+          title
         )
       `)
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
+      .eq('user_id', userId);
 
     if (unreadOnly) {
       query = query.eq('is_read', false);
     }
 
-    const { data, error } = await query;
+    const { data, error } = await paginate(query, { cursor, limit });
     if (error) throw error;
-    return data || [];
+    return toPage(data, { limit });
   },
 
   /**
    * Get unread notification count
    */
   async getUnreadCount(userId) {
-    const { count, error } = await supabase
+    const { count, error } = await backend
       .from('notifications')
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId)
@@ -1358,34 +3006,28 @@ export const notificationService = {
   },
 
   /**
-   * Create a notification
+   * Create a notification from the signed in user (actorId). It is silently
+   * dropped if the recipient blocked or muted them.
    */
   async create({ userId, actorId, type, benchId = null, commentId = null }) {
     // Don't notify yourself
-    if (userId === actorId) return null;
+    if (userId === actorId) return;
 
-    const { data, error } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        actor_id: actorId,
-        type,
-        bench_id: benchId,
-        comment_id: commentId,
-        is_read: false,
-      })
-      .select()
-      .single();
+    const { error } = await backend.rpc('notify_users', {
+      recipient_ids: [userId],
+      notification_type: type,
+      target_bench_id: benchId,
+      target_comment_id: commentId,
+    });
 
     if (error) throw error;
-    return data;
   },
 
   /**
    * Mark a notification as read
    */
   async markAsRead(notificationId) {
-    const { error } = await supabase
+    const { error } = await backend
       .from('notifications')
       .update({ is_read: true })
       .eq('id', notificationId);
@@ -1398,7 +3040,7 @@ export const notificationService = {
    * Mark all notifications as read for a user
    */
   async markAllAsRead(userId) {
-    const { error } = await supabase
+    const { error } = await backend
       .from('notifications')
       .update({ is_read: true })
       .eq('user_id', userId)
@@ -1415,7 +3057,7 @@ export const notificationService = {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-    const { error } = await supabase
+    const { error } = await backend
       .from('notifications')
       .delete()
       .eq('user_id', userId)
@@ -1428,35 +3070,240 @@ export const notificationService = {
 
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// REPORTS & MODERATION
 // ============================================================================
 
+// Reports loaded into the moderation queue at once (grouped per item afterwards)
+const MODERATION_QUEUE_LIMIT = 200;
+
+// Notification sent to the author for each moderation action
+const MODERATION_NOTIFICATIONS = {
+  hide: 'content_hidden',
+  restore: 'content_restored',
+  remove: 'content_removed',
+};
+
+/**
+ * Rows of a table by id (for the moderation queue previews)
+ */
+async function fetchByIds(table, columns, ids) {
+  if (ids.length === 0) return [];
+
+  const { data, error } = await backend.from(table).select(columns).in('id', ids);
+  if (error) throw error;
+  return data || [];
+}
+
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @returns Distance in kilometers
+ * Anyone signed in can report a bench, photo or comment with one of the
+ * reportReasons. Moderators (profiles.role = 'moderator') work through the
+ * queue: moderate() hides, restores or removes the content, or dismisses the
+ * reports, in the moderate_report database function and lets the author know.
+ * Hidden content (hidden_at) is skipped by every read.
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = toRadians(lat2 - lat1);
-  const dLon = toRadians(lon2 - lon1);
+export const reportService = {
+  /**
+   * Report a bench, photo or comment. Reporting the same item twice is a no-op.
+   * @param {string} benchId - Bench the item belongs to (the bench itself for benches)
+   */
+  async create({ userId, targetType, targetId, benchId, reason, details }) {
+    const report = validateOrThrow(reportCreateSchema, { targetType, targetId, reason, details });
 
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const { data, error } = await backend
+      .from('reports')
+      .insert({
+        reporter_id: userId,
+        target_type: report.targetType,
+        target_id: report.targetId,
+        bench_id: benchId,
+        reason: report.reason,
+        details: report.details,
+      })
+      .select()
+      .single();
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    if (error) {
+      // Already reported by this user
+      if (error.code === '23505') return null;
+      throw error;
+    }
 
-  return R * c;
-}
+    queryCache.invalidate(['moderation']);
+    return data;
+  },
 
-function toRadians(degrees) {
-  return degrees * (Math.PI / 180);
-}
+  /**
+   * Get the moderation queue, one item per reported bench, photo or comment
+   * with its reports (newest first), a count per reason and the content itself
+   * (null once removed)
+   * @param {string} status - 'open' for reports to handle, 'hidden' for hidden content
+   */
+  async getQueue(status = 'open') {
+    let query = backend
+      .from('reports')
+      .select(`
+        *,
+        reporter:reporter_id (
+          id,
+          username
+        )
+      `);
+
+    query = status === 'hidden' ? query.eq('resolution', 'hidden') : query.eq('status', 'open');
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(MODERATION_QUEUE_LIMIT);
+
+    if (error) throw error;
+
+    const items = new Map();
+    (data || []).forEach(report => {
+      const key = `${report.target_type}:${report.target_id}`;
+      if (!items.has(key)) {
+        items.set(key, {
+          key,
+          targetType: report.target_type,
+          targetId: report.target_id,
+          benchId: report.bench_id,
+          reports: [],
+          reasons: {},
+        });
+      }
+      const item = items.get(key);
+      item.reports.push(report);
+      item.reasons[report.reason] = (item.reasons[report.reason] || 0) + 1;
+    });
+
+    const idsOf = (type) => [...items.values()].filter(item => item.targetType === type).map(item => item.targetId);
+    const [benches, photos, comments] = await Promise.all([
+      fetchByIds('benches', 'id, title, description, user_id, hidden_at, profiles:user_id (id, username)', idsOf('bench')),
+      fetchByIds('bench_photos', 'id, bench_id, photo_url, hidden_at', idsOf('photo')),
+      fetchByIds('comments', 'id, bench_id, text, user_id, hidden_at, profiles:user_id (id, username)', idsOf('comment')),
+    ]);
+    const targets = { bench: benches, photo: photos, comment: comments };
+
+    return [...items.values()].map(item => ({
+      ...item,
+      target: targets[item.targetType].find(row => row.id === item.targetId) || null,
+    }));
+  },
+
+  /**
+   * Act on a report as a moderator. Settles every pending report on the same
+   * item and notifies its author.
+   * @param {string} action - 'hide', 'restore', 'remove' or 'dismiss'
+   */
+  async moderate(reportId, moderatorId, action) {
+    const { data, error } = await backend.rpc('moderate_report', {
+      target_report_id: reportId,
+      moderation_action: action,
+    });
+
+    if (error) throw error;
+
+    if (data.photo_urls?.length > 0) {
+      await photoService.deleteFromStorage(data.photo_urls.map(photo_url => ({ photo_url })));
+    }
+
+    // The action already happened - a failed notification should not undo that in the UI
+    if (MODERATION_NOTIFICATIONS[action] && data.author_id) {
+      const removedBench = action === 'remove' && data.target_type === 'bench';
+      const removedComment = action === 'remove' && data.target_type === 'comment';
+      try {
+        await notificationService.create({
+          userId: data.author_id,
+          actorId: moderatorId,
+          type: MODERATION_NOTIFICATIONS[action],
+          benchId: removedBench ? null : data.bench_id,
+          commentId: data.target_type === 'comment' && !removedComment ? data.target_id : null,
+        });
+      } catch (notifyError) {
+        console.error('Error notifying author:', notifyError);
+      }
+    }
+
+    queryCache.invalidate(['moderation']);
+    queryCache.invalidate(['bench']);
+    queryCache.invalidate(['feed']);
+    queryCache.invalidate(['favorites']);
+    queryCache.invalidate(['profile']);
+    return data;
+  },
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
 
 // Export utility functions for testing
 export { calculateDistance, toRadians };
 
+// ============================================================================
+// OFFLINE REPLAY
+// ============================================================================
+
+/**
+ * Throw a conflict if the bench (or comment) was deleted while a change was
+ * queued - moving it to the trash counts as deleted
+ */
+async function ensureExists(table, id, message) {
+  const { data, error } = await backend
+    .from(table)
+    .select('id, deleted_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.deleted_at) throw createConflictError(message);
+}
+
+const BENCH_DELETED = 'This bench was deleted before your change could be saved';
+
+// Duplicates were already checked (against cached benches) when queueing
+offlineQueue.registerHandler(MUTATION_TYPES.BENCH_CREATE, (payload) =>
+  benchService.create(payload, { queueOffline: false, allowDuplicates: true })
+);
+
+const deleteQueuedPhotos = ({ photos }) =>
+  Promise.all(photos.map(photo => deletePhotoFile(photo.uri)));
+
+offlineQueue.registerHandler(MUTATION_TYPES.PHOTOS_UPLOAD, async ({ benchId, userId, photos }) => {
+  await ensureExists('benches', benchId, BENCH_DELETED);
+
+  const uploaded = [];
+  for (let i = 0; i < photos.length; i++) {
+    uploaded.push(await photoService.upload({
+      benchId,
+      userId,
+      photoData: await readPhotoBase64(photos[i].uri),
+      mimeType: photos[i].mimeType,
+      isPrimary: i === 0,
+    }));
+  }
+
+  await deleteQueuedPhotos({ photos });
+  return uploaded;
+}, { onDrop: deleteQueuedPhotos });
+
+offlineQueue.registerHandler(MUTATION_TYPES.RATING_UPSERT, async (payload) => {
+  await ensureExists('benches', payload.benchId, BENCH_DELETED);
+  return ratingService.upsert(payload, { queueOffline: false });
+});
+
+offlineQueue.registerHandler(MUTATION_TYPES.COMMENT_CREATE, async (payload) => {
+  await ensureExists('benches', payload.benchId, BENCH_DELETED);
+  if (payload.parentId) {
+    await ensureExists('comments', payload.parentId, 'The comment you replied to was deleted');
+  }
+  return commentService.create(payload, { queueOffline: false });
+});
+
+offlineQueue.registerHandler(MUTATION_TYPES.FAVORITE_SET, async ({ benchId, userId, favorite }) => {
+  await ensureExists('benches', benchId, BENCH_DELETED);
+  return favoriteService.setFavorite(benchId, userId, favorite);
+});
+
 // ============================================================================
 // DEFAULT EXPORT - All services bundled
 // ============================================================================
@@ -1468,10 +3315,19 @@ const api = {
   comments: commentService,
   commentLikes: commentLikeService,
   mentions: mentionService,
+  tags: tagService,
+  revisions: revisionService,
+  locations: locationService,
+  issues: issueService,
+  visits: visitService,
+  reports: reportService,
   favorites: favoriteService,
+  collections: collectionService,
+  walks: walkService,
   follows: followService,
+  blocks: blockService,
   profiles: profileService,
   notifications: notificationService,
 };
 
-export default api;
\ No newline at end of file
+export default api;
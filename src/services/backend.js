@@ -0,0 +1,72 @@
+/**
+ * Backend Adapter Selection
+ *
+ * The service layer talks to a backend adapter instead of the Supabase client.
+ * An adapter exposes the subset of the supabase-js surface the app relies on:
+ *
+ * - from(table)            PostgREST-style query builder (select/insert/update/upsert/delete + filters)
+ * - rpc(name, params)      Database functions (e.g. get_nearby_benches)
+ * - storage.from(bucket)   upload / getPublicUrl / remove
+ * - auth                   getSession / onAuthStateChange / signUp / signInWithPassword / signOut
+ * - channel(name)          Realtime subscriptions, released with removeChannel(channel)
+ *
+ * Set EXPO_PUBLIC_BACKEND=memory to run the app against the in-memory adapter
+ * (demo mode, seeded with sample data). Anything else uses Supabase.
+ */
+
+import { createSupabaseAdapter } from './adapters/supabaseAdapter';
+
+let activeAdapter = null;
+
+function createDefaultAdapter() {
+  if (process.env.EXPO_PUBLIC_BACKEND === 'memory') {
+    // Required lazily so demo mode works without Supabase credentials
+    const { createMemoryAdapter } = require('./adapters/memoryAdapter');
+    const { demoSeed } = require('./adapters/demoSeed');
+    return createMemoryAdapter({ seed: demoSeed });
+  }
+
+  const { supabase } = require('./supabase');
+  return createSupabaseAdapter(supabase);
+}
+
+/**
+ * Get the active adapter, creating the default one on first use
+ */
+export function getBackendAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = createDefaultAdapter();
+  }
+  return activeAdapter;
+}
+
+/**
+ * Replace the active adapter (e.g. with a fresh in-memory adapter in tests)
+ */
+export function setBackendAdapter(adapter) {
+  activeAdapter = adapter;
+}
+
+/**
+ * Whether the app is running against the in-memory demo backend
+ */
+export function isDemoBackend() {
+  return getBackendAdapter().name === 'memory';
+}
+
+/**
+ * Stable handle to whichever adapter is active.
+ * Resolved on every call so setBackendAdapter takes effect immediately.
+ */
+export const backend = {
+  from: (table) => getBackendAdapter().from(table),
+  rpc: (fn, params) => getBackendAdapter().rpc(fn, params),
+  channel: (name) => getBackendAdapter().channel(name),
+  removeChannel: (channel) => getBackendAdapter().removeChannel(channel),
+  get storage() {
+    return getBackendAdapter().storage;
+  },
+  get auth() {
+    return getBackendAdapter().auth;
+  },
+};
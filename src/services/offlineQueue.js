@@ -0,0 +1,409 @@
+/**
+ * Offline Mutation Queue
+ *
+ * Persistent outbox (AsyncStorage) for mutations made while the device is
+ * offline. Services enqueue a mutation when a request fails with a network
+ * error and return an optimistic placeholder flagged `pending: true`.
+ *
+ * Each user has their own outbox. On sign-out it is parked in storage and
+ * replays the next time that user signs in; it never replays for anyone else.
+ *
+ * Entries replay strictly in the order they were recorded. Placeholder ids
+ * handed out while offline (e.g. a bench created offline and then rated) are
+ * rewritten to the real server ids as their entries succeed.
+ *
+ * Replay outcomes:
+ * - success: entry removed, placeholder id mapped to the server id
+ * - network error: replay stops, retried later (timer / app foreground)
+ * - conflict (e.g. bench deleted in the meantime): entry dropped and reported in `conflicts`
+ * - any other error: entry kept as `failed` so the user can retry or discard it
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateId } from '../utils/id';
+
+const STORAGE_KEY = 'offlineOutbox';
+const storageKey = (userId) => `${STORAGE_KEY}:${userId}`;
+const RETRY_DELAY_MS = 30000;
+
+export const MUTATION_TYPES = {
+  BENCH_CREATE: 'bench.create',
+  PHOTOS_UPLOAD: 'photos.upload',
+  RATING_UPSERT: 'rating.upsert',
+  COMMENT_CREATE: 'comment.create',
+  FAVORITE_SET: 'favorite.set',
+};
+
+let ownerId = null;
+let entries = [];
+let conflicts = [];
+let idMap = {};
+let isOnline = true;
+let isFlushing = false;
+let loadPromise = null;
+let flushPromise = null;
+let retryTimer = null;
+
+const handlers = {};
+const dropHandlers = {};
+const listeners = new Set();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Whether an error means the backend could not be reached at all
+ * (as opposed to the backend rejecting the request)
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  const message = `${error.message || ''} ${error.details || ''}`;
+  return /network request failed|failed to fetch|fetch failed|network ?error|load failed|timed? ?out/i.test(message);
+}
+
+/**
+ * Create an error that marks a queued mutation as no longer applicable
+ */
+export function createConflictError(message) {
+  const error = new Error(message);
+  error.isConflict = true;
+  return error;
+}
+
+const getStatus = () => ({
+  entries,
+  conflicts,
+  isOnline,
+  isFlushing,
+  pendingCount: entries.filter(entry => entry.status === 'pending').length,
+  failedCount: entries.filter(entry => entry.status === 'failed').length,
+});
+
+const notify = () => {
+  const status = getStatus();
+  listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Save the outbox under its owner's key
+ * @returns {boolean} Whether it was saved
+ */
+const persist = async (userId = ownerId) => {
+  if (!userId) return false;
+  try {
+    await AsyncStorage.setItem(storageKey(userId), JSON.stringify({ entries, conflicts, idMap }));
+    return true;
+  } catch (error) {
+    console.error('Error saving offline queue:', error);
+    return false;
+  }
+};
+
+/**
+ * Read a user's stored outbox into the queue
+ */
+const restore = (userId) => AsyncStorage.getItem(storageKey(userId))
+  .then((stored) => {
+    // Signed out (or someone else signed in) while reading
+    if (!stored || ownerId !== userId) return;
+    const parsed = JSON.parse(stored);
+    // Keep anything enqueued before the stored copy finished loading
+    entries = [...(parsed.entries || []), ...entries];
+    conflicts = parsed.conflicts || [];
+    idMap = { ...(parsed.idMap || {}), ...idMap };
+  })
+  .catch((error) => {
+    console.error('Error loading offline queue:', error);
+  })
+  .then(notify);
+
+/**
+ * Let the mutation type clean up after an entry that will never replay
+ */
+const dropEntry = (entry) => {
+  const onDrop = dropHandlers[entry.type];
+  if (onDrop) {
+    Promise.resolve(onDrop(entry.payload)).catch((error) => {
+      console.error(`Error dropping ${entry.type}:`, error);
+    });
+  }
+};
+
+const resolveId = (id) => (id && idMap[id]) || id;
+
+/**
+ * Swap placeholder ids in a payload for server ids
+ */
+const resolvePayload = (payload) => {
+  const resolved = { ...payload };
+  ['benchId', 'parentId'].forEach((key) => {
+    if (resolved[key]) resolved[key] = resolveId(resolved[key]);
+  });
+  return resolved;
+};
+
+const scheduleRetry = () => {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    offlineQueue.flush();
+  }, RETRY_DELAY_MS);
+};
+
+const cancelRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+};
+
+/**
+ * Replay a user's pending entries in order, stopping if they sign out
+ */
+const replay = async (userId) => {
+  isFlushing = true;
+  notify();
+
+  try {
+    for (const entry of [...entries]) {
+      if (ownerId !== userId) break;
+      if (entry.status !== 'pending') continue;
+
+      const handler = handlers[entry.type];
+      if (!handler) continue;
+
+      try {
+        const payload = resolvePayload(entry.payload);
+
+        // Created offline, but its parent never made it to the server
+        const parentId = payload.benchId;
+        if (parentId && offlineQueue.isPendingId(parentId) && parentId !== entry.localId) {
+          const parentEntry = entries.find(item => item.localId === parentId);
+          if (parentEntry?.status === 'failed') {
+            throw createConflictError('The bench this change belongs to could not be saved');
+          }
+        }
+
+        const result = await handler(payload);
+
+        if (entry.localId && result?.id) {
+          idMap = { ...idMap, [entry.localId]: result.id };
+        }
+        entries = entries.filter(item => item.id !== entry.id);
+        isOnline = true;
+      } catch (error) {
+        if (isNetworkError(error)) {
+          isOnline = false;
+          scheduleRetry();
+          break;
+        }
+
+        if (error.isConflict) {
+          entries = entries.filter(item => item.id !== entry.id);
+          dropEntry(entry);
+          conflicts = [...conflicts, {
+            id: entry.id,
+            type: entry.type,
+            // Queued photos are deleted along with the entry
+            payload: { ...entry.payload, photos: undefined },
+            message: error.message,
+            resolvedAt: new Date().toISOString(),
+          }];
+        } else {
+          console.error(`Error replaying ${entry.type}:`, error);
+          entries = entries.map(item => (
+            item.id === entry.id ? { ...item, status: 'failed', error: error.message } : item
+          ));
+        }
+      }
+
+      notify();
+      await persist(userId);
+    }
+  } finally {
+    // Placeholder ids are only needed while something still refers to them
+    if (entries.length === 0) {
+      idMap = {};
+    }
+    isFlushing = false;
+    notify();
+    await persist(userId);
+  }
+};
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+export const offlineQueue = {
+  /**
+   * Switch to a user's outbox: the previous user's outbox is parked in
+   * storage (after the entry being replayed, if any, finishes)
+   * @param {string|null} userId - The signed in user, null when signed out
+   */
+  setUser(userId) {
+    if (userId === ownerId) return this.load();
+
+    ownerId = userId;
+    loadPromise = Promise.resolve(flushPromise).then(() => {
+      entries = [];
+      conflicts = [];
+      idMap = {};
+      isOnline = true;
+      cancelRetry();
+      notify();
+      return userId ? restore(userId) : null;
+    });
+    return loadPromise;
+  },
+
+  /**
+   * Restore the signed in user's outbox from storage (safe to call more than once)
+   */
+  load() {
+    if (!loadPromise && ownerId) {
+      loadPromise = restore(ownerId);
+    }
+    return loadPromise || Promise.resolve();
+  },
+
+  /**
+   * Register the function that replays a mutation type
+   * @param {string} type - One of MUTATION_TYPES
+   * @param {Function} handler - async (payload) => result
+   * @param {Object} options
+   * @param {Function} options.onDrop - (payload) => void, called when an entry
+   *   is discarded or dropped as a conflict instead of replaying
+   */
+  registerHandler(type, handler, { onDrop = null } = {}) {
+    handlers[type] = handler;
+    if (onDrop) dropHandlers[type] = onDrop;
+  },
+
+  /**
+   * Record a mutation for later replay
+   * @param {string} type - One of MUTATION_TYPES
+   * @param {Object} payload - Arguments for the handler
+   * @param {Object} options
+   * @param {string} options.localId - Placeholder id handed to the UI for the created row
+   * @returns {Object} The queued entry
+   */
+  async enqueue(type, payload, { localId = null } = {}) {
+    await this.load();
+    if (!ownerId) {
+      throw new Error('Sign in to save changes while offline');
+    }
+
+    const entry = {
+      id: generateId(),
+      type,
+      payload,
+      localId,
+      status: 'pending',
+      error: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    entries = [...entries, entry];
+    if (!(await persist())) {
+      // Not stored, so it would be lost on restart - let the caller say so now
+      entries = entries.filter(item => item.id !== entry.id);
+      throw new Error('Could not save this change to send later');
+    }
+
+    isOnline = false;
+    scheduleRetry();
+    notify();
+
+    return entry;
+  },
+
+  /**
+   * Find the first pending entry of a type matching a predicate
+   */
+  findPending(type, predicate = () => true) {
+    return entries.find(entry =>
+      entry.type === type && entry.status === 'pending' && predicate(entry.payload)
+    ) || null;
+  },
+
+  /**
+   * Whether an id is a placeholder for a row that only exists in the outbox
+   */
+  isPendingId(id) {
+    return entries.some(entry => entry.localId === id);
+  },
+
+  /**
+   * Replace the payload of a queued entry (e.g. flipping a queued favorite back)
+   */
+  async updatePayload(entryId, payload) {
+    entries = entries.map(entry => (entry.id === entryId ? { ...entry, payload } : entry));
+    notify();
+    await persist();
+  },
+
+  /**
+   * Replay pending entries in order
+   */
+  async flush() {
+    await this.load();
+    if (!ownerId) return;
+
+    if (!flushPromise) {
+      flushPromise = replay(ownerId).finally(() => {
+        flushPromise = null;
+      });
+    }
+    return flushPromise;
+  },
+
+  /**
+   * Put a failed entry back in line and replay
+   */
+  async retry(entryId) {
+    entries = entries.map(entry => (
+      entry.id === entryId ? { ...entry, status: 'pending', error: null } : entry
+    ));
+    notify();
+    await persist();
+    return this.flush();
+  },
+
+  /**
+   * Drop an entry without replaying it
+   */
+  async discard(entryId) {
+    const entry = entries.find(item => item.id === entryId);
+    if (!entry) return;
+
+    entries = entries.filter(item => item.id !== entryId);
+    dropEntry(entry);
+    notify();
+    await persist();
+  },
+
+  /**
+   * Forget reported conflicts once the user has seen them
+   */
+  async clearConflicts() {
+    conflicts = [];
+    notify();
+    await persist();
+  },
+
+  /**
+   * Current queue status
+   */
+  getStatus,
+
+  /**
+   * Subscribe to status changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default offlineQueue;
@@ -2,7 +2,7 @@ import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import Constants from 'expo-constants';
 import { Platform } from 'react-native';
-import { supabase } from './supabase';
+import { backend } from './backend';
 
 // Configure how notifications appear when app is in foreground
 Notifications.setNotificationHandler({
@@ -76,7 +76,7 @@ export const pushNotificationService = {
   async savePushToken(userId, token) {
     if (!token) return;
 
-    const { error } = await supabase
+    const { error } = await backend
       .from('push_tokens')
       .upsert({
         user_id: userId,
@@ -96,7 +96,7 @@ export const pushNotificationService = {
    * Remove push token on logout
    */
   async removePushToken(userId) {
-    const { error } = await supabase
+    const { error } = await backend
       .from('push_tokens')
       .delete()
       .eq('user_id', userId);
@@ -110,7 +110,7 @@ export const pushNotificationService = {
    * Get push token for a user
    */
   async getPushToken(userId) {
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from('push_tokens')
       .select('token')
       .eq('user_id', userId)
@@ -0,0 +1,294 @@
+/**
+ * Query Cache
+ *
+ * Stale-while-revalidate cache shared by every screen. Entries are keyed by
+ * arrays such as ['bench', benchId] or ['feed', userId]; cached data is served
+ * immediately while a background fetch refreshes anything older than its
+ * stale time. Services invalidate keys after mutations so screens pick up
+ * changes without waiting for their next focus refetch.
+ *
+ * The cache is persisted to AsyncStorage so screens render instantly on a
+ * cold start, then revalidate.
+ *
+ * Favorite status and counts live in a single shared entry (see
+ * queryKeys.favoriteState) so toggling a favorite on one screen updates
+ * every other screen immediately.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'queryCache';
+const DEFAULT_STALE_TIME_MS = 30000;
+const MAX_PERSISTED_ENTRIES = 50;
+const PERSIST_DELAY_MS = 1000;
+
+/**
+ * Cache keys used across the app
+ */
+export const queryKeys = {
+  bench: (benchId) => ['bench', benchId],
+  benchRevisions: (benchId) => ['bench', benchId, 'revisions'],
+  benchLocations: (benchId) => ['bench', benchId, 'locations'],
+  benchIssues: (benchId) => ['bench', benchId, 'issues'],
+  benchVisits: (benchId) => ['bench', benchId, 'visits'],
+  commentRevisions: (commentId) => ['comment', commentId, 'revisions'],
+  feed: (userId) => ['feed', userId],
+  favorites: (userId) => ['favorites', userId],
+  favoriteState: (userId) => ['favoriteState', userId],
+  profile: (userId) => ['profile', userId],
+  // Nested under the profile so invalidating a profile refreshes its lists too
+  userBenches: (userId) => ['profile', userId, 'benches'],
+  trash: (userId) => ['profile', userId, 'trash'],
+  followers: (userId) => ['profile', userId, 'followers'],
+  following: (userId) => ['profile', userId, 'following'],
+  blocks: (userId) => ['profile', userId, 'blocks'],
+  visits: (userId) => ['profile', userId, 'visits'],
+  visitedBenches: (userId) => ['profile', userId, 'visited'],
+  collections: (userId) => ['profile', userId, 'collections'],
+  collectionsForBench: (userId, benchId) => ['profile', userId, 'collections', benchId],
+  collection: (collectionId) => ['collection', collectionId],
+  collectionBenches: (collectionId) => ['collection', collectionId, 'benches'],
+  walks: (userId) => ['profile', userId, 'walks'],
+  walk: (walkId) => ['walk', walkId],
+  notifications: (userId) => ['notifications', userId],
+  moderationQueue: (status) => ['moderation', status],
+  trendingTags: () => ['tags', 'trending'],
+};
+
+const entries = new Map();
+const inFlight = new Map();
+const listeners = new Map();
+let hydratePromise = null;
+let persistTimer = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const serializeKey = (key) => JSON.stringify(key);
+
+/**
+ * Whether a key starts with the given prefix (['bench'] matches ['bench', id])
+ */
+const matchesPrefix = (key, prefix) => prefix.every((part, index) => key[index] === part);
+
+const notify = (hash) => {
+  const entry = entries.get(hash);
+  (listeners.get(hash) || new Set()).forEach(listener => listener(entry));
+};
+
+const schedulePersist = () => {
+  if (persistTimer) return;
+  persistTimer = setTimeout(async () => {
+    persistTimer = null;
+
+    // Keep the most recently updated entries only
+    const snapshot = [...entries.values()]
+      .filter(entry => entry.data !== undefined)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, MAX_PERSISTED_ENTRIES)
+      .map(({ key, data, updatedAt }) => ({ key, data, updatedAt }));
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+      console.error('Error saving query cache:', error);
+    }
+  }, PERSIST_DELAY_MS);
+};
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+export const queryCache = {
+  /**
+   * Restore persisted entries. Anything fetched in the meantime wins.
+   */
+  hydrate() {
+    if (!hydratePromise) {
+      hydratePromise = AsyncStorage.getItem(STORAGE_KEY)
+        .then((stored) => {
+          if (!stored) return;
+
+          JSON.parse(stored).forEach(({ key, data, updatedAt }) => {
+            const hash = serializeKey(key);
+            const existing = entries.get(hash);
+            if (existing && existing.updatedAt >= updatedAt) return;
+
+            // Persisted data is always considered stale
+            entries.set(hash, { key, data, updatedAt, isStale: true });
+            notify(hash);
+          });
+        })
+        .catch((error) => {
+          console.error('Error loading query cache:', error);
+        });
+    }
+    return hydratePromise;
+  },
+
+  /**
+   * Get the cached entry for a key ({ key, data, updatedAt, isStale } or undefined)
+   */
+  get(key) {
+    return entries.get(serializeKey(key));
+  },
+
+  /**
+   * Get cached data for a key
+   */
+  getData(key) {
+    return entries.get(serializeKey(key))?.data;
+  },
+
+  /**
+   * Write data for a key
+   * @param {Array} key
+   * @param {*|Function} updater - New data, or (previous) => new data
+   */
+  setData(key, updater) {
+    const hash = serializeKey(key);
+    const previous = entries.get(hash);
+    const data = typeof updater === 'function' ? updater(previous?.data) : updater;
+
+    entries.set(hash, { key, data, updatedAt: Date.now(), isStale: false });
+    notify(hash);
+    schedulePersist();
+    return data;
+  },
+
+  /**
+   * Whether cached data for a key needs refetching
+   */
+  isStale(key, staleTime = DEFAULT_STALE_TIME_MS) {
+    const entry = entries.get(serializeKey(key));
+    if (!entry || entry.data === undefined) return true;
+    return entry.isStale || Date.now() - entry.updatedAt > staleTime;
+  },
+
+  /**
+   * Fetch data for a key, sharing requests already in flight
+   * @param {Array} key
+   * @param {Function} fetcher - async () => data
+   * @param {Object} options
+   * @param {boolean} options.force - Fetch even if the cached data is fresh
+   * @param {number} options.staleTime - Age in ms after which data is refetched
+   */
+  async fetch(key, fetcher, { force = false, staleTime = DEFAULT_STALE_TIME_MS } = {}) {
+    const hash = serializeKey(key);
+
+    if (!force && !this.isStale(key, staleTime)) {
+      return entries.get(hash).data;
+    }
+
+    if (inFlight.has(hash)) {
+      return inFlight.get(hash).request;
+    }
+
+    // A request dropped by invalidate() or clear() may have read data from
+    // before the change, so its result is not cached
+    const isCurrent = () => inFlight.get(hash)?.request === request;
+    const request = Promise.resolve()
+      .then(fetcher)
+      .then((data) => (isCurrent() ? this.setData(key, data) : data))
+      .finally(() => {
+        if (isCurrent()) inFlight.delete(hash);
+      });
+
+    inFlight.set(hash, { key, request });
+    return request;
+  },
+
+  /**
+   * Every entry with data whose key starts with a prefix
+   */
+  getEntries(prefix) {
+    return [...entries.values()]
+      .filter(entry => entry.data !== undefined && matchesPrefix(entry.key, prefix));
+  },
+
+  /**
+   * Mark every entry whose key starts with a prefix as stale and drop the
+   * requests in flight for it, so the next fetch starts over.
+   * Subscribed screens refetch in the background.
+   */
+  invalidate(prefix) {
+    inFlight.forEach(({ key }, hash) => {
+      if (matchesPrefix(key, prefix)) inFlight.delete(hash);
+    });
+    entries.forEach((entry, hash) => {
+      if (!matchesPrefix(entry.key, prefix)) return;
+      entries.set(hash, { ...entry, isStale: true });
+      notify(hash);
+    });
+  },
+
+  /**
+   * Drop everything (e.g. on sign out)
+   */
+  async clear() {
+    entries.clear();
+    inFlight.clear();
+    listeners.forEach((_, hash) => notify(hash));
+
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing query cache:', error);
+    }
+  },
+
+  /**
+   * Subscribe to changes of a key
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(key, listener) {
+    const hash = serializeKey(key);
+    if (!listeners.has(hash)) listeners.set(hash, new Set());
+    listeners.get(hash).add(listener);
+
+    return () => {
+      const keyListeners = listeners.get(hash);
+      keyListeners?.delete(listener);
+      if (keyListeners?.size === 0) listeners.delete(hash);
+    };
+  },
+
+  // ==========================================================================
+  // FAVORITES
+  // ==========================================================================
+
+  /**
+   * Merge favorite statuses and/or counts into the shared favorite state
+   * @param {string} userId
+   * @param {Object} state - { statuses: { benchId: bool }, counts: { benchId: number } }
+   */
+  mergeFavoriteState(userId, { statuses = {}, counts = {} }) {
+    return this.setData(queryKeys.favoriteState(userId), (previous = { statuses: {}, counts: {} }) => ({
+      statuses: { ...previous.statuses, ...statuses },
+      counts: { ...previous.counts, ...counts },
+    }));
+  },
+
+  /**
+   * Record a favorite change everywhere it shows up
+   */
+  applyFavoriteChange(userId, benchId, isFavorite) {
+    const previous = this.getData(queryKeys.favoriteState(userId)) || { statuses: {}, counts: {} };
+    const wasFavorite = !!previous.statuses[benchId];
+    const count = previous.counts[benchId] || 0;
+
+    if (wasFavorite !== isFavorite) {
+      this.mergeFavoriteState(userId, {
+        statuses: { [benchId]: isFavorite },
+        counts: { [benchId]: Math.max(0, count + (isFavorite ? 1 : -1)) },
+      });
+    }
+
+    this.invalidate(queryKeys.favorites(userId));
+    this.invalidate(queryKeys.profile(userId));
+  },
+};
+
+export default queryCache;
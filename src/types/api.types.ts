@@ -1,11 +1,16 @@
 import type {
   Bench,
+  BenchAmenity,
+  BenchMaterial,
   BenchPhoto,
   BenchRating,
+  RatingDimension,
   Comment,
+  CommentMention,
   Profile,
   Favorite,
   VisitStatus,
+  Notification,
 } from './database.types';
 
 // Bench with all related data
@@ -28,6 +33,9 @@ export type BenchWithDetails = Bench & {
 // Comment with author profile
 export type CommentWithProfile = Comment & {
   profiles: Profile;
+  comment_mentions?: (Pick<CommentMention, 'user_id' | 'start_index' | 'end_index'> & {
+    profiles: Pick<Profile, 'username'> | null;
+  })[];
   likeCount?: number;
   isLiked?: boolean;
 };
@@ -66,7 +74,7 @@ export type ProfileWithStats = Profile & {
 // Notification with actor profile
 export type NotificationWithActor = {
   id: string;
-  type: 'new_follower' | 'new_comment' | 'new_rating' | 'new_favorite' | 'comment_like';
+  type: Notification['type'];
   actor: Pick<Profile, 'id' | 'username' | 'avatar_url'>;
   bench?: Pick<Bench, 'id' | 'title'>;
   comment?: Pick<Comment, 'id' | 'text'>;
@@ -91,8 +99,16 @@ export type ApiError = {
 
 // Search and filter types
 export type BenchSearchFilters = {
+  // Lowercase, without the #
+  tag?: string | null;
   viewType?: Bench['view_type'];
+  // Benches with every one of these
+  amenities?: BenchAmenity[] | null;
+  material?: BenchMaterial | null;
+  // Step-free path and room for a wheelchair
+  accessibleOnly?: boolean;
   minRating?: number;
+  ratingDimension?: RatingDimension | null;
   maxDistance?: number;
   userId?: string;
   favorited?: boolean;
@@ -4,6 +4,7 @@ export type Profile = {
   full_name?: string;
   avatar_url?: string;
   bio?: string;
+  role: 'user' | 'moderator';
   created_at: string;
   updated_at: string;
 };
@@ -17,16 +18,44 @@ export type Bench = {
   longitude: number;
   view_type?: 'ocean' | 'mountain' | 'urban' | 'forest' | 'lake' | 'river' | 'desert' | 'valley' | 'other';
   accessibility_notes?: string;
+  // Structured attributes, null when unknown (utils/amenities)
+  has_backrest?: boolean | null;
+  has_armrests?: boolean | null;
+  has_table?: boolean | null;
+  has_shade?: boolean | null;
+  toilet_nearby?: boolean | null;
+  water_nearby?: boolean | null;
+  material?: BenchMaterial | null;
+  seat_count?: number | null;
+  // Accessibility profile, null when unknown (accessibility_notes add detail)
+  step_free_access?: boolean | null;
+  wheelchair_space?: boolean | null;
+  surface_type?: SurfaceType | null;
+  seat_height_cm?: number | null;
+  // From the nearest parking or transit stop
+  access_distance_meters?: number | null;
+  // Kept by the issue functions: unresolved issues, and when "removed" was confirmed
+  open_issue_count?: number;
+  removed_at?: string | null;
   created_at: string;
   updated_at: string;
+  deleted_at?: string | null;
+  hidden_at?: string | null;
 };
 
+export type BenchMaterial = 'wood' | 'metal' | 'stone' | 'concrete' | 'plastic' | 'other';
+
+export type BenchAmenity = 'backrest' | 'armrests' | 'table' | 'shade' | 'toilet' | 'water';
+
+export type SurfaceType = 'paved' | 'boardwalk' | 'cobbles' | 'gravel' | 'grass' | 'dirt' | 'sand';
+
 export type BenchPhoto = {
   id: string;
   bench_id: string;
   photo_url: string;
   is_primary: boolean;
   uploaded_at: string;
+  hidden_at?: string | null;
 };
 
 export type BenchRating = {
@@ -35,10 +64,23 @@ export type BenchRating = {
   user_id: string;
   view_rating: number;
   comfort_rating: number;
+  // Optional dimensions (see utils/ratings RATING_DIMENSIONS)
+  shade_rating?: number | null;
+  quietness_rating?: number | null;
+  cleanliness_rating?: number | null;
+  accessibility_rating?: number | null;
   created_at: string;
   updated_at: string;
 };
 
+export type RatingDimension =
+  | 'view'
+  | 'comfort'
+  | 'shade'
+  | 'quietness'
+  | 'cleanliness'
+  | 'accessibility';
+
 export type Comment = {
   id: string;
   bench_id: string;
@@ -46,6 +88,38 @@ export type Comment = {
   text: string;
   created_at: string;
   updated_at: string;
+  hidden_at?: string | null;
+  edited_at?: string | null;
+  // Set on a deleted comment kept as a placeholder for its replies (text is cleared)
+  deleted_at?: string | null;
+};
+
+// Text of a comment before an edit
+export type CommentRevision = {
+  id: string;
+  comment_id: string;
+  text: string;
+  created_at: string;
+};
+
+// A mention of a user in a comment: the range of their @handle in the text
+// (end exclusive), shown with their current username
+export type CommentMention = {
+  id: string;
+  comment_id: string;
+  user_id: string;
+  start_index: number;
+  end_index: number;
+  created_at: string;
+};
+
+// A hashtag in a bench description (comment_id null) or comment, indexed by triggers
+export type BenchTag = {
+  id: string;
+  tag: string;
+  bench_id: string;
+  comment_id: string | null;
+  created_at: string;
 };
 
 export type Favorite = {
@@ -63,14 +137,31 @@ export type Follow = {
 export type Notification = {
   id: string;
   user_id: string;
-  type: 'new_follower' | 'new_comment' | 'new_rating' | 'new_favorite' | 'comment_like';
+  type:
+    | 'new_follower'
+    | 'new_comment'
+    | 'new_rating'
+    | 'new_favorite'
+    | 'comment_like'
+    | 'content_hidden'
+    | 'content_restored'
+    | 'content_removed'
+    | 'collection_bench';
   actor_id: string;
   bench_id?: string;
   comment_id?: string;
+  collection_id?: string;
   read: boolean;
   created_at: string;
 };
 
+export type UserBlock = {
+  blocker_id: string;
+  blocked_id: string;
+  kind: 'block' | 'mute';
+  created_at: string;
+};
+
 export type CommentLike = {
   user_id: string;
   comment_id: string;
@@ -84,4 +175,141 @@ export type VisitStatus = {
   visited_at?: string;
   created_at: string;
   updated_at: string;
-};
\ No newline at end of file
+};
+
+export type BenchRevisionField =
+  | 'title'
+  | 'description'
+  | 'view_type'
+  | 'accessibility_notes'
+  | 'has_backrest'
+  | 'has_armrests'
+  | 'has_table'
+  | 'has_shade'
+  | 'toilet_nearby'
+  | 'water_nearby'
+  | 'material'
+  | 'seat_count'
+  | 'step_free_access'
+  | 'wheelchair_space'
+  | 'surface_type'
+  | 'seat_height_cm'
+  | 'access_distance_meters';
+
+export type BenchRevisionValue = string | number | boolean | null;
+
+export type BenchRevision = {
+  id: string;
+  bench_id: string;
+  user_id: string;
+  changes: Partial<Record<BenchRevisionField, { from: BenchRevisionValue; to: BenchRevisionValue }>>;
+  snapshot: Record<BenchRevisionField, BenchRevisionValue>;
+  reverted_from?: string | null;
+  created_at: string;
+};
+
+export type BenchLocationProposal = {
+  id: string;
+  bench_id: string;
+  user_id: string;
+  latitude: number;
+  longitude: number;
+  status: 'open' | 'applied' | 'rejected';
+  previous_latitude?: number | null;
+  previous_longitude?: number | null;
+  created_at: string;
+  resolved_at?: string | null;
+};
+
+export type BenchLocationVote = {
+  proposal_id: string;
+  user_id: string;
+  confirm: boolean;
+  created_at: string;
+};
+
+export type BenchIssueCategory = 'broken' | 'vandalised' | 'removed' | 'unsafe' | 'other';
+
+export type BenchIssue = {
+  id: string;
+  bench_id: string;
+  user_id: string;
+  category: BenchIssueCategory;
+  description: string;
+  photo_url?: string | null;
+  status: 'open' | 'confirmed' | 'resolved';
+  created_at: string;
+  confirmed_at?: string | null;
+  resolved_by?: string | null;
+  resolved_at?: string | null;
+};
+
+export type BenchIssueConfirmation = {
+  issue_id: string;
+  user_id: string;
+  created_at: string;
+};
+
+export type BenchVisit = {
+  id: string;
+  bench_id: string;
+  user_id: string;
+  visited_at: string;
+};
+
+export type CollectionVisibility = 'public' | 'followers' | 'private';
+
+export type Collection = {
+  id: string;
+  user_id: string;
+  title: string;
+  description?: string | null;
+  cover_photo_url?: string | null;
+  visibility: CollectionVisibility;
+  created_at: string;
+  updated_at: string;
+};
+
+export type CollectionBench = {
+  collection_id: string;
+  bench_id: string;
+  created_at: string;
+};
+
+export type CollectionFollow = {
+  collection_id: string;
+  user_id: string;
+  created_at: string;
+};
+
+export type Walk = {
+  id: string;
+  user_id: string;
+  title: string;
+  description?: string | null;
+  created_at: string;
+  updated_at: string;
+};
+
+export type WalkStop = {
+  walk_id: string;
+  position: number;
+  bench_id: string;
+};
+
+export type ReportReason = 'fake' | 'wrong_info' | 'duplicate' | 'inappropriate' | 'spam' | 'harassment' | 'other';
+
+export type Report = {
+  id: string;
+  reporter_id: string;
+  target_type: 'bench' | 'photo' | 'comment';
+  target_id: string;
+  bench_id?: string | null;
+  reason: ReportReason;
+  details?: string | null;
+  status: 'open' | 'resolved' | 'dismissed';
+  resolution?: 'hidden' | 'restored' | 'removed' | null;
+  resolved_by?: string | null;
+  resolved_at?: string | null;
+  created_at: string;
+};
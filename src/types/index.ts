@@ -2,14 +2,38 @@
 export type {
   Profile,
   Bench,
+  BenchMaterial,
+  BenchAmenity,
+  SurfaceType,
   BenchPhoto,
   BenchRating,
+  RatingDimension,
   Comment,
+  CommentRevision,
+  CommentMention,
+  BenchTag,
   Favorite,
   Follow,
+  UserBlock,
   Notification,
   CommentLike,
   VisitStatus,
+  BenchRevision,
+  BenchRevisionField,
+  BenchLocationProposal,
+  BenchLocationVote,
+  BenchIssue,
+  BenchIssueCategory,
+  BenchIssueConfirmation,
+  BenchVisit,
+  Collection,
+  CollectionBench,
+  CollectionFollow,
+  CollectionVisibility,
+  Walk,
+  WalkStop,
+  Report,
+  ReportReason,
 } from './database.types';
 
 // API types (composite/derived types)
@@ -0,0 +1,128 @@
+/**
+ * Structured bench attributes shared by the services, backend adapters and
+ * screens
+ *
+ * Amenities are boolean columns on benches: true when the bench has it, false
+ * when it is known not to, null when nobody said. Material, seat_count and the
+ * accessibility profile are null when unknown too.
+ */
+
+export const BENCH_AMENITIES = [
+  { key: 'backrest', column: 'has_backrest', field: 'hasBackrest', label: 'backrest', icon: 'reorder-three-outline' },
+  { key: 'armrests', column: 'has_armrests', field: 'hasArmrests', label: 'armrests', icon: 'hand-left-outline' },
+  { key: 'table', column: 'has_table', field: 'hasTable', label: 'table', icon: 'restaurant-outline' },
+  { key: 'shade', column: 'has_shade', field: 'hasShade', label: 'shade', icon: 'umbrella-outline' },
+  { key: 'toilet', column: 'toilet_nearby', field: 'toiletNearby', label: 'toilet nearby', icon: 'man-outline' },
+  { key: 'water', column: 'water_nearby', field: 'waterNearby', label: 'water nearby', icon: 'water-outline' },
+];
+
+export const AMENITY_KEYS = BENCH_AMENITIES.map(amenity => amenity.key);
+
+export const BENCH_MATERIALS = [
+  { value: 'wood', label: 'wood', icon: 'leaf-outline' },
+  { value: 'metal', label: 'metal', icon: 'hammer-outline' },
+  { value: 'stone', label: 'stone', icon: 'cube-outline' },
+  { value: 'concrete', label: 'concrete', icon: 'grid-outline' },
+  { value: 'plastic', label: 'plastic', icon: 'color-fill-outline' },
+  { value: 'other', label: 'other', icon: 'ellipsis-horizontal-outline' },
+];
+
+export const MAX_SEATS = 20;
+
+// Accessibility profile: the path to the bench and the bench itself. The free
+// text accessibility_notes stay for anything these do not cover.
+export const SURFACE_TYPES = [
+  { value: 'paved', label: 'paved' },
+  { value: 'boardwalk', label: 'boardwalk' },
+  { value: 'cobbles', label: 'cobbles' },
+  { value: 'gravel', label: 'gravel' },
+  { value: 'grass', label: 'grass' },
+  { value: 'dirt', label: 'dirt' },
+  { value: 'sand', label: 'sand' },
+];
+
+export const SEAT_HEIGHT_RANGE_CM = { min: 20, max: 100 };
+export const MAX_ACCESS_DISTANCE_METERS = 5000;
+
+// Every attribute as a benches column and a schema/form field
+const ATTRIBUTES = [
+  ...BENCH_AMENITIES.map(({ column, field }) => ({ column, field })),
+  { column: 'material', field: 'material' },
+  { column: 'seat_count', field: 'seatCount' },
+  { column: 'step_free_access', field: 'stepFreeAccess' },
+  { column: 'wheelchair_space', field: 'wheelchairSpace' },
+  { column: 'surface_type', field: 'surfaceType' },
+  { column: 'seat_height_cm', field: 'seatHeightCm' },
+  { column: 'access_distance_meters', field: 'accessDistanceMeters' },
+];
+
+export const ATTRIBUTE_COLUMNS = ATTRIBUTES.map(attribute => attribute.column);
+
+/**
+ * Attribute fields (hasBackrest, material, ...) of a bench row, null when unknown
+ */
+export function toAttributeFields(bench) {
+  return Object.fromEntries(ATTRIBUTES.map(({ column, field }) => [field, bench?.[column] ?? null]));
+}
+
+/**
+ * Columns for the attribute fields given, leaving out the ones not given
+ */
+export function toAttributeColumns(values) {
+  return Object.fromEntries(ATTRIBUTES
+    .filter(({ field }) => values[field] !== undefined)
+    .map(({ column, field }) => [column, values[field]]));
+}
+
+/**
+ * Keys of the amenities a bench has
+ * @returns {Array} e.g. ['backrest', 'shade']
+ */
+export function benchAmenityKeys(bench) {
+  return BENCH_AMENITIES.filter(amenity => bench?.[amenity.column] === true).map(amenity => amenity.key);
+}
+
+/**
+ * Whether a bench is known to be reachable and usable from a wheelchair: a
+ * step-free path and room beside the bench (the "accessible benches only"
+ * search filter, kept in sync with search_benches)
+ */
+export function isAccessibleBench(bench) {
+  return bench?.step_free_access === true && bench?.wheelchair_space === true;
+}
+
+/**
+ * What is known about a bench's accessibility, for display
+ * @returns {Array} { key, icon, label } - nothing for unknown fields
+ */
+export function accessibilityDetails(bench) {
+  const details = [];
+  const known = (column) => bench?.[column] !== null && bench?.[column] !== undefined;
+
+  if (known('step_free_access')) {
+    details.push(bench.step_free_access
+      ? { key: 'step_free_access', icon: 'accessibility-outline', label: 'step-free path' }
+      : { key: 'step_free_access', icon: 'footsteps-outline', label: 'steps on the way' });
+  }
+  if (known('wheelchair_space')) {
+    details.push({
+      key: 'wheelchair_space',
+      icon: 'resize-outline',
+      label: bench.wheelchair_space ? 'wheelchair space beside it' : 'no wheelchair space beside it',
+    });
+  }
+  if (known('surface_type')) {
+    details.push({ key: 'surface_type', icon: 'trail-sign-outline', label: `${bench.surface_type} path` });
+  }
+  if (known('seat_height_cm')) {
+    details.push({ key: 'seat_height_cm', icon: 'swap-vertical-outline', label: `seat ${bench.seat_height_cm} cm high` });
+  }
+  if (known('access_distance_meters')) {
+    details.push({
+      key: 'access_distance_meters',
+      icon: 'car-outline',
+      label: `${bench.access_distance_meters} m from parking or transit`,
+    });
+  }
+  return details;
+}
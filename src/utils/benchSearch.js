@@ -0,0 +1,89 @@
+/**
+ * Bench search in JS
+ *
+ * Same filtering, ranking and paging as the search_benches database function,
+ * over rows that already carry avg_rating, ratings_count, rating_averages,
+ * primary_photo_url and tags. Used by the in-memory backend and for offline search
+ * over cached benches.
+ */
+
+import { calculateDistance } from './geo';
+import { parseQuery, matchDocument, highlight, snippet } from './textSearch';
+import { bayesianRating } from './ratings';
+import { benchAmenityKeys, isAccessibleBench } from './amenities';
+
+/**
+ * One page of matching benches, in the shape search_benches returns
+ * @param {Array} rows - Bench rows with avg_rating, rating_averages
+ *   (per dimension, see utils/ratings; null when unknown) and tags (utils/hashtags)
+ * @param {Object} params - search_benches parameters
+ * @returns {Array} Rows with rating_score, dimension_rating, distance_meters, rank,
+ *   title_highlight, description_snippet and the total_count of matches
+ */
+export function searchBenchRows(rows, {
+  search_query = null,
+  tag_filter = null,
+  view_type_filter = null,
+  amenity_filter = null,
+  material_filter = null,
+  accessible_only = false,
+  min_rating = null,
+  rating_dimension = null,
+  user_lat = null,
+  user_lng = null,
+  max_distance_meters = null,
+  sort_by = 'recent',
+  page_limit = 20,
+  page_offset = 0,
+} = {}) {
+  const hasOrigin = user_lat !== null && user_lng !== null;
+  // With a dimension picked, benches nobody rated on it sort last and never pass min_rating
+  const ratingOf = (bench) => (rating_dimension ? (bench.dimension_rating ?? -1) : (bench.avg_rating ?? 0));
+  // Overall sorting is confidence-weighted, see utils/ratings bayesianRating
+  const scoreOf = (bench) => (rating_dimension ? ratingOf(bench) : bench.rating_score);
+  const terms = search_query ? parseQuery(search_query) : [];
+
+  const matches = rows
+    .filter((bench) => !view_type_filter || bench.view_type === view_type_filter)
+    .filter((bench) => !tag_filter || (bench.tags || []).includes(tag_filter))
+    .filter((bench) => !amenity_filter || amenity_filter.every(key => benchAmenityKeys(bench).includes(key)))
+    .filter((bench) => !material_filter || bench.material === material_filter)
+    .filter((bench) => !accessible_only || isAccessibleBench(bench))
+    .map((bench) => {
+      const match = terms.length > 0 ? matchDocument(terms, bench) : null;
+      if (terms.length > 0 && !match) return null;
+
+      return {
+        ...bench,
+        rating_score: bayesianRating(bench.avg_rating, bench.ratings_count),
+        dimension_rating: rating_dimension ? (bench.rating_averages?.[rating_dimension] ?? null) : null,
+        distance_meters: hasOrigin
+          ? calculateDistance(user_lat, user_lng, bench.latitude, bench.longitude) * 1000
+          : null,
+        rank: match ? match.score : 0,
+        title_highlight: match ? highlight(bench.title, match.matches) : null,
+        description_snippet: match ? snippet(bench.description, match.matches) : null,
+      };
+    })
+    .filter(Boolean)
+    .filter((bench) => max_distance_meters === null || !hasOrigin || bench.distance_meters <= max_distance_meters)
+    .filter((bench) => min_rating === null || ratingOf(bench) >= min_rating);
+
+  const byRecent = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+  matches.sort((a, b) => {
+    if (sort_by === 'distance' && hasOrigin) {
+      return (a.distance_meters - b.distance_meters) || byRecent(a, b);
+    }
+    if (sort_by === 'rating') {
+      return (scoreOf(b) - scoreOf(a)) || ((b.ratings_count ?? 0) - (a.ratings_count ?? 0)) || byRecent(a, b);
+    }
+    if (sort_by === 'relevance') {
+      return (b.rank - a.rank) || byRecent(a, b);
+    }
+    return byRecent(a, b);
+  });
+
+  return matches
+    .slice(page_offset, page_offset + page_limit)
+    .map((bench) => ({ ...bench, total_count: matches.length }));
+}
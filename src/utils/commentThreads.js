@@ -0,0 +1,71 @@
+/**
+ * Comment threads: nesting the flat comments list by parent_id and sorting
+ * every level of it
+ *
+ * Top-level comments are paged in the chosen order, each with all its
+ * replies (commentService.getByBenchId); sorting here keeps the loaded ones in
+ * that order as likes change, and orders the replies.
+ */
+
+export const COMMENT_SORTS = [
+  { key: 'top', label: 'top' },
+  { key: 'newest', label: 'newest' },
+  { key: 'oldest', label: 'oldest' },
+];
+
+export const DEFAULT_COMMENT_SORT = 'top';
+
+// Replies nested deeper than this are behind "continue thread"
+export const MAX_THREAD_DEPTH = 4;
+
+const timeOf = (comment) => new Date(comment.created_at).getTime();
+
+const COMPARATORS = {
+  top: (a, b) => (b.like_count || 0) - (a.like_count || 0) || timeOf(a) - timeOf(b),
+  newest: (a, b) => timeOf(b) - timeOf(a),
+  oldest: (a, b) => timeOf(a) - timeOf(b),
+};
+
+/**
+ * Nest comments into threads, each level sorted the same way
+ * @param {Array} comments - Flat comments, replies pointing up through parent_id
+ * @param {string} sort - One of COMMENT_SORTS
+ * @returns {Array} Top-level comments, each with `replies` and `replyCount`
+ *   (all replies below it). Replies whose parent is not there (hidden or
+ *   from a blocked user) are left out with it.
+ */
+export function buildCommentTree(comments, sort = DEFAULT_COMMENT_SORT) {
+  const compare = COMPARATORS[sort] || COMPARATORS[DEFAULT_COMMENT_SORT];
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [], replyCount: 0 }]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    if (!node.parent_id) {
+      roots.push(node);
+    } else {
+      nodes.get(node.parent_id)?.replies.push(node);
+    }
+  });
+
+  const finish = (node) => {
+    node.replies.sort(compare);
+    node.replyCount = node.replies.reduce((sum, reply) => sum + 1 + finish(reply), 0);
+    return node.replyCount;
+  };
+  roots.forEach(finish);
+
+  return roots.sort(compare);
+}
+
+/**
+ * A comment anywhere in a tree from buildCommentTree
+ * @returns {Object|null}
+ */
+export function findInCommentTree(roots, commentId) {
+  for (const node of roots) {
+    if (node.id === commentId) return node;
+    const found = findInCommentTree(node.replies, commentId);
+    if (found) return found;
+  }
+  return null;
+}
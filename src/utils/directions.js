@@ -0,0 +1,17 @@
+import { Linking, Platform } from 'react-native';
+
+/**
+ * Open directions to a spot in the device's maps app
+ * @param {Object} place - Anything with latitude/longitude, e.g. a bench
+ */
+export function openDirections({ latitude, longitude }) {
+  const url = Platform.select({
+    ios: `maps:?daddr=${latitude},${longitude}`,
+    android: `geo:${latitude},${longitude}?q=${latitude},${longitude}`,
+  });
+
+  Linking.openURL(url).catch(() => {
+    // Fallback to Google Maps
+    Linking.openURL(`https://www.google.com/maps/dir/?api=1&destination=${latitude},${longitude}`);
+  });
+}
@@ -0,0 +1,51 @@
+/**
+ * Hashtags (#sunset, #picnic) in bench descriptions and comments
+ *
+ * Tags are 2-30 letters, digits or underscores and compared lowercase. The
+ * database indexes them in bench_tags with the same pattern (see the
+ * extract_hashtags in supabase/migrations).
+ */
+
+export const HASHTAG_PATTERN = /(^|[^A-Za-z0-9_#])#([A-Za-z0-9_]{2,30})(?![A-Za-z0-9_])/g;
+
+export const TAG_PATTERN = /^[a-z0-9_]{2,30}$/;
+
+/**
+ * Lowercase tag without the #, or null when it is not a valid tag
+ */
+export function normalizeTag(tag) {
+  const normalized = String(tag || '').trim().replace(/^#/, '').toLowerCase();
+  return TAG_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Distinct tags in a text, in order of appearance
+ * @returns {Array} Lowercase tags without the #
+ */
+export function extractHashtags(text) {
+  const tags = [...(text || '').matchAll(HASHTAG_PATTERN)].map(match => match[2].toLowerCase());
+  return [...new Set(tags)];
+}
+
+/**
+ * Split a text into plain text and hashtags, for rendering tags as links
+ * @returns {Array} { text, tag } - tag (lowercase) only on hashtags
+ */
+export function splitHashtags(text) {
+  const segments = [];
+  let lastIndex = 0;
+
+  [...(text || '').matchAll(HASHTAG_PATTERN)].forEach((match) => {
+    const start = match.index + match[1].length;
+    if (start > lastIndex) {
+      segments.push({ text: text.substring(lastIndex, start) });
+    }
+    segments.push({ text: `#${match[2]}`, tag: match[2].toLowerCase() });
+    lastIndex = start + match[2].length + 1;
+  });
+
+  if (lastIndex < (text || '').length) {
+    segments.push({ text: text.substring(lastIndex) });
+  }
+  return segments;
+}
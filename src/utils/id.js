@@ -0,0 +1,12 @@
+/**
+ * Generate a v4 UUID
+ * Used for client-side ids (in-memory backend rows, offline placeholders),
+ * which must still pass the uuid validation in our schemas.
+ */
+export function generateId() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+}
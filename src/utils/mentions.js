@@ -0,0 +1,100 @@
+/**
+ * Comment mentions are stored as comment_mentions rows: the mentioned user
+ * and the range of their @handle in the comment text (JavaScript string
+ * indices, end exclusive). They are shown with the user's current username,
+ * so they keep working after a username change.
+ */
+
+const isWordCharacter = (character) => !!character && /\w/.test(character);
+
+/**
+ * Ranges of the @handles of users picked in the composer
+ * @param {string} text - Comment text as typed
+ * @param {Array} users - { id, username } of the users picked
+ * @returns {Array} { userId, start, end }, in text order
+ */
+export function findMentionRanges(text, users = []) {
+  const mentions = [];
+
+  users.forEach(({ id, username }) => {
+    const handle = `@${username}`;
+    let start = text.indexOf(handle);
+    while (start !== -1) {
+      const end = start + handle.length;
+      // "@ana" inside "@anabela" or "x@ana" is not a mention of ana
+      if (!isWordCharacter(text[start - 1]) && !isWordCharacter(text[end])) {
+        mentions.push({ userId: id, start, end });
+      }
+      start = text.indexOf(handle, end);
+    }
+  });
+
+  return dropOverlaps(mentions);
+}
+
+/**
+ * Shift mentions to match the text once trimmed, dropping any that no longer
+ * point at an @handle
+ * @returns {Array} { userId, start, end }
+ */
+export function alignMentions(text, mentions = []) {
+  const offset = text.length - text.trimStart().length;
+  const trimmed = text.trim();
+
+  return dropOverlaps(mentions
+    .map(mention => ({ ...mention, start: mention.start - offset, end: mention.end - offset }))
+    .filter(mention => mention.start >= 0
+      && mention.end <= trimmed.length
+      && mention.end > mention.start + 1
+      && trimmed[mention.start] === '@'));
+}
+
+function dropOverlaps(mentions) {
+  let lastEnd = 0;
+  return [...mentions]
+    .sort((a, b) => a.start - b.start)
+    .filter((mention) => {
+      if (mention.start < lastEnd) return false;
+      lastEnd = mention.end;
+      return true;
+    });
+}
+
+/**
+ * Split a comment into plain text and mentions, each mention showing the
+ * current username (or the text as written when the profile is gone)
+ * @param {Array} mentions - comment_mentions rows, with profiles embedded
+ * @returns {Array} { text, userId } - userId only on mentions
+ */
+export function splitMentions(text, mentions = []) {
+  const segments = [];
+  let lastIndex = 0;
+
+  [...(mentions || [])]
+    .sort((a, b) => a.start_index - b.start_index)
+    .forEach((mention) => {
+      if (mention.start_index < lastIndex || mention.end_index > text.length) return;
+      if (mention.start_index > lastIndex) {
+        segments.push({ text: text.substring(lastIndex, mention.start_index) });
+      }
+      segments.push({
+        text: mention.profiles?.username
+          ? `@${mention.profiles.username}`
+          : text.substring(mention.start_index, mention.end_index),
+        userId: mention.user_id,
+      });
+      lastIndex = mention.end_index;
+    });
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.substring(lastIndex) });
+  }
+  return segments;
+}
+
+/**
+ * Comment text with every mention showing the current username
+ */
+export function resolveMentionText(text, mentions = []) {
+  return splitMentions(text, mentions).map(segment => segment.text).join('');
+}
@@ -0,0 +1,58 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { generateId } from './id';
+
+// Photos waiting in the offline outbox, out of reach of the OS cache cleanup
+const OUTBOX_PHOTOS_DIR = `${FileSystem.documentDirectory}outbox-photos/`;
+
+/**
+ * Keep a picked photo until the offline outbox uploads it
+ * (the image picker leaves it in a cache directory the OS may clear)
+ * @param {string} uri - File URI from the image picker
+ * @returns {string} URI of the kept copy
+ */
+export async function keepPhotoFile(uri) {
+  // Web URIs (data: / blob:) are not files that can be copied
+  if (Platform.OS === 'web') return uri;
+
+  await FileSystem.makeDirectoryAsync(OUTBOX_PHOTOS_DIR, { intermediates: true });
+  const keptUri = `${OUTBOX_PHOTOS_DIR}${generateId()}`;
+  await FileSystem.copyAsync({ from: uri, to: keptUri });
+  return keptUri;
+}
+
+/**
+ * Read a photo file as base64 for upload
+ */
+export async function readPhotoBase64(uri) {
+  if (Platform.OS !== 'web') {
+    return FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+  }
+
+  if (uri.startsWith('data:')) {
+    return uri.split(',')[1];
+  }
+
+  const response = await fetch(uri);
+  const blob = await response.blob();
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Delete a photo kept by keepPhotoFile (other URIs are left alone)
+ */
+export async function deletePhotoFile(uri) {
+  if (Platform.OS === 'web' || !uri?.startsWith(OUTBOX_PHOTOS_DIR)) return;
+
+  try {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  } catch (error) {
+    console.error('Error deleting kept photo:', error);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Rating dimensions shared by the services, backend adapters and screens
+ *
+ * Each dimension is a 1-5 column on bench_ratings. View and comfort are
+ * required and make up a bench's overall rating; the rest are optional and
+ * averaged on their own.
+ */
+
+export const RATING_DIMENSIONS = [
+  { key: 'view', column: 'view_rating', field: 'viewRating', label: 'view', title: 'view quality', required: true },
+  { key: 'comfort', column: 'comfort_rating', field: 'comfortRating', label: 'comfort', title: 'comfort', required: true },
+  { key: 'shade', column: 'shade_rating', field: 'shadeRating', label: 'shade', title: 'shade', required: false },
+  { key: 'quietness', column: 'quietness_rating', field: 'quietnessRating', label: 'quiet', title: 'quietness', required: false },
+  { key: 'cleanliness', column: 'cleanliness_rating', field: 'cleanlinessRating', label: 'clean', title: 'cleanliness', required: false },
+  { key: 'accessibility', column: 'accessibility_rating', field: 'accessibilityRating', label: 'access', title: 'accessibility', required: false },
+];
+
+export const RATING_DIMENSION_KEYS = RATING_DIMENSIONS.map(dimension => dimension.key);
+
+// Every bench starts out as if it had RATING_PRIOR_WEIGHT ratings of
+// RATING_PRIOR_MEAN (kept in sync with search_benches)
+export const RATING_PRIOR_MEAN = 3;
+export const RATING_PRIOR_WEIGHT = 5;
+
+/**
+ * Confidence-weighted overall rating (Bayesian average). Few ratings stay
+ * close to the prior, many ratings converge on the real average, so one 5/5
+ * does not outrank hundreds of 4.8s.
+ * @param {number|null} average - Overall rating, see averageRating
+ * @param {number} count - Number of ratings
+ * @returns {number} Score between 1 and 5
+ */
+export function bayesianRating(average, count) {
+  const n = average === null || average === undefined ? 0 : count || 0;
+  return (RATING_PRIOR_WEIGHT * RATING_PRIOR_MEAN + (n > 0 ? average * n : 0)) / (RATING_PRIOR_WEIGHT + n);
+}
+
+/**
+ * Overall rating of a bench, averaged over view and comfort
+ * @param {Array} ratings - bench_ratings rows
+ * @returns {number|null} null when nobody has rated it
+ */
+export function averageRating(ratings) {
+  if (!ratings?.length) return null;
+  const total = ratings.reduce((sum, rating) => sum + rating.view_rating + rating.comfort_rating, 0);
+  return total / (ratings.length * 2);
+}
+
+/**
+ * Average of every dimension, skipping ratings that left it out
+ * @param {Array} ratings - bench_ratings rows
+ * @returns {Object} Dimension key -> average, null when nobody rated it
+ */
+export function averageRatingDimensions(ratings = []) {
+  return Object.fromEntries(RATING_DIMENSIONS.map(({ key, column }) => {
+    const values = ratings.map(rating => rating[column]).filter(value => value !== null && value !== undefined);
+    return [key, values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null];
+  }));
+}
+
+/**
+ * How many ratings gave each star on one dimension
+ * @param {Array} ratings - bench_ratings rows
+ * @param {string} column - e.g. 'view_rating'
+ * @returns {Array} Counts for 1 to 5 stars
+ */
+export function ratingDistribution(ratings, column) {
+  const counts = [0, 0, 0, 0, 0];
+  ratings.forEach((rating) => {
+    const value = rating[column];
+    if (value >= 1 && value <= 5) counts[value - 1] += 1;
+  });
+  return counts;
+}
+
+export const RATING_TREND_DAYS = 90;
+
+/**
+ * Overall rating from the last `days` days next to the all-time one, to
+ * spot benches that got worse (or better). A re-rated bench counts from
+ * when it was last rated.
+ * @returns {Object} { recent, recentCount, allTime } - averages are null without ratings
+ */
+export function ratingTrend(ratings, days = RATING_TREND_DAYS, now = Date.now()) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const recentRatings = ratings.filter(rating => new Date(rating.updated_at || rating.created_at).getTime() >= since);
+
+  return {
+    recent: averageRating(recentRatings),
+    recentCount: recentRatings.length,
+    allTime: averageRating(ratings),
+  };
+}
@@ -0,0 +1,11 @@
+/**
+ * Whether a ScrollView onScroll event is close enough to the end of the
+ * content to load the next page (infinite scroll outside FlatList)
+ *
+ * @param {Object} nativeEvent - ScrollView onScroll event.nativeEvent
+ * @param {number} threshold - Distance from the bottom in px
+ * @returns {boolean}
+ */
+export function isNearBottom({ layoutMeasurement, contentOffset, contentSize }, threshold = 200) {
+  return layoutMeasurement.height + contentOffset.y >= contentSize.height - threshold;
+}
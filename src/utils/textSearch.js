@@ -0,0 +1,337 @@
+/**
+ * Text search helpers
+ *
+ * JS counterpart of the full-text search in the search_benches database
+ * function (see supabase/migrations). Used by the in-memory
+ * backend and for offline search over cached benches, and to build the
+ * tsquery sent to Postgres so both sides expand synonyms the same way.
+ *
+ * Matching a query term, best first:
+ * - same stem as the term or one of its synonyms ("sea" finds "ocean")
+ * - a word starting with the term (search as you type)
+ * - a trigram match for typos ("sunste" finds "sunset")
+ *
+ * Fields are weighted like the tsvector: title > description > accessibility notes.
+ */
+
+export const HIGHLIGHT_START = '[[';
+export const HIGHLIGHT_END = ']]';
+
+export const FIELD_WEIGHTS = {
+  title: 1,
+  description: 0.4,
+  accessibility_notes: 0.2,
+};
+
+// Minimum trigram similarity for a typo to count as a match (pg_trgm default is 0.3)
+export const FUZZY_THRESHOLD = 0.4;
+
+const PREFIX_SCORE = 0.9;
+const FUZZY_SCORE = 0.8;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with',
+]);
+
+// Words that describe almost every bench - dropped unless nothing else is left
+const FILLER_WORDS = new Set(['bench', 'benches', 'seat', 'seats', 'spot', 'place', 'view', 'views']);
+
+const SYNONYM_GROUPS = [
+  ['sea', 'ocean', 'coast', 'beach', 'bay', 'shore', 'seaside', 'harbor', 'harbour', 'water'],
+  ['lake', 'pond', 'reservoir', 'lagoon'],
+  ['river', 'stream', 'creek', 'canal', 'riverside', 'waterfront', 'water'],
+  ['forest', 'woods', 'woodland', 'trees'],
+  ['mountain', 'hill', 'peak', 'summit'],
+  ['view', 'vista', 'panorama', 'lookout', 'viewpoint', 'overlook', 'miradouro'],
+  ['sunset', 'sundown', 'dusk'],
+  ['sunrise', 'dawn'],
+  ['city', 'urban', 'downtown', 'town', 'skyline'],
+  ['quiet', 'calm', 'peaceful', 'tranquil', 'secluded', 'hidden'],
+  ['shade', 'shady', 'shaded'],
+  ['wheelchair', 'accessible', 'ramp'],
+];
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Lowercase and strip accents ("João" -> "joao")
+ */
+export function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalized words
+ */
+export function tokenize(text) {
+  return normalize(text).match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Cheap English stemmer - close enough to Postgres' for matching purposes
+ */
+export function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach((group) => {
+  group.forEach((word) => {
+    const related = SYNONYMS.get(word) || new Set();
+    group.forEach((other) => related.add(other));
+    SYNONYMS.set(word, related);
+  });
+});
+
+/**
+ * A word plus its synonyms
+ */
+export function expandTerm(term) {
+  return [...(SYNONYMS.get(term) || SYNONYMS.get(stem(term)) || new Set([term]))];
+}
+
+// ============================================================================
+// TRIGRAMS
+// ============================================================================
+
+/**
+ * Trigrams of a word, padded like pg_trgm ("  cat ")
+ */
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * pg_trgm style similarity between two words (0-1)
+ */
+export function trigramSimilarity(a, b) {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  let shared = 0;
+  left.forEach((gram) => {
+    if (right.has(gram)) shared++;
+  });
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * How alike two bench titles are (0-1): the share of the shorter title's
+ * trigrams found in the other, like pg_trgm's word_similarity. Stop and filler
+ * words are ignored and synonyms count as the same word, so "Pond bench" and
+ * "Jardim da Estrela lake" score 1.
+ */
+export function titleSimilarity(a, b) {
+  const titleTrigrams = (title) => {
+    const words = tokenize(title).filter((word) => !STOP_WORDS.has(word));
+    const meaningful = words.filter((word) => !FILLER_WORDS.has(word));
+    const result = new Set();
+    (meaningful.length > 0 ? meaningful : words).forEach((word) => {
+      trigrams(expandTerm(word)[0]).forEach((gram) => result.add(gram));
+    });
+    return result;
+  };
+
+  const left = titleTrigrams(a);
+  const right = titleTrigrams(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  left.forEach((gram) => {
+    if (right.has(gram)) shared++;
+  });
+  return shared / Math.min(left.size, right.size);
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Parse a search string into terms with their accepted stems
+ * @returns {Array<{ term: string, stems: Set<string> }>}
+ */
+export function parseQuery(query) {
+  const words = tokenize(query).filter((word) => !STOP_WORDS.has(word));
+  const meaningful = words.filter((word) => !FILLER_WORDS.has(word));
+  const terms = [...new Set(meaningful.length > 0 ? meaningful : words)];
+
+  return terms.map((term) => ({
+    term,
+    stems: new Set(expandTerm(term).map(stem)),
+  }));
+}
+
+/**
+ * Build a Postgres tsquery string for a search, e.g. "sea view" ->
+ * "(sea:* | ocean | coast | ...)". Returns null when nothing is searchable.
+ * Only [a-z0-9] lexemes are emitted, so the result is safe for to_tsquery().
+ */
+export function buildTsQuery(query) {
+  const groups = parseQuery(query).map(({ term }) => {
+    const alternatives = [`${term}:*`, ...expandTerm(term).filter((word) => word !== term)];
+    return `(${alternatives.join(' | ')})`;
+  });
+
+  return groups.length > 0 ? groups.join(' & ') : null;
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Score a document against a parsed query. Every term has to match
+ * (like the tsquery's &), either exactly, by prefix or fuzzily.
+ *
+ * @param {Array} terms - Result of parseQuery()
+ * @param {Object} document - { title, description, accessibility_notes }
+ * @returns {{ score: number, matches: Set<string> } | null} null when it does not match
+ */
+export function matchDocument(terms, document) {
+  if (terms.length === 0) return null;
+
+  const fields = Object.entries(FIELD_WEIGHTS).map(([field, weight]) => ({
+    weight,
+    words: tokenize(document[field]),
+  }));
+  const matches = new Set();
+  let total = 0;
+
+  for (const { term, stems } of terms) {
+    let best = 0;
+
+    for (const { weight, words } of fields) {
+      for (const word of words) {
+        let score = 0;
+        if (stems.has(stem(word))) {
+          score = weight;
+        } else if (term.length >= 3 && word.startsWith(term)) {
+          score = weight * PREFIX_SCORE;
+        } else if (term.length >= 3) {
+          const similarity = trigramSimilarity(term, word);
+          if (similarity >= FUZZY_THRESHOLD) {
+            score = weight * FUZZY_SCORE * similarity;
+          }
+        }
+
+        if (score > 0) {
+          matches.add(word);
+          best = Math.max(best, score);
+        }
+      }
+    }
+
+    if (best === 0) return null;
+    total += best;
+  }
+
+  return { score: total / terms.length, matches };
+}
+
+// ============================================================================
+// HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Wrap matched words in HIGHLIGHT_START/HIGHLIGHT_END (same markers as ts_headline)
+ * @param {string} text
+ * @param {Set<string>} matches - Normalized words, see matchDocument()
+ */
+export function highlight(text, matches) {
+  if (!text) return text;
+  return text.replace(/[\p{L}\p{N}]+/gu, (word) => (
+    matches.has(normalize(word)) ? `${HIGHLIGHT_START}${word}${HIGHLIGHT_END}` : word
+  ));
+}
+
+/**
+ * Short highlighted excerpt around the first match
+ * @param {number} maxWords - Length of the excerpt
+ */
+export function snippet(text, matches, maxWords = 20) {
+  if (!text) return text;
+
+  const words = text.split(/\s+/);
+  if (words.length <= maxWords) return highlight(text, matches);
+
+  const first = words.findIndex((word) => tokenize(word).some((token) => matches.has(token)));
+  const start = Math.max(0, Math.min(first - Math.floor(maxWords / 4), words.length - maxWords));
+  const excerpt = words.slice(start, start + maxWords).join(' ');
+
+  return `${start > 0 ? '… ' : ''}${highlight(excerpt, matches)}${start + maxWords < words.length ? ' …' : ''}`;
+}
+
+/**
+ * Split highlighted text into segments for rendering
+ * @returns {Array<{ text: string, highlighted: boolean }>}
+ */
+export function splitHighlights(text) {
+  if (!text) return [];
+
+  const segments = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const start = rest.indexOf(HIGHLIGHT_START);
+    const end = start === -1 ? -1 : rest.indexOf(HIGHLIGHT_END, start);
+    if (start === -1 || end === -1) {
+      segments.push({ text: rest, highlighted: false });
+      break;
+    }
+    if (start > 0) segments.push({ text: rest.slice(0, start), highlighted: false });
+    segments.push({ text: rest.slice(start + HIGHLIGHT_START.length, end), highlighted: true });
+    rest = rest.slice(end + HIGHLIGHT_END.length);
+  }
+  return segments;
+}
+
+/**
+ * "Did you mean" for a query whose terms only matched fuzzily
+ * @param {string} query
+ * @param {Array<string>} texts - Text of the results (titles, descriptions)
+ * @returns {string|null} Corrected query, or null when every term was found as typed
+ */
+export function suggestCorrection(query, texts) {
+  const vocabulary = [...new Set(texts.flatMap(tokenize))];
+  const terms = tokenize(query);
+  let changed = false;
+
+  const corrected = terms.map((term) => {
+    const stems = new Set(expandTerm(term).map(stem));
+    if (term.length < 3 || vocabulary.some((word) => word.startsWith(term) || stems.has(stem(word)))) {
+      return term;
+    }
+
+    let best = null;
+    let bestSimilarity = FUZZY_THRESHOLD;
+    vocabulary.forEach((word) => {
+      const similarity = trigramSimilarity(term, word);
+      if (similarity >= bestSimilarity) {
+        best = word;
+        bestSimilarity = similarity;
+      }
+    });
+
+    if (!best) return term;
+    changed = true;
+    return best;
+  });
+
+  return changed ? corrected.join(' ') : null;
+}
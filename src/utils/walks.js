@@ -0,0 +1,50 @@
+/**
+ * Distance and time of a bench walk, measured stop to stop
+ */
+
+import { calculateDistance } from './geo';
+
+// Average walking pace used for the time estimate
+export const WALKING_SPEED_KMH = 4.5;
+
+/**
+ * Straight-line distance of each leg between consecutive stops
+ * @param {Array} stops - Benches (or anything with latitude/longitude) in walk order
+ * @returns {Array} Leg distances in meters, one fewer than the stops
+ */
+export function walkLegs(stops) {
+  return stops.slice(1).map((stop, index) => {
+    const previous = stops[index];
+    return calculateDistance(
+      parseFloat(previous.latitude),
+      parseFloat(previous.longitude),
+      parseFloat(stop.latitude),
+      parseFloat(stop.longitude)
+    ) * 1000;
+  });
+}
+
+/**
+ * Total distance and estimated walking time of a walk
+ * @returns {Object} { legs, distanceMeters, durationMinutes }
+ */
+export function summarizeWalk(stops) {
+  const legs = walkLegs(stops);
+  const distanceMeters = legs.reduce((sum, leg) => sum + leg, 0);
+
+  return {
+    legs,
+    distanceMeters,
+    durationMinutes: Math.round((distanceMeters / 1000 / WALKING_SPEED_KMH) * 60),
+  };
+}
+
+/**
+ * Format a walking time for display, e.g. "25 min" or "1 h 10 min"
+ */
+export function formatDuration(minutes) {
+  if (minutes < 60) return `${Math.max(minutes, 1)} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
@@ -25,6 +25,61 @@ export const viewTypes = [
 
 export const viewTypeSchema = z.enum(viewTypes);
 
+// ============================================================================
+// BENCH ATTRIBUTES
+// ============================================================================
+
+// BENCH_AMENITIES and BENCH_MATERIALS in utils/amenities
+export const amenityKeys = ['backrest', 'armrests', 'table', 'shade', 'toilet', 'water'];
+
+export const amenitySchema = z.enum(amenityKeys);
+
+export const benchMaterials = ['wood', 'metal', 'stone', 'concrete', 'plastic', 'other'];
+
+export const benchMaterialSchema = z.enum(benchMaterials);
+
+export const seatCountSchema = z
+  .number()
+  .int('Number of seats must be a whole number')
+  .min(1, 'A bench has at least 1 seat')
+  .max(20, 'Number of seats must be 20 or less');
+
+// SURFACE_TYPES in utils/amenities
+export const surfaceTypes = ['paved', 'boardwalk', 'cobbles', 'gravel', 'grass', 'dirt', 'sand'];
+
+export const surfaceTypeSchema = z.enum(surfaceTypes);
+
+export const seatHeightSchema = z
+  .number()
+  .int('Seat height must be a whole number of centimetres')
+  .min(20, 'Seat height must be between 20 and 100 cm')
+  .max(100, 'Seat height must be between 20 and 100 cm');
+
+export const accessDistanceSchema = z
+  .number()
+  .int('Distance must be a whole number of metres')
+  .min(0, 'Distance cannot be negative')
+  .max(5000, 'Distance must be 5000 m or less');
+
+// null when unknown, see utils/amenities
+const benchAttributeFields = {
+  hasBackrest: z.boolean().optional().nullable(),
+  hasArmrests: z.boolean().optional().nullable(),
+  hasTable: z.boolean().optional().nullable(),
+  hasShade: z.boolean().optional().nullable(),
+  toiletNearby: z.boolean().optional().nullable(),
+  waterNearby: z.boolean().optional().nullable(),
+  material: benchMaterialSchema.optional().nullable(),
+  seatCount: seatCountSchema.optional().nullable(),
+  // Accessibility profile
+  stepFreeAccess: z.boolean().optional().nullable(),
+  wheelchairSpace: z.boolean().optional().nullable(),
+  surfaceType: surfaceTypeSchema.optional().nullable(),
+  seatHeightCm: seatHeightSchema.optional().nullable(),
+  // From the nearest parking or transit stop
+  accessDistanceMeters: accessDistanceSchema.optional().nullable(),
+};
+
 // ============================================================================
 // COORDINATES
 // ============================================================================
@@ -69,6 +124,7 @@ export const benchCreateSchema = z.object({
     .optional()
     .nullable()
     .transform((val) => val?.trim() || null),
+  ...benchAttributeFields,
 });
 
 export const benchUpdateSchema = z.object({
@@ -91,6 +147,7 @@ export const benchUpdateSchema = z.object({
     .transform((val) => val?.trim() || null)
     .optional()
     .nullable(),
+  ...benchAttributeFields,
 });
 
 // ============================================================================
@@ -103,15 +160,35 @@ export const ratingValueSchema = z
   .min(1, 'Rating must be at least 1')
   .max(5, 'Rating must be at most 5');
 
+// RATING_DIMENSIONS in utils/ratings - view and comfort are required
+export const ratingDimensions = ['view', 'comfort', 'shade', 'quietness', 'cleanliness', 'accessibility'];
+
+export const ratingDimensionSchema = z.enum(ratingDimensions);
+
 export const ratingSchema = z.object({
   viewRating: ratingValueSchema,
   comfortRating: ratingValueSchema,
+  shadeRating: ratingValueSchema.optional().nullable(),
+  quietnessRating: ratingValueSchema.optional().nullable(),
+  cleanlinessRating: ratingValueSchema.optional().nullable(),
+  accessibilityRating: ratingValueSchema.optional().nullable(),
 });
 
 // ============================================================================
 // COMMENT SCHEMAS
 // ============================================================================
 
+export const mentionSchema = z
+  .object({
+    userId: z.string().uuid('Invalid mentioned user ID'),
+    start: z.number().int().min(0),
+    end: z.number().int().positive(),
+  })
+  .refine((mention) => mention.end > mention.start, {
+    message: 'Mention must not be empty',
+    path: ['end'],
+  });
+
 export const commentCreateSchema = z.object({
   text: z
     .string()
@@ -119,6 +196,98 @@ export const commentCreateSchema = z.object({
     .max(1000, 'Comment must be 1000 characters or less')
     .transform((val) => val.trim()),
   parentId: z.string().uuid('Invalid parent comment ID').optional().nullable(),
+  mentions: z.array(mentionSchema).max(20, 'Maximum 20 mentions per comment').optional().default([]),
+});
+
+// ============================================================================
+// REPORT SCHEMAS
+// ============================================================================
+
+export const reportTargetTypes = ['bench', 'photo', 'comment'];
+
+export const reportReasons = [
+  'fake',
+  'wrong_info',
+  'duplicate',
+  'inappropriate',
+  'spam',
+  'harassment',
+  'other',
+];
+
+export const reportCreateSchema = z.object({
+  targetType: z.enum(reportTargetTypes),
+  targetId: z.string().uuid('Invalid report target'),
+  reason: z.enum(reportReasons),
+  details: z
+    .string()
+    .max(500, 'Details must be 500 characters or less')
+    .optional()
+    .nullable()
+    .transform((val) => val?.trim() || null),
+});
+
+// ============================================================================
+// ISSUE SCHEMAS
+// ============================================================================
+
+export const issueCategories = ['broken', 'vandalised', 'removed', 'unsafe', 'other'];
+
+export const issueCreateSchema = z.object({
+  benchId: z.string().uuid('Invalid bench'),
+  category: z.enum(issueCategories),
+  description: z
+    .string()
+    .trim()
+    .min(1, 'Please describe the problem')
+    .max(500, 'Description must be 500 characters or less'),
+});
+
+// ============================================================================
+// COLLECTION SCHEMAS
+// ============================================================================
+
+// public, followers (of the owner) only, or private (the owner only)
+export const collectionVisibilities = ['public', 'followers', 'private'];
+
+export const collectionSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .min(1, 'Give the collection a name')
+    .max(80, 'Name must be 80 characters or less'),
+  description: z
+    .string()
+    .max(500, 'Description must be 500 characters or less')
+    .optional()
+    .nullable()
+    .transform((val) => val?.trim() || null),
+  visibility: z.enum(collectionVisibilities),
+});
+
+// ============================================================================
+// WALK SCHEMAS
+// ============================================================================
+
+export const MAX_WALK_STOPS = 20;
+
+export const walkSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .min(1, 'Give the walk a name')
+    .max(80, 'Name must be 80 characters or less'),
+  description: z
+    .string()
+    .max(1000, 'Description must be 1000 characters or less')
+    .optional()
+    .nullable()
+    .transform((val) => val?.trim() || null),
+  benchIds: z
+    .array(z.string().uuid('Invalid bench'))
+    .min(2, 'A walk needs at least two benches')
+    .max(MAX_WALK_STOPS, `A walk can have at most ${MAX_WALK_STOPS} benches`)
+    .refine((ids) => new Set(ids).size === ids.length, 'Each bench can only be on a walk once'),
 });
 
 // ============================================================================
@@ -174,10 +343,24 @@ export const signInSchema = z.object({
 // SEARCH SCHEMAS
 // ============================================================================
 
+export const SEARCH_PAGE_SIZE = 20;
+
 export const searchParamsSchema = z.object({
   query: z.string().max(100, 'Search query too long').optional(),
+  // Benches tagged #tag (lowercase, without the #)
+  tag: z.string().regex(/^[a-z0-9_]{2,30}$/, 'Invalid tag').optional().nullable(),
   viewType: viewTypeSchema.optional().nullable(),
+  // Benches with every one of these amenities
+  amenities: z.array(amenitySchema).max(amenityKeys.length).optional().nullable(),
+  material: benchMaterialSchema.optional().nullable(),
+  // Step-free path and room for a wheelchair (utils/amenities isAccessibleBench)
+  accessibleOnly: z.boolean().optional(),
   ratingFilter: z.number().min(0).max(5).optional().nullable(),
-  sortBy: z.enum(['distance', 'rating', 'recent']).optional(),
+  // Filter and sort on this dimension instead of the overall rating
+  ratingDimension: ratingDimensionSchema.optional().nullable(),
+  sortBy: z.enum(['relevance', 'distance', 'rating', 'recent']).optional(),
   maxDistance: z.number().positive().optional().nullable(),
+  userLocation: coordinatesSchema.optional().nullable(),
+  limit: z.number().int().min(1).max(50).default(SEARCH_PAGE_SIZE),
+  offset: z.number().int().min(0).default(0),
 });
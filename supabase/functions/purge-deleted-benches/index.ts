@@ -0,0 +1,43 @@
+/**
+ * Nightly trash purge, called by the purge-deleted-benches pg_cron job
+ *
+ * Permanently deletes every bench trashed longer than retention_days
+ * (purge_deleted_benches without a user) and removes the photo files it
+ * returns, which the database cannot delete itself.
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const BUCKET = 'bench-photos';
+const DEFAULT_RETENTION_DAYS = 37;
+
+Deno.serve(async (request: Request) => {
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+  // Only the cron job, which sends the service role key, may purge everyone's trash
+  if (!serviceRoleKey || request.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { retention_days = DEFAULT_RETENTION_DAYS } = await request.json().catch(() => ({}));
+  const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', serviceRoleKey);
+
+  const { data, error } = await supabase.rpc('purge_deleted_benches', { retention_days });
+  if (error) {
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+
+  // Public URLs end in /bench-photos/<path>
+  const paths = (data as { photo_url: string }[])
+    .map(({ photo_url }) => photo_url.split(`/${BUCKET}/`)[1])
+    .filter((path): path is string => Boolean(path));
+
+  if (paths.length > 0) {
+    const { error: removeError } = await supabase.storage.from(BUCKET).remove(paths);
+    if (removeError) {
+      return Response.json({ error: removeError.message }, { status: 500 });
+    }
+  }
+
+  return Response.json({ removed: paths.length });
+});
@@ -0,0 +1,84 @@
+-- Bench search in one query: filters, distance, aggregated ratings and
+-- pagination, so the app no longer loads every bench to filter them itself.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE INDEX IF NOT EXISTS benches_location_idx ON public.benches USING GIST (location);
+CREATE INDEX IF NOT EXISTS bench_ratings_bench_id_idx ON public.bench_ratings(bench_id);
+CREATE INDEX IF NOT EXISTS bench_photos_bench_id_idx ON public.bench_photos(bench_id);
+
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  primary_photo_url text,
+  distance_meters double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters
+    FROM public.benches b
+    CROSS JOIN origin o
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary
+      LIMIT 1
+    ) p ON true
+    WHERE (search_query IS NULL OR b.title ILIKE '%' || search_query || '%')
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  )
+  SELECT m.*, COUNT(*) OVER () AS total_count
+  FROM matches m
+  WHERE min_rating IS NULL OR m.avg_rating >= min_rating
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN m.avg_rating END DESC,
+    m.created_at DESC,
+    m.id
+  LIMIT page_limit OFFSET page_offset;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_benches TO anon, authenticated;
@@ -0,0 +1,147 @@
+-- Full-text search over title, description and accessibility notes, ranked by
+-- relevance and tolerant of typos.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted document for full-text search: title (A) > description (B) > accessibility notes (C)
+CREATE OR REPLACE FUNCTION public.bench_search_vector(title text, description text, accessibility_notes text)
+RETURNS tsvector
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT setweight(to_tsvector('english', coalesce(title, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    || setweight(to_tsvector('english', coalesce(accessibility_notes, '')), 'C');
+$$;
+
+-- Plain text for trigram (typo tolerant) matching
+CREATE OR REPLACE FUNCTION public.bench_search_text(title text, description text, accessibility_notes text)
+RETURNS text
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT lower(concat_ws(' ', title, description, accessibility_notes));
+$$;
+
+CREATE INDEX IF NOT EXISTS benches_search_vector_idx ON public.benches
+  USING GIN (public.bench_search_vector(title, description, accessibility_notes));
+
+CREATE INDEX IF NOT EXISTS benches_search_text_trgm_idx ON public.benches
+  USING GIN (public.bench_search_text(title, description, accessibility_notes) gin_trgm_ops);
+
+-- search_tsquery is built by the app (utils/textSearch buildTsQuery) with
+-- prefix matching and synonyms, e.g. "(sea:* | ocean | coast)". Benches match
+-- on it or, for typos, on trigram word similarity with the raw search_query.
+-- Highlights are wrapped in [[ ]] (see utils/textSearch splitHighlights).
+DROP FUNCTION IF EXISTS public.search_benches(text, text, numeric, double precision, double precision, double precision, text, integer, integer);
+
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  search_tsquery text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  primary_photo_url text,
+  distance_meters double precision,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  search AS (
+    SELECT
+      CASE WHEN search_tsquery IS NULL THEN NULL ELSE to_tsquery('english', search_tsquery) END AS tsq,
+      lower(search_query) AS text
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters,
+      CASE WHEN s.text IS NULL THEN 0 ELSE (
+        COALESCE(ts_rank_cd(public.bench_search_vector(b.title, b.description, b.accessibility_notes), s.tsq), 0)
+        + word_similarity(s.text, public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      )::real END AS rank,
+      s.tsq
+    FROM public.benches b
+    CROSS JOIN origin o
+    CROSS JOIN search s
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary
+      LIMIT 1
+    ) p ON true
+    WHERE (s.text IS NULL
+        OR public.bench_search_vector(b.title, b.description, b.accessibility_notes) @@ s.tsq
+        OR s.text <% public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  ),
+  filtered AS (
+    SELECT m.*, COUNT(*) OVER () AS total_count
+    FROM matches m
+    WHERE min_rating IS NULL OR m.avg_rating >= min_rating
+    ORDER BY
+      CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN m.avg_rating END DESC,
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      m.created_at DESC,
+      m.id
+    LIMIT page_limit OFFSET page_offset
+  )
+  -- Headlines only for the returned page, ts_headline is expensive
+  SELECT
+    f.id, f.user_id, f.title, f.description, f.latitude, f.longitude,
+    f.view_type, f.accessibility_notes, f.created_at,
+    f.avg_rating, f.ratings_count, f.primary_photo_url, f.distance_meters, f.rank,
+    CASE WHEN f.tsq IS NULL THEN NULL
+      ELSE ts_headline('english', f.title, f.tsq, 'StartSel=[[, StopSel=]], HighlightAll=true') END,
+    CASE WHEN f.tsq IS NULL OR f.description IS NULL THEN NULL
+      ELSE ts_headline('english', f.description, f.tsq, 'StartSel=[[, StopSel=]], MaxWords=20, MinWords=8') END,
+    f.total_count
+  FROM filtered f
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN f.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN f.avg_rating END DESC,
+    CASE WHEN sort_by = 'relevance' THEN f.rank END DESC,
+    f.created_at DESC,
+    f.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_benches TO anon, authenticated;
@@ -0,0 +1,271 @@
+-- Bench trash
+--
+-- Deleting a bench only sets deleted_at. Trashed benches are hidden from
+-- everyone but their owner, can be restored for 30 days and are then purged.
+-- Every function runs in a single transaction, so a failure leaves nothing
+-- half-deleted. Photo files are removed from storage by the app with the
+-- photo URLs the purge functions return.
+
+ALTER TABLE public.benches ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS benches_deleted_at_idx ON public.benches(user_id, deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+DROP POLICY IF EXISTS "Benches are viewable by everyone" ON public.benches;
+
+CREATE POLICY "Benches are viewable by everyone" ON public.benches
+  FOR SELECT USING (deleted_at IS NULL OR auth.uid() = user_id);
+
+-- get_nearby_benches leaves trashed benches out. Dropped by name because the
+-- original definition came with the project schema.
+DROP FUNCTION IF EXISTS public.get_nearby_benches;
+
+CREATE OR REPLACE FUNCTION public.get_nearby_benches(
+  user_lat double precision,
+  user_lng double precision,
+  radius_meters double precision DEFAULT 5000
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  distance_meters double precision
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography AS point
+  )
+  SELECT
+    b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+    b.view_type, b.accessibility_notes, b.created_at,
+    ST_Distance(b.location, o.point) AS distance_meters
+  FROM public.benches b
+  CROSS JOIN origin o
+  WHERE b.deleted_at IS NULL
+    AND ST_DWithin(b.location, o.point, radius_meters)
+  ORDER BY distance_meters, b.id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.soft_delete_bench(target_bench_id uuid)
+RETURNS timestamp with time zone
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  deleted timestamp with time zone;
+BEGIN
+  UPDATE benches SET deleted_at = now()
+  WHERE id = target_bench_id AND user_id = auth.uid() AND deleted_at IS NULL
+  RETURNING deleted_at INTO deleted;
+
+  IF deleted IS NULL THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+  RETURN deleted;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.restore_bench(target_bench_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE benches SET deleted_at = NULL
+  WHERE id = target_bench_id AND user_id = auth.uid() AND deleted_at IS NOT NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+END;
+$$;
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.purge_bench FROM public, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.delete_bench_permanently(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM benches
+    WHERE id = target_bench_id AND user_id = auth.uid() AND deleted_at IS NOT NULL
+  ) THEN
+    RAISE EXCEPTION 'Only benches in the trash can be deleted permanently' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN QUERY SELECT * FROM purge_bench(target_bench_id);
+END;
+$$;
+
+-- Purges the caller's expired trash; called without a user (pg_cron) it
+-- purges everyone's, leaving photo files in storage under the owner's folder.
+CREATE OR REPLACE FUNCTION public.purge_deleted_benches(retention_days integer DEFAULT 30)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  expired uuid;
+BEGIN
+  FOR expired IN
+    SELECT id FROM benches
+    WHERE deleted_at < now() - make_interval(days => retention_days)
+      AND (auth.uid() IS NULL OR user_id = auth.uid())
+  LOOP
+    RETURN QUERY SELECT * FROM purge_bench(expired);
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.soft_delete_bench TO authenticated;
+GRANT EXECUTE ON FUNCTION public.restore_bench TO authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_bench_permanently TO authenticated;
+GRANT EXECUTE ON FUNCTION public.purge_deleted_benches TO authenticated;
+
+-- The app purges a user's expired trash (and its photo files) when they open
+-- their profile. This nightly job is a backstop a week later for owners who
+-- never come back.
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+SELECT cron.schedule('purge-deleted-benches', '0 3 * * *', 'SELECT public.purge_deleted_benches(37)');
+
+-- search_benches leaves trashed benches out
+
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  search_tsquery text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  primary_photo_url text,
+  distance_meters double precision,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  search AS (
+    SELECT
+      CASE WHEN search_tsquery IS NULL THEN NULL ELSE to_tsquery('english', search_tsquery) END AS tsq,
+      lower(search_query) AS text
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters,
+      CASE WHEN s.text IS NULL THEN 0 ELSE (
+        COALESCE(ts_rank_cd(public.bench_search_vector(b.title, b.description, b.accessibility_notes), s.tsq), 0)
+        + word_similarity(s.text, public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      )::real END AS rank,
+      s.tsq
+    FROM public.benches b
+    CROSS JOIN origin o
+    CROSS JOIN search s
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary
+      LIMIT 1
+    ) p ON true
+    WHERE b.deleted_at IS NULL
+      AND (s.text IS NULL
+        OR public.bench_search_vector(b.title, b.description, b.accessibility_notes) @@ s.tsq
+        OR s.text <% public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  ),
+  filtered AS (
+    SELECT m.*, COUNT(*) OVER () AS total_count
+    FROM matches m
+    WHERE min_rating IS NULL OR m.avg_rating >= min_rating
+    ORDER BY
+      CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN m.avg_rating END DESC,
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      m.created_at DESC,
+      m.id
+    LIMIT page_limit OFFSET page_offset
+  )
+  -- Headlines only for the returned page, ts_headline is expensive
+  SELECT
+    f.id, f.user_id, f.title, f.description, f.latitude, f.longitude,
+    f.view_type, f.accessibility_notes, f.created_at,
+    f.avg_rating, f.ratings_count, f.primary_photo_url, f.distance_meters, f.rank,
+    CASE WHEN f.tsq IS NULL THEN NULL
+      ELSE ts_headline('english', f.title, f.tsq, 'StartSel=[[, StopSel=]], HighlightAll=true') END,
+    CASE WHEN f.tsq IS NULL OR f.description IS NULL THEN NULL
+      ELSE ts_headline('english', f.description, f.tsq, 'StartSel=[[, StopSel=]], MaxWords=20, MinWords=8') END,
+    f.total_count
+  FROM filtered f
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN f.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN f.avg_rating END DESC,
+    CASE WHEN sort_by = 'relevance' THEN f.rank END DESC,
+    f.created_at DESC,
+    f.id;
+$$;
@@ -0,0 +1,232 @@
+-- Bench location corrections
+--
+-- Proposals are created, voted on and applied only through the functions below.
+-- vote_bench_location applies a proposal at 3 confirmations (LOCATION_VOTES_NEEDED)
+-- and closes it at 3 rejections.
+
+CREATE TABLE IF NOT EXISTS public.bench_location_proposals (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bench_id uuid NOT NULL REFERENCES public.benches(id),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  latitude double precision NOT NULL,
+  longitude double precision NOT NULL,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'applied', 'rejected')),
+  previous_latitude double precision,   -- where the pin was before this was applied
+  previous_longitude double precision,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  resolved_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS bench_location_proposals_bench_id_idx
+  ON public.bench_location_proposals(bench_id, created_at DESC);
+
+-- One open proposal per user and bench
+CREATE UNIQUE INDEX IF NOT EXISTS bench_location_proposals_open_idx
+  ON public.bench_location_proposals(bench_id, user_id) WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS public.bench_location_votes (
+  proposal_id uuid NOT NULL REFERENCES public.bench_location_proposals(id),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  confirm boolean NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (proposal_id, user_id)
+);
+
+ALTER TABLE public.bench_location_proposals ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.bench_location_votes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Location proposals are viewable by everyone" ON public.bench_location_proposals
+  FOR SELECT USING (true);
+
+CREATE POLICY "Location votes are viewable by everyone" ON public.bench_location_votes
+  FOR SELECT USING (true);
+
+-- Internal: move the bench to the proposed position and close the proposal
+CREATE OR REPLACE FUNCTION public.apply_bench_location(target_proposal_id uuid)
+RETURNS public.bench_location_proposals
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  proposal bench_location_proposals;
+  bench benches;
+BEGIN
+  SELECT * INTO proposal FROM bench_location_proposals WHERE id = target_proposal_id;
+  SELECT * INTO bench FROM benches WHERE id = proposal.bench_id FOR UPDATE;
+
+  UPDATE benches SET
+    latitude = proposal.latitude,
+    longitude = proposal.longitude,
+    location = ST_SetSRID(ST_MakePoint(proposal.longitude, proposal.latitude), 4326)::geography,
+    updated_at = now()
+  WHERE id = bench.id;
+
+  UPDATE bench_location_proposals SET
+    status = 'applied',
+    previous_latitude = bench.latitude,
+    previous_longitude = bench.longitude,
+    resolved_at = now()
+  WHERE id = target_proposal_id
+  RETURNING * INTO proposal;
+
+  RETURN proposal;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.apply_bench_location FROM public, anon, authenticated;
+
+-- Internal: lock an open proposal on a bench that is not in the trash
+CREATE OR REPLACE FUNCTION public.find_open_location_proposal(target_proposal_id uuid)
+RETURNS public.bench_location_proposals
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  proposal bench_location_proposals;
+BEGIN
+  SELECT p.* INTO proposal FROM bench_location_proposals p
+  JOIN benches b ON b.id = p.bench_id AND b.deleted_at IS NULL
+  WHERE p.id = target_proposal_id
+  FOR UPDATE OF p;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Proposal not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF proposal.status <> 'open' THEN
+    RAISE EXCEPTION 'This proposal has already been settled';
+  END IF;
+
+  RETURN proposal;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_open_location_proposal FROM public, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.propose_bench_location(
+  target_bench_id uuid,
+  new_latitude double precision,
+  new_longitude double precision
+)
+RETURNS public.bench_location_proposals
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  bench benches;
+  proposal bench_location_proposals;
+BEGIN
+  SELECT * INTO bench FROM benches WHERE id = target_bench_id AND deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF ST_Distance(bench.location, ST_SetSRID(ST_MakePoint(new_longitude, new_latitude), 4326)::geography) < 5 THEN
+    RAISE EXCEPTION 'That is where the bench already is';
+  END IF;
+
+  INSERT INTO bench_location_proposals (bench_id, user_id, latitude, longitude)
+  VALUES (target_bench_id, auth.uid(), new_latitude, new_longitude)
+  RETURNING * INTO proposal;
+
+  IF bench.user_id = auth.uid() THEN
+    RETURN apply_bench_location(proposal.id);
+  END IF;
+
+  RETURN proposal;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.vote_bench_location(target_proposal_id uuid, confirm boolean)
+RETURNS public.bench_location_proposals
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  proposal bench_location_proposals;
+  confirmations integer;
+  rejections integer;
+BEGIN
+  proposal := find_open_location_proposal(target_proposal_id);
+
+  IF proposal.user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You cannot vote on your own proposal';
+  END IF;
+  IF EXISTS (SELECT 1 FROM benches WHERE id = proposal.bench_id AND user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Bench owners approve or reject proposals instead';
+  END IF;
+
+  INSERT INTO bench_location_votes (proposal_id, user_id, confirm)
+  VALUES (target_proposal_id, auth.uid(), vote_bench_location.confirm)
+  ON CONFLICT (proposal_id, user_id) DO UPDATE SET confirm = EXCLUDED.confirm;
+
+  SELECT count(*) FILTER (WHERE v.confirm), count(*) FILTER (WHERE NOT v.confirm)
+  INTO confirmations, rejections
+  FROM bench_location_votes v WHERE v.proposal_id = target_proposal_id;
+
+  IF confirmations >= 3 THEN
+    RETURN apply_bench_location(target_proposal_id);
+  END IF;
+
+  IF rejections >= 3 THEN
+    UPDATE bench_location_proposals SET status = 'rejected', resolved_at = now()
+    WHERE id = target_proposal_id
+    RETURNING * INTO proposal;
+  END IF;
+
+  RETURN proposal;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.resolve_bench_location(target_proposal_id uuid, approve boolean)
+RETURNS public.bench_location_proposals
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  proposal bench_location_proposals;
+BEGIN
+  proposal := find_open_location_proposal(target_proposal_id);
+
+  IF NOT EXISTS (SELECT 1 FROM benches WHERE id = proposal.bench_id AND user_id = auth.uid()) THEN
+    RAISE EXCEPTION 'Only the bench owner can approve or reject proposals';
+  END IF;
+
+  IF approve THEN
+    RETURN apply_bench_location(target_proposal_id);
+  END IF;
+
+  UPDATE bench_location_proposals SET status = 'rejected', resolved_at = now()
+  WHERE id = target_proposal_id
+  RETURNING * INTO proposal;
+
+  RETURN proposal;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.propose_bench_location TO authenticated;
+GRANT EXECUTE ON FUNCTION public.vote_bench_location TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_bench_location TO authenticated;
+
+-- purge_bench also removes location proposals and their votes
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
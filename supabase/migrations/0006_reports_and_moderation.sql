@@ -0,0 +1,338 @@
+-- Reports and moderation
+--
+-- Moderators are profiles with role = 'moderator' (set by hand in the dashboard).
+-- Reports are written by users directly; everything a moderator does goes through
+-- moderate_report so the content change and the report updates happen together.
+-- Hidden content keeps its rows (hidden_at); only moderators can still read it,
+-- and search_benches / get_nearby_benches skip it.
+
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS role text NOT NULL DEFAULT 'user'
+  CHECK (role IN ('user', 'moderator'));
+
+ALTER TABLE public.benches ADD COLUMN IF NOT EXISTS hidden_at timestamp with time zone;
+
+ALTER TABLE public.bench_photos ADD COLUMN IF NOT EXISTS hidden_at timestamp with time zone;
+
+ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS hidden_at timestamp with time zone;
+
+CREATE OR REPLACE FUNCTION public.is_moderator()
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'moderator');
+$$;
+
+-- Users may not promote themselves: through the API a new profile is always a
+-- 'user' and role cannot change. A column-level REVOKE would not hold, since
+-- authenticated is granted UPDATE on the whole table.
+CREATE OR REPLACE FUNCTION public.protect_profile_role()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') THEN
+    IF TG_OP = 'INSERT' THEN
+      NEW.role := 'user';
+    ELSIF NEW.role IS DISTINCT FROM OLD.role THEN
+      RAISE EXCEPTION 'Only an administrator can change a role' USING ERRCODE = '42501';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS profiles_protect_role ON public.profiles;
+
+CREATE TRIGGER profiles_protect_role
+  BEFORE INSERT OR UPDATE ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.protect_profile_role();
+
+CREATE TABLE IF NOT EXISTS public.reports (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id uuid NOT NULL REFERENCES public.profiles(id),
+  target_type text NOT NULL CHECK (target_type IN ('bench', 'photo', 'comment')),
+  target_id uuid NOT NULL,   -- not a foreign key: reports outlive removed content
+  bench_id uuid,
+  reason text NOT NULL CHECK (reason IN ('fake', 'wrong_info', 'duplicate', 'inappropriate', 'spam', 'harassment', 'other')),
+  details text CHECK (char_length(details) <= 500),
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  resolution text CHECK (resolution IN ('hidden', 'restored', 'removed')),
+  resolved_by uuid REFERENCES public.profiles(id),
+  resolved_at timestamp with time zone,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE (reporter_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS reports_open_idx ON public.reports(created_at DESC) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS reports_target_idx ON public.reports(target_type, target_id);
+
+ALTER TABLE public.reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can report content" ON public.reports
+  FOR INSERT WITH CHECK (auth.uid() = reporter_id AND status = 'open');
+
+CREATE POLICY "Reports are viewable by their reporter and moderators" ON public.reports
+  FOR SELECT USING (auth.uid() = reporter_id OR public.is_moderator());
+
+-- Internal: delete a comment with its replies, likes and notifications
+CREATE OR REPLACE FUNCTION public.purge_comment(target_comment_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.comment_id IN (SELECT c.id FROM comments c WHERE c.id = target_comment_id OR c.parent_id = target_comment_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.id = target_comment_id OR c.parent_id = target_comment_id);
+  DELETE FROM comments c WHERE c.parent_id = target_comment_id;
+  DELETE FROM comments c WHERE c.id = target_comment_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.purge_comment FROM public, anon, authenticated;
+
+-- moderation_action: 'hide', 'restore', 'remove' or 'dismiss'
+CREATE OR REPLACE FUNCTION public.moderate_report(target_report_id uuid, moderation_action text)
+RETURNS jsonb
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  report reports;
+  author uuid;
+  photo_urls text[] := '{}';
+  new_resolution text;
+BEGIN
+  IF NOT public.is_moderator() THEN
+    RAISE EXCEPTION 'Only moderators can do this' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO report FROM reports WHERE id = target_report_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Report not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  new_resolution := CASE moderation_action
+    WHEN 'hide' THEN 'hidden'
+    WHEN 'restore' THEN 'restored'
+    WHEN 'remove' THEN 'removed'
+    WHEN 'dismiss' THEN NULL
+    ELSE 'unknown'
+  END;
+  IF new_resolution = 'unknown' THEN
+    RAISE EXCEPTION 'Unknown moderation action';
+  END IF;
+
+  author := CASE report.target_type
+    WHEN 'bench' THEN (SELECT user_id FROM benches WHERE id = report.target_id)
+    WHEN 'photo' THEN (SELECT b.user_id FROM bench_photos p JOIN benches b ON b.id = p.bench_id WHERE p.id = report.target_id)
+    WHEN 'comment' THEN (SELECT user_id FROM comments WHERE id = report.target_id)
+  END;
+
+  IF author IS NULL AND moderation_action <> 'dismiss' THEN
+    RAISE EXCEPTION 'This content no longer exists' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF moderation_action IN ('hide', 'restore') THEN
+    IF report.target_type = 'bench' THEN
+      UPDATE benches SET hidden_at = CASE WHEN moderation_action = 'hide' THEN now() END WHERE id = report.target_id;
+    ELSIF report.target_type = 'photo' THEN
+      UPDATE bench_photos SET hidden_at = CASE WHEN moderation_action = 'hide' THEN now() END WHERE id = report.target_id;
+    ELSE
+      UPDATE comments SET hidden_at = CASE WHEN moderation_action = 'hide' THEN now() END WHERE id = report.target_id;
+    END IF;
+  ELSIF moderation_action = 'remove' THEN
+    IF report.target_type = 'bench' THEN
+      SELECT coalesce(array_agg(pb.photo_url), '{}') INTO photo_urls FROM purge_bench(report.target_id) pb;
+    ELSIF report.target_type = 'photo' THEN
+      DELETE FROM bench_photos WHERE id = report.target_id RETURNING ARRAY[photo_url] INTO photo_urls;
+    ELSE
+      PERFORM purge_comment(report.target_id);
+    END IF;
+  END IF;
+
+  -- Hidden content stays in the queue (to restore or remove) until one of those happens
+  UPDATE reports SET
+    status = CASE WHEN moderation_action = 'dismiss' THEN 'dismissed' ELSE 'resolved' END,
+    resolution = new_resolution,
+    resolved_by = auth.uid(),
+    resolved_at = now()
+  WHERE target_type = report.target_type AND target_id = report.target_id
+    AND (status = 'open'
+      OR (resolution = 'hidden' AND moderation_action IN ('restore', 'remove')));
+
+  RETURN jsonb_build_object(
+    'target_type', report.target_type,
+    'target_id', report.target_id,
+    'bench_id', report.bench_id,
+    'author_id', author,
+    'photo_urls', to_jsonb(photo_urls)
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.moderate_report TO authenticated;
+
+-- On top of the existing SELECT policies: hidden content is for moderators only
+CREATE POLICY "Hidden benches are visible to moderators only" ON public.benches
+  AS RESTRICTIVE FOR SELECT USING (hidden_at IS NULL OR public.is_moderator());
+
+CREATE POLICY "Hidden photos are visible to moderators only" ON public.bench_photos
+  AS RESTRICTIVE FOR SELECT USING (hidden_at IS NULL OR public.is_moderator());
+
+CREATE POLICY "Hidden comments are visible to moderators only" ON public.comments
+  AS RESTRICTIVE FOR SELECT USING (hidden_at IS NULL OR public.is_moderator());
+
+-- Authors are told when moderators hide, restore or remove their content
+ALTER TABLE public.notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+
+ALTER TABLE public.notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+  'follow', 'favorite', 'comment', 'reply', 'mention', 'comment_like', 'rating',
+  'content_hidden', 'content_restored', 'content_removed'
+));
+
+-- get_nearby_benches leaves hidden benches out
+CREATE OR REPLACE FUNCTION public.get_nearby_benches(
+  user_lat double precision,
+  user_lng double precision,
+  radius_meters double precision DEFAULT 5000
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  distance_meters double precision
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography AS point
+  )
+  SELECT
+    b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+    b.view_type, b.accessibility_notes, b.created_at,
+    ST_Distance(b.location, o.point) AS distance_meters
+  FROM public.benches b
+  CROSS JOIN origin o
+  WHERE b.deleted_at IS NULL AND b.hidden_at IS NULL
+    AND ST_DWithin(b.location, o.point, radius_meters)
+  ORDER BY distance_meters, b.id;
+$$;
+
+-- search_benches leaves hidden benches and photos out
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  search_tsquery text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  primary_photo_url text,
+  distance_meters double precision,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  search AS (
+    SELECT
+      CASE WHEN search_tsquery IS NULL THEN NULL ELSE to_tsquery('english', search_tsquery) END AS tsq,
+      lower(search_query) AS text
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters,
+      CASE WHEN s.text IS NULL THEN 0 ELSE (
+        COALESCE(ts_rank_cd(public.bench_search_vector(b.title, b.description, b.accessibility_notes), s.tsq), 0)
+        + word_similarity(s.text, public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      )::real END AS rank,
+      s.tsq
+    FROM public.benches b
+    CROSS JOIN origin o
+    CROSS JOIN search s
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary AND bp.hidden_at IS NULL
+      LIMIT 1
+    ) p ON true
+    WHERE b.deleted_at IS NULL AND b.hidden_at IS NULL
+      AND (s.text IS NULL
+        OR public.bench_search_vector(b.title, b.description, b.accessibility_notes) @@ s.tsq
+        OR s.text <% public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  ),
+  filtered AS (
+    SELECT m.*, COUNT(*) OVER () AS total_count
+    FROM matches m
+    WHERE min_rating IS NULL OR m.avg_rating >= min_rating
+    ORDER BY
+      CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN m.avg_rating END DESC,
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      m.created_at DESC,
+      m.id
+    LIMIT page_limit OFFSET page_offset
+  )
+  -- Headlines only for the returned page, ts_headline is expensive
+  SELECT
+    f.id, f.user_id, f.title, f.description, f.latitude, f.longitude,
+    f.view_type, f.accessibility_notes, f.created_at,
+    f.avg_rating, f.ratings_count, f.primary_photo_url, f.distance_meters, f.rank,
+    CASE WHEN f.tsq IS NULL THEN NULL
+      ELSE ts_headline('english', f.title, f.tsq, 'StartSel=[[, StopSel=]], HighlightAll=true') END,
+    CASE WHEN f.tsq IS NULL OR f.description IS NULL THEN NULL
+      ELSE ts_headline('english', f.description, f.tsq, 'StartSel=[[, StopSel=]], MaxWords=20, MinWords=8') END,
+    f.total_count
+  FROM filtered f
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN f.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN f.avg_rating END DESC,
+    CASE WHEN sort_by = 'relevance' THEN f.rank END DESC,
+    f.created_at DESC,
+    f.id;
+$$;
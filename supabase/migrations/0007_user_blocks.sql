@@ -0,0 +1,111 @@
+-- Blocking and muting users
+--
+-- Rows are only visible to the blocker. Whoever is blocked can ask which of a
+-- list of users blocked or muted them (get_blocked_by) - the app uses that to
+-- skip notifications and refuse follows, and the policy and trigger below
+-- enforce the same.
+
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+  blocker_id uuid NOT NULL REFERENCES public.profiles(id),
+  blocked_id uuid NOT NULL REFERENCES public.profiles(id),
+  kind text NOT NULL CHECK (kind IN ('block', 'mute')),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS user_blocks_blocked_idx ON public.user_blocks(blocked_id);
+
+ALTER TABLE public.user_blocks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see their own blocks" ON public.user_blocks
+  FOR SELECT USING (auth.uid() = blocker_id);
+
+CREATE POLICY "Users can remove their own blocks" ON public.user_blocks
+  FOR DELETE USING (auth.uid() = blocker_id);
+
+-- Inserts and updates go through block_user
+
+-- Whether blocker blocked (or, with include_mutes, muted) blocked
+CREATE OR REPLACE FUNCTION public.has_blocked(blocker uuid, blocked uuid, include_mutes boolean DEFAULT false)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_blocks ub
+    WHERE ub.blocker_id = blocker AND ub.blocked_id = blocked
+      AND (ub.kind = 'block' OR include_mutes)
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.has_blocked FROM public, anon;
+
+CREATE OR REPLACE FUNCTION public.get_blocked_by(user_ids uuid[])
+RETURNS TABLE (blocker_id uuid, kind text)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT ub.blocker_id, ub.kind
+  FROM user_blocks ub
+  WHERE ub.blocked_id = auth.uid() AND ub.blocker_id = ANY(user_ids);
+$$;
+
+-- block_kind: 'block' or 'mute'. Blocking also ends follows in both directions.
+CREATE OR REPLACE FUNCTION public.block_user(target_user_id uuid, block_kind text)
+RETURNS user_blocks
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  result user_blocks;
+BEGIN
+  IF auth.uid() IS NULL OR target_user_id = auth.uid() THEN
+    RAISE EXCEPTION 'Cannot block yourself' USING ERRCODE = '42501';
+  END IF;
+  IF block_kind NOT IN ('block', 'mute') THEN
+    RAISE EXCEPTION 'Unknown block kind';
+  END IF;
+
+  INSERT INTO user_blocks (blocker_id, blocked_id, kind)
+  VALUES (auth.uid(), target_user_id, block_kind)
+  ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET kind = EXCLUDED.kind, created_at = now()
+  RETURNING * INTO result;
+
+  IF block_kind = 'block' THEN
+    DELETE FROM follows f
+    WHERE (f.follower_id = auth.uid() AND f.following_id = target_user_id)
+       OR (f.follower_id = target_user_id AND f.following_id = auth.uid());
+  END IF;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_blocked_by TO authenticated;
+GRANT EXECUTE ON FUNCTION public.block_user TO authenticated;
+
+-- On top of the existing follows INSERT policy
+CREATE POLICY "No follows across a block" ON public.follows
+  AS RESTRICTIVE FOR INSERT WITH CHECK (
+    NOT public.has_blocked(following_id, follower_id)
+    AND NOT public.has_blocked(follower_id, following_id)
+  );
+
+-- Notifications from someone the recipient blocked or muted are never written.
+-- A trigger rather than an INSERT policy, so it also holds for the triggers that
+-- write follow, favorite and rating notifications, which bypass row-level security.
+CREATE OR REPLACE FUNCTION public.skip_blocked_notification()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NEW.actor_id IS NOT NULL AND public.has_blocked(NEW.user_id, NEW.actor_id, true) THEN
+    RETURN NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS notifications_skip_blocked ON public.notifications;
+
+CREATE TRIGGER notifications_skip_blocked
+  BEFORE INSERT ON public.notifications
+  FOR EACH ROW EXECUTE FUNCTION public.skip_blocked_notification();
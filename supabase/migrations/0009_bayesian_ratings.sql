@@ -0,0 +1,147 @@
+-- Top-rated benches by Bayesian average (rating_score) instead of the raw
+-- average, so a single 5-star rating no longer outranks dozens of 4s.
+
+DROP FUNCTION IF EXISTS public.search_benches(text, text, text, numeric, text, double precision, double precision, double precision, text, integer, integer);
+
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  search_tsquery text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  rating_dimension text DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  rating_score numeric,
+  dimension_rating numeric,
+  primary_photo_url text,
+  distance_meters double precision,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  search AS (
+    SELECT
+      CASE WHEN search_tsquery IS NULL THEN NULL ELSE to_tsquery('english', search_tsquery) END AS tsq,
+      lower(search_query) AS text
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      -- Bayesian average: every bench starts with 5 ratings of 3 (utils/ratings RATING_PRIOR_*)
+      (5 * 3 + COALESCE(r.avg_rating * r.ratings_count, 0)) / (5 + COALESCE(r.ratings_count, 0)) AS rating_score,
+      CASE rating_dimension
+        WHEN 'view' THEN r.avg_view
+        WHEN 'comfort' THEN r.avg_comfort
+        WHEN 'shade' THEN r.avg_shade
+        WHEN 'quietness' THEN r.avg_quietness
+        WHEN 'cleanliness' THEN r.avg_cleanliness
+        WHEN 'accessibility' THEN r.avg_accessibility
+      END AS dimension_rating,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters,
+      CASE WHEN s.text IS NULL THEN 0 ELSE (
+        COALESCE(ts_rank_cd(public.bench_search_vector(b.title, b.description, b.accessibility_notes), s.tsq), 0)
+        + word_similarity(s.text, public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      )::real END AS rank,
+      s.tsq
+    FROM public.benches b
+    CROSS JOIN origin o
+    CROSS JOIN search s
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count,
+        -- AVG skips ratings that left an optional dimension out
+        AVG(br.view_rating) AS avg_view,
+        AVG(br.comfort_rating) AS avg_comfort,
+        AVG(br.shade_rating) AS avg_shade,
+        AVG(br.quietness_rating) AS avg_quietness,
+        AVG(br.cleanliness_rating) AS avg_cleanliness,
+        AVG(br.accessibility_rating) AS avg_accessibility
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary AND bp.hidden_at IS NULL
+      LIMIT 1
+    ) p ON true
+    WHERE b.deleted_at IS NULL AND b.hidden_at IS NULL
+      AND (s.text IS NULL
+        OR public.bench_search_vector(b.title, b.description, b.accessibility_notes) @@ s.tsq
+        OR s.text <% public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  ),
+  filtered AS (
+    SELECT m.*, COUNT(*) OVER () AS total_count
+    FROM matches m
+    -- With a dimension picked, benches nobody rated on it never pass min_rating and sort last
+    WHERE min_rating IS NULL
+      OR (rating_dimension IS NULL AND m.avg_rating >= min_rating)
+      OR m.dimension_rating >= min_rating
+    ORDER BY
+      CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN
+        CASE WHEN rating_dimension IS NULL THEN m.rating_score ELSE m.dimension_rating END
+      END DESC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN m.ratings_count END DESC,
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      m.created_at DESC,
+      m.id
+    LIMIT page_limit OFFSET page_offset
+  )
+  -- Headlines only for the returned page, ts_headline is expensive
+  SELECT
+    f.id, f.user_id, f.title, f.description, f.latitude, f.longitude,
+    f.view_type, f.accessibility_notes, f.created_at,
+    f.avg_rating, f.ratings_count, f.rating_score, f.dimension_rating, f.primary_photo_url, f.distance_meters, f.rank,
+    CASE WHEN f.tsq IS NULL THEN NULL
+      ELSE ts_headline('english', f.title, f.tsq, 'StartSel=[[, StopSel=]], HighlightAll=true') END,
+    CASE WHEN f.tsq IS NULL OR f.description IS NULL THEN NULL
+      ELSE ts_headline('english', f.description, f.tsq, 'StartSel=[[, StopSel=]], MaxWords=20, MinWords=8') END,
+    f.total_count
+  FROM filtered f
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN f.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN
+      CASE WHEN rating_dimension IS NULL THEN f.rating_score ELSE f.dimension_rating END
+    END DESC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN f.ratings_count END DESC,
+    CASE WHEN sort_by = 'relevance' THEN f.rank END DESC,
+    f.created_at DESC,
+    f.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_benches TO anon, authenticated;
@@ -0,0 +1,163 @@
+-- Comment edits and deletion
+--
+-- Comments are only edited and deleted through edit_comment and delete_comment.
+-- An edit keeps the previous text in comment_revisions. Deleting a comment that
+-- has replies leaves a placeholder (deleted_at set, text cleared) so the thread
+-- keeps its shape; the placeholder goes once its last reply is deleted.
+
+ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS edited_at timestamp with time zone;
+
+ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS public.comment_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  comment_id uuid NOT NULL REFERENCES public.comments(id),
+  text text NOT NULL,  -- the text before the edit
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comment_revisions_comment_id_idx ON public.comment_revisions(comment_id, created_at DESC);
+
+ALTER TABLE public.comment_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Comment revisions are viewable with their comment" ON public.comment_revisions
+  FOR SELECT USING (EXISTS (
+    SELECT 1 FROM public.comments c
+    WHERE c.id = comment_id AND c.deleted_at IS NULL AND c.hidden_at IS NULL
+  ));
+
+-- Without UPDATE and DELETE policies on public.comments edits and deletes
+-- cannot skip the log. The policies came with the project schema, so they are
+-- dropped by their command rather than their name.
+DO $$
+DECLARE
+  comment_policy record;
+BEGIN
+  FOR comment_policy IN
+    SELECT policyname FROM pg_policies
+    WHERE schemaname = 'public' AND tablename = 'comments' AND cmd IN ('UPDATE', 'DELETE')
+  LOOP
+    EXECUTE format('DROP POLICY %I ON public.comments', comment_policy.policyname);
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.edit_comment(target_comment_id uuid, new_text text)
+RETURNS public.comments
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current comments;
+  updated comments;
+BEGIN
+  SELECT * INTO current FROM comments
+  WHERE id = target_comment_id AND user_id = auth.uid() AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF coalesce(trim(new_text), '') = '' THEN
+    RAISE EXCEPTION 'Comment cannot be empty';
+  END IF;
+  IF current.text = new_text THEN
+    RETURN current;
+  END IF;
+
+  INSERT INTO comment_revisions (comment_id, text) VALUES (current.id, current.text);
+
+  UPDATE comments SET text = new_text, edited_at = now()
+  WHERE id = target_comment_id
+  RETURNING * INTO updated;
+
+  RETURN updated;
+END;
+$$;
+
+-- Returns true when a placeholder was kept for the replies
+CREATE OR REPLACE FUNCTION public.delete_comment(target_comment_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current comments;
+BEGIN
+  SELECT * INTO current FROM comments
+  WHERE id = target_comment_id AND user_id = auth.uid() AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM comments c WHERE c.parent_id = target_comment_id) THEN
+    DELETE FROM notifications n WHERE n.comment_id = target_comment_id;
+    DELETE FROM comment_likes cl WHERE cl.comment_id = target_comment_id;
+    DELETE FROM comment_revisions cr WHERE cr.comment_id = target_comment_id;
+    UPDATE comments SET text = '', deleted_at = now() WHERE id = target_comment_id;
+    RETURN true;
+  END IF;
+
+  PERFORM purge_comment(target_comment_id);
+
+  IF current.parent_id IS NOT NULL AND EXISTS (
+    SELECT 1 FROM comments p
+    WHERE p.id = current.parent_id AND p.deleted_at IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM comments c WHERE c.parent_id = p.id)
+  ) THEN
+    PERFORM purge_comment(current.parent_id);
+  END IF;
+
+  RETURN false;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.edit_comment TO authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_comment TO authenticated;
+
+-- purge_bench and purge_comment also remove comment revisions
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
+
+-- Internal: delete a comment with its replies, likes and notifications
+CREATE OR REPLACE FUNCTION public.purge_comment(target_comment_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.comment_id IN (SELECT c.id FROM comments c WHERE c.id = target_comment_id OR c.parent_id = target_comment_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.id = target_comment_id OR c.parent_id = target_comment_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.id = target_comment_id OR c.parent_id = target_comment_id);
+  DELETE FROM comments c WHERE c.parent_id = target_comment_id;
+  DELETE FROM comments c WHERE c.id = target_comment_id;
+END;
+$$;
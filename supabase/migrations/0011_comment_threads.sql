@@ -0,0 +1,67 @@
+-- Deep comment threads: purging a comment takes every reply below it,
+-- however deep, and deleting one also removes the placeholders it leaves
+-- without replies, up the thread.
+
+-- Internal: delete a comment with its replies, likes and notifications
+CREATE OR REPLACE FUNCTION public.purge_comment(target_comment_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  thread_ids uuid[];
+BEGIN
+  -- The comment and every reply below it, however deep
+  WITH RECURSIVE thread AS (
+    SELECT c.id FROM comments c WHERE c.id = target_comment_id
+    UNION ALL
+    SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+  )
+  SELECT array_agg(id) INTO thread_ids FROM thread;
+
+  DELETE FROM notifications n WHERE n.comment_id = ANY(thread_ids);
+  DELETE FROM comment_likes cl WHERE cl.comment_id = ANY(thread_ids);
+  DELETE FROM comment_revisions cr WHERE cr.comment_id = ANY(thread_ids);
+  DELETE FROM comments c WHERE c.id = ANY(thread_ids);
+END;
+$$;
+
+-- Returns true when a placeholder was kept for the replies
+CREATE OR REPLACE FUNCTION public.delete_comment(target_comment_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current comments;
+  emptied comments;
+BEGIN
+  SELECT * INTO current FROM comments
+  WHERE id = target_comment_id AND user_id = auth.uid() AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM comments c WHERE c.parent_id = target_comment_id) THEN
+    DELETE FROM notifications n WHERE n.comment_id = target_comment_id;
+    DELETE FROM comment_likes cl WHERE cl.comment_id = target_comment_id;
+    DELETE FROM comment_revisions cr WHERE cr.comment_id = target_comment_id;
+    UPDATE comments SET text = '', deleted_at = now() WHERE id = target_comment_id;
+    RETURN true;
+  END IF;
+
+  PERFORM purge_comment(target_comment_id);
+
+  -- Placeholders left without replies go too, up the thread
+  LOOP
+    SELECT * INTO emptied FROM comments p
+    WHERE p.id = current.parent_id AND p.deleted_at IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM comments c WHERE c.parent_id = p.id);
+    EXIT WHEN NOT FOUND;
+    PERFORM purge_comment(emptied.id);
+    current := emptied;
+  END LOOP;
+
+  RETURN false;
+END;
+$$;
@@ -0,0 +1,207 @@
+-- Comment mentions
+--
+-- A mention is stored with the mentioned user and the range of the @handle in
+-- the comment text (JavaScript string indices, end exclusive), so the app can
+-- show the current username after a rename. Mentions are only written with the
+-- comment: inserted right after it, replaced by edit_comment and removed by
+-- delete_comment, purge_comment and purge_bench (the comment_mentions lines in
+-- those functions above).
+
+CREATE TABLE IF NOT EXISTS public.comment_mentions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  comment_id uuid NOT NULL REFERENCES public.comments(id),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  start_index integer NOT NULL CHECK (start_index >= 0),
+  end_index integer NOT NULL CHECK (end_index > start_index),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE (comment_id, start_index)
+);
+
+CREATE INDEX IF NOT EXISTS comment_mentions_user_id_idx ON public.comment_mentions(user_id);
+
+ALTER TABLE public.comment_mentions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Comment mentions are viewable with their comment" ON public.comment_mentions
+  FOR SELECT USING (EXISTS (
+    SELECT 1 FROM public.comments c
+    WHERE c.id = comment_id AND c.hidden_at IS NULL
+  ));
+
+CREATE POLICY "Users can add mentions to their own comments" ON public.comment_mentions
+  FOR INSERT WITH CHECK (EXISTS (
+    SELECT 1 FROM public.comments c
+    WHERE c.id = comment_id AND c.user_id = auth.uid() AND c.deleted_at IS NULL
+  ));
+
+-- Backfill from the @handles already in comments, for usernames that exist
+-- today (indices count characters, which matches JavaScript outside of emoji)
+DO $$
+DECLARE
+  c record;
+  handle text;
+  search_from int;
+  found_at int;
+BEGIN
+  FOR c IN SELECT id, text FROM comments WHERE text LIKE '%@%' AND deleted_at IS NULL LOOP
+    FOR handle IN SELECT DISTINCT m[1] FROM regexp_matches(c.text, '@(\w+)', 'g') AS m LOOP
+      search_from := 1;
+      LOOP
+        found_at := strpos(substr(c.text, search_from), '@' || handle);
+        EXIT WHEN found_at = 0;
+        found_at := search_from + found_at - 1;
+        search_from := found_at + length(handle) + 1;
+
+        -- "@ana" inside "@anabela" is not a mention of ana
+        CONTINUE WHEN substr(c.text, search_from, 1) ~ '\w'
+          OR (found_at > 1 AND substr(c.text, found_at - 1, 1) ~ '\w');
+
+        INSERT INTO comment_mentions (comment_id, user_id, start_index, end_index)
+        SELECT c.id, p.id, found_at - 1, found_at + length(handle)
+        FROM profiles p WHERE p.username = handle
+        ON CONFLICT DO NOTHING;
+      END LOOP;
+    END LOOP;
+  END LOOP;
+END;
+$$;
+
+-- Purging, editing and deleting comments keeps their mentions in step
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_mentions cm
+  WHERE cm.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
+
+-- Internal: delete a comment with its replies, likes and notifications
+CREATE OR REPLACE FUNCTION public.purge_comment(target_comment_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  thread_ids uuid[];
+BEGIN
+  -- The comment and every reply below it, however deep
+  WITH RECURSIVE thread AS (
+    SELECT c.id FROM comments c WHERE c.id = target_comment_id
+    UNION ALL
+    SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+  )
+  SELECT array_agg(id) INTO thread_ids FROM thread;
+
+  DELETE FROM notifications n WHERE n.comment_id = ANY(thread_ids);
+  DELETE FROM comment_likes cl WHERE cl.comment_id = ANY(thread_ids);
+  DELETE FROM comment_revisions cr WHERE cr.comment_id = ANY(thread_ids);
+  DELETE FROM comment_mentions cm WHERE cm.comment_id = ANY(thread_ids);
+  DELETE FROM comments c WHERE c.id = ANY(thread_ids);
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.edit_comment(uuid, text);
+
+-- new_mentions: comment_mentions rows ({ user_id, start_index, end_index }) for new_text
+CREATE OR REPLACE FUNCTION public.edit_comment(target_comment_id uuid, new_text text, new_mentions jsonb DEFAULT '[]'::jsonb)
+RETURNS public.comments
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current comments;
+  updated comments;
+BEGIN
+  SELECT * INTO current FROM comments
+  WHERE id = target_comment_id AND user_id = auth.uid() AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF coalesce(trim(new_text), '') = '' THEN
+    RAISE EXCEPTION 'Comment cannot be empty';
+  END IF;
+
+  DELETE FROM comment_mentions cm WHERE cm.comment_id = target_comment_id;
+  INSERT INTO comment_mentions (comment_id, user_id, start_index, end_index)
+  SELECT target_comment_id, m.user_id, m.start_index, m.end_index
+  FROM jsonb_to_recordset(coalesce(new_mentions, '[]'::jsonb)) AS m(user_id uuid, start_index int, end_index int)
+  WHERE m.end_index <= length(new_text)
+  ON CONFLICT DO NOTHING;
+
+  IF current.text = new_text THEN
+    RETURN current;
+  END IF;
+
+  INSERT INTO comment_revisions (comment_id, text) VALUES (current.id, current.text);
+
+  UPDATE comments SET text = new_text, edited_at = now()
+  WHERE id = target_comment_id
+  RETURNING * INTO updated;
+
+  RETURN updated;
+END;
+$$;
+
+-- Returns true when a placeholder was kept for the replies
+CREATE OR REPLACE FUNCTION public.delete_comment(target_comment_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  current comments;
+  emptied comments;
+BEGIN
+  SELECT * INTO current FROM comments
+  WHERE id = target_comment_id AND user_id = auth.uid() AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM comments c WHERE c.parent_id = target_comment_id) THEN
+    DELETE FROM notifications n WHERE n.comment_id = target_comment_id;
+    DELETE FROM comment_likes cl WHERE cl.comment_id = target_comment_id;
+    DELETE FROM comment_revisions cr WHERE cr.comment_id = target_comment_id;
+    DELETE FROM comment_mentions cm WHERE cm.comment_id = target_comment_id;
+    UPDATE comments SET text = '', deleted_at = now() WHERE id = target_comment_id;
+    RETURN true;
+  END IF;
+
+  PERFORM purge_comment(target_comment_id);
+
+  -- Placeholders left without replies go too, up the thread
+  LOOP
+    SELECT * INTO emptied FROM comments p
+    WHERE p.id = current.parent_id AND p.deleted_at IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM comments c WHERE c.parent_id = p.id);
+    EXIT WHEN NOT FOUND;
+    PERFORM purge_comment(emptied.id);
+    current := emptied;
+  END LOOP;
+
+  RETURN false;
+END;
+$$;
@@ -0,0 +1,316 @@
+-- Hashtags
+--
+-- Tags in bench descriptions and comment text are indexed in bench_tags by
+-- triggers, one row per tag per description or comment (comment_id is null for
+-- the description). A row keeps the time the tag was first used there, which
+-- trending tags count from. The pattern matches utils/hashtags HASHTAG_PATTERN;
+-- purge_bench and purge_comment delete the rows of what they purge (the
+-- bench_tags lines in those functions above).
+
+CREATE TABLE IF NOT EXISTS public.bench_tags (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tag text NOT NULL CHECK (tag ~ '^[a-z0-9_]{2,30}$'),
+  bench_id uuid NOT NULL REFERENCES public.benches(id),
+  comment_id uuid REFERENCES public.comments(id),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE NULLS NOT DISTINCT (bench_id, comment_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS bench_tags_tag_idx ON public.bench_tags(tag, bench_id);
+CREATE INDEX IF NOT EXISTS bench_tags_created_at_idx ON public.bench_tags(created_at DESC);
+
+ALTER TABLE public.bench_tags ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Bench tags are viewable by everyone" ON public.bench_tags
+  FOR SELECT USING (true);
+
+CREATE OR REPLACE FUNCTION public.extract_hashtags(body text)
+RETURNS SETOF text
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT DISTINCT lower(m[2])
+  FROM regexp_matches(coalesce(body, ''), '(^|[^A-Za-z0-9_#])#([A-Za-z0-9_]{2,30})(?![A-Za-z0-9_])', 'g') AS m;
+$$;
+
+-- Keep the tags of a description or comment in step with its text
+CREATE OR REPLACE FUNCTION public.sync_bench_tags(target_bench_id uuid, target_comment_id uuid, body text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM bench_tags bt
+  WHERE bt.bench_id = target_bench_id
+    AND bt.comment_id IS NOT DISTINCT FROM target_comment_id
+    AND bt.tag NOT IN (SELECT public.extract_hashtags(body));
+
+  INSERT INTO bench_tags (tag, bench_id, comment_id)
+  SELECT t, target_bench_id, target_comment_id FROM public.extract_hashtags(body) AS t
+  ON CONFLICT DO NOTHING;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.sync_bench_tags FROM public, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.index_bench_tags()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'benches' THEN
+    PERFORM public.sync_bench_tags(NEW.id, NULL, NEW.description);
+  ELSE
+    PERFORM public.sync_bench_tags(NEW.bench_id, NEW.id, NEW.text);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS benches_index_tags ON public.benches;
+
+CREATE TRIGGER benches_index_tags
+  AFTER INSERT OR UPDATE OF description ON public.benches
+  FOR EACH ROW EXECUTE FUNCTION public.index_bench_tags();
+
+-- A deleted comment placeholder has its text cleared, which drops its tags
+DROP TRIGGER IF EXISTS comments_index_tags ON public.comments;
+
+CREATE TRIGGER comments_index_tags
+  AFTER INSERT OR UPDATE OF text ON public.comments
+  FOR EACH ROW EXECUTE FUNCTION public.index_bench_tags();
+
+-- Backfill
+SELECT public.sync_bench_tags(b.id, NULL, b.description) FROM public.benches b;
+
+SELECT public.sync_bench_tags(c.bench_id, c.id, c.text) FROM public.comments c;
+
+-- Tags on the most benches (visible ones, through visible comments) in the
+-- last since_days days, then the most uses
+CREATE OR REPLACE FUNCTION public.get_trending_tags(since_days integer DEFAULT 7, tag_limit integer DEFAULT 12)
+RETURNS TABLE (tag text, bench_count integer, use_count integer)
+LANGUAGE sql STABLE
+AS $$
+  SELECT bt.tag, COUNT(DISTINCT bt.bench_id)::integer, COUNT(*)::integer
+  FROM public.bench_tags bt
+  JOIN public.benches b ON b.id = bt.bench_id
+  LEFT JOIN public.comments c ON c.id = bt.comment_id
+  WHERE bt.created_at >= now() - make_interval(days => since_days)
+    AND b.deleted_at IS NULL AND b.hidden_at IS NULL
+    AND c.hidden_at IS NULL
+  GROUP BY bt.tag
+  ORDER BY 2 DESC, 3 DESC, bt.tag
+  LIMIT tag_limit;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_trending_tags TO anon, authenticated;
+
+-- search_benches takes tag_filter, a tag without the #
+
+DROP FUNCTION IF EXISTS public.search_benches(text, text, text, numeric, text, double precision, double precision, double precision, text, integer, integer);
+
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  search_tsquery text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  rating_dimension text DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0,
+  tag_filter text DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  rating_score numeric,
+  dimension_rating numeric,
+  primary_photo_url text,
+  distance_meters double precision,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  search AS (
+    SELECT
+      CASE WHEN search_tsquery IS NULL THEN NULL ELSE to_tsquery('english', search_tsquery) END AS tsq,
+      lower(search_query) AS text
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      -- Bayesian average: every bench starts with 5 ratings of 3 (utils/ratings RATING_PRIOR_*)
+      (5 * 3 + COALESCE(r.avg_rating * r.ratings_count, 0)) / (5 + COALESCE(r.ratings_count, 0)) AS rating_score,
+      CASE rating_dimension
+        WHEN 'view' THEN r.avg_view
+        WHEN 'comfort' THEN r.avg_comfort
+        WHEN 'shade' THEN r.avg_shade
+        WHEN 'quietness' THEN r.avg_quietness
+        WHEN 'cleanliness' THEN r.avg_cleanliness
+        WHEN 'accessibility' THEN r.avg_accessibility
+      END AS dimension_rating,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters,
+      CASE WHEN s.text IS NULL THEN 0 ELSE (
+        COALESCE(ts_rank_cd(public.bench_search_vector(b.title, b.description, b.accessibility_notes), s.tsq), 0)
+        + word_similarity(s.text, public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      )::real END AS rank,
+      s.tsq
+    FROM public.benches b
+    CROSS JOIN origin o
+    CROSS JOIN search s
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count,
+        -- AVG skips ratings that left an optional dimension out
+        AVG(br.view_rating) AS avg_view,
+        AVG(br.comfort_rating) AS avg_comfort,
+        AVG(br.shade_rating) AS avg_shade,
+        AVG(br.quietness_rating) AS avg_quietness,
+        AVG(br.cleanliness_rating) AS avg_cleanliness,
+        AVG(br.accessibility_rating) AS avg_accessibility
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary AND bp.hidden_at IS NULL
+      LIMIT 1
+    ) p ON true
+    WHERE b.deleted_at IS NULL AND b.hidden_at IS NULL
+      AND (s.text IS NULL
+        OR public.bench_search_vector(b.title, b.description, b.accessibility_notes) @@ s.tsq
+        OR s.text <% public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      -- Tagged in the description or a visible comment (0013_hashtags)
+      AND (tag_filter IS NULL OR EXISTS (
+        SELECT 1 FROM public.bench_tags bt
+        LEFT JOIN public.comments c ON c.id = bt.comment_id
+        WHERE bt.bench_id = b.id AND bt.tag = tag_filter AND c.hidden_at IS NULL
+      ))
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  ),
+  filtered AS (
+    SELECT m.*, COUNT(*) OVER () AS total_count
+    FROM matches m
+    -- With a dimension picked, benches nobody rated on it never pass min_rating and sort last
+    WHERE min_rating IS NULL
+      OR (rating_dimension IS NULL AND m.avg_rating >= min_rating)
+      OR m.dimension_rating >= min_rating
+    ORDER BY
+      CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN
+        CASE WHEN rating_dimension IS NULL THEN m.rating_score ELSE m.dimension_rating END
+      END DESC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN m.ratings_count END DESC,
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      m.created_at DESC,
+      m.id
+    LIMIT page_limit OFFSET page_offset
+  )
+  -- Headlines only for the returned page, ts_headline is expensive
+  SELECT
+    f.id, f.user_id, f.title, f.description, f.latitude, f.longitude,
+    f.view_type, f.accessibility_notes, f.created_at,
+    f.avg_rating, f.ratings_count, f.rating_score, f.dimension_rating, f.primary_photo_url, f.distance_meters, f.rank,
+    CASE WHEN f.tsq IS NULL THEN NULL
+      ELSE ts_headline('english', f.title, f.tsq, 'StartSel=[[, StopSel=]], HighlightAll=true') END,
+    CASE WHEN f.tsq IS NULL OR f.description IS NULL THEN NULL
+      ELSE ts_headline('english', f.description, f.tsq, 'StartSel=[[, StopSel=]], MaxWords=20, MinWords=8') END,
+    f.total_count
+  FROM filtered f
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN f.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN
+      CASE WHEN rating_dimension IS NULL THEN f.rating_score ELSE f.dimension_rating END
+    END DESC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN f.ratings_count END DESC,
+    CASE WHEN sort_by = 'relevance' THEN f.rank END DESC,
+    f.created_at DESC,
+    f.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_benches TO anon, authenticated;
+
+-- purge_bench and purge_comment also remove the tags they indexed
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_mentions cm
+  WHERE cm.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM bench_tags bt WHERE bt.bench_id = target_bench_id;
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
+
+-- Internal: delete a comment with its replies, likes and notifications
+CREATE OR REPLACE FUNCTION public.purge_comment(target_comment_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  thread_ids uuid[];
+BEGIN
+  -- The comment and every reply below it, however deep
+  WITH RECURSIVE thread AS (
+    SELECT c.id FROM comments c WHERE c.id = target_comment_id
+    UNION ALL
+    SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+  )
+  SELECT array_agg(id) INTO thread_ids FROM thread;
+
+  DELETE FROM notifications n WHERE n.comment_id = ANY(thread_ids);
+  DELETE FROM comment_likes cl WHERE cl.comment_id = ANY(thread_ids);
+  DELETE FROM comment_revisions cr WHERE cr.comment_id = ANY(thread_ids);
+  DELETE FROM comment_mentions cm WHERE cm.comment_id = ANY(thread_ids);
+  DELETE FROM bench_tags bt WHERE bt.comment_id = ANY(thread_ids);
+  DELETE FROM comments c WHERE c.id = ANY(thread_ids);
+END;
+$$;
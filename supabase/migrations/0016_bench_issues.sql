@@ -0,0 +1,402 @@
+-- Bench issues
+--
+-- Issues are filed, confirmed and resolved only through the functions below.
+-- confirm_bench_issue confirms an issue at 3 confirmations from other users
+-- (ISSUE_CONFIRMATIONS_NEEDED). refresh_bench_issues keeps the two bench columns
+-- lists and the map read: open_issue_count (open and confirmed issues) and
+-- removed_at, set while a "removed" issue is confirmed. Issue photos live in the
+-- bench-photos bucket under {user_id}/{bench_id}/issues/ and are returned by
+-- purge_bench with the bench photos.
+
+ALTER TABLE public.benches
+  ADD COLUMN IF NOT EXISTS open_issue_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS removed_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS public.bench_issues (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bench_id uuid NOT NULL REFERENCES public.benches(id),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  category text NOT NULL CHECK (category IN ('broken', 'vandalised', 'removed', 'unsafe', 'other')),
+  description text NOT NULL CHECK (char_length(description) BETWEEN 1 AND 500),
+  photo_url text,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'confirmed', 'resolved')),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  confirmed_at timestamp with time zone,
+  resolved_by uuid REFERENCES public.profiles(id),
+  resolved_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS bench_issues_bench_id_idx
+  ON public.bench_issues(bench_id, created_at DESC);
+
+-- One unresolved issue per bench and category, later reporters confirm it
+CREATE UNIQUE INDEX IF NOT EXISTS bench_issues_unresolved_idx
+  ON public.bench_issues(bench_id, category) WHERE status <> 'resolved';
+
+CREATE TABLE IF NOT EXISTS public.bench_issue_confirmations (
+  issue_id uuid NOT NULL REFERENCES public.bench_issues(id),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (issue_id, user_id)
+);
+
+ALTER TABLE public.bench_issues ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.bench_issue_confirmations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Bench issues are viewable by everyone" ON public.bench_issues
+  FOR SELECT USING (true);
+
+CREATE POLICY "Issue confirmations are viewable by everyone" ON public.bench_issue_confirmations
+  FOR SELECT USING (true);
+
+-- Internal: recount a bench's unresolved issues and mark it gone while a
+-- "removed" issue is confirmed
+CREATE OR REPLACE FUNCTION public.refresh_bench_issues(target_bench_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE benches b SET
+    open_issue_count = (
+      SELECT count(*) FROM bench_issues i
+      WHERE i.bench_id = b.id AND i.status <> 'resolved'
+    ),
+    removed_at = CASE
+      WHEN EXISTS (
+        SELECT 1 FROM bench_issues i
+        WHERE i.bench_id = b.id AND i.category = 'removed' AND i.status = 'confirmed'
+      ) THEN COALESCE(b.removed_at, now())
+    END
+  WHERE b.id = target_bench_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_bench_issues FROM public, anon, authenticated;
+
+-- Internal: lock an unresolved issue on a bench that is not in the trash
+CREATE OR REPLACE FUNCTION public.find_unresolved_issue(target_issue_id uuid)
+RETURNS public.bench_issues
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  issue bench_issues;
+BEGIN
+  SELECT i.* INTO issue FROM bench_issues i
+  JOIN benches b ON b.id = i.bench_id AND b.deleted_at IS NULL
+  WHERE i.id = target_issue_id
+  FOR UPDATE OF i;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF issue.status = 'resolved' THEN
+    RAISE EXCEPTION 'This issue has already been resolved';
+  END IF;
+
+  RETURN issue;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_unresolved_issue FROM public, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.report_bench_issue(
+  target_bench_id uuid,
+  issue_category text,
+  issue_description text,
+  issue_photo_url text DEFAULT NULL
+)
+RETURNS public.bench_issues
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  issue bench_issues;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM benches WHERE id = target_bench_id AND deleted_at IS NULL) THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM bench_issues
+    WHERE bench_id = target_bench_id AND category = issue_category AND status <> 'resolved'
+  ) THEN
+    RAISE EXCEPTION 'This problem has already been reported, confirm it instead';
+  END IF;
+
+  INSERT INTO bench_issues (bench_id, user_id, category, description, photo_url)
+  VALUES (target_bench_id, auth.uid(), issue_category, trim(issue_description), issue_photo_url)
+  RETURNING * INTO issue;
+
+  PERFORM refresh_bench_issues(target_bench_id);
+  RETURN issue;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.confirm_bench_issue(target_issue_id uuid)
+RETURNS public.bench_issues
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  issue bench_issues;
+  confirmations integer;
+BEGIN
+  issue := find_unresolved_issue(target_issue_id);
+
+  IF issue.status = 'confirmed' THEN
+    RAISE EXCEPTION 'This issue has already been confirmed';
+  END IF;
+  IF issue.user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You cannot confirm your own issue';
+  END IF;
+
+  INSERT INTO bench_issue_confirmations (issue_id, user_id)
+  VALUES (target_issue_id, auth.uid())
+  ON CONFLICT (issue_id, user_id) DO NOTHING;
+
+  SELECT count(*) INTO confirmations
+  FROM bench_issue_confirmations c WHERE c.issue_id = target_issue_id;
+
+  IF confirmations >= 3 THEN
+    UPDATE bench_issues SET status = 'confirmed', confirmed_at = now()
+    WHERE id = target_issue_id
+    RETURNING * INTO issue;
+
+    PERFORM refresh_bench_issues(issue.bench_id);
+  END IF;
+
+  RETURN issue;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.resolve_bench_issue(target_issue_id uuid)
+RETURNS public.bench_issues
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  issue bench_issues;
+BEGIN
+  issue := find_unresolved_issue(target_issue_id);
+
+  IF issue.user_id <> auth.uid()
+    AND NOT EXISTS (SELECT 1 FROM benches WHERE id = issue.bench_id AND user_id = auth.uid())
+    AND NOT public.is_moderator() THEN
+    RAISE EXCEPTION 'Only the bench owner, the reporter or a moderator can resolve an issue';
+  END IF;
+
+  UPDATE bench_issues SET status = 'resolved', resolved_by = auth.uid(), resolved_at = now()
+  WHERE id = target_issue_id
+  RETURNING * INTO issue;
+
+  PERFORM refresh_bench_issues(issue.bench_id);
+  RETURN issue;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.report_bench_issue TO authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_bench_issue TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_bench_issue TO authenticated;
+
+-- search_benches returns open_issue_count and removed_at. Same parameters,
+-- but the returned columns changed, so it is dropped first.
+DROP FUNCTION IF EXISTS public.search_benches(text, text, text, numeric, text, double precision, double precision, double precision, text, integer, integer, text, text[], text, boolean);
+
+CREATE OR REPLACE FUNCTION public.search_benches(
+  search_query text DEFAULT NULL,
+  search_tsquery text DEFAULT NULL,
+  view_type_filter text DEFAULT NULL,
+  min_rating numeric DEFAULT NULL,
+  rating_dimension text DEFAULT NULL,
+  user_lat double precision DEFAULT NULL,
+  user_lng double precision DEFAULT NULL,
+  max_distance_meters double precision DEFAULT NULL,
+  sort_by text DEFAULT 'recent',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0,
+  tag_filter text DEFAULT NULL,
+  amenity_filter text[] DEFAULT NULL,
+  material_filter text DEFAULT NULL,
+  accessible_only boolean DEFAULT false
+)
+RETURNS TABLE (
+  id uuid,
+  user_id uuid,
+  title text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  view_type text,
+  accessibility_notes text,
+  created_at timestamp with time zone,
+  open_issue_count integer,
+  removed_at timestamp with time zone,
+  avg_rating numeric,
+  ratings_count integer,
+  rating_score numeric,
+  dimension_rating numeric,
+  primary_photo_url text,
+  distance_meters double precision,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH origin AS (
+    SELECT CASE
+      WHEN user_lat IS NULL OR user_lng IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography
+    END AS point
+  ),
+  search AS (
+    SELECT
+      CASE WHEN search_tsquery IS NULL THEN NULL ELSE to_tsquery('english', search_tsquery) END AS tsq,
+      lower(search_query) AS text
+  ),
+  matches AS (
+    SELECT
+      b.id, b.user_id, b.title, b.description, b.latitude, b.longitude,
+      b.view_type, b.accessibility_notes, b.created_at, b.open_issue_count, b.removed_at,
+      COALESCE(r.avg_rating, 0) AS avg_rating,
+      COALESCE(r.ratings_count, 0) AS ratings_count,
+      -- Bayesian average: every bench starts with 5 ratings of 3 (utils/ratings RATING_PRIOR_*)
+      (5 * 3 + COALESCE(r.avg_rating * r.ratings_count, 0)) / (5 + COALESCE(r.ratings_count, 0)) AS rating_score,
+      CASE rating_dimension
+        WHEN 'view' THEN r.avg_view
+        WHEN 'comfort' THEN r.avg_comfort
+        WHEN 'shade' THEN r.avg_shade
+        WHEN 'quietness' THEN r.avg_quietness
+        WHEN 'cleanliness' THEN r.avg_cleanliness
+        WHEN 'accessibility' THEN r.avg_accessibility
+      END AS dimension_rating,
+      p.photo_url AS primary_photo_url,
+      CASE WHEN o.point IS NULL THEN NULL ELSE ST_Distance(b.location, o.point) END AS distance_meters,
+      CASE WHEN s.text IS NULL THEN 0 ELSE (
+        COALESCE(ts_rank_cd(public.bench_search_vector(b.title, b.description, b.accessibility_notes), s.tsq), 0)
+        + word_similarity(s.text, public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      )::real END AS rank,
+      s.tsq
+    FROM public.benches b
+    CROSS JOIN origin o
+    CROSS JOIN search s
+    LEFT JOIN LATERAL (
+      SELECT
+        AVG((br.view_rating + br.comfort_rating) / 2.0) AS avg_rating,
+        COUNT(*)::integer AS ratings_count,
+        -- AVG skips ratings that left an optional dimension out
+        AVG(br.view_rating) AS avg_view,
+        AVG(br.comfort_rating) AS avg_comfort,
+        AVG(br.shade_rating) AS avg_shade,
+        AVG(br.quietness_rating) AS avg_quietness,
+        AVG(br.cleanliness_rating) AS avg_cleanliness,
+        AVG(br.accessibility_rating) AS avg_accessibility
+      FROM public.bench_ratings br
+      WHERE br.bench_id = b.id
+    ) r ON true
+    LEFT JOIN LATERAL (
+      SELECT bp.photo_url
+      FROM public.bench_photos bp
+      WHERE bp.bench_id = b.id AND bp.is_primary AND bp.hidden_at IS NULL
+      LIMIT 1
+    ) p ON true
+    WHERE b.deleted_at IS NULL AND b.hidden_at IS NULL
+      AND (s.text IS NULL
+        OR public.bench_search_vector(b.title, b.description, b.accessibility_notes) @@ s.tsq
+        OR s.text <% public.bench_search_text(b.title, b.description, b.accessibility_notes))
+      AND (view_type_filter IS NULL OR b.view_type = view_type_filter)
+      -- Every amenity asked for (0014_bench_amenities)
+      AND (amenity_filter IS NULL OR amenity_filter <@ public.bench_amenities(b))
+      AND (material_filter IS NULL OR b.material = material_filter)
+      -- Step-free path and room for a wheelchair (utils/amenities isAccessibleBench)
+      AND (NOT accessible_only OR (b.step_free_access AND b.wheelchair_space))
+      -- Tagged in the description or a visible comment (0013_hashtags)
+      AND (tag_filter IS NULL OR EXISTS (
+        SELECT 1 FROM public.bench_tags bt
+        LEFT JOIN public.comments c ON c.id = bt.comment_id
+        WHERE bt.bench_id = b.id AND bt.tag = tag_filter AND c.hidden_at IS NULL
+      ))
+      AND (max_distance_meters IS NULL OR o.point IS NULL
+        OR ST_DWithin(b.location, o.point, max_distance_meters))
+  ),
+  filtered AS (
+    SELECT m.*, COUNT(*) OVER () AS total_count
+    FROM matches m
+    -- With a dimension picked, benches nobody rated on it never pass min_rating and sort last
+    WHERE min_rating IS NULL
+      OR (rating_dimension IS NULL AND m.avg_rating >= min_rating)
+      OR m.dimension_rating >= min_rating
+    ORDER BY
+      CASE WHEN sort_by = 'distance' THEN m.distance_meters END ASC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN
+        CASE WHEN rating_dimension IS NULL THEN m.rating_score ELSE m.dimension_rating END
+      END DESC NULLS LAST,
+      CASE WHEN sort_by = 'rating' THEN m.ratings_count END DESC,
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      m.created_at DESC,
+      m.id
+    LIMIT page_limit OFFSET page_offset
+  )
+  -- Headlines only for the returned page, ts_headline is expensive
+  SELECT
+    f.id, f.user_id, f.title, f.description, f.latitude, f.longitude,
+    f.view_type, f.accessibility_notes, f.created_at, f.open_issue_count, f.removed_at,
+    f.avg_rating, f.ratings_count, f.rating_score, f.dimension_rating, f.primary_photo_url, f.distance_meters, f.rank,
+    CASE WHEN f.tsq IS NULL THEN NULL
+      ELSE ts_headline('english', f.title, f.tsq, 'StartSel=[[, StopSel=]], HighlightAll=true') END,
+    CASE WHEN f.tsq IS NULL OR f.description IS NULL THEN NULL
+      ELSE ts_headline('english', f.description, f.tsq, 'StartSel=[[, StopSel=]], MaxWords=20, MinWords=8') END,
+    f.total_count
+  FROM filtered f
+  ORDER BY
+    CASE WHEN sort_by = 'distance' THEN f.distance_meters END ASC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN
+      CASE WHEN rating_dimension IS NULL THEN f.rating_score ELSE f.dimension_rating END
+    END DESC NULLS LAST,
+    CASE WHEN sort_by = 'rating' THEN f.ratings_count END DESC,
+    CASE WHEN sort_by = 'relevance' THEN f.rank END DESC,
+    f.created_at DESC,
+    f.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_benches TO anon, authenticated;
+
+-- purge_bench also removes issues and returns their photo URLs
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+-- (issue photos included)
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_mentions cm
+  WHERE cm.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM bench_tags bt WHERE bt.bench_id = target_bench_id;
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+  DELETE FROM bench_issue_confirmations ic
+  WHERE ic.issue_id IN (SELECT i.id FROM bench_issues i WHERE i.bench_id = target_bench_id);
+
+  RETURN QUERY
+  WITH removed AS (
+    DELETE FROM bench_issues i WHERE i.bench_id = target_bench_id RETURNING i.photo_url
+  )
+  SELECT r.photo_url FROM removed r WHERE r.photo_url IS NOT NULL;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
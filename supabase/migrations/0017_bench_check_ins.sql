@@ -0,0 +1,101 @@
+-- Bench check-ins
+--
+-- Visits are only written by check_in_bench, which checks the caller is within
+-- 100 m of the bench (CHECK_IN_RADIUS_METERS) and has not checked in there in
+-- the last hour. Visit history is private to the visitor.
+
+CREATE TABLE IF NOT EXISTS public.bench_visits (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  bench_id uuid NOT NULL REFERENCES public.benches(id),
+  visited_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS bench_visits_user_id_idx ON public.bench_visits(user_id, visited_at DESC);
+CREATE INDEX IF NOT EXISTS bench_visits_bench_id_idx ON public.bench_visits(bench_id);
+
+ALTER TABLE public.bench_visits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Visits are viewable by the visitor" ON public.bench_visits
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.check_in_bench(
+  target_bench_id uuid,
+  user_lat double precision,
+  user_lng double precision
+)
+RETURNS public.bench_visits
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  bench benches;
+  visit bench_visits;
+BEGIN
+  SELECT * INTO bench FROM benches
+  WHERE id = target_bench_id AND deleted_at IS NULL AND hidden_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF ST_Distance(bench.location, ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography) > 100 THEN
+    RAISE EXCEPTION 'You need to be at the bench to check in';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM bench_visits
+    WHERE bench_id = target_bench_id AND user_id = auth.uid() AND visited_at > now() - interval '1 hour'
+  ) THEN
+    RAISE EXCEPTION 'You already checked in here';
+  END IF;
+
+  INSERT INTO bench_visits (user_id, bench_id)
+  VALUES (auth.uid(), target_bench_id)
+  RETURNING * INTO visit;
+
+  RETURN visit;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.check_in_bench TO authenticated;
+
+-- purge_bench also removes the bench's visits
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+-- (issue photos included)
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_mentions cm
+  WHERE cm.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM bench_tags bt WHERE bt.bench_id = target_bench_id;
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+  DELETE FROM bench_issue_confirmations ic
+  WHERE ic.issue_id IN (SELECT i.id FROM bench_issues i WHERE i.bench_id = target_bench_id);
+  DELETE FROM bench_visits v WHERE v.bench_id = target_bench_id;
+
+  RETURN QUERY
+  WITH removed AS (
+    DELETE FROM bench_issues i WHERE i.bench_id = target_bench_id RETURNING i.photo_url
+  )
+  SELECT r.photo_url FROM removed r WHERE r.photo_url IS NOT NULL;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
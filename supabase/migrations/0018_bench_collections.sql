@@ -0,0 +1,211 @@
+-- Bench collections
+--
+-- Collections are public, visible to the owner's followers, or private;
+-- can_view_collection() backs the policies on all three tables. Benches are
+-- added through add_bench_to_collection, which notifies the followers who can
+-- still see the collection (and did not block or mute the owner).
+-- delete_collection removes a collection with its benches, follows and
+-- notifications. Cover photos go in the bench-photos bucket under
+-- <user id>/collections/.
+
+CREATE TABLE IF NOT EXISTS public.collections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  title text NOT NULL CHECK (char_length(title) BETWEEN 1 AND 80),
+  description text CHECK (char_length(description) <= 500),
+  cover_photo_url text,
+  visibility text NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'followers', 'private')),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS collections_user_id_idx ON public.collections(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.collection_benches (
+  collection_id uuid NOT NULL REFERENCES public.collections(id),
+  bench_id uuid NOT NULL REFERENCES public.benches(id),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (collection_id, bench_id)
+);
+
+CREATE INDEX IF NOT EXISTS collection_benches_bench_id_idx ON public.collection_benches(bench_id);
+
+CREATE TABLE IF NOT EXISTS public.collection_follows (
+  collection_id uuid NOT NULL REFERENCES public.collections(id),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  PRIMARY KEY (collection_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS collection_follows_user_id_idx ON public.collection_follows(user_id);
+
+-- Followers are told when a bench is added to a collection they follow
+ALTER TABLE public.notifications
+  ADD COLUMN IF NOT EXISTS collection_id uuid REFERENCES public.collections(id);
+
+ALTER TABLE public.notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+
+ALTER TABLE public.notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+  'follow', 'favorite', 'comment', 'reply', 'mention', 'comment_like', 'rating',
+  'content_hidden', 'content_restored', 'content_removed', 'collection_bench'
+));
+
+CREATE OR REPLACE FUNCTION public.can_view_collection(target_collection_id uuid, viewer uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM collections c
+    WHERE c.id = target_collection_id
+      AND (
+        c.visibility = 'public'
+        OR c.user_id = viewer
+        OR (c.visibility = 'followers' AND EXISTS (
+          SELECT 1 FROM follows f WHERE f.follower_id = viewer AND f.following_id = c.user_id
+        ))
+      )
+  );
+$$;
+
+ALTER TABLE public.collections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Collections are viewable by whoever they are shared with" ON public.collections
+  FOR SELECT USING (public.can_view_collection(id, auth.uid()));
+
+CREATE POLICY "Users can create their own collections" ON public.collections
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own collections" ON public.collections
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Deletes go through delete_collection
+
+ALTER TABLE public.collection_benches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Collection benches are viewable with the collection" ON public.collection_benches
+  FOR SELECT USING (public.can_view_collection(collection_id, auth.uid()));
+
+CREATE POLICY "Owners can remove benches from their collections" ON public.collection_benches
+  FOR DELETE USING (
+    EXISTS (SELECT 1 FROM collections c WHERE c.id = collection_id AND c.user_id = auth.uid())
+  );
+
+-- Inserts go through add_bench_to_collection
+
+ALTER TABLE public.collection_follows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Collection follows are viewable with the collection" ON public.collection_follows
+  FOR SELECT USING (public.can_view_collection(collection_id, auth.uid()));
+
+CREATE POLICY "Users can follow collections they can see" ON public.collection_follows
+  FOR INSERT WITH CHECK (auth.uid() = user_id AND public.can_view_collection(collection_id, auth.uid()));
+
+CREATE POLICY "Users can unfollow collections" ON public.collection_follows
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Adding a bench that is already in the collection returns the existing row
+-- without notifying anyone again
+CREATE OR REPLACE FUNCTION public.add_bench_to_collection(target_collection_id uuid, target_bench_id uuid)
+RETURNS public.collection_benches
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  entry collection_benches;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM collections WHERE id = target_collection_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Collection not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM benches WHERE id = target_bench_id AND deleted_at IS NULL AND hidden_at IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT * INTO entry FROM collection_benches
+  WHERE collection_id = target_collection_id AND bench_id = target_bench_id;
+  IF FOUND THEN
+    RETURN entry;
+  END IF;
+
+  INSERT INTO collection_benches (collection_id, bench_id)
+  VALUES (target_collection_id, target_bench_id)
+  RETURNING * INTO entry;
+
+  INSERT INTO notifications (user_id, actor_id, type, bench_id, collection_id, is_read)
+  SELECT cf.user_id, auth.uid(), 'collection_bench', target_bench_id, target_collection_id, false
+  FROM collection_follows cf
+  WHERE cf.collection_id = target_collection_id
+    AND cf.user_id <> auth.uid()
+    AND public.can_view_collection(target_collection_id, cf.user_id)
+    AND NOT public.has_blocked(cf.user_id, auth.uid(), true);
+
+  RETURN entry;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.delete_collection(target_collection_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM collections WHERE id = target_collection_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Collection not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  DELETE FROM notifications n WHERE n.collection_id = target_collection_id;
+  DELETE FROM collection_follows cf WHERE cf.collection_id = target_collection_id;
+  DELETE FROM collection_benches cb WHERE cb.collection_id = target_collection_id;
+  DELETE FROM collections c WHERE c.id = target_collection_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.add_bench_to_collection TO authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_collection TO authenticated;
+
+-- purge_bench also takes the bench out of collections
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+-- (issue photos included)
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_mentions cm
+  WHERE cm.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM bench_tags bt WHERE bt.bench_id = target_bench_id;
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+  DELETE FROM bench_issue_confirmations ic
+  WHERE ic.issue_id IN (SELECT i.id FROM bench_issues i WHERE i.bench_id = target_bench_id);
+  DELETE FROM bench_visits v WHERE v.bench_id = target_bench_id;
+  DELETE FROM collection_benches cb WHERE cb.bench_id = target_bench_id;
+
+  RETURN QUERY
+  WITH removed AS (
+    DELETE FROM bench_issues i WHERE i.bench_id = target_bench_id RETURNING i.photo_url
+  )
+  SELECT r.photo_url FROM removed r WHERE r.photo_url IS NOT NULL;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
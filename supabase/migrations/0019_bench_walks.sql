@@ -0,0 +1,148 @@
+-- Bench walks
+--
+-- Walks are public. Their stops are only written through save_walk, which
+-- replaces every stop of the walk in one go so positions stay 1..n in walk
+-- order, and delete_walk removes a walk with its stops. Distance and time are
+-- computed in the app from the bench coordinates.
+
+CREATE TABLE IF NOT EXISTS public.walks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id),
+  title text NOT NULL CHECK (char_length(title) BETWEEN 1 AND 80),
+  description text CHECK (char_length(description) <= 1000),
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS walks_user_id_idx ON public.walks(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.walk_stops (
+  walk_id uuid NOT NULL REFERENCES public.walks(id),
+  position integer NOT NULL CHECK (position > 0),
+  bench_id uuid NOT NULL REFERENCES public.benches(id),
+  PRIMARY KEY (walk_id, position),
+  UNIQUE (walk_id, bench_id)
+);
+
+CREATE INDEX IF NOT EXISTS walk_stops_bench_id_idx ON public.walk_stops(bench_id);
+
+ALTER TABLE public.walks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Walks are viewable by everyone" ON public.walks
+  FOR SELECT USING (true);
+
+-- Inserts, updates and deletes go through save_walk and delete_walk
+
+ALTER TABLE public.walk_stops ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Walk stops are viewable by everyone" ON public.walk_stops
+  FOR SELECT USING (true);
+
+CREATE OR REPLACE FUNCTION public.save_walk(
+  target_walk_id uuid,
+  walk_title text,
+  walk_description text,
+  bench_ids uuid[]
+)
+RETURNS public.walks
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  saved walks;
+BEGIN
+  IF coalesce(array_length(bench_ids, 1), 0) < 2 THEN
+    RAISE EXCEPTION 'A walk needs at least two benches';
+  END IF;
+  IF (
+    SELECT count(*) FROM benches
+    WHERE id = ANY(bench_ids) AND deleted_at IS NULL AND hidden_at IS NULL
+  ) <> array_length(bench_ids, 1) THEN
+    RAISE EXCEPTION 'Bench not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF target_walk_id IS NULL THEN
+    INSERT INTO walks (user_id, title, description)
+    VALUES (auth.uid(), walk_title, walk_description)
+    RETURNING * INTO saved;
+  ELSE
+    UPDATE walks
+    SET title = walk_title, description = walk_description, updated_at = now()
+    WHERE id = target_walk_id AND user_id = auth.uid()
+    RETURNING * INTO saved;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Walk not found' USING ERRCODE = 'P0002';
+    END IF;
+    DELETE FROM walk_stops ws WHERE ws.walk_id = saved.id;
+  END IF;
+
+  INSERT INTO walk_stops (walk_id, position, bench_id)
+  SELECT saved.id, stop.position, stop.bench_id
+  FROM unnest(bench_ids) WITH ORDINALITY AS stop(bench_id, position);
+
+  RETURN saved;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.delete_walk(target_walk_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM walks WHERE id = target_walk_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Walk not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  DELETE FROM walk_stops ws WHERE ws.walk_id = target_walk_id;
+  DELETE FROM walks w WHERE w.id = target_walk_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.save_walk TO authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_walk TO authenticated;
+
+-- purge_bench also takes the bench off walks
+
+-- Internal: delete a bench and everything referencing it, returns its photo URLs
+-- (issue photos included)
+CREATE OR REPLACE FUNCTION public.purge_bench(target_bench_id uuid)
+RETURNS TABLE (photo_url text)
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM notifications n
+  WHERE n.bench_id = target_bench_id
+    OR n.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_likes cl
+  WHERE cl.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_revisions cr
+  WHERE cr.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM comment_mentions cm
+  WHERE cm.comment_id IN (SELECT c.id FROM comments c WHERE c.bench_id = target_bench_id);
+  DELETE FROM bench_tags bt WHERE bt.bench_id = target_bench_id;
+  DELETE FROM comments c WHERE c.bench_id = target_bench_id;
+  DELETE FROM bench_ratings r WHERE r.bench_id = target_bench_id;
+  DELETE FROM favorites f WHERE f.bench_id = target_bench_id;
+  DELETE FROM bench_revisions br WHERE br.bench_id = target_bench_id;
+  DELETE FROM bench_location_votes lv
+  WHERE lv.proposal_id IN (SELECT lp.id FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id);
+  DELETE FROM bench_location_proposals lp WHERE lp.bench_id = target_bench_id;
+  DELETE FROM bench_issue_confirmations ic
+  WHERE ic.issue_id IN (SELECT i.id FROM bench_issues i WHERE i.bench_id = target_bench_id);
+  DELETE FROM bench_visits v WHERE v.bench_id = target_bench_id;
+  DELETE FROM collection_benches cb WHERE cb.bench_id = target_bench_id;
+  DELETE FROM walk_stops ws WHERE ws.bench_id = target_bench_id;
+
+  RETURN QUERY
+  WITH removed AS (
+    DELETE FROM bench_issues i WHERE i.bench_id = target_bench_id RETURNING i.photo_url
+  )
+  SELECT r.photo_url FROM removed r WHERE r.photo_url IS NOT NULL;
+
+  RETURN QUERY
+  DELETE FROM bench_photos p WHERE p.bench_id = target_bench_id RETURNING p.photo_url;
+
+  DELETE FROM benches b WHERE b.id = target_bench_id;
+END;
+$$;
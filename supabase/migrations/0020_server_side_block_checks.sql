@@ -0,0 +1,80 @@
+-- Server-side block checks
+--
+-- get_blocked_by told anyone which of a list of users had blocked or muted
+-- them. Blocks are now only checked in the database: follows across a block
+-- are refused by the "No follows across a block" policy, and notifications go
+-- through notify_users, which skips recipients who blocked or muted the
+-- caller without saying so, and anyone the caller's action does not concern.
+
+DROP FUNCTION IF EXISTS public.get_blocked_by(uuid[]);
+
+-- Internal: whether the caller did what a notification_type notification
+-- would tell recipient about
+CREATE OR REPLACE FUNCTION public.can_notify(
+  recipient uuid,
+  notification_type text,
+  target_bench_id uuid,
+  target_comment_id uuid
+)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT CASE notification_type
+    -- The caller commented on the recipient's bench
+    WHEN 'comment' THEN EXISTS (
+      SELECT 1 FROM benches b JOIN comments c ON c.bench_id = b.id
+      WHERE b.id = target_bench_id AND b.user_id = recipient AND c.user_id = auth.uid()
+    )
+    -- The caller replied to the recipient's comment
+    WHEN 'reply' THEN EXISTS (
+      SELECT 1 FROM comments p JOIN comments c ON c.parent_id = p.id
+      WHERE p.id = target_comment_id AND p.user_id = recipient AND c.user_id = auth.uid()
+    )
+    -- The caller mentioned the recipient in their comment
+    WHEN 'mention' THEN EXISTS (
+      SELECT 1 FROM comments c JOIN comment_mentions cm ON cm.comment_id = c.id
+      WHERE c.id = target_comment_id AND c.user_id = auth.uid() AND cm.user_id = recipient
+    )
+    -- The caller liked the recipient's comment
+    WHEN 'comment_like' THEN EXISTS (
+      SELECT 1 FROM comments c JOIN comment_likes cl ON cl.comment_id = c.id
+      WHERE c.id = target_comment_id AND c.user_id = recipient AND cl.user_id = auth.uid()
+    )
+    -- A moderator acted on the recipient's content
+    ELSE public.is_moderator()
+  END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.can_notify FROM public, anon, authenticated;
+
+-- Notify users of something the caller did. Only the types the app sends
+-- itself are allowed (follows, favorites and ratings notify from triggers),
+-- and only recipients the caller's action concerns are notified. The caller
+-- is never notified.
+CREATE OR REPLACE FUNCTION public.notify_users(
+  recipient_ids uuid[],
+  notification_type text,
+  target_bench_id uuid DEFAULT NULL,
+  target_comment_id uuid DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF notification_type NOT IN (
+    'comment', 'reply', 'mention', 'comment_like',
+    'content_hidden', 'content_restored', 'content_removed'
+  ) THEN
+    RAISE EXCEPTION 'Unknown notification type';
+  END IF;
+
+  INSERT INTO notifications (user_id, actor_id, type, bench_id, comment_id)
+  SELECT DISTINCT r.id, auth.uid(), notification_type, target_bench_id, target_comment_id
+  FROM unnest(recipient_ids) AS r(id)
+  WHERE r.id <> auth.uid()
+    AND NOT public.has_blocked(r.id, auth.uid(), true)
+    AND public.can_notify(r.id, notification_type, target_bench_id, target_comment_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.notify_users TO authenticated;
@@ -0,0 +1,35 @@
+-- Photo files of purged benches
+--
+-- purge_bench returns the photo URLs of a bench and leaves the files, which can
+-- only be deleted through the Storage API. The app removes them for the benches
+-- it purges, but the nightly purge-deleted-benches job ran in the database and
+-- left the files of every bench it purged in storage for good. The job now
+-- calls the purge-deleted-benches Edge Function (supabase/functions), which
+-- purges with the service role and removes the returned files.
+--
+-- The job reads two Vault secrets: project_url (https://<project-ref>.supabase.co)
+-- and service_role_key.
+
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- Without a user purge_deleted_benches purges everyone's trash, so only
+-- signed-in users (their own trash) and the service role may call it
+REVOKE EXECUTE ON FUNCTION public.purge_deleted_benches FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.purge_deleted_benches TO authenticated, service_role;
+
+-- Replaces the job of the same name scheduled in 0003
+SELECT cron.schedule(
+  'purge-deleted-benches',
+  '0 3 * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+      || '/functions/v1/purge-deleted-benches',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := jsonb_build_object('retention_days', 37)
+  );
+  $$
+);
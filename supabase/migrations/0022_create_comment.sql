@@ -0,0 +1,39 @@
+-- Comments and their mentions in one transaction
+--
+-- The app inserted a comment and then its comment_mentions in a second
+-- request, so a failed second request left the comment without its mentions.
+-- create_comment inserts both at once. It runs as the caller, so the insert
+-- policies on comments and comment_mentions still apply.
+
+-- new_mentions: comment_mentions rows ({ user_id, start_index, end_index }) for comment_text
+CREATE OR REPLACE FUNCTION public.create_comment(
+  target_bench_id uuid,
+  comment_text text,
+  target_parent_id uuid DEFAULT NULL,
+  new_mentions jsonb DEFAULT '[]'::jsonb
+)
+RETURNS public.comments
+LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  created comments;
+BEGIN
+  IF coalesce(trim(comment_text), '') = '' THEN
+    RAISE EXCEPTION 'Comment cannot be empty';
+  END IF;
+
+  INSERT INTO comments (bench_id, user_id, text, parent_id)
+  VALUES (target_bench_id, auth.uid(), comment_text, target_parent_id)
+  RETURNING * INTO created;
+
+  INSERT INTO comment_mentions (comment_id, user_id, start_index, end_index)
+  SELECT created.id, m.user_id, m.start_index, m.end_index
+  FROM jsonb_to_recordset(coalesce(new_mentions, '[]'::jsonb)) AS m(user_id uuid, start_index int, end_index int)
+  WHERE m.end_index <= length(comment_text)
+  ON CONFLICT DO NOTHING;
+
+  RETURN created;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.create_comment TO authenticated;
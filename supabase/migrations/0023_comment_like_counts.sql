@@ -0,0 +1,73 @@
+-- Comment like counts and threads
+--
+-- Sorting comments by top only reordered the comments already loaded, and
+-- the app counted the likes of each comment in its own requests. Comments now
+-- carry like_count, kept by a trigger on comment_likes, and thread_id (the
+-- top-level comment of their thread), so the app can page through top-level
+-- comments in the chosen order and load each page's threads in one request.
+
+ALTER TABLE public.comments
+  ADD COLUMN IF NOT EXISTS like_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS thread_id uuid;
+
+-- A reply joins its parent's thread, a top-level comment starts its own
+CREATE OR REPLACE FUNCTION public.set_comment_thread()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  NEW.thread_id := coalesce(
+    (SELECT p.thread_id FROM comments p WHERE p.id = NEW.parent_id),
+    NEW.id
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS comments_set_thread ON public.comments;
+
+CREATE TRIGGER comments_set_thread
+  BEFORE INSERT ON public.comments
+  FOR EACH ROW EXECUTE FUNCTION public.set_comment_thread();
+
+CREATE OR REPLACE FUNCTION public.count_comment_likes()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE comments SET like_count = like_count + 1 WHERE id = NEW.comment_id;
+  ELSE
+    UPDATE comments SET like_count = greatest(like_count - 1, 0) WHERE id = OLD.comment_id;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS comment_likes_count ON public.comment_likes;
+
+CREATE TRIGGER comment_likes_count
+  AFTER INSERT OR DELETE ON public.comment_likes
+  FOR EACH ROW EXECUTE FUNCTION public.count_comment_likes();
+
+-- Backfill
+UPDATE public.comments c
+SET like_count = (SELECT count(*) FROM public.comment_likes cl WHERE cl.comment_id = c.id);
+
+WITH RECURSIVE threads AS (
+  SELECT c.id, c.id AS thread_id FROM public.comments c WHERE c.parent_id IS NULL
+  UNION ALL
+  SELECT c.id, t.thread_id FROM public.comments c JOIN threads t ON c.parent_id = t.id
+)
+UPDATE public.comments c SET thread_id = t.thread_id
+FROM threads t
+WHERE t.id = c.id;
+
+ALTER TABLE public.comments ALTER COLUMN thread_id SET NOT NULL;
+
+-- Top-level comments of a bench in each sort order, and the replies of a page of them
+CREATE INDEX IF NOT EXISTS comments_bench_top_idx
+  ON public.comments(bench_id, like_count DESC, created_at, id) WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS comments_bench_created_at_idx
+  ON public.comments(bench_id, created_at, id) WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS comments_thread_id_idx ON public.comments(thread_id);